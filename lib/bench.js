@@ -28,6 +28,12 @@ var FastBenchWorkloads = {
 	'name': 'sleep150',
 	'description': 'uniform, moderate-sized requests with 150ms sleep',
 	'cons': FastWorkloadSleep150
+    },
+
+    'stream': {
+	'name': 'stream',
+	'description': 'requests each returning a stream of 1000 small objects',
+	'cons': FastWorkloadStream
     }
 };
 
@@ -56,6 +62,41 @@ FastWorkloadSleep150.prototype.nextRequest = function (fastclient, callback)
 	}, callback));
 };
 
+/*
+ * The "stream" workload is dominated by the per-message cost of writing
+ * responses, so it's useful for evaluating the server's write coalescing (see
+ * the "-c" option to fastserve).
+ */
+function FastWorkloadStream() {}
+FastWorkloadStream.prototype.name = function () { return ('stream'); };
+FastWorkloadStream.prototype.nextRequest = function (fastclient, callback)
+{
+	var req, ndata;
+
+	req = fastclient.rpc({
+	    'rpcmethod': 'yes',
+	    'rpcargs': [ { 'value': 'y', 'count': 1000 } ]
+	});
+
+	ndata = 0;
+	req.on('data', function (d) {
+		mod_assertplus.deepEqual(d, { 'value': 'y' });
+		ndata++;
+	});
+
+	req.on('end', function () {
+		if (ndata != 1000) {
+			callback(new Error('unexpected data in response'));
+		} else {
+			callback();
+		}
+	});
+
+	req.on('error', function (err) {
+		callback(new VError(err, 'unexpected server error'));
+	});
+};
+
 function fastWorkloadRequest(args, callback)
 {
 	var fastclient, rpcargs, req, ndata;
@@ -15,6 +15,11 @@
 var mod_client = require('./fast_client');
 var mod_server = require('./fast_server');
 var mod_protocol = require('./fast_protocol');
+var mod_trace = require('./trace');
 
 exports.FastClient = mod_client.FastClient;
 exports.FastServer = mod_server.FastServer;
+exports.FAST_CHECKSUM_V1 = mod_protocol.FAST_CHECKSUM_V1;
+exports.FAST_CHECKSUM_V1_V2 = mod_protocol.FAST_CHECKSUM_V1_V2;
+exports.FAST_CHECKSUM_V2 = mod_protocol.FAST_CHECKSUM_V2;
+exports.InMemorySpanExporter = mod_trace.InMemorySpanExporter;
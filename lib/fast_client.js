@@ -22,7 +22,9 @@ var VError = require('verror');
 
 var mod_protocol = require('./fast_protocol');
 var mod_client_request = require('./fast_client_request');
+var mod_client_rpc = require('./fast_client_rpc');
 var mod_subr = require('./subr');
+var mod_trace = require('./trace');
 
 exports.FastClient = FastClient;
 
@@ -39,6 +41,32 @@ var DEFAULT_BUCKETS = [
 	20, 40, 60, 80, 100
 ];
 
+/*
+ * Default time to wait for the server to respond to our half of the handshake
+ * before proceeding without it.  See "Protocol version 3" in
+ * lib/fast_protocol.js.
+ */
+var FC_HANDSHAKE_TIMEOUT = 5000;
+
+/*
+ * Default number of DATA messages that the server may send for each request
+ * before the consumer has read them, on connections that negotiate flow
+ * control.  See "Flow control" in lib/fast_protocol.js.
+ */
+var FC_CREDIT_WINDOW = 64;
+
+/*
+ * Default number of consecutive PINGs that may go unanswered before the client
+ * decides that the server is dead.  See the "pingInterval" option.
+ */
+var FC_PING_MAX_MISSED = 3;
+
+/*
+ * Number of recent requests whose timing is used to estimate the offset between
+ * our clock and the server's.  See clockSample().
+ */
+var FC_CLOCK_WINDOW = 64;
+
 /*
  * There's one DTrace provider for all clients using this copy of this module.
  */
@@ -81,6 +109,120 @@ fastNclients = 0;
  *    version           specify a protocol version to use. this is intended
  *                      only for testing and should only be set if you are sure
  *                      about what you are doing.
+ *
+ *    crcMode		(optional) one of the FAST_CHECKSUM_* constants from
+ *    			lib/fast_protocol.js.  FAST_CHECKSUM_V1 uses only the
+ *    			buggy CRC calculation (protocol version 1), and
+ *    			FAST_CHECKSUM_V2 uses only the correct one.  The
+ *    			default, FAST_CHECKSUM_V1_V2, uses the correct
+ *    			calculation, accepts responses using either one, and
+ *    			switches to the buggy one if the server reports that
+ *    			it does not support the correct one.  Only servers
+ *    			that support crcMode report that (see
+ *    			requestCrcFallback()).
+ *
+ *    maxMessageBytes	(optional) maximum size (in bytes) of the payload of
+ *    			any message received from the server.  A larger
+ *    			message is treated as a fatal protocol error.  By
+ *    			default, there is no limit.
+ *
+ *    handshake		(optional) if true, begin by performing a handshake
+ *    			with the server to negotiate protocol version 3 and
+ *    			a set of capabilities (see "Protocol version 3" in
+ *    			lib/fast_protocol.js).  Requests made before the
+ *    			handshake completes are queued until it does.  If the
+ *    			server does not support the handshake, the client
+ *    			proceeds without any capabilities.  The client emits
+ *    			'handshake' with the negotiated capabilities when the
+ *    			handshake completes either way.  The default is false.
+ *
+ *    capabilities	(optional) array of capabilities to offer during the
+ *    			handshake.  The default is all of the capabilities
+ *    			implemented by this module.
+ *
+ *    handshakeTimeout	(optional) milliseconds to wait for the server to
+ *    			respond to the handshake before giving up on it
+ *
+ *    codec		(optional) name of the payload codec to use for
+ *    			requests (see "Payload codecs" in
+ *    			lib/fast_protocol.js), e.g., "msgpack".  Codecs other
+ *    			than "json" (the default) require "handshake", and
+ *    			they're only used if the server agrees to the codec's
+ *    			capability during the handshake.  Otherwise, the client
+ *    			uses JSON.
+ *
+ *    compressThreshold	(optional) minimum size (in bytes) of request payloads
+ *    			to compress once the handshake has negotiated the
+ *    			"deflate" capability (see "Payload compression" in
+ *    			lib/fast_protocol.js).  By default, requests are not
+ *    			compressed.  Compressed responses are accepted either
+ *    			way.
+ *
+ *    creditWindow	(optional) number of DATA messages that the server may
+ *    			send for each request beyond what the consumer has
+ *    			read, once the handshake has negotiated the "credit"
+ *    			capability (see "Flow control" in
+ *    			lib/fast_protocol.js).  The default is 64.
+ *
+ *    pingInterval	(optional) milliseconds between PING messages sent to
+ *    			the server once the handshake has negotiated the
+ *    			"ping" capability (see "Keepalive" in
+ *    			lib/fast_protocol.js).  By default, the client does
+ *    			not send PINGs, though it always answers the server's.
+ *
+ *    pingMaxMissed	(optional) number of consecutive PINGs that may go
+ *    			unanswered before the client gives up on the server
+ *    			and emits 'error'.  The default is 3.
+ *
+ *    coalesceBytes	(optional) maximum number of bytes of messages to
+ *    			combine into a single write to the transport (see
+ *    			FastMessageEncoder).  The default is
+ *    			FP_COALESCE_BYTES.  0 disables coalescing.
+ *
+ *    traceExporter	(optional) object to which spans are reported (see
+ *    			lib/trace.js).  If specified, every request is traced,
+ *    			starting a new trace if the caller did not specify a
+ *    			"traceparent".  Otherwise, only requests that specify
+ *    			a "traceparent" are traced.
+ *
+ *    hmacKeys		(optional) array of shared keys (strings or Buffers)
+ *    			with which to authenticate messages once the
+ *    			handshake has negotiated the "hmac" capability (see
+ *    			"Message authentication" in lib/fast_protocol.js).
+ *    			Messages are sent using the first key, and received
+ *    			messages may use any of them.  Without keys, the
+ *    			client does not offer "hmac".
+ *
+ *    hmacRequired	(optional boolean) if true, the client emits 'error'
+ *    			(with fastReason "hmac_required") rather than sending
+ *    			any requests if the handshake does not negotiate
+ *    			"hmac".  This requires "hmacKeys" and "handshake".
+ *    			The default is false.
+ *
+ *    credential	(optional) credential with which to authenticate to
+ *    			the server once the handshake has negotiated the
+ *    			"auth" capability (see "Client authentication" in
+ *    			lib/fast_protocol.js).  This may be any non-null value
+ *    			(e.g., a token), or a function invoked as
+ *    			credential(challenge, callback) that should invoke
+ *    			callback(err, value) with the credential to send
+ *    			(e.g., a signature over the server's challenge).
+ *    			Requests are queued until the server accepts it, and
+ *    			if the server rejects it, the client emits 'error'
+ *    			with fastReason "auth_failed".  This requires
+ *    			"handshake".  Without a credential, the client does
+ *    			not offer "auth".
+ *
+ * The server also uses this class internally to make reverse requests of its
+ * clients (see "Reverse requests" in lib/fast_protocol.js), in which case it
+ * specifies the private "encoder" argument (a FastMessageEncoder shared with
+ * the server's connection) instead of "transport".  Such a client writes its
+ * messages to that encoder, the server passes it the messages for its requests
+ * by calling onMessage() directly, and it takes the "capabilities" that it's
+ * given as having already been negotiated.  It allocates msgids only from the
+ * range reserved for reverse requests, and it cannot be used with "handshake"
+ * or "collector".
+ *
  * On 'error', the caller should assume that the current connection to the
  * server is in an undefined state and should not be used any more.  Any
  * in-flight RPC will be terminated gracefully (i.e., with an "error" or "end"
@@ -90,25 +232,83 @@ function FastClient(args)
 {
 	var self = this;
 	var fixed_buckets = false;
+	var reverse;
 
 	mod_assertplus.object(args, 'args');
 	mod_assertplus.optionalObject(args.collector, 'args.collector');
 	mod_assertplus.optionalObject(args.metricLabels, 'args.metricLabels');
 	mod_assertplus.object(args.log, 'args.log');
 	mod_assertplus.number(args.nRecentRequests, 'args.nRecentRequests');
-	mod_assertplus.object(args.transport, 'args.transport');
+	if (args.encoder !== undefined) {
+		mod_assertplus.object(args.encoder, 'args.encoder');
+		mod_assertplus.ok(args.transport === undefined &&
+		    !args.handshake && args.collector === undefined,
+		    'args.encoder cannot be used with args.transport, ' +
+		    'args.handshake, or args.collector');
+	} else {
+		mod_assertplus.object(args.transport, 'args.transport');
+	}
 	mod_assertplus.optionalNumber(args.version, 'args.version');
+	mod_assertplus.optionalNumber(args.crcMode, 'args.crcMode');
+	mod_assertplus.optionalNumber(args.maxMessageBytes,
+	    'args.maxMessageBytes');
+	mod_assertplus.optionalBool(args.handshake, 'args.handshake');
+	mod_assertplus.optionalArrayOfString(args.capabilities,
+	    'args.capabilities');
+	mod_assertplus.optionalNumber(args.handshakeTimeout,
+	    'args.handshakeTimeout');
+	mod_assertplus.optionalString(args.codec, 'args.codec');
+	mod_assertplus.optionalNumber(args.compressThreshold,
+	    'args.compressThreshold');
+	mod_assertplus.optionalNumber(args.creditWindow, 'args.creditWindow');
+	mod_assertplus.ok(args.creditWindow === undefined ||
+	    mod_protocol.isValidCredit(args.creditWindow),
+	    'args.creditWindow must be a positive integer');
+	mod_assertplus.optionalNumber(args.pingInterval, 'args.pingInterval');
+	mod_assertplus.optionalNumber(args.pingMaxMissed,
+	    'args.pingMaxMissed');
+	mod_assertplus.optionalObject(args.traceExporter,
+	    'args.traceExporter');
+	mod_assertplus.optionalNumber(args.coalesceBytes,
+	    'args.coalesceBytes');
+	if (args.hmacKeys !== undefined) {
+		mod_protocol.validateHmacKeys(args.hmacKeys, 'args.hmacKeys');
+	}
+	mod_assertplus.optionalBool(args.hmacRequired, 'args.hmacRequired');
+	mod_assertplus.ok(!args.hmacRequired ||
+	    (args.hmacKeys && args.handshake),
+	    'args.hmacRequired requires args.hmacKeys and args.handshake');
+	mod_assertplus.ok(args.credential !== null,
+	    'args.credential must not be null');
+	mod_assertplus.ok(args.credential === undefined || args.handshake,
+	    'args.credential requires args.handshake');
 
 	this.fc_collector = args.collector;	/* metric collector */
 	this.fc_metric_labels = args.metricLabels;
 	this.fc_log = args.log;
-	this.fc_transport = args.transport;
+	this.fc_transport = args.transport || null;
+	this.fc_embedded = args.encoder !== undefined;	/* see above */
 	this.fc_nrecent = args.nRecentRequests;
 	/*
 	 * This is provided only for compatability testing with older protocol
 	 * versions
 	 */
-	this.version = args.version || mod_protocol.FP_VERSION_CURRENT;
+	this.fc_crcmode = args.crcMode !== undefined ?
+	    args.crcMode : mod_protocol.FAST_CHECKSUM_V1_V2;
+	if (args.version) {
+		this.version = args.version;
+	} else if (this.fc_crcmode == mod_protocol.FAST_CHECKSUM_V1) {
+		this.version = mod_protocol.FP_VERSION_1;
+	} else {
+		this.version = mod_protocol.FP_VERSION_CURRENT;
+	}
+	mod_assertplus.ok(mod_protocol.crcModeAllowsVersion(
+	    this.fc_crcmode, this.version),
+	    'args.version is not allowed by args.crcMode');
+	mod_assertplus.ok(!args.hmacRequired ||
+	    mod_protocol.crcModeAllowsVersion(this.fc_crcmode,
+	    mod_protocol.FP_VERSION_3),
+	    'args.hmacRequired requires a CRC mode that allows version 3');
 
 	/* RPC and protocol state */
 	this.fc_pending = {}; 		/* pending requests */
@@ -118,19 +318,127 @@ function FastClient(args)
 	this.fc_recentrpc = [];		/* recently completed requests */
 	this.fc_error = null;		/* first fatal error, if any */
 	this.fc_nerrors = 0;		/* count of fatal errors */
-	this.fc_rqidalloc = new mod_subr.IdAllocator({
-	    'min': 1,
-	    'max': mod_protocol.FP_MSGID_MAX,
-	    'isAllocated': function isReqIdAllocated(id) {
-		return (self.fc_pending.hasOwnProperty(id) ||
-		    self.fc_abandoned.hasOwnProperty(id));
-	    }
+	this.fc_ncrcfallbacks = 0;	/* count of requests re-sent with v1 */
+	this.fc_ncancels = 0;		/* count of CANCEL messages sent */
+	this.fc_ncredits = 0;		/* count of CREDIT messages sent */
+	this.fc_ninput = 0;		/* count of input objects sent */
+	this.fc_nunsubscribes = 0;	/* count of UNSUBSCRIBE messages sent */
+	this.fc_creditwindow = args.creditWindow || FC_CREDIT_WINDOW;
+	this.fc_npongs = 0;		/* count of PONG messages sent */
+
+	/*
+	 * Reverse request state: fc_handlers contains the handlers registered
+	 * with registerRpcMethod(), and fc_serving contains the reverse
+	 * requests that they're currently serving, by msgid.
+	 */
+	this.fc_handlers = {};
+	this.fc_serving = {};
+	this.fc_nreverse_started = 0;	/* reverse requests received */
+	this.fc_nreverse_failed = 0;	/* reverse requests failed */
+
+	/*
+	 * Keepalive state: fc_keepalive is created once the handshake has
+	 * negotiated the "ping" capability, if the caller asked for PINGs.
+	 */
+	this.fc_pinginterval = typeof (args.pingInterval) == 'number' ?
+	    args.pingInterval : null;
+	this.fc_pingmaxmissed = typeof (args.pingMaxMissed) == 'number' ?
+	    args.pingMaxMissed : FC_PING_MAX_MISSED;
+	this.fc_keepalive = null;
+
+	/* exporter for request spans, if any */
+	this.fc_traceexporter = args.traceExporter || null;
+
+	/* clock offset and latency estimation (see clockSample()) */
+	this.fc_clock = new mod_subr.ClockEstimator({
+	    'window': FC_CLOCK_WINDOW
 	});
 
+	/* message authentication (see "hmacKeys" above) */
+	this.fc_hmacrequired = args.hmacRequired === true;
+
+	/* client authentication (see "credential" above) */
+	this.fc_credential = args.credential === undefined ? null :
+	    args.credential;
+	this.fc_authenticated = false;
+
+	/*
+	 * Handshake state: fc_handshake is one of FC_HS_NONE (no handshake was
+	 * requested), FC_HS_PENDING (waiting for the server's response),
+	 * FC_HS_AUTH (waiting for the server to accept our credential), or
+	 * FC_HS_DONE (the handshake completed, whether or not the server
+	 * supported it).  Requests made while the handshake is pending or we're
+	 * authenticating are queued in fc_queued.
+	 */
+	this.fc_handshake = FC_HS_NONE;
+	this.fc_ourcaps = (args.capabilities ? args.capabilities :
+	    mod_protocol.FP_CAPABILITIES).filter(function (cap) {
+		if (cap == mod_protocol.FP_CAPABILITY_HMAC) {
+			return (args.hmacKeys !== undefined);
+		}
+		if (cap == mod_protocol.FP_CAPABILITY_AUTH) {
+			return (self.fc_credential !== null);
+		}
+		return (true);
+	    });
+	/* negotiated capabilities */
+	this.fc_capabilities = this.fc_embedded ? this.fc_ourcaps.slice(0) : [];
+	this.fc_hstimeout = typeof (args.handshakeTimeout) == 'number' ?
+	    args.handshakeTimeout : FC_HANDSHAKE_TIMEOUT;
+	this.fc_queued = [];		/* requests waiting for handshake */
+
+	/*
+	 * Payload codec state: fc_codec is the codec that the caller asked
+	 * for, and fc_type is the type actually used for requests, which
+	 * remains FP_TYPE_JSON unless the handshake negotiates fc_codec.
+	 */
+	this.fc_codec = mod_protocol.lookupCodec(args.codec || 'json');
+	mod_assertplus.ok(this.fc_codec !== null,
+	    'args.codec is not a registered codec');
+	mod_assertplus.ok(this.fc_codec.type == mod_protocol.FP_TYPE_JSON ||
+	    (args.handshake &&
+	    this.fc_ourcaps.indexOf(this.fc_codec.capability) != -1),
+	    'args.codec requires args.handshake and the codec\'s capability');
+	this.fc_type = mod_protocol.FP_TYPE_JSON;
+
+	/*
+	 * Message ids are allocated when requests are created and freed once
+	 * they're in neither fc_pending nor fc_abandoned.  If reverse requests
+	 * may be negotiated, the two sides use separate ranges of msgids (see
+	 * "Reverse requests" in lib/fast_protocol.js).
+	 */
+	if (this.fc_embedded) {
+		this.fc_rqidalloc = new mod_subr.IdAllocator({
+		    'min': mod_protocol.FP_MSGID_REVERSE_MIN,
+		    'max': mod_protocol.FP_MSGID_MAX
+		});
+	} else {
+		reverse = args.handshake === true && this.fc_ourcaps.indexOf(
+		    mod_protocol.FP_CAPABILITY_REVERSE) != -1;
+		this.fc_rqidalloc = new mod_subr.IdAllocator({
+		    'min': 1,
+		    'max': reverse ? mod_protocol.FP_MSGID_REVERSE_MIN - 1 :
+			mod_protocol.FP_MSGID_MAX
+		});
+	}
+
 	/* transport and message helper objects */
 	this.fc_transport_onerr = null;	/* error listener */
-	this.fc_msgencoder = new mod_protocol.FastMessageEncoder();
-	this.fc_msgdecoder = new mod_protocol.FastMessageDecoder();
+	if (this.fc_embedded) {
+		this.fc_msgencoder = args.encoder;
+		this.fc_msgdecoder = null;
+	} else {
+		this.fc_msgencoder = new mod_protocol.FastMessageEncoder({
+		    'compressThreshold': args.compressThreshold,
+		    'coalesceBytes': args.coalesceBytes,
+		    'hmacKeys': args.hmacKeys
+		});
+		this.fc_msgdecoder = new mod_protocol.FastMessageDecoder({
+		    'crcMode': this.fc_crcmode,
+		    'maxMessageBytes': args.maxMessageBytes,
+		    'hmacKeys': args.hmacKeys
+		});
+	}
 
 	/* transport state */
 	this.fc_detached = false;	 /* caller detached us */
@@ -152,6 +460,54 @@ function FastClient(args)
 			labels: (fixed_buckets === true) ?
 			    { buckets_version: '1' } : undefined
 		});
+		this.fc_compression_counter = this.fc_collector.counter({
+			name: 'fast_client_compression_saved_bytes',
+			help: 'bytes saved by compressing message payloads, ' +
+			    'by direction ("sent" or "received")'
+		});
+		this.fc_ping_histogram = this.fc_collector.histogram({
+			name: 'fast_client_ping_rtt_seconds',
+			help: 'round-trip time of PING messages sent to the ' +
+			    'server',
+			buckets: (fixed_buckets === true) ?
+			    DEFAULT_BUCKETS : undefined,
+			labels: (fixed_buckets === true) ?
+			    { buckets_version: '1' } : undefined
+		});
+		this.fc_network_histogram = this.fc_collector.histogram({
+			name: 'fast_client_network_time_seconds',
+			help: 'estimated time requests spent on the network ' +
+			    '(in both directions) before the first response',
+			buckets: (fixed_buckets === true) ?
+			    DEFAULT_BUCKETS : undefined,
+			labels: (fixed_buckets === true) ?
+			    { buckets_version: '1' } : undefined
+		});
+		this.fc_server_histogram = this.fc_collector.histogram({
+			name: 'fast_client_server_time_seconds',
+			help: 'estimated time the server took to send the ' +
+			    'first response to requests',
+			buckets: (fixed_buckets === true) ?
+			    DEFAULT_BUCKETS : undefined,
+			labels: (fixed_buckets === true) ?
+			    { buckets_version: '1' } : undefined
+		});
+		this.fc_offset_gauge = this.fc_collector.gauge({
+			name: 'fast_client_clock_offset_seconds',
+			help: 'estimated offset of the server\'s clock from ' +
+			    'the client\'s (positive if the server is ahead)'
+		});
+
+		this.fc_msgencoder.on('deflate', function (raw, wire) {
+			self.fc_compression_counter.add(raw - wire,
+			    mod_jsprim.mergeObjects(self.fc_metric_labels,
+			    { 'direction': 'sent' }, false));
+		});
+		this.fc_msgdecoder.on('inflate', function (raw, wire) {
+			self.fc_compression_counter.add(raw - wire,
+			    mod_jsprim.mergeObjects(self.fc_metric_labels,
+			    { 'direction': 'received' }, false));
+		});
 	}
 
 	if (fastClientProvider === null) {
@@ -163,11 +519,25 @@ function FastClient(args)
 	this.fc_dtp = fastClientProvider;
 
 	mod_events.EventEmitter.call(this);
-	this.attach();
+	if (!this.fc_embedded) {
+		this.attach();
+	}
+
+	if (args.handshake) {
+		this.handshakeStart();
+	}
 }
 
 mod_util.inherits(FastClient, mod_events.EventEmitter);
 
+/*
+ * Handshake states.  See the constructor.
+ */
+var FC_HS_NONE    = 'none';
+var FC_HS_PENDING = 'pending';
+var FC_HS_AUTH    = 'authenticating';
+var FC_HS_DONE    = 'done';
+
 /*
  * [public] Initiate an RPC request.  Named parameters include:
  *
@@ -176,7 +546,11 @@ mod_util.inherits(FastClient, mod_events.EventEmitter);
  *     rpcargs		(object)	values of arguments passed to the RPC
  *
  *     timeout (optional number)	milliseconds after which to abandon the
- *     					request if no response has been received
+ *     					request if no response has been
+ *     					received.  The time remaining when the
+ *     					request is sent is also sent to the
+ *     					server (see "Request deadlines" in
+ *     					lib/fast_protocol.js).
  *
  *     log        (optional log)	bunyan-style logger
  *
@@ -187,26 +561,97 @@ mod_util.inherits(FastClient, mod_events.EventEmitter);
  *     					and a null value is received, this is
  *     					treated as a protocol error.
  *
- * The semantics of "rpcmethod" and "rpcargs" are defined by the server.
+ *     headers (optional object)	string-valued metadata to send with the
+ *     					request, separately from its arguments
+ *     					(see "Request headers" in
+ *     					lib/fast_protocol.js).  Invalid headers
+ *     					cause this function to throw.  Servers
+ *     					that predate headers ignore them.
+ *
+ *     traceparent			trace context of the span on whose
+ *     (optional string)		behalf this request is being made
+ *     					(e.g., from an RPC handler's
+ *     					traceparent()).  The request's span is
+ *     					a child of this one.  See lib/trace.js.
+ *
+ * The semantics of "rpcmethod", "rpcargs", and "headers" are defined by the
+ * server.
  *
  * If "log" is not provided, then this request uses a child of the client-level
  * logger.
  *
  * The return value is an object-mode readable stream that emits zero or more
  * messages from the server.  As with other readable streams, "end" denotes
- * successful completion, and "error" denotes unsuccessful completion.  This
- * stream does not support flow control, so the server must be trusted, and the
- * caller must avoid making requests that return large amounts of data faster
- * than the caller can process it.  Additionally, the stream is already reading
- * when the caller gets it, so there's no need to call read(0) to kick off the
- * RPC.
+ * successful completion, and "error" denotes unsuccessful completion.  If the
+ * handshake negotiated the "credit" capability, then this stream supports flow
+ * control: the server stops sending data once "creditWindow" messages are
+ * waiting to be read.  Otherwise, the server must be trusted, and the caller
+ * must avoid making requests that return large amounts of data faster than the
+ * caller can process it.  Additionally, the stream is already reading when the
+ * caller gets it, so there's no need to call read(0) to kick off the RPC.
  *
  * See rpcBufferAndCallback() for an interface that buffers incoming data and
  * invokes a callback upon completion.
  */
 FastClient.prototype.rpc = function (args)
 {
-	var msgid, log, request, message;
+	return (this.rpcStart(args, false, false));
+};
+
+/*
+ * [public] Initiate an RPC request with streaming input (see "Request streams"
+ * in lib/fast_protocol.js).  This takes the same named parameters as rpc(), and
+ * it returns the same kind of stream, except that the stream is also writable:
+ * objects written to it are sent to the server as the request's input, and
+ * ending it ends the input.  Writes are subject to flow control, so the stream
+ * stops accepting objects (in the usual way for writable streams) until the
+ * server's handler reads enough of the input.
+ *
+ * This requires that the handshake negotiated the "stream" and "cancel"
+ * capabilities.  Otherwise, the request fails.  Once the request completes
+ * (successfully or not), anything else written to it is discarded.
+ */
+FastClient.prototype.rpcStream = function (args)
+{
+	return (this.rpcStart(args, true, false));
+};
+
+/*
+ * [public] Subscribe to events from the server (see "Subscriptions" in
+ * lib/fast_protocol.js) using the subscription method "rpcmethod" with
+ * arguments "rpcargs" (an array).  "options" is an optional object with any of
+ * the other named parameters of rpc() except for "timeout", since subscriptions
+ * last until either side ends them.
+ *
+ * The return value is a stream like the one returned by rpc() that emits each
+ * event as a "data" object and ends when the subscription ends.  Its
+ * unsubscribe() method ends the subscription from this side: events that
+ * arrive after that are discarded, and the stream ends once the server has
+ * acknowledged it.  This requires that the handshake negotiated the
+ * "subscribe" capability.  Otherwise, the subscription fails.
+ */
+FastClient.prototype.subscribe = function (rpcmethod, rpcargs, options)
+{
+	mod_assertplus.string(rpcmethod, 'rpcmethod');
+	mod_assertplus.array(rpcargs, 'rpcargs');
+	mod_assertplus.optionalObject(options, 'options');
+	mod_assertplus.ok(!options || options.timeout === undefined,
+	    'options.timeout is not supported for subscriptions');
+
+	return (this.rpcStart(mod_jsprim.mergeObjects(options, {
+	    'rpcmethod': rpcmethod,
+	    'rpcargs': rpcargs
+	}), false, true));
+};
+
+/*
+ * Implementation of rpc(), rpcStream(), and subscribe().  "input" indicates
+ * whether the request has streaming input, and "subscription" indicates whether
+ * it's a subscription.
+ */
+FastClient.prototype.rpcStart = function (args, input, subscription)
+{
+	var msgid, log, request, headererr, parent, span;
 	var timeoutms = null;
 	var self = this;
 
@@ -217,6 +662,23 @@ FastClient.prototype.rpc = function (args)
 	mod_assertplus.optionalObject(args.log, 'args.log');
 	mod_assertplus.optionalBool(args.ignoreNullValues,
 	    'args.ignoreNullValues');
+	if (args.headers !== undefined) {
+		headererr = mod_protocol.validateHeaders(args.headers);
+		if (headererr !== null) {
+			throw (new VError(headererr, 'args.headers'));
+		}
+	}
+
+	mod_assertplus.optionalString(args.traceparent, 'args.traceparent');
+	if (typeof (args.traceparent) == 'string') {
+		parent = mod_trace.parseTraceparent(args.traceparent);
+		if (parent === null) {
+			throw (new VError('args.traceparent: invalid trace ' +
+			    'context: "%s"', args.traceparent));
+		}
+	} else {
+		parent = null;
+	}
 
 	if (typeof (args.timeout) == 'number') {
 		mod_assertplus.ok(args.timeout > 0, 'args.timeout > 0');
@@ -224,14 +686,35 @@ FastClient.prototype.rpc = function (args)
 	}
 
 	msgid = this.allocMessageId();
-	mod_assertplus.ok(!this.fc_pending.hasOwnProperty(msgid));
+	mod_assertplus.ok(msgid === null ||
+	    !this.fc_pending.hasOwnProperty(msgid));
 	log = args.log ? args.log : this.fc_log;
+	if (this.fc_traceexporter !== null || parent !== null) {
+		span = mod_trace.spanStart({
+		    'exporter': this.fc_traceexporter,
+		    'parent': parent,
+		    'name': args.rpcmethod,
+		    'kind': 'client',
+		    'attributes': { 'msgid': msgid }
+		});
+		log = log.child({
+		    'traceId': span.traceId,
+		    'spanId': span.spanId
+		}, true);
+	} else {
+		span = null;
+	}
 	request = new mod_client_request.FastClientRequest({
 	    'client': this,
 	    'msgid': msgid,
 	    'rpcmethod': args.rpcmethod,
 	    'rpcargs': args.rpcargs,
+	    'headers': args.headers ? mod_jsprim.deepCopy(args.headers) : null,
+	    'timeout': timeoutms,
+	    'span': span,
 	    'ignoreNullValues': args.ignoreNullValues || false,
+	    'input': input,
+	    'subscription': subscription,
 	    'log': log.child({
 		'component': 'FastClientRequest',
 		'msgid': msgid,
@@ -239,10 +722,22 @@ FastClient.prototype.rpc = function (args)
 	    })
 	});
 
-	this.fc_pending[msgid] = request;
 	this.fc_nrpc_started++;
 	request.frq_hrtstarted = process.hrtime();
 
+	if (msgid === null) {
+		this.fc_log.warn({
+		    'nPending': Object.keys(this.fc_pending).length,
+		    'nAbandoned': Object.keys(this.fc_abandoned).length
+		}, 'skipping new request (no message ids available)');
+		request.frq_skip = true;
+		this.requestFail(request, new VError({
+		    'name': 'FastRequestIdError'
+		}, 'no message ids available'));
+		return (request);
+	}
+
+	this.fc_pending[msgid] = request;
 	if (this.fc_error !== null || this.fc_detached ||
 	    this.fc_transport_ended) {
 		this.fc_log.debug('skipping new request (transport detached)');
@@ -253,19 +748,6 @@ FastClient.prototype.rpc = function (args)
 		return (request);
 	}
 
-	message = {
-	    'msgid': msgid,
-	    'status': mod_protocol.FP_STATUS_DATA,
-	    'data': {
-		'm': {
-		    'uts': mod_microtime.now(),
-		    'name': args.rpcmethod
-		},
-		'd': args.rpcargs
-	    },
-	    'version': this.version
-	};
-
 	request.frq_log.debug({
 	    'rpcargs': args.rpcargs,
 	    'timeoutms': timeoutms
@@ -283,10 +765,18 @@ FastClient.prototype.rpc = function (args)
 	    ]);
 	});
 
-	this.fc_log.trace(message, 'outgoing message');
-	this.fc_msgencoder.write(message);
+	if (this.fc_handshake == FC_HS_PENDING ||
+	    (this.fc_handshake == FC_HS_AUTH &&
+	    args.rpcmethod != mod_protocol.FP_AUTH_METHOD)) {
+		request.frq_log.debug('queueing request until handshake ' +
+		    'completes');
+		request.frq_queued = true;
+		this.fc_queued.push(request);
+	} else {
+		this.requestTransmit(request);
+	}
 
-	if (timeoutms !== null) {
+	if (timeoutms !== null && this.requestIsPending(request)) {
 		request.frq_timeout = setTimeout(function onRpcTimeout() {
 			self.requestAbandon(request, new VError({
 			    'name': 'TimeoutError',
@@ -370,6 +860,54 @@ FastClient.prototype.rpcBufferAndCallback = function (args, callback)
 	return (request);
 };
 
+/*
+ * [public] Register a handler for requests that the server makes of this client
+ * (see "Reverse requests" in lib/fast_protocol.js).  Named arguments:
+ *
+ *     rpcmethod	(string)	name of the RPC method
+ *
+ *     rpchandler	(function)	invoked as rpchandler(rpc) for each
+ *     					request for this method
+ *
+ * "rpc" is a FastClientRpc (see lib/fast_client_rpc.js): an object-mode
+ * writable stream to which the handler writes the objects that make up its
+ * response before ending it, or else it fails the request with rpc.fail(err).
+ * The handler can get the request's arguments with rpc.argv().  Responses are
+ * not flow-controlled, so handlers should not send large amounts of data.
+ *
+ * The server can only make reverse requests if the handshake negotiated the
+ * "reverse" capability, which clients offer by default.  Handlers may be
+ * registered at any time, and requests for methods with no handler fail with
+ * fastReason "bad_method".
+ */
+FastClient.prototype.registerRpcMethod = function (args)
+{
+	mod_assertplus.object(args, 'args');
+	mod_assertplus.string(args.rpcmethod, 'args.rpcmethod');
+	mod_assertplus.func(args.rpchandler, 'args.rpchandler');
+	mod_assertplus.ok(!this.fc_handlers.hasOwnProperty(args.rpcmethod),
+	    'duplicate handler registered for method "' + args.rpcmethod + '"');
+	mod_assertplus.ok(args.rpcmethod.indexOf(
+	    mod_protocol.FP_RESERVED_PREFIX) !== 0,
+	    'method names beginning with "' + mod_protocol.FP_RESERVED_PREFIX +
+	    '" are reserved');
+
+	this.fc_log.info({
+	    'rpcmethod': args.rpcmethod
+	}, 'registered RPC method');
+	this.fc_handlers[args.rpcmethod] = args.rpchandler;
+};
+
+/*
+ * [public] Returns the capabilities negotiated with the server.  This is empty
+ * if no handshake was requested, if the handshake has not yet completed, or if
+ * the server does not support the handshake.
+ */
+FastClient.prototype.capabilities = function ()
+{
+	return (this.fc_capabilities.slice(0));
+};
+
 /*
  * Disconnect entirely from the underlying transport.  Do not read from it or
  * write to it and remove any event handlers.
@@ -381,9 +919,13 @@ FastClient.prototype.detach = function ()
 	}
 
 	this.fc_detached = true;
-	this.fc_transport.removeListener('error', this.fc_transport_onerr);
-	this.fc_transport.unpipe(this.fc_msgdecoder);
-	this.fc_msgencoder.unpipe(this.fc_transport);
+	this.keepaliveStop();
+	if (!this.fc_embedded) {
+		this.fc_transport.removeListener('error',
+		    this.fc_transport_onerr);
+		this.fc_transport.unpipe(this.fc_msgdecoder);
+		this.fc_msgencoder.unpipe(this.fc_transport);
+	}
 
 	this.requestAbandonAll(new VError({
 	    'name': 'FastTransportError'
@@ -402,21 +944,33 @@ FastClient.prototype.detach = function ()
  *			  including which connection received it, how long it's
  *			  been running, and what state it's in
  *
+ *     fastsubscription	  describes a subscription that's currently active
+ *			  (which is also a "fastrequest"), including how many
+ *			  events it has received
+ *
  * We do not provide a kang entry point for stats because we expect that there
  * will be many FastClients in most kang components and they will aggregate up
  * statistics from individual "fastclient" objects as desired.
  */
 FastClient.prototype.kangListTypes = function ()
 {
-	return ([ 'fastclient', 'fastrequest' ]);
+	return ([ 'fastclient', 'fastrequest', 'fastsubscription' ]);
 };
 
 FastClient.prototype.kangListObjects = function (type)
 {
+	var self = this;
+
 	if (type == 'fastclient') {
 		return ([ this.fc_dtid ]);
 	}
 
+	if (type == 'fastsubscription') {
+		return (Object.keys(this.fc_pending).filter(function (msgid) {
+			return (self.fc_pending[msgid].frq_subscription);
+		}));
+	}
+
 	mod_assertplus.equal(type, 'fastrequest');
 	return (Object.keys(this.fc_pending).concat(
 	    Object.keys(this.fc_abandoned)));
@@ -434,12 +988,71 @@ FastClient.prototype.kangGetObject = function (type, id)
 		    'nRpcDone': this.fc_nrpc_done,
 		    'nErrors': this.fc_nerrors,
 		    'error': this.fc_error,
+		    'crcMode': this.fc_crcmode,
+		    'version': this.version,
+		    'nCrcFallbacks': this.fc_ncrcfallbacks,
+		    'nCancelsSent': this.fc_ncancels,
+		    'nCreditsSent': this.fc_ncredits,
+		    'nInputObjectsSent': this.fc_ninput,
+		    'nUnsubscribesSent': this.fc_nunsubscribes,
+		    'creditWindow': this.fc_creditwindow,
+		    'pingInterval': this.fc_pinginterval,
+		    'nPingsSent': this.fc_keepalive === null ? 0 :
+		        this.fc_keepalive.ka_nsent,
+		    'nPongsReceived': this.fc_keepalive === null ? 0 :
+		        this.fc_keepalive.ka_nreceived,
+		    'nPingsMissed': this.fc_keepalive === null ? 0 :
+		        this.fc_keepalive.ka_nmissed,
+		    'pingRttMs': this.fc_keepalive === null ? null :
+		        this.fc_keepalive.ka_lastrtt,
+		    'nPongsSent': this.fc_npongs,
+		    'nReverseStarted': this.fc_nreverse_started,
+		    'nReverseRunning': Object.keys(this.fc_serving).length,
+		    'nReverseFailed': this.fc_nreverse_failed,
+		    'clockOffsetMs': this.fc_clock.offset() === null ? null :
+		        this.fc_clock.offset() / 1000,
+		    'clockOffsetErrorMs': this.fc_clock.offsetError() === null ?
+		        null : this.fc_clock.offsetError() / 1000,
+		    'nClockSamples': this.fc_clock.ce_nsamples,
+		    'handshake': this.fc_handshake,
+		    'authenticated': this.fc_authenticated,
+		    'capabilities': this.fc_capabilities.slice(0),
+		    'nQueued': this.fc_queued.length,
+		    'codec': this.fc_type == this.fc_codec.type ?
+		        this.fc_codec.name : 'json',
+		    'nMessagesCompressed': this.fc_msgencoder.me_ndeflated,
+		    'nBytesSavedSent': this.fc_msgencoder.me_nrawbytes -
+		        this.fc_msgencoder.me_nwirebytes,
+		    'nMessagesDecompressed': this.fc_embedded ? 0 :
+		        this.fc_msgdecoder.md_ninflated,
+		    'nBytesSavedReceived': this.fc_embedded ? 0 :
+		        this.fc_msgdecoder.md_nrawbytes -
+		        this.fc_msgdecoder.md_nwirebytes,
+		    'nMessagesSent': this.fc_msgencoder.me_nmessages,
+		    'nWrites': this.fc_msgencoder.me_nbuffers,
 		    'detached': this.fc_detached,
 		    'transportEnded': this.fc_transport_ended
 		};
 		return (rv);
 	}
 
+	if (type == 'fastsubscription') {
+		req = this.fc_pending[id];
+		mod_assertplus.ok(req.frq_subscription);
+		rv = {
+		    'clientId': this.fc_dtid,
+		    'msgid': id,
+		    'rpcmethod': req.frq_rpcmethod,
+		    'rpcargs': req.frq_rpcargs,
+		    'queued': req.frq_queued,
+		    'unsubscribed': req.frq_unsubscribed,
+		    'credit': req.frq_credit,
+		    'nEventsReceived': req.frq_ndata,
+		    'nEventsIgnored': req.frq_nignored
+		};
+		return (rv);
+	}
+
 	mod_assertplus.equal(type, 'fastrequest');
 	rv = {};
 	rv['clientId'] = this.fc_dtid;
@@ -457,8 +1070,22 @@ FastClient.prototype.kangGetObject = function (type, id)
 	rv['nMessagesIgnored'] = req.frq_nignored;
 	rv['error'] = req.frq_error;
 	rv['abandoned'] = req.frq_abandoned;
+	rv['cancelled'] = req.frq_cancelled;
+	rv['credit'] = req.frq_credit;
 	rv['doneGraceful'] = req.frq_done_graceful;
 	rv['hasTimeout'] = req.frq_timeout !== null;
+	rv['queued'] = req.frq_queued;
+	rv['input'] = req.frq_input;
+	rv['inputCredit'] = req.frq_input ? req.frq_inputcredit : null;
+	rv['inputEnded'] = req.frq_inputended;
+	rv['nInputObjectsSent'] = req.frq_ninput;
+	rv['subscription'] = req.frq_subscription;
+	rv['unsubscribed'] = req.frq_unsubscribed;
+	rv['traceId'] = req.frq_span === null ? null : req.frq_span.traceId;
+	rv['networkMs'] = req.frq_timing === null ? null :
+	    req.frq_timing.network / 1000;
+	rv['serverMs'] = req.frq_timing === null ? null :
+	    req.frq_timing.peer / 1000;
 	return (rv);
 };
 
@@ -498,6 +1125,7 @@ FastClient.prototype.attach = function ()
 		var err;
 
 		self.fc_transport_ended = true;
+		self.keepaliveStop();
 
 		/*
 		 * There's no problem with seeing end-of-stream as long as we
@@ -525,7 +1153,10 @@ FastClient.prototype.attach = function ()
 };
 
 /*
- * Return the next message id.
+ * Return the next message id, or null if all message ids are in use.  That can
+ * only happen if there are about 2^31 requests outstanding (including abandoned
+ * requests that the server has not finished), and the caller fails the request
+ * in that case rather than taking down the client.
  */
 FastClient.prototype.allocMessageId = function ()
 {
@@ -533,101 +1164,789 @@ FastClient.prototype.allocMessageId = function ()
 };
 
 /*
- * Record an error that's fatal to this client.  We emit the first one and
- * abandon all outstanding requests.  If we see more than one, we simply log and
- * count subsequent ones.
+ * Free the message id for a request that's no longer outstanding.
  */
-FastClient.prototype.fatalError = function (err)
+FastClient.prototype.freeMessageId = function (msgid)
 {
-	this.fc_log.warn(err);
-	this.fc_nerrors++;
-
-	if (this.fc_error !== null) {
-		return;
-	}
-
-	this.fc_error = err;
-	this.emit('error', err);
-	this.requestAbandonAll(err);
+	mod_assertplus.ok(!this.fc_pending.hasOwnProperty(msgid));
+	mod_assertplus.ok(!this.fc_abandoned.hasOwnProperty(msgid));
+	this.fc_rqidalloc.free(msgid);
 };
 
 /*
- * Abandon all pending requests, as with requestAbandon(request, error).
+ * Begin the handshake with the server by sending our HELLO message.  See
+ * "Protocol version 3" in lib/fast_protocol.js.  The HELLO is an ordinary RPC
+ * request so that servers that don't support it will fail it (or, for some
+ * very old servers, ignore it, in which case it will time out).  Either way, we
+ * proceed without any capabilities.
  */
-FastClient.prototype.requestAbandonAll = function (error)
+FastClient.prototype.handshakeStart = function ()
 {
-	var msgid;
+	var self = this;
 
-	for (msgid in this.fc_pending) {
-		mod_assertplus.ok(
-		    this.requestIsPending(this.fc_pending[msgid]));
-		this.requestAbandon(this.fc_pending[msgid], error);
-		mod_assertplus.ok(!this.fc_pending.hasOwnProperty(msgid));
+	mod_assertplus.equal(this.fc_handshake, FC_HS_NONE);
+
+	/*
+	 * Version 3 requires the correct CRC calculation, so if we're only
+	 * allowed to use the buggy one, there's nothing to negotiate.
+	 */
+	if (!mod_protocol.crcModeAllowsVersion(this.fc_crcmode,
+	    mod_protocol.FP_VERSION_3)) {
+		this.fc_log.info(
+		    'skipping handshake (not allowed by CRC mode)');
+		this.fc_handshake = FC_HS_DONE;
+		setImmediate(function () {
+			self.emit('handshake', self.capabilities());
+		});
+		return;
 	}
+
+	this.fc_log.debug({
+	    'capabilities': this.fc_ourcaps
+	}, 'starting handshake');
+	this.rpcBufferAndCallback({
+	    'rpcmethod': mod_protocol.FP_HELLO_METHOD,
+	    'rpcargs': [ {
+		'version': mod_protocol.FP_VERSION_3,
+		'capabilities': this.fc_ourcaps
+	    } ],
+	    'timeout': this.fc_hstimeout,
+	    'maxObjectsToBuffer': 1
+	}, function (err, data) {
+		self.handshakeDone(err, data);
+	});
+
+	/*
+	 * This must happen after we've issued the HELLO request so that it
+	 * doesn't get queued behind itself.
+	 */
+	this.fc_handshake = FC_HS_PENDING;
 };
 
 /*
- * Abandon the given request with an error indicating the request was abandoned.
- * If "error" is provided, then the given error will be provided as the cause of
- * the abandon error.  If the request has already completed in any way
- * (including having been previously abandoned), this will do nothing.
+ * Process the server's response to our HELLO message.  Unless we need to
+ * authenticate first, send any requests that were queued while we waited for
+ * it.
  */
-FastClient.prototype.requestAbandon = function (request, error)
+FastClient.prototype.handshakeDone = function (err, data)
 {
-	var msgid;
-
-	if (!this.requestIsPending(request)) {
-		return;
+	var hello;
+
+	mod_assertplus.equal(this.fc_handshake, FC_HS_PENDING);
+	hello = data.length == 1 ? data[0] : null;
+
+	if (err) {
+		this.fc_log.info(err, 'handshake failed (server may not ' +
+		    'support it); proceeding without capabilities');
+	} else if (typeof (hello) != 'object' || hello === null ||
+	    typeof (hello.version) != 'number' ||
+	    !Array.isArray(hello.capabilities) ||
+	    !hello.capabilities.every(function (c) {
+		return (typeof (c) == 'string');
+	    })) {
+		this.fc_log.warn({
+		    'response': data
+		}, 'server sent invalid handshake response; ' +
+		    'proceeding without capabilities');
+	} else if (hello.version == mod_protocol.FP_VERSION_3) {
+		this.version = mod_protocol.FP_VERSION_3;
+		this.fc_capabilities = mod_protocol.negotiateCapabilities(
+		    this.fc_ourcaps, hello.capabilities);
+		this.fc_msgdecoder.setCapabilities(this.fc_capabilities);
+		this.fc_msgencoder.setCapabilities(this.fc_capabilities);
+		if (this.fc_codec.capability !== null &&
+		    this.fc_capabilities.indexOf(
+		    this.fc_codec.capability) != -1) {
+			this.fc_type = this.fc_codec.type;
+		}
+		this.fc_log.info({
+		    'version': this.version,
+		    'capabilities': this.fc_capabilities,
+		    'type': this.fc_type
+		}, 'handshake completed');
+	} else {
+		this.fc_log.info({
+		    'serverVersion': hello.version
+		}, 'server declined protocol version %d; ' +
+		    'proceeding without capabilities',
+		    mod_protocol.FP_VERSION_3);
 	}
 
-	mod_assertplus.object(error, 'error');
-
-	msgid = request.frq_msgid;
-	mod_assertplus.ok(this.fc_pending[msgid] == request);
-	request.frq_abandoned = true;
+	this.fc_handshake = FC_HS_DONE;
 
 	/*
-	 * The history of cancellation in node-fast is somewhat complicated.
-	 * Early versions did not support cancellation of in-flight requests.
-	 * Cancellation was added, but old servers would interpret the
-	 * cancellation message as a new request for the same RPC, which is
-	 * extremely dangerous.  (Usually, the arguments would be invalid, but
-	 * that's only the best-case outcome.)  We could try to avoid this by
-	 * avoiding specifying the RPC method name in the cancellation request.
-	 * Since the protocol was never well-documented, the correctness of this
-	 * approach is mainly determined by what other servers do with it.
-	 * Unfortunately, old servers are likely to handle it as an RPC method
-	 * of some kind, which triggers an unrelated bug: if old servers
-	 * received a request for a method that's not registered, they just
-	 * hang on it, resulting in a resource leak.
-	 *
-	 * Things are a little better on more modern versions of the fast
-	 * server, where if you send a cancellation request and the RPC is not
-	 * yet complete when the server processes it, then the server may stop
-	 * processing the RPC and send back an acknowledgment of sorts.
-	 * However, that doesn't mean the request did not complete, since the
-	 * implementation may not have responded to the cancellation.  And more
-	 * seriously, if the RPC isn't running, the server won't send back
-	 * anything, so we don't know whether we need to expect something or
-	 * not.
-	 *
-	 * To summarize: if we were to send a cancellation request, we would not
-	 * know whether to expect a response, and it's possible that we would
-	 * inadvertently invoke the same RPC again (which could be very
-	 * destructive) or leak resources in the remote server.  For now, we
-	 * punt and declare that request abandonment is purely a client-side
-	 * convenience that directs the client to stop doing anything with
-	 * messages for this request.  We won't actually ask the server to stop
-	 * doing anything.
+	 * If we require authentication and didn't get it, we can't send
+	 * anything.  This fails the queued requests, too.
 	 */
-	this.fc_abandoned[request.frq_msgid] = request;
-	this.requestFail(request, error);
+	if (this.fc_hmacrequired && this.fc_capabilities.indexOf(
+	    mod_protocol.FP_CAPABILITY_HMAC) == -1) {
+		this.fatalError(new VError({
+		    'name': 'FastProtocolError',
+		    'info': {
+			'fastReason': 'hmac_required',
+			'capabilities': this.fc_capabilities
+		    }
+		}, 'handshake did not negotiate message authentication'));
+		this.emit('handshake', this.capabilities());
+		return;
+	}
+
+	if (this.fc_capabilities.indexOf(
+	    mod_protocol.FP_CAPABILITY_AUTH) != -1) {
+		this.authStart(hello.challenge);
+		return;
+	}
+
+	this.handshakeFinish();
 };
 
 /*
- * Mark the given request as completed with the specified error.
+ * Send any requests that were queued during the handshake, start keepalive, and
+ * tell the consumer that the handshake has completed.
  */
-FastClient.prototype.requestFail = function (request, error)
+FastClient.prototype.handshakeFinish = function ()
+{
+	var queued;
+	var self = this;
+
+	mod_assertplus.equal(this.fc_handshake, FC_HS_DONE);
+
+	queued = this.fc_queued;
+	this.fc_queued = [];
+	queued.forEach(function (request) {
+		mod_assertplus.ok(request.frq_queued);
+		mod_assertplus.ok(self.requestIsPending(request));
+		request.frq_queued = false;
+		self.requestTransmit(request);
+	});
+
+	if (this.fc_pinginterval !== null && this.fc_capabilities.indexOf(
+	    mod_protocol.FP_CAPABILITY_PING) != -1) {
+		this.keepaliveStart();
+	}
+
+	this.emit('handshake', this.capabilities());
+};
+
+/*
+ * Authenticate to the server using our credential (see "Client authentication"
+ * in lib/fast_protocol.js).  Requests made in the meantime remain queued.
+ */
+FastClient.prototype.authStart = function (challenge)
+{
+	var self = this;
+
+	this.fc_handshake = FC_HS_AUTH;
+
+	if (typeof (challenge) != 'string') {
+		this.authFailed(new VError({
+		    'name': 'FastProtocolError',
+		    'info': {
+			'challenge': challenge
+		    }
+		}, 'server sent invalid authentication challenge'));
+		return;
+	}
+
+	if (typeof (this.fc_credential) != 'function') {
+		this.authSend(this.fc_credential);
+		return;
+	}
+
+	this.fc_credential(challenge, function (err, value) {
+		if (!err && (value === null || value === undefined)) {
+			err = new VError('credential function provided no ' +
+			    'credential');
+		}
+
+		if (err) {
+			self.authFailed(err);
+		} else {
+			self.authSend(value);
+		}
+	});
+};
+
+/*
+ * Send the credential to the server and wait for it to be accepted.
+ */
+FastClient.prototype.authSend = function (value)
+{
+	var self = this;
+
+	mod_assertplus.equal(this.fc_handshake, FC_HS_AUTH);
+	this.fc_log.debug('authenticating');
+	this.rpcBufferAndCallback({
+	    'rpcmethod': mod_protocol.FP_AUTH_METHOD,
+	    'rpcargs': [ value ],
+	    'timeout': this.fc_hstimeout,
+	    'maxObjectsToBuffer': 1
+	}, function (err) {
+		if (err) {
+			self.authFailed(err);
+			return;
+		}
+
+		self.fc_log.info('authenticated');
+		self.fc_authenticated = true;
+		self.fc_handshake = FC_HS_DONE;
+		self.handshakeFinish();
+	});
+};
+
+/*
+ * Without authentication, the server won't let us do anything, so this is
+ * fatal.  As with "hmacRequired", this fails the queued requests, too.
+ */
+FastClient.prototype.authFailed = function (err)
+{
+	mod_assertplus.equal(this.fc_handshake, FC_HS_AUTH);
+	this.fc_handshake = FC_HS_DONE;
+	this.fatalError(new VError({
+	    'name': 'FastProtocolError',
+	    'cause': err,
+	    'info': {
+		'fastReason': 'auth_failed'
+	    }
+	}, 'authentication failed'));
+	this.emit('handshake', this.capabilities());
+};
+
+/*
+ * Start sending PINGs to the server (see "Keepalive" in lib/fast_protocol.js).
+ * If too many go unanswered, the server is presumed dead, which is fatal to
+ * this client.
+ */
+FastClient.prototype.keepaliveStart = function ()
+{
+	var self = this;
+
+	mod_assertplus.ok(this.fc_keepalive === null);
+	mod_assertplus.equal(this.version, mod_protocol.FP_VERSION_3);
+
+	if (this.fc_error !== null || this.fc_detached ||
+	    this.fc_transport_ended) {
+		return;
+	}
+
+	this.fc_keepalive = new mod_subr.Keepalive({
+	    'interval': this.fc_pinginterval,
+	    'maxMissed': this.fc_pingmaxmissed,
+	    'maxSeq': mod_protocol.FP_MSGID_MAX,
+	    'sendPing': function (seq) {
+		self.sendControl(mod_protocol.FP_STATUS_PING, seq);
+	    },
+	    'onDead': function (nmissed) {
+		self.fatalError(new VError({
+		    'name': 'FastTransportError',
+		    'info': {
+			'fastReason': 'ping_timeout',
+			'pingInterval': self.fc_pinginterval,
+			'pingsMissed': nmissed
+		    }
+		}, 'server did not respond to %d consecutive pings ' +
+		    '(sent every %d milliseconds)', nmissed,
+		    self.fc_pinginterval));
+	    }
+	});
+	this.fc_keepalive.start();
+};
+
+/*
+ * Stop sending PINGs, if we were sending any.
+ */
+FastClient.prototype.keepaliveStop = function ()
+{
+	if (this.fc_keepalive !== null) {
+		this.fc_keepalive.stop();
+	}
+};
+
+/*
+ * Send a message with the given status and msgid and no data: a PING or PONG
+ * (which are not associated with any request), or an END or UNSUBSCRIBE for a
+ * request.
+ */
+FastClient.prototype.sendControl = function (status, msgid)
+{
+	var message;
+
+	mod_assertplus.equal(this.version, mod_protocol.FP_VERSION_3);
+
+	message = {
+	    'msgid': msgid,
+	    'status': status,
+	    'data': { 'd': [] },
+	    'version': this.version,
+	    'type': this.fc_type
+	};
+
+	this.fc_log.trace(message, 'outgoing message');
+	this.fc_msgencoder.write(message);
+};
+
+/*
+ * Send the DATA message that initiates the given request.
+ */
+FastClient.prototype.requestTransmit = function (request)
+{
+	var message;
+
+	if (this.fc_embedded && this.fc_capabilities.indexOf(
+	    mod_protocol.FP_CAPABILITY_REVERSE) == -1) {
+		this.requestFail(request, new VError({
+		    'name': 'FastProtocolError',
+		    'info': {
+			'fastReason': 'reverse_unsupported'
+		    }
+		}, 'client does not support reverse requests'));
+		return;
+	}
+
+	if (request.frq_input && (this.fc_capabilities.indexOf(
+	    mod_protocol.FP_CAPABILITY_STREAM) == -1 ||
+	    this.fc_capabilities.indexOf(
+	    mod_protocol.FP_CAPABILITY_CANCEL) == -1)) {
+		this.requestFail(request, new VError({
+		    'name': 'FastProtocolError',
+		    'info': {
+			'fastReason': 'stream_unsupported'
+		    }
+		}, 'server does not support request streams'));
+		return;
+	}
+
+	if (request.frq_subscription && this.fc_capabilities.indexOf(
+	    mod_protocol.FP_CAPABILITY_SUBSCRIBE) == -1) {
+		this.requestFail(request, new VError({
+		    'name': 'FastProtocolError',
+		    'info': {
+			'fastReason': 'subscribe_unsupported'
+		    }
+		}, 'server does not support subscriptions'));
+		return;
+	}
+
+	request.frq_tsent = mod_microtime.now();
+	message = {
+	    'msgid': request.frq_msgid,
+	    'status': mod_protocol.FP_STATUS_DATA,
+	    'data': {
+		'm': {
+		    'uts': request.frq_tsent,
+		    'name': request.frq_rpcmethod
+		},
+		'd': request.frq_rpcargs
+	    },
+	    'version': this.version,
+	    'type': this.fc_type
+	};
+
+	if (request.frq_headers !== null) {
+		message.data.m.headers = request.frq_headers;
+	}
+
+	/*
+	 * Requests may have been queued behind the handshake, so we send the
+	 * time remaining rather than the original timeout.
+	 */
+	if (request.frq_span !== null) {
+		message.data.m.traceparent =
+		    mod_trace.formatTraceparent(request.frq_span);
+	}
+
+	if (request.frq_timeoutms !== null) {
+		message.data.m.timeout = Math.max(0, request.frq_timeoutms -
+		    mod_jsprim.hrtimeMillisec(process.hrtime(
+		    request.frq_hrtstarted)));
+	}
+
+	if (this.fc_capabilities.indexOf(
+	    mod_protocol.FP_CAPABILITY_CREDIT) != -1) {
+		message.data.m.credit = this.fc_creditwindow;
+		request.frq_credit = this.fc_creditwindow;
+	}
+
+	if (request.frq_input) {
+		message.data.m.input = true;
+	}
+
+	if (request.frq_subscription) {
+		message.data.m.subscribe = true;
+	}
+
+	this.fc_log.trace(message, 'outgoing message');
+	this.fc_msgencoder.write(message);
+
+	/*
+	 * If the caller ended the input while the request was queued, we can
+	 * send the END now.
+	 */
+	if (request.frq_inputfinal !== null) {
+		this.requestInputEnd(request, request.frq_inputfinal);
+	}
+};
+
+/*
+ * Request input
+ *
+ * Requests made with rpcStream() send input to the server as the caller writes
+ * it, subject to the credit that the server grants (see "Request streams" in
+ * lib/fast_protocol.js).  Each object written is sent in its own DATA message.
+ * When the request has no credit, we hold onto the caller's write (and so the
+ * caller sees backpressure) until the server grants more.  Once the request
+ * completes, we end the input (if the caller hadn't) and discard anything else
+ * the caller writes.
+ */
+
+/*
+ * Invoked (via the request's _write()) to send an object of input.
+ */
+FastClient.prototype.requestInputWrite = function (request, obj, callback)
+{
+	var message;
+
+	mod_assertplus.ok(request.frq_input);
+	mod_assertplus.ok(request.frq_inputwait === null);
+
+	if (!this.requestIsPending(request) || request.frq_inputended) {
+		request.frq_ninputdropped++;
+		setImmediate(callback);
+		return;
+	}
+
+	if (request.frq_inputcredit === 0) {
+		request.frq_inputwait = { 'obj': obj, 'callback': callback };
+		return;
+	}
+
+	message = {
+	    'msgid': request.frq_msgid,
+	    'status': mod_protocol.FP_STATUS_DATA,
+	    'data': { 'd': [ obj ] },
+	    'version': this.version,
+	    'type': this.fc_type
+	};
+
+	request.frq_inputcredit--;
+	request.frq_ninput++;
+	this.fc_ninput++;
+	this.fc_log.trace(message, 'outgoing message');
+	this.fc_msgencoder.write(message);
+	setImmediate(callback);
+};
+
+/*
+ * Invoked (via the request's _final()) when the caller ends the input.
+ */
+FastClient.prototype.requestInputEnd = function (request, callback)
+{
+	mod_assertplus.ok(request.frq_input);
+
+	if (request.frq_queued) {
+		request.frq_inputfinal = callback;
+		return;
+	}
+
+	request.frq_inputfinal = null;
+	if (this.requestIsPending(request) && !request.frq_inputended) {
+		request.frq_log.debug({
+		    'nInputObjects': request.frq_ninput
+		}, 'ending input');
+		request.frq_inputended = true;
+		this.sendControl(mod_protocol.FP_STATUS_END, request.frq_msgid);
+	}
+
+	setImmediate(callback);
+};
+
+/*
+ * Handle a CREDIT message from the server granting more input for the given
+ * request, and resume the caller's write if it was waiting for some.
+ */
+FastClient.prototype.requestInputCredit = function (request, credit)
+{
+	var wait;
+
+	request.frq_inputcredit = Math.min(mod_protocol.FP_CREDIT_MAX,
+	    request.frq_inputcredit + credit);
+	wait = request.frq_inputwait;
+	if (wait !== null) {
+		request.frq_inputwait = null;
+		this.requestInputWrite(request, wait.obj, wait.callback);
+	}
+};
+
+/*
+ * Invoked when a request with streaming input completes.  Unless the input has
+ * already ended (including by our having sent a CANCEL), tell the server that
+ * we won't send any more.  This must happen before the request's msgid can be
+ * reused.
+ */
+FastClient.prototype.requestInputFinish = function (request)
+{
+	var wait;
+
+	if (!request.frq_inputended && request.frq_tsent !== null &&
+	    !request.frq_cancelled && this.fc_error === null &&
+	    !this.fc_detached && !this.fc_transport_ended) {
+		this.sendControl(mod_protocol.FP_STATUS_END, request.frq_msgid);
+	}
+
+	request.frq_inputended = true;
+	wait = request.frq_inputwait;
+	if (wait !== null) {
+		request.frq_inputwait = null;
+		request.frq_ninputdropped++;
+		setImmediate(wait.callback);
+	}
+
+	if (request.frq_inputfinal !== null) {
+		setImmediate(request.frq_inputfinal);
+		request.frq_inputfinal = null;
+	}
+};
+
+/*
+ * Subscriptions
+ *
+ * Subscriptions (see "Subscriptions" in lib/fast_protocol.js) are requests that
+ * last until either side ends them.  When the caller ends one with
+ * unsubscribe(), we send the server an UNSUBSCRIBE message and discard any
+ * events that arrive after that.  The request completes normally when the
+ * server's END arrives.  Subscriptions that are still queued behind the
+ * handshake are just ended, since the server never heard about them.
+ */
+FastClient.prototype.requestUnsubscribe = function (request)
+{
+	mod_assertplus.ok(request.frq_subscription,
+	    'request is not a subscription');
+
+	if (!this.requestIsPending(request) || request.frq_unsubscribed) {
+		return;
+	}
+
+	request.frq_unsubscribed = true;
+	request.frq_log.debug({
+	    'nEvents': request.frq_ndata
+	}, 'unsubscribing');
+
+	if (request.frq_queued) {
+		request.frq_queued = false;
+		this.fc_queued.splice(this.fc_queued.indexOf(request), 1);
+		request.frq_done_graceful = true;
+		this.requestComplete(request);
+		request.push(null);
+		return;
+	}
+
+	this.fc_nunsubscribes++;
+	this.sendControl(mod_protocol.FP_STATUS_UNSUBSCRIBE, request.frq_msgid);
+};
+
+/*
+ * Invoked when the consumer of a flow-controlled request wants more data.  If
+ * the server has used up enough of the request's window, grant it enough
+ * credit to fill the window again.  Granting credit only when the consumer
+ * reads bounds the number of messages buffered for each request, and waiting
+ * for half of the window to be used avoids sending a CREDIT message for each
+ * DATA message.
+ */
+FastClient.prototype.requestRead = function (request)
+{
+	var credit;
+
+	if (request.frq_credit === null || !this.requestIsPending(request)) {
+		return;
+	}
+
+	credit = this.fc_creditwindow - request.frq_credit;
+	if (credit < Math.max(1, Math.floor(this.fc_creditwindow / 2))) {
+		return;
+	}
+
+	this.requestGrantCredit(request, credit);
+};
+
+/*
+ * Send a CREDIT message granting the server "credit" more DATA messages for
+ * the given request.
+ */
+FastClient.prototype.requestGrantCredit = function (request, credit)
+{
+	var message;
+
+	mod_assertplus.ok(request.frq_credit !== null);
+	mod_assertplus.equal(this.version, mod_protocol.FP_VERSION_3);
+
+	message = {
+	    'msgid': request.frq_msgid,
+	    'status': mod_protocol.FP_STATUS_CREDIT,
+	    'data': { 'd': [ credit ] },
+	    'version': this.version,
+	    'type': this.fc_type
+	};
+
+	request.frq_credit += credit;
+	this.fc_ncredits++;
+	this.fc_log.trace(message, 'outgoing message');
+	this.fc_msgencoder.write(message);
+};
+
+/*
+ * Record an error that's fatal to this client.  We emit the first one and
+ * abandon all outstanding requests.  If we see more than one, we simply log and
+ * count subsequent ones.
+ */
+FastClient.prototype.fatalError = function (err)
+{
+	this.fc_log.warn(err);
+	this.fc_nerrors++;
+
+	if (this.fc_error !== null) {
+		return;
+	}
+
+	this.fc_error = err;
+	this.keepaliveStop();
+	this.emit('error', err);
+	this.requestAbandonAll(err);
+};
+
+/*
+ * Abandon all pending requests, as with requestAbandon(request, error).
+ */
+FastClient.prototype.requestAbandonAll = function (error)
+{
+	var msgid;
+
+	for (msgid in this.fc_pending) {
+		mod_assertplus.ok(
+		    this.requestIsPending(this.fc_pending[msgid]));
+		this.requestAbandon(this.fc_pending[msgid], error);
+		mod_assertplus.ok(!this.fc_pending.hasOwnProperty(msgid));
+	}
+};
+
+/*
+ * Abandon the given request with an error indicating the request was abandoned.
+ * If "error" is provided, then the given error will be provided as the cause of
+ * the abandon error.  If the request has already completed in any way
+ * (including having been previously abandoned), this will do nothing.
+ */
+FastClient.prototype.requestAbandon = function (request, error)
+{
+	var msgid;
+
+	if (!this.requestIsPending(request)) {
+		return;
+	}
+
+	mod_assertplus.object(error, 'error');
+
+	msgid = request.frq_msgid;
+	mod_assertplus.ok(this.fc_pending[msgid] == request);
+	request.frq_abandoned = true;
+
+	/*
+	 * If we never sent the request, then there's nothing to clean up on
+	 * the server, so we don't need to keep track of it.
+	 */
+	if (request.frq_queued) {
+		request.frq_queued = false;
+		this.fc_queued.splice(this.fc_queued.indexOf(request), 1);
+		this.requestFail(request, error);
+		return;
+	}
+
+	/*
+	 * The history of cancellation in node-fast is somewhat complicated.
+	 * Early versions did not support cancellation of in-flight requests.
+	 * Cancellation was added, but old servers would interpret the
+	 * cancellation message as a new request for the same RPC, which is
+	 * extremely dangerous.  (Usually, the arguments would be invalid, but
+	 * that's only the best-case outcome.)  We could try to avoid this by
+	 * avoiding specifying the RPC method name in the cancellation request.
+	 * Since the protocol was never well-documented, the correctness of this
+	 * approach is mainly determined by what other servers do with it.
+	 * Unfortunately, old servers are likely to handle it as an RPC method
+	 * of some kind, which triggers an unrelated bug: if old servers
+	 * received a request for a method that's not registered, they just
+	 * hang on it, resulting in a resource leak.
+	 *
+	 * Things are a little better on more modern versions of the fast
+	 * server, where if you send a cancellation request and the RPC is not
+	 * yet complete when the server processes it, then the server may stop
+	 * processing the RPC and send back an acknowledgment of sorts.
+	 * However, that doesn't mean the request did not complete, since the
+	 * implementation may not have responded to the cancellation.  And more
+	 * seriously, if the RPC isn't running, the server won't send back
+	 * anything, so we don't know whether we need to expect something or
+	 * not.
+	 *
+	 * To summarize: if we were to send a cancellation request, we would not
+	 * know whether to expect a response, and it's possible that we would
+	 * inadvertently invoke the same RPC again (which could be very
+	 * destructive) or leak resources in the remote server.  So with servers
+	 * that have not negotiated the "cancel" capability, request abandonment
+	 * is purely a client-side convenience that directs the client to stop
+	 * doing anything with messages for this request.  We won't actually ask
+	 * the server to stop doing anything.
+	 *
+	 * Servers that have negotiated the "cancel" capability understand the
+	 * CANCEL message, and they always respond to it with exactly one END
+	 * or ERROR message (see "Request cancellation" in
+	 * lib/fast_protocol.js), so we can safely ask them to stop.  In both
+	 * cases, we keep track of the request until the server finishes it.
+	 */
+	this.fc_abandoned[request.frq_msgid] = request;
+	if (this.fc_error === null && !this.fc_detached &&
+	    !this.fc_transport_ended) {
+		if (this.fc_capabilities.indexOf(
+		    mod_protocol.FP_CAPABILITY_CANCEL) != -1) {
+			this.requestCancel(request);
+		} else if (request.frq_credit !== null &&
+		    request.frq_credit < mod_protocol.FP_CREDIT_MAX) {
+			/*
+			 * The server will keep running this request, and we're
+			 * going to ignore whatever it sends, so we lift flow
+			 * control so that it can finish.
+			 */
+			this.requestGrantCredit(request,
+			    mod_protocol.FP_CREDIT_MAX - request.frq_credit);
+		}
+	}
+	this.requestFail(request, error);
+};
+
+/*
+ * Send the CANCEL message for the given abandoned request.
+ */
+FastClient.prototype.requestCancel = function (request)
+{
+	var message;
+
+	mod_assertplus.ok(request.frq_abandoned);
+	mod_assertplus.equal(this.version, mod_protocol.FP_VERSION_3);
+
+	message = {
+	    'msgid': request.frq_msgid,
+	    'status': mod_protocol.FP_STATUS_CANCEL,
+	    'data': { 'd': [] },
+	    'version': this.version,
+	    'type': this.fc_type
+	};
+
+	request.frq_cancelled = true;
+	this.fc_ncancels++;
+	this.fc_log.trace(message, 'outgoing message');
+	this.fc_msgencoder.write(message);
+};
+
+/*
+ * Mark the given request as completed with the specified error.
+ */
+FastClient.prototype.requestFail = function (request, error)
 {
 	mod_assertplus.ok(request.frq_error === null);
 	mod_assertplus.object(error);
@@ -671,6 +1990,11 @@ FastClient.prototype.requestComplete = function (request)
 		request.frq_timeout = null;
 	}
 
+	if (request.frq_span !== null) {
+		mod_trace.spanEnd(this.fc_traceexporter, request.frq_span,
+		    request.frq_error);
+	}
+
 	this.fc_dtp.fire('rpc-done', function () {
 		var result, err;
 
@@ -699,8 +2023,22 @@ FastClient.prototype.requestComplete = function (request)
 
 	msgid = request.frq_msgid;
 	mod_assertplus.ok(!this.requestIsPending(request));
-	mod_assertplus.ok(this.fc_pending[msgid] == request);
-	delete (this.fc_pending[msgid]);
+	if (request.frq_input) {
+		this.requestInputFinish(request);
+	}
+
+	if (msgid !== null) {
+		mod_assertplus.ok(this.fc_pending[msgid] == request);
+		delete (this.fc_pending[msgid]);
+
+		/*
+		 * Abandoned requests keep their message id until the server
+		 * finishes them.  See requestAbandon().
+		 */
+		if (!this.fc_abandoned.hasOwnProperty(msgid)) {
+			this.freeMessageId(msgid);
+		}
+	}
 	this.fc_nrpc_done++;
 
 	if (this.fc_collector) {
@@ -727,14 +2065,144 @@ FastClient.prototype.requestComplete = function (request)
 	}
 };
 
+/*
+ * Clock offset and latency estimation
+ *
+ * Both requests and responses carry a timestamp ("uts", in microseconds since
+ * the epoch) of when they were sent.  We use the timestamp of the first
+ * response to each request, together with when we sent the request and when
+ * the response arrived, to estimate how far the server's clock is from ours
+ * and how much of the request's time to first response was spent on the
+ * network versus in the server (see ClockEstimator in lib/subr.js).  This
+ * distinguishes a slow network from a slow handler.  The estimates are
+ * reported in kang (the offset for the client, and the split for each
+ * request) and as metrics.
+ *
+ * The split assumes that the network is equally fast in both directions, and
+ * the "network" time includes time that messages spent queued on either side
+ * (e.g., waiting for the event loop).  Subscriptions are not sampled, since
+ * their first event may come arbitrarily long after the request.
+ */
+FastClient.prototype.clockSample = function (request, message)
+{
+	var trecvd, timing, labels;
+
+	trecvd = mod_microtime.now();
+	if (request.frq_tsent === null || typeof (message.data) != 'object' ||
+	    message.data === null || typeof (message.data.m) != 'object' ||
+	    message.data.m === null ||
+	    typeof (message.data.m.uts) != 'number' ||
+	    !isFinite(message.data.m.uts)) {
+		return;
+	}
+
+	timing = this.fc_clock.sample(request.frq_tsent,
+	    message.data.m.uts, trecvd);
+	if (timing === null) {
+		return;
+	}
+
+	request.frq_timing = timing;
+	request.frq_log.trace({
+	    'networkMs': timing.network / 1000,
+	    'serverMs': timing.peer / 1000
+	}, 'first response');
+
+	if (this.fc_collector) {
+		labels = mod_jsprim.mergeObjects(this.fc_metric_labels,
+		    { 'rpcMethod': request.frq_rpcmethod }, false);
+		this.fc_network_histogram.observe(timing.network / 1e6,
+		    labels);
+		this.fc_server_histogram.observe(timing.peer / 1e6, labels);
+		this.fc_offset_gauge.set(this.fc_clock.offset() / 1e6,
+		    this.fc_metric_labels);
+	}
+};
+
 FastClient.prototype.onMessage = function (message)
 {
-	var request, abandoned, cause;
+	var request, abandoned, cause, rtt;
 
 	this.fc_log.trace(message, 'incoming message');
 
 	mod_assertplus.number(message.msgid,
 	    'decoder provided message with no msgid');
+
+	/*
+	 * PING and PONG messages are not associated with requests, so their
+	 * msgids are not looked up.  The decoder only accepts them on
+	 * connections that negotiated the "ping" capability.
+	 */
+	if (message.status == mod_protocol.FP_STATUS_PING) {
+		this.fc_npongs++;
+		this.sendControl(mod_protocol.FP_STATUS_PONG, message.msgid);
+		return;
+	}
+
+	if (message.status == mod_protocol.FP_STATUS_PONG) {
+		if (this.fc_keepalive === null) {
+			this.fc_log.debug({
+			    'msgid': message.msgid
+			}, 'ignoring unsolicited PONG');
+			return;
+		}
+
+		rtt = this.fc_keepalive.pong(message.msgid);
+		if (rtt !== null && this.fc_collector) {
+			this.fc_ping_histogram.observe(rtt / 1000,
+			    this.fc_metric_labels);
+		}
+		return;
+	}
+
+	/*
+	 * DATA messages with msgids in the reverse range begin reverse requests
+	 * (see "Reverse requests" in lib/fast_protocol.js).  Of course, when
+	 * we're the one making reverse requests, these are our responses.
+	 */
+	if (message.status == mod_protocol.FP_STATUS_DATA &&
+	    !this.fc_embedded && mod_protocol.isReverseMsgid(message.msgid) &&
+	    this.fc_capabilities.indexOf(
+	    mod_protocol.FP_CAPABILITY_REVERSE) != -1) {
+		this.reverseStart(message);
+		return;
+	}
+
+	/*
+	 * Servers only send CREDIT messages for requests with streaming input,
+	 * and they never send CANCEL or UNSUBSCRIBE messages.  We ignore
+	 * credit for requests that we've abandoned.
+	 */
+	if (message.status == mod_protocol.FP_STATUS_CREDIT &&
+	    this.fc_abandoned.hasOwnProperty(message.msgid)) {
+		return;
+	}
+
+	if (message.status == mod_protocol.FP_STATUS_CREDIT &&
+	    this.fc_pending.hasOwnProperty(message.msgid) &&
+	    this.fc_pending[message.msgid].frq_input) {
+		this.requestInputCredit(this.fc_pending[message.msgid],
+		    message.data.d[0]);
+		return;
+	}
+
+	if (message.status == mod_protocol.FP_STATUS_CANCEL ||
+	    message.status == mod_protocol.FP_STATUS_CREDIT ||
+	    message.status == mod_protocol.FP_STATUS_UNSUBSCRIBE) {
+		this.fatalError(new VError({
+		    'name': 'FastProtocolError',
+		    'info': {
+			'fastReason': 'unexpected_status',
+			'fastMsgid': message.msgid,
+			'fastStatus': message.status
+		    }
+		}, 'fast protocol: received unexpected %s message',
+		    message.status == mod_protocol.FP_STATUS_CANCEL ?
+		    'CANCEL' : message.status == mod_protocol.FP_STATUS_CREDIT ?
+		    'CREDIT' : 'UNSUBSCRIBE'));
+		return;
+	}
+
 	if (this.fc_pending.hasOwnProperty(message.msgid)) {
 		request = this.fc_pending[message.msgid];
 		mod_assertplus.ok(!request.frq_abandoned);
@@ -758,14 +2226,42 @@ FastClient.prototype.onMessage = function (message)
 	mod_assertplus.ok(!request.frq_done_graceful);
 	request.frq_last = message;
 
+	if (!abandoned && request.frq_timing === null &&
+	    !request.frq_subscription) {
+		this.clockSample(request, message);
+	}
+
+	if (message.status == mod_protocol.FP_STATUS_DATA &&
+	    request.frq_credit !== null) {
+		if (request.frq_credit === 0) {
+			this.fatalError(new VError({
+			    'name': 'FastProtocolError',
+			    'info': {
+				'fastReason': 'credit_exceeded',
+				'fastMsgid': message.msgid
+			    }
+			}, 'fast protocol: server sent DATA message without ' +
+			    'credit'));
+			return;
+		}
+
+		request.frq_credit--;
+	}
+
 	/*
 	 * "end" messages are always meaningful because they allow us to clean
-	 * up both normal and abandoned requests.
+	 * up both normal and abandoned requests.  "error" messages also end
+	 * requests, which matters for abandoned requests that we've asked the
+	 * server to cancel.
 	 */
-	if (message.status == mod_protocol.FP_STATUS_END) {
+	if (message.status == mod_protocol.FP_STATUS_END ||
+	    (abandoned && message.status == mod_protocol.FP_STATUS_ERROR)) {
 		if (abandoned) {
-			request.frq_log.debug('cleaning up abandoned request');
+			request.frq_log.debug({
+			    'fastMessage': message
+			}, 'cleaning up abandoned request');
 			delete (this.fc_abandoned[request.frq_msgid]);
+			this.freeMessageId(request.frq_msgid);
 		} else {
 			/*
 			 * Although seldom used, it's technically allowed for
@@ -774,7 +2270,7 @@ FastClient.prototype.onMessage = function (message)
 			if (this.requestEmitData(request, message)) {
 				request.frq_done_graceful = true;
 				this.requestComplete(request);
-				request.end();
+				request.push(null);
 			}
 		}
 
@@ -800,6 +2296,14 @@ FastClient.prototype.onMessage = function (message)
 	 */
 	mod_assertplus.ok(request.frq_error === null);
 
+	if (message.status == mod_protocol.FP_STATUS_DATA &&
+	    request.frq_unsubscribed) {
+		request.frq_log.trace(
+		    'ignoring incoming message (unsubscribed)');
+		request.frq_nignored++;
+		return;
+	}
+
 	if (message.status == mod_protocol.FP_STATUS_DATA) {
 		request.frq_ndata++;
 		this.requestEmitData(request, message);
@@ -808,6 +2312,10 @@ FastClient.prototype.onMessage = function (message)
 
 	mod_assertplus.equal(message.status, mod_protocol.FP_STATUS_ERROR,
 	    'decoder emitted message with invalid status');
+	if (this.requestCrcFallback(request, message)) {
+		return;
+	}
+
 	cause = new VError({
 	    'name': message.data.d.name,
 	    'info': message.data.d.info
@@ -830,6 +2338,43 @@ FastClient.prototype.onMessage = function (message)
 	}, 'server error'));
 };
 
+/*
+ * In FAST_CHECKSUM_V1_V2 mode, we start out using the correct CRC calculation
+ * (protocol version 2).  Servers that only allow the buggy calculation reject
+ * such requests with an "unsupported_crc" error before invoking any RPC
+ * handler, so it's safe to switch this client over to protocol version 1 and
+ * send the same request again.  Returns true if we did that, in which case the
+ * caller should otherwise ignore the error message.
+ *
+ * Only servers that support FAST_CHECKSUM_V1 mode send that error.  Servers
+ * that predate protocol version 2 instead treat such requests as a protocol
+ * error and close the connection, and we can't fall back from that.
+ */
+FastClient.prototype.requestCrcFallback = function (request, message)
+{
+	var d = message.data.d;
+
+	if (this.fc_crcmode != mod_protocol.FAST_CHECKSUM_V1_V2 ||
+	    message.version == mod_protocol.FP_VERSION_1 ||
+	    d.name != 'FastError' || typeof (d.info) != 'object' ||
+	    d.info === null || d.info.fastReason != 'unsupported_crc') {
+		return (false);
+	}
+
+	if (this.version != mod_protocol.FP_VERSION_1) {
+		this.fc_log.info('server rejected CRC calculation for ' +
+		    'protocol version %d; falling back to version %d',
+		    this.version, mod_protocol.FP_VERSION_1);
+		this.version = mod_protocol.FP_VERSION_1;
+	}
+
+	this.fc_ncrcfallbacks++;
+	request.frq_log.debug('re-sending request with protocol version %d',
+	    this.version);
+	this.requestTransmit(request);
+	return (true);
+};
+
 /*
  * Emits data contained in "message".  Returns true if there was no problem
  * processing this data.  If there was an issue, then the request will be
@@ -884,6 +2429,187 @@ FastClient.prototype.requestIsPending = function (request)
 	return (!request.frq_done_graceful && request.frq_error === null);
 };
 
+/*
+ * Reverse requests
+ *
+ * When the handshake negotiated the "reverse" capability, the server may make
+ * requests of this client (see "Reverse requests" in lib/fast_protocol.js).
+ * We serve each one by invoking the handler registered for its method with a
+ * FastClientRpc, which the handler uses to send its response.  There's no flow
+ * control, cancellation, or streaming input for these, so this is much simpler
+ * than the server's implementation of the same thing.  If the connection
+ * fails while a handler is running, we just discard whatever it sends.
+ */
+
+/*
+ * Begin serving the reverse request initiated by the given DATA message.
+ */
+FastClient.prototype.reverseStart = function (message)
+{
+	var msgid, rpc, m;
+
+	msgid = message.msgid;
+	if (this.fc_serving.hasOwnProperty(msgid)) {
+		this.fatalError(new VError({
+		    'name': 'FastProtocolError',
+		    'info': {
+			'fastReason': 'duplicate_msgid',
+			'fastMsgid': msgid
+		    }
+		}, 'fast protocol: server attempted to re-use msgid %d',
+		    msgid));
+		return;
+	}
+
+	rpc = new mod_client_rpc.FastClientRpc({
+	    'client': this,
+	    'fastMessage': message,
+	    'log': this.fc_log.child({
+		'component': 'FastClientRpc',
+		'msgid': msgid
+	    })
+	});
+	this.fc_serving[msgid] = rpc;
+	this.fc_nreverse_started++;
+
+	m = message.data.m;
+	if (typeof (m) != 'object' || m === null ||
+	    typeof (m.name) != 'string' || !Array.isArray(message.data.d)) {
+		this.reverseFail(rpc, new VError({
+		    'name': 'FastError',
+		    'info': {
+			'fastReason': 'bad_data',
+			'rpcMsgid': msgid
+		    }
+		}, 'RPC request is not well-formed'));
+		return;
+	}
+
+	rpc.fcr_rpcmethod = m.name;
+	rpc.fcr_rpcargs = message.data.d;
+	if (m.headers !== undefined &&
+	    mod_protocol.validateHeaders(m.headers) === null) {
+		rpc.fcr_headers = m.headers;
+	}
+
+	if (!this.fc_handlers.hasOwnProperty(rpc.fcr_rpcmethod)) {
+		this.reverseFail(rpc, new VError({
+		    'name': 'FastError',
+		    'info': {
+			'fastReason': 'bad_method',
+			'rpcMethod': rpc.fcr_rpcmethod,
+			'rpcMsgid': msgid
+		    }
+		}, 'unsupported RPC method: "%s"', rpc.fcr_rpcmethod));
+		return;
+	}
+
+	rpc.fcr_log.debug({
+	    'rpcmethod': rpc.fcr_rpcmethod,
+	    'rpcargs': rpc.fcr_rpcargs
+	}, 'reverse request: entered');
+	this.fc_handlers[rpc.fcr_rpcmethod](rpc);
+};
+
+/*
+ * Invoked (via the request's _write()) to send an object of the response.
+ */
+FastClient.prototype.reverseData = function (rpc, obj, callback)
+{
+	if (rpc.fcr_done) {
+		rpc.fcr_log.debug('discarding data written after completion');
+		rpc.fcr_ndropped++;
+	} else {
+		rpc.fcr_ndata++;
+		this.reverseSend(rpc, mod_protocol.FP_STATUS_DATA, [ obj ]);
+	}
+
+	setImmediate(callback);
+};
+
+/*
+ * Invoked (via the request's _final()) when the handler ends the response.
+ */
+FastClient.prototype.reverseEnd = function (rpc, callback)
+{
+	if (!rpc.fcr_done) {
+		this.reverseSend(rpc, mod_protocol.FP_STATUS_END, []);
+		this.reverseComplete(rpc);
+	}
+
+	setImmediate(callback);
+};
+
+/*
+ * Invoked (via the request's fail()) when the handler fails the request, or
+ * directly when we fail it without invoking any handler.
+ */
+FastClient.prototype.reverseFail = function (rpc, err)
+{
+	mod_assertplus.ok(err instanceof Error,
+	    'failure must be represented as an Error instance');
+
+	if (rpc.fcr_done) {
+		rpc.fcr_log.debug(err, 'ignoring failure of completed request');
+		return;
+	}
+
+	rpc.fcr_error = err;
+	rpc.fcr_log.debug(err, 'reverse request failed');
+	this.fc_nreverse_failed++;
+	this.reverseSend(rpc, mod_protocol.FP_STATUS_ERROR,
+	    mod_protocol.marshalError(err));
+	this.reverseComplete(rpc);
+};
+
+/*
+ * Send a message that's part of the response to the given reverse request,
+ * unless we can no longer reach the server.
+ */
+FastClient.prototype.reverseSend = function (rpc, status, datum)
+{
+	var message;
+
+	if (this.fc_error !== null || this.fc_detached ||
+	    this.fc_transport_ended) {
+		rpc.fcr_log.debug('discarding response (transport detached)');
+		return;
+	}
+
+	/*
+	 * As with the server's responses, these use the same protocol version
+	 * and payload codec as the request did.
+	 */
+	message = {
+	    'msgid': rpc.fcr_msgid,
+	    'status': status,
+	    'data': {
+		'm': {
+		    'uts': mod_microtime.now(),
+		    'name': rpc.fcr_rpcmethod
+		},
+		'd': datum
+	    },
+	    'version': rpc.fcr_message.version,
+	    'type': rpc.fcr_message.type
+	};
+
+	this.fc_log.trace(message, 'outgoing message');
+	this.fc_msgencoder.write(message);
+};
+
+/*
+ * Clean up the given reverse request, which has just completed.
+ */
+FastClient.prototype.reverseComplete = function (rpc)
+{
+	mod_assertplus.ok(!rpc.fcr_done);
+	mod_assertplus.ok(this.fc_serving[rpc.fcr_msgid] == rpc);
+	rpc.fcr_done = true;
+	delete (this.fc_serving[rpc.fcr_msgid]);
+	rpc.fcr_log.debug('reverse request: done');
+};
+
 
 /*
  * Initialize the DTrace provider for the Fast client.
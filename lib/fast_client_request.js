@@ -32,15 +32,32 @@ exports.FastClientRequest = FastClientRequest;
  *     			client.
  *
  *     msgid		unique identifier for this request, scoped to this
- *     			transport connection
+ *     			transport connection, or null if no identifier was
+ *     			available (in which case the request fails
+ *     			immediately)
  *
  *     rpcmethod	string name of the remote RPC method to invoke
  *
  *     rpcargs		array of arguments to pass to the remote RPC method
  *
+ *     headers		object of request headers (already validated), or
+ *     			null if there are none
+ *
+ *     timeout		milliseconds after which the request will be
+ *     			abandoned, or null if there is no timeout
+ *
+ *     span		trace span for this request (see lib/trace.js), or null
+ *     			if the request is not being traced
+ *
  *     ignoreNullValues	see "ignoreNullValues" argument to Fast client's rpc()
  *     			method.
  *
+ *     input		boolean indicating whether this request has streaming
+ *     			input (see the client's rpcStream() method)
+ *
+ *     subscription	boolean indicating whether this request is a
+ *     			subscription (see the client's subscribe() method)
+ *
  *     log		bunyan-style logger
  *
  * A FastClientRequest object is a client-side caller's handle for an
@@ -61,23 +78,37 @@ exports.FastClientRequest = FastClientRequest;
  *       error maintaining contact with the server
  *
  *     o local abandonment: the caller abandoned the request
+ *
+ * The writable side of the stream carries the request's input for requests
+ * made with rpcStream().  For other requests, it's ended right away.
  */
 function FastClientRequest(args)
 {
 	mod_assertplus.object(args, 'args');
 	mod_assertplus.object(args.client, 'args.client');
-	mod_assertplus.number(args.msgid, 'args.msgid');
+	mod_assertplus.ok(args.msgid === null ||
+	    typeof (args.msgid) == 'number', 'args.msgid');
 	mod_assertplus.string(args.rpcmethod, 'args.rpcmethod');
 	mod_assertplus.array(args.rpcargs, 'args.rpcargs');
+	mod_assertplus.optionalObject(args.headers, 'args.headers');
+	mod_assertplus.optionalNumber(args.timeout, 'args.timeout');
+	mod_assertplus.optionalObject(args.span, 'args.span');
 	mod_assertplus.object(args.log, 'args.log');
 	mod_assertplus.bool(args.ignoreNullValues, 'args.ignoreNullValues');
+	mod_assertplus.bool(args.input, 'args.input');
+	mod_assertplus.bool(args.subscription, 'args.subscription');
 
 	/* rpc parameters */
 	this.frq_client = args.client;
 	this.frq_msgid = args.msgid;
 	this.frq_rpcmethod = args.rpcmethod;
 	this.frq_rpcargs = args.rpcargs;
+	this.frq_headers = args.headers;
+	this.frq_timeoutms = args.timeout;
+	this.frq_span = args.span || null;
 	this.frq_ignorenull = args.ignoreNullValues;
+	this.frq_input = args.input;
+	this.frq_subscription = args.subscription;
 
 	/*
 	 * RPC state: most RPC requests are immediately transmitted (at least to
@@ -95,15 +126,37 @@ function FastClientRequest(args)
 	 * frq_abandoned.  frq_error is set whenever an error is encountered for
 	 * this request, which may be in any of these conditions.
 	 *
+	 * When the server supports cancellation, abandoning a request also
+	 * asks the server to cancel it, and frq_cancelled is set.
+	 *
 	 * If the transport is disconnected when the user makes the initial
 	 * request, then we never bother to transmit the request.  We will set
 	 * frq_skip for this case, though only for debugging purposes.
+	 *
+	 * If the client is waiting for a handshake to complete when the
+	 * request is made, then the request is queued (and frq_queued is set)
+	 * until the handshake completes.
 	 */
 	this.frq_done_graceful = false;	/* recvd "end" or "error" from server */
 	this.frq_abandoned = false;	/* abandoned locally */
+	this.frq_cancelled = false;	/* sent CANCEL to server */
+	this.frq_credit = null;		/* outstanding credit (flow control) */
 	this.frq_error = null;		/* error, if any */
 	this.frq_hrtstarted = null;	/* granular time the request started */
 	this.frq_timeout = null;	/* timeout handle, if any */
+	this.frq_queued = false;	/* waiting for handshake */
+	this.frq_unsubscribed = false;	/* caller ended subscription */
+
+	/*
+	 * Input state, for requests with streaming input.  See "Request input"
+	 * in lib/fast_client.js.
+	 */
+	this.frq_inputcredit = 0;	/* input credit from the server */
+	this.frq_inputwait = null;	/* write waiting for credit */
+	this.frq_inputfinal = null;	/* end of input waiting for transmit */
+	this.frq_inputended = false;	/* sent END (or CANCEL) for input */
+	this.frq_ninput = 0;		/* input objects sent */
+	this.frq_ninputdropped = 0;	/* input objects discarded */
 
 	/* helpers */
 	this.frq_log = args.log;	/* logger */
@@ -114,18 +167,25 @@ function FastClientRequest(args)
 	this.frq_nignored = 0;		/* count of ignored messages */
 	this.frq_nignored_null = 0;	/* count of ignored "null" values */
 	this.frq_last = null;		/* last message received */
+	this.frq_tsent = null;		/* time request was sent (usec) */
+	this.frq_timing = null;		/* see FastClient.clockSample() */
 
 	/*
-	 * The high watermark is not really used because we do not support flow
-	 * control.
+	 * The high watermark is only used on connections that support flow
+	 * control, where we grant the server more credit only when the
+	 * consumer has read enough data to drop below it (see _read() below).
 	 */
-	mod_stream.PassThrough.call(this, {
+	mod_stream.Duplex.call(this, {
 	    'objectMode': true,
 	    'highWaterMark': 16
 	});
+
+	if (!this.frq_input) {
+		this.end();
+	}
 }
 
-mod_util.inherits(FastClientRequest, mod_stream.PassThrough);
+mod_util.inherits(FastClientRequest, mod_stream.Duplex);
 
 FastClientRequest.prototype.abandon = function ()
 {
@@ -139,6 +199,40 @@ FastClientRequest.prototype.abandon = function ()
 	}, 'request abandoned by user')));
 };
 
+/*
+ * Node invokes _read() when the consumer wants more data than we've buffered.
+ * The client pushes data as it arrives, but for flow-controlled requests, this
+ * is when the client may grant the server more credit.
+ */
+FastClientRequest.prototype._read = function ()
+{
+	this.frq_client.requestRead(this);
+};
+
+FastClientRequest.prototype._write = function (obj, _, callback)
+{
+	this.frq_client.requestInputWrite(this, obj, callback);
+};
+
+FastClientRequest.prototype._final = function (callback)
+{
+	if (!this.frq_input) {
+		callback();
+		return;
+	}
+
+	this.frq_client.requestInputEnd(this, callback);
+};
+
+/*
+ * For subscriptions, end the subscription.  See the client's subscribe()
+ * method.
+ */
+FastClientRequest.prototype.unsubscribe = function ()
+{
+	this.frq_client.requestUnsubscribe(this);
+};
+
 FastClientRequest.prototype.requestId = function ()
 {
 	return (this.frq_msgid);
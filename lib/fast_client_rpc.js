@@ -0,0 +1,112 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2018, Joyent, Inc.
+ */
+
+/*
+ * lib/fast_client_rpc.js: represents a single reverse request that a fast
+ * client is serving on behalf of the server to which it's connected.  This
+ * object is the client-side RPC handler's handle on the request.
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_jsprim = require('jsprim');
+var mod_stream = require('stream');
+var mod_util = require('util');
+
+/* Exported interface */
+exports.FastClientRpc = FastClientRpc;
+
+/*
+ * This object is constructed internally by the client when the server makes a
+ * reverse request (see "Reverse requests" in lib/fast_protocol.js).  Arguments
+ * include:
+ *
+ *     client		a reference back to the FastClient.  Most of the
+ *     			functionality of this request is implemented in the
+ *     			client.
+ *
+ *     fastMessage	incoming Fast protocol message that began this request
+ *
+ *     log		bunyan-style logger
+ *
+ * This is the RPC context passed to handlers registered with the client's
+ * registerRpcMethod().  Like the server's RPC context, it's an object-mode
+ * writable stream: objects written to it are sent to the server, and ending it
+ * completes the request successfully.  Handlers report failure by invoking
+ * fail(err) instead of ending the stream.  Once the request has completed
+ * either way, or if the client's connection to the server has failed, anything
+ * else written to the stream is discarded.
+ *
+ * The request's method name and arguments are only set once the client has
+ * validated the message, so they may be null for requests that were failed
+ * before any handler was invoked.
+ */
+function FastClientRpc(args)
+{
+	mod_assertplus.object(args, 'args');
+	mod_assertplus.object(args.client, 'args.client');
+	mod_assertplus.object(args.fastMessage, 'args.fastMessage');
+	mod_assertplus.object(args.log, 'args.log');
+
+	this.fcr_client = args.client;
+	this.fcr_message = args.fastMessage;
+	this.fcr_msgid = args.fastMessage.msgid;
+	this.fcr_rpcmethod = null;	/* see above */
+	this.fcr_rpcargs = null;	/* see above */
+	this.fcr_headers = null;	/* request headers, if any */
+	this.fcr_log = args.log;
+
+	this.fcr_done = false;		/* request has completed */
+	this.fcr_error = null;		/* error, if the request failed */
+	this.fcr_ndata = 0;		/* count of objects sent */
+	this.fcr_ndropped = 0;		/* count of objects discarded */
+
+	mod_stream.Writable.call(this, {
+	    'objectMode': true,
+	    'highWaterMark': 1
+	});
+}
+
+mod_util.inherits(FastClientRpc, mod_stream.Writable);
+
+FastClientRpc.prototype.requestId = function ()
+{
+	return (this.fcr_msgid);
+};
+
+FastClientRpc.prototype.methodName = function ()
+{
+	return (this.fcr_rpcmethod);
+};
+
+FastClientRpc.prototype.argv = function ()
+{
+	return (this.fcr_rpcargs);
+};
+
+FastClientRpc.prototype.headers = function ()
+{
+	return (this.fcr_headers === null ? {} :
+	    mod_jsprim.deepCopy(this.fcr_headers));
+};
+
+FastClientRpc.prototype.fail = function (err)
+{
+	this.fcr_client.reverseFail(this, err);
+};
+
+FastClientRpc.prototype._write = function (obj, _, callback)
+{
+	this.fcr_client.reverseData(this, obj, callback);
+};
+
+FastClientRpc.prototype._final = function (callback)
+{
+	this.fcr_client.reverseEnd(this, callback);
+};
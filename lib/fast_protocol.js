@@ -14,16 +14,29 @@
 
 var mod_assertplus = require('assert-plus');
 var mod_crc = require('crc');
+var mod_crypto = require('crypto');
 var mod_extsprintf = require('extsprintf');
+var mod_msgpack = require('./msgpack');
 var mod_old_crc = require('oldcrc');
 var mod_stream = require('stream');
 var mod_util = require('util');
+var mod_zlib = require('zlib');
 var VError = require('verror');
 
 /* Exported interface */
 exports.fastMessageEncode = fastMessageEncode;
 exports.FastMessageEncoder = FastMessageEncoder;
 exports.FastMessageDecoder = FastMessageDecoder;
+exports.crcModeAllowsVersion = crcModeAllowsVersion;
+exports.negotiateCapabilities = negotiateCapabilities;
+exports.registerCodec = registerCodec;
+exports.lookupCodec = lookupCodec;
+exports.isValidCredit = isValidCredit;
+exports.validateHeaders = validateHeaders;
+exports.isValidTimeout = isValidTimeout;
+exports.validateHmacKeys = validateHmacKeys;
+exports.isReverseMsgid = isReverseMsgid;
+exports.marshalError = marshalError;
 /* Protocol constants are exported below. */
 
 /*
@@ -43,10 +56,26 @@ exports.FastMessageDecoder = FastMessageDecoder;
  *           | DATAN...                             |
  *           +---------+--------+---------+---------+
  *
- * VERSION   1-byte integer.  The only supported values are "1" and "2".
+ * VERSION   1-byte integer.  The only supported values are "1", "2", and "3".
+ *           Version 3 may only be used on connections that have completed a
+ *           handshake (see "Protocol version 3" below).
  *
- * TYPE      1-byte integer.  The only supported value is TYPE_JSON (0x1),
- *           indicating that the data payload is an encoded JSON object.
+ * TYPE      1-byte integer.  The low 6 bits identify the codec used to encode
+ *           the data payload (see "Payload codecs" below).  The supported
+ *           values are:
+ *
+ *     TYPE_JSON    0x1  the payload is an encoded JSON object
+ *
+ *     TYPE_MSGPACK 0x2  the payload is an encoded MessagePack object
+ *                       (version 3 only, with the "msgpack" capability)
+ *
+ *           The high bits are flags:
+ *
+ *     TYPE_FLAG_DEFLATE 0x80  the encoded payload has been compressed (see
+ *                             "Payload compression" below)
+ *
+ *     TYPE_FLAG_HMAC    0x40  the message is followed by a MAC (see "Message
+ *                             authentication" below)
  *
  * STATUS    1-byte integer.  The only supported values are:
  *
@@ -56,6 +85,23 @@ exports.FastMessageDecoder = FastMessageDecoder;
  *
  *     STATUS_ERROR 0x3  indicates an "error" message
  *
+ *     STATUS_CANCEL 0x4 indicates a "cancel" message (version 3 only, with
+ *                       the "cancel" capability; see "Request cancellation"
+ *                       below)
+ *
+ *     STATUS_CREDIT 0x5 indicates a "credit" message (version 3 only, with
+ *                       the "credit" capability; see "Flow control" below)
+ *
+ *     STATUS_PING  0x6  indicates a "ping" message (version 3 only, with the
+ *                       "ping" capability; see "Keepalive" below)
+ *
+ *     STATUS_PONG  0x7  indicates a "pong" message (version 3 only, with the
+ *                       "ping" capability; see "Keepalive" below)
+ *
+ *     STATUS_UNSUBSCRIBE 0x8  indicates an "unsubscribe" message (version 3
+ *                             only, with the "subscribe" capability; see
+ *                             "Subscriptions" below)
+ *
  * MSGID1...MSGID4    4-byte big-endian unsigned integer, a unique identifier
  *                    for this message
  *
@@ -65,9 +111,12 @@ exports.FastMessageDecoder = FastMessageDecoder;
  * DLEN0...DLEN4      4-byte big-endian unsigned integer representing the number
  *                    of bytes of data payload that follow
  *
- * DATA0...DATAN      Data payload.  This is a JSON-encoded object (for TYPE =
- *                    TYPE_JSON).  The encoding length in bytes is given by the
- *                    DLEN0...DLEN4 bytes.
+ * DATA0...DATAN      Data payload.  This is an object encoded with the codec
+ *                    identified by TYPE.  The encoding length in bytes is given
+ *                    by the DLEN0...DLEN4 bytes.
+ *
+ * Messages with TYPE_FLAG_HMAC set are followed by FP_HMAC_SZ more bytes that
+ * are not counted in DLEN (see "Message authentication" below).
  *
  * Due to historical bugs in node-crc, the CRC implementation used in version 1
  * of the protocol is essentially incompatible with any CRC implementation other
@@ -83,20 +132,310 @@ exports.FastMessageDecoder = FastMessageDecoder;
  * client used when encoding the message to transmit to the server. This allows
  * for clients to be updated in a gradual manner to support the correct CRC
  * calculation. The FAST_CHECKSUM_* constants in this file control the mode of
- * operation with respect to the CRC calculation of clients and servers. This
+ * operation with respect to the CRC calculation of clients and servers, and
+ * they're passed to FastServer, FastClient, and FastMessageDecoder as the
+ * "crcMode" option.  Since version 2 of the protocol, the version byte
+ * identifies which CRC calculation was used for a message, so a mode is really
+ * a set of allowed protocol versions (see crcModeAllowsVersion()).  This
  * mechanism can be reused in the event of other such library incompatibilities.
  * This mechanism is not intended or required for normal version upgrades to the
  * CRC library dependency where there is no change in the result produced by one
  * of the CRC calculation methods used by node-fast (crc16 is currently the only
  * one used).
+ *
+ *
+ * Protocol version 3
+ *
+ * Until version 3, there was no way for either side of a connection to know
+ * what the other side supported, so new features could not be added to the
+ * protocol without a flag day.  Version 3 adds an optional handshake at the
+ * start of a connection during which the client and server agree on a set of
+ * "capabilities", each of which is a string naming an optional protocol
+ * feature.  Messages using version 3 are encoded exactly like version 2
+ * messages (including the CRC calculation), but they may only be sent on a
+ * connection that has completed the handshake, and they may use whichever
+ * features were negotiated.
+ *
+ * The handshake must work with servers that know nothing about it, so the
+ * client's HELLO message is phrased as an ordinary RPC request (using the
+ * client's current protocol version) for the reserved method FP_HELLO_METHOD
+ * with a single argument:
+ *
+ *     {
+ *         "version": 3,
+ *         "capabilities": [ ... capabilities supported by the client ... ]
+ *     }
+ *
+ * A server that supports the handshake responds with a single data value of the
+ * same form, where "capabilities" is the subset of the client's capabilities
+ * that the server also supports and "version" is the protocol version that the
+ * client should use for subsequent requests.  If "version" is less than 3
+ * (e.g., because the server's CRC mode does not allow version 3), then no
+ * capabilities are negotiated.  Servers that predate the handshake fail the
+ * request because the method is unknown, and the client then proceeds without
+ * any capabilities using the protocol version it already had.  Some very old
+ * servers do not respond at all to requests for unknown methods, so clients
+ * also give up on the handshake after a timeout.  Method names beginning with
+ * FP_RESERVED_PREFIX are reserved for use by the protocol itself.
+ *
+ * FP_CAPABILITIES lists the capabilities implemented by this module.
+ *
+ *
+ * Payload codecs
+ *
+ * The TYPE byte selects the codec used to encode the data payload.  Every
+ * implementation supports TYPE_JSON.  Other codecs are registered with
+ * registerCodec(), and each one is associated with a capability that must be
+ * negotiated before the codec may be used, so messages using any codec other
+ * than JSON must use protocol version 3.  The CRC of such messages is
+ * calculated over the encoded payload bytes.  Each side of a connection may
+ * choose the codec for each message it sends independently, but by convention,
+ * servers respond to each request using the codec that the request used.  This
+ * module implements TYPE_MSGPACK (see lib/msgpack.js), which is considerably
+ * cheaper to encode and decode than JSON for typical payloads.
+ *
+ *
+ * Payload compression
+ *
+ * On connections that have negotiated the "deflate" capability, either side
+ * may compress the encoded payload of any version 3 message using zlib's
+ * deflate format.  Such messages set TYPE_FLAG_DEFLATE in the TYPE byte, and
+ * their DLEN and CRC describe the compressed bytes actually sent.  Receivers
+ * inflate these payloads before decoding them.  Since the protocol's maximum
+ * message size is intended to bound memory usage, it applies to the inflated
+ * payload as well as the compressed one.  Even without a maximum message size,
+ * a small compressed payload could otherwise inflate to an enormous one, so
+ * inflated payloads are always limited to FP_INFLATE_MAX_BYTES unless the
+ * receiver sets a maximum message size of its own.  FastMessageEncoder
+ * compresses payloads at least as large as its "compressThreshold" option (if
+ * any), as long as compression actually makes them smaller.  Payloads that
+ * are worth compressing can be large, so both sides use zlib's asynchronous
+ * interface, which does the work on Node's thread pool rather than blocking the
+ * event loop.  Messages are still sent and received in order.
+ *
+ *
+ * Request cancellation
+ *
+ * On connections that have negotiated the "cancel" capability, a client may
+ * ask the server to stop working on an outstanding request by sending a
+ * version 3 CANCEL message with the request's msgid and an empty array for
+ * "data.d".  Servers never send CANCEL messages.  A CANCEL message for a
+ * request that has already completed is ignored, since the client must already
+ * be prepared to receive the request's response.  Otherwise, the server
+ * completes the request with an ERROR message whose "fastReason" is
+ * "request_cancelled" and notifies the RPC handler.  Either way, the client
+ * receives exactly one END or ERROR message for the request, so it knows when
+ * the msgid may be reused.  Clients must not send CANCEL messages on
+ * connections that have not negotiated this capability: older servers would
+ * interpret any message for an unknown msgid as a new request for the same RPC.
+ *
+ *
+ * Flow control
+ *
+ * Without flow control, a server sends DATA messages for a request as fast as
+ * the RPC handler produces them, and the client must buffer them however slowly
+ * its consumer reads them.  On connections that have negotiated the "credit"
+ * capability, a client may instead grant the server a window of messages for
+ * each request.  The initial window is specified by the optional "credit"
+ * property of the request's "data.m" object, which must be a positive integer.
+ * The server may send that many DATA messages for the request, after which it
+ * must wait for the client to grant more using version 3 CREDIT messages with
+ * the request's msgid and "data.d" containing the number of additional DATA
+ * messages allowed (a positive integer).  END and ERROR messages do not consume
+ * credit.  Servers ignore CREDIT messages for requests that have already
+ * completed, as well as for requests that did not specify an initial window
+ * (which are not flow-controlled).  No request may have more than
+ * FP_CREDIT_MAX messages of outstanding credit.
+ *
+ *
+ * Keepalive
+ *
+ * A TCP connection whose peer has gone away without closing it can appear
+ * healthy indefinitely, particularly when it's idle.  On connections that have
+ * negotiated the "ping" capability, either side may send a version 3 PING
+ * message at any time, and the other side must promptly respond with a PONG
+ * message having the same msgid.  PING and PONG messages are not associated
+ * with any RPC request: their msgids come from a separate space chosen by the
+ * sender of the PING (conventionally a sequence number), so they never collide
+ * with (or consume) request msgids.  Their "data.d" must be an array, which
+ * should be empty.  A side that sends PINGs can measure round-trip time from
+ * the PONGs, and it can decide that its peer is dead after several PINGs in a
+ * row go unanswered.
+ *
+ *
+ * Request headers
+ *
+ * Besides the method name ("name") and a timestamp ("uts"), the "data.m"
+ * object of a request may contain a "headers" object carrying metadata about
+ * the request (e.g., a request id or the identity of the caller) separately
+ * from its arguments.  Each header name must match FP_HEADER_NAME_RE, each
+ * value must be a string, and the UTF-8 encodings of all names and values
+ * together must not exceed FP_HEADERS_MAX_BYTES.  Servers reject requests
+ * whose headers are invalid.  Since servers have always ignored unknown
+ * properties of "data.m", headers may be sent using any protocol version and
+ * without negotiating anything; older servers simply ignore them.
+ *
+ *
+ * Request deadlines
+ *
+ * A client that will give up on a request after some time may tell the server
+ * how long that is by including "timeout" in the "data.m" object of the
+ * request.  This is a non-negative number of milliseconds remaining when the
+ * request was sent.  (A relative time is used so that the deadline does not
+ * depend on the client and server clocks agreeing.  Since it does not account
+ * for the time the request spent in transit, the server's idea of the deadline
+ * is slightly later than the client's.)  The server may use this to stop
+ * working on requests that the client has already given up on.  As with
+ * headers, this may be sent using any protocol version, and older servers
+ * ignore it.
+ *
+ *
+ * Trace context
+ *
+ * A request that's part of a distributed trace may include "traceparent" in
+ * its "data.m" object.  This is a string in the format of the W3C Trace
+ * Context "traceparent" header identifying the client's span (see
+ * lib/trace.js).  A server that traces the request creates a child of that
+ * span around the handler.  Servers ignore trace context that's not valid
+ * rather than failing the request.  As with headers, this may be sent using
+ * any protocol version, and older servers ignore it.
+ *
+ *
+ * Message authentication
+ *
+ * The CRC protects against accidental corruption, but anybody who can reach a
+ * server can send it valid messages, and anybody in the network path can alter
+ * them.  When the client and server share a secret key, they can negotiate the
+ * "hmac" capability, after which every message sent in either direction must
+ * use version 3, set TYPE_FLAG_HMAC, and be followed by the HMAC-SHA256 of the
+ * message's header and payload (exactly as sent, so after any compression).
+ * The CRC is still present and still checked.  A receiver that finds a message
+ * without a MAC, or whose MAC does not match, treats it as a protocol error
+ * with fastReason "bad_hmac".
+ *
+ * To allow keys to be changed without a flag day, each side may be configured
+ * with more than one key.  Messages are always sent using the first key, but
+ * received messages are accepted if they match any of the keys.  To rotate
+ * keys, add the new key second everywhere, then move it first everywhere, and
+ * finally remove the old key.
+ *
+ * This provides integrity and authenticity of each message, but not
+ * confidentiality, and it does not prevent an attacker from replaying or
+ * reordering whole messages.  The handshake itself is not authenticated, so a
+ * side that requires authentication must refuse to proceed on a connection
+ * where "hmac" was not negotiated rather than merely offering it.
+ *
+ *
+ * Client authentication
+ *
+ * Message authentication shows that a message came from somebody holding the
+ * shared key, but not which client that was.  On connections that have
+ * negotiated the "auth" capability, the client identifies itself before making
+ * any other requests.  The server's HELLO response includes an additional
+ * property, "challenge", which is a random string unique to the connection.
+ * The client then makes a request for the reserved method FP_AUTH_METHOD with
+ * a single argument, its credential, which may be any non-null value: a bearer
+ * token, for example, or a signature over the challenge (which can't be
+ * replayed on another connection).  The server checks the credential and
+ * either ends the request with no data or fails it with fastReason
+ * "auth_failed".  Each connection may attempt authentication only once.
+ *
+ * Clients queue other requests until authentication has completed.  Servers
+ * that require authentication fail requests made on connections that have not
+ * completed it with fastReason "auth_required".  Since the credential is often
+ * a secret, it should only be sent on a connection that's otherwise protected
+ * (e.g., using TLS).
+ *
+ *
+ * Request streams
+ *
+ * Normally, all of a request's input is in its arguments.  On connections that
+ * have negotiated both the "stream" and "cancel" capabilities, a client may
+ * also send a stream of objects as input to a request.  Such a request has
+ * "input": true in the "data.m" object of its initial DATA message.  Flow
+ * control works as described above, but in the opposite direction: the server
+ * grants the client credit using CREDIT messages with the request's msgid, and
+ * the client sends its input as version 3 DATA messages with the same msgid,
+ * each of which uses one credit and carries one or more objects in "data.d".
+ * The client ends its input with an END message with an empty "data.d", or by
+ * sending a CANCEL message to abandon the request.  Input that exceeds the
+ * credit granted is a protocol error with fastReason "credit_exceeded".
+ *
+ * The server's response works just like any other request's, and the server
+ * may complete the request before the client has finished its input.  When
+ * that happens, the client stops sending input and immediately ends it with an
+ * END message (unless it has already sent END or CANCEL).  Until the server
+ * sees that, it ignores input for the msgid rather than treating it as a new
+ * request, and since the client does not reuse the msgid until it has sent the
+ * END, the two cannot be confused.
+ *
+ *
+ * Subscriptions
+ *
+ * Clients that want to hear about events as they happen (e.g., changes to some
+ * resource) would otherwise have to poll for them.  On connections that have
+ * negotiated the "subscribe" capability, a client may instead subscribe to
+ * them using a request whose "data.m" object has "subscribe": true.  The
+ * server sends each event as a DATA message for the request, with flow control
+ * (if negotiated) working as for any other request.  A subscription lasts until
+ * either side ends it:
+ *
+ *     o The server ends a subscription by sending END (or ERROR, if the
+ *       subscription failed), exactly as it would complete any other request.
+ *
+ *     o The client ends a subscription by sending a version 3 UNSUBSCRIBE
+ *       message with the request's msgid and an empty array for "data.d".  The
+ *       server stops sending events and ends the subscription with END.
+ *       Servers ignore UNSUBSCRIBE messages for subscriptions that have
+ *       already ended (which the client will see ended anyway), as well as for
+ *       requests that are not subscriptions.  Servers never send UNSUBSCRIBE.
+ *
+ * Either way, the client receives exactly one END or ERROR message for the
+ * request, so it knows when the msgid may be reused.  Events that were already
+ * on their way when the client unsubscribed may arrive before the END, and
+ * clients ignore them.  Servers only allow subscriptions to methods that
+ * they've registered for subscriptions, and they fail any other request for
+ * such a method, both with fastReason "bad_method".
+ *
+ *
+ * Reverse requests
+ *
+ * Some clients (e.g., agents that dial into a central service) also need to
+ * serve requests from the server to which they're connected.  On connections
+ * that have negotiated the "reverse" capability, the server may make requests
+ * of the client over the same connection.  These "reverse requests" work
+ * exactly like ordinary requests with the roles swapped: the server sends a
+ * DATA message naming the method and its arguments, and the client responds
+ * with zero or more DATA messages and then END or ERROR.
+ *
+ * Since both sides now allocate msgids, the msgid space is partitioned:
+ * msgids from FP_MSGID_REVERSE_MIN to FP_MSGID_MAX identify reverse requests,
+ * and lower msgids identify the client's requests.  Clients that offer
+ * "reverse" never allocate msgids in the upper range, even before the
+ * handshake completes, so a message's msgid alone tells the receiver which
+ * side's request it belongs to.  (PING and PONG msgids are not associated with
+ * requests, so they may be anything.)
+ *
+ * Reverse requests are deliberately simple: neither side sends CANCEL, CREDIT,
+ * or UNSUBSCRIBE messages for them, and they cannot have streaming input or be
+ * subscriptions.  A server that abandons a reverse request ignores the
+ * client's response until it ends, just as clients do without the "cancel"
+ * capability.  A client that gets a reverse request for a method it has not
+ * registered fails it with fastReason "bad_method", and a DATA message for a
+ * reverse request that's already running is a protocol error with fastReason
+ * "duplicate_msgid".
  */
 
 /*
  * Message IDs: each Fast message has a message id, which is scoped to the Fast
- * connection.  We allocate these sequentially from a circular 31-bit space.
+ * connection.  We allocate these sequentially from a circular 31-bit space,
+ * the upper half of which is reserved for reverse requests on connections that
+ * negotiate them (see "Reverse requests" above).
  */
 var FP_MSGID_MAX        = Math.pow(2, 31) - 1;
+var FP_MSGID_REVERSE_MIN = Math.pow(2, 30);
 exports.FP_MSGID_MAX    = FP_MSGID_MAX;
+exports.FP_MSGID_REVERSE_MIN = FP_MSGID_REVERSE_MIN;
 
 /*
  * Field offsets
@@ -125,22 +464,103 @@ exports.FP_HEADER_SZ    = FP_HEADER_SZ;
 var FP_STATUS_DATA      = 0x1;
 var FP_STATUS_END       = 0x2;
 var FP_STATUS_ERROR     = 0x3;
+var FP_STATUS_CANCEL    = 0x4;
+var FP_STATUS_CREDIT    = 0x5;
+var FP_STATUS_PING      = 0x6;
+var FP_STATUS_PONG      = 0x7;
+var FP_STATUS_UNSUBSCRIBE = 0x8;
 exports.FP_STATUS_DATA  = FP_STATUS_DATA;
 exports.FP_STATUS_END   = FP_STATUS_END;
 exports.FP_STATUS_ERROR = FP_STATUS_ERROR;
+exports.FP_STATUS_CANCEL = FP_STATUS_CANCEL;
+exports.FP_STATUS_CREDIT = FP_STATUS_CREDIT;
+exports.FP_STATUS_PING  = FP_STATUS_PING;
+exports.FP_STATUS_PONG  = FP_STATUS_PONG;
+exports.FP_STATUS_UNSUBSCRIBE = FP_STATUS_UNSUBSCRIBE;
+
+/* maximum outstanding credit for a request (see "Flow control" above) */
+var FP_CREDIT_MAX       = Math.pow(2, 31) - 1;
+exports.FP_CREDIT_MAX   = FP_CREDIT_MAX;
+
+/* default maximum bytes of messages to combine into one write */
+var FP_COALESCE_BYTES   = 65536;
+exports.FP_COALESCE_BYTES = FP_COALESCE_BYTES;
+
+/* default maximum size of inflated payloads (see "Payload compression") */
+var FP_INFLATE_MAX_BYTES = 64 * 1024 * 1024;
+exports.FP_INFLATE_MAX_BYTES = FP_INFLATE_MAX_BYTES;
+
+/* request headers (see "Request headers" above) */
+var FP_HEADER_NAME_RE      = /^[A-Za-z][A-Za-z0-9_.-]{0,127}$/;
+var FP_HEADERS_MAX_BYTES   = 8192;
+exports.FP_HEADER_NAME_RE  = FP_HEADER_NAME_RE;
+exports.FP_HEADERS_MAX_BYTES = FP_HEADERS_MAX_BYTES;
 
 /* possible values for the "type" byte */
 var FP_TYPE_JSON        = 0x1;
+var FP_TYPE_MSGPACK     = 0x2;
 exports.FP_TYPE_JSON    = FP_TYPE_JSON;
+exports.FP_TYPE_MSGPACK = FP_TYPE_MSGPACK;
+
+/* flags in the "type" byte */
+var FP_TYPE_MASK                = 0x3f;
+var FP_TYPE_FLAG_DEFLATE        = 0x80;
+var FP_TYPE_FLAG_HMAC           = 0x40;
+exports.FP_TYPE_MASK            = FP_TYPE_MASK;
+exports.FP_TYPE_FLAG_DEFLATE    = FP_TYPE_FLAG_DEFLATE;
+exports.FP_TYPE_FLAG_HMAC       = FP_TYPE_FLAG_HMAC;
+
+/* message authentication (see "Message authentication" above) */
+var FP_HMAC_ALGORITHM   = 'sha256';
+var FP_HMAC_SZ          = 32;
+exports.FP_HMAC_SZ      = FP_HMAC_SZ;
 
 /* possible values for the "version" byte */
 var FP_VERSION_1           = 0x1;
 var FP_VERSION_2           = 0x2;
+var FP_VERSION_3           = 0x3;
 var FP_VERSION_CURRENT     = FP_VERSION_2;
 exports.FP_VERSION_1       = FP_VERSION_1;
 exports.FP_VERSION_2       = FP_VERSION_2;
+exports.FP_VERSION_3       = FP_VERSION_3;
 exports.FP_VERSION_CURRENT = FP_VERSION_CURRENT;
 
+/* reserved methods (see "Protocol version 3" and "Client authentication") */
+var FP_RESERVED_PREFIX     = '_fast_';
+var FP_HELLO_METHOD        = FP_RESERVED_PREFIX + 'hello';
+var FP_AUTH_METHOD         = FP_RESERVED_PREFIX + 'auth';
+exports.FP_RESERVED_PREFIX = FP_RESERVED_PREFIX;
+exports.FP_HELLO_METHOD    = FP_HELLO_METHOD;
+exports.FP_AUTH_METHOD     = FP_AUTH_METHOD;
+
+/* capabilities implemented by this module */
+var FP_CAPABILITY_CANCEL   = 'cancel';
+var FP_CAPABILITY_CREDIT   = 'credit';
+var FP_CAPABILITY_DEFLATE  = 'deflate';
+var FP_CAPABILITY_PING     = 'ping';
+var FP_CAPABILITY_HMAC     = 'hmac';
+var FP_CAPABILITY_AUTH     = 'auth';
+var FP_CAPABILITY_STREAM   = 'stream';
+var FP_CAPABILITY_SUBSCRIBE = 'subscribe';
+var FP_CAPABILITY_REVERSE  = 'reverse';
+var FP_CAPABILITIES        = [ FP_CAPABILITY_CANCEL, FP_CAPABILITY_CREDIT,
+    FP_CAPABILITY_DEFLATE, FP_CAPABILITY_PING, FP_CAPABILITY_HMAC,
+    FP_CAPABILITY_AUTH, FP_CAPABILITY_STREAM, FP_CAPABILITY_SUBSCRIBE,
+    FP_CAPABILITY_REVERSE ];
+exports.FP_CAPABILITY_CANCEL  = FP_CAPABILITY_CANCEL;
+exports.FP_CAPABILITY_CREDIT  = FP_CAPABILITY_CREDIT;
+exports.FP_CAPABILITY_DEFLATE = FP_CAPABILITY_DEFLATE;
+exports.FP_CAPABILITY_PING    = FP_CAPABILITY_PING;
+exports.FP_CAPABILITY_HMAC    = FP_CAPABILITY_HMAC;
+exports.FP_CAPABILITY_AUTH    = FP_CAPABILITY_AUTH;
+exports.FP_CAPABILITY_STREAM  = FP_CAPABILITY_STREAM;
+exports.FP_CAPABILITY_SUBSCRIBE = FP_CAPABILITY_SUBSCRIBE;
+exports.FP_CAPABILITY_REVERSE = FP_CAPABILITY_REVERSE;
+exports.FP_CAPABILITIES    = FP_CAPABILITIES;
+
+/* registered payload codecs, indexed by type (see registerCodec()) */
+var fp_codecs = {};
+
 // These constants are facilitate an upgrade path from buggy node-crc@0.3.0
 var FAST_CHECKSUM_V1         = 0x1;
 var FAST_CHECKSUM_V1_V2      = 0x2;
@@ -149,6 +569,312 @@ exports.FAST_CHECKSUM_V1     = FAST_CHECKSUM_V1;
 exports.FAST_CHECKSUM_V1_V2  = FAST_CHECKSUM_V1_V2;
 exports.FAST_CHECKSUM_V2     = FAST_CHECKSUM_V2;
 
+/*
+ * Returns true if the given CRC mode (one of the FAST_CHECKSUM_* constants)
+ * allows messages encoded with the given protocol version.  Version 1 messages
+ * use the buggy CRC calculation, and all later versions use the correct one.
+ */
+function crcModeAllowsVersion(crcmode, version)
+{
+	switch (crcmode) {
+	case FAST_CHECKSUM_V1:
+		return (version === FP_VERSION_1);
+	case FAST_CHECKSUM_V2:
+		return (version !== FP_VERSION_1);
+	default:
+		mod_assertplus.equal(crcmode, FAST_CHECKSUM_V1_V2,
+		    'unsupported CRC mode');
+		return (true);
+	}
+}
+
+/*
+ * Given two lists of capability names, return the capabilities common to both
+ * as a sorted array with no duplicates.
+ */
+function negotiateCapabilities(ours, theirs)
+{
+	var rv;
+
+	mod_assertplus.arrayOfString(ours, 'ours');
+	mod_assertplus.arrayOfString(theirs, 'theirs');
+
+	rv = ours.filter(function (cap, i) {
+		return (ours.indexOf(cap) == i && theirs.indexOf(cap) != -1);
+	});
+
+	return (rv.sort());
+}
+
+/*
+ * Register a codec for message payloads (see "Payload codecs" above).  Named
+ * properties:
+ *
+ *     name		(string) unique name for the codec (e.g., "msgpack")
+ *
+ *     type		(number) unique value of the TYPE byte for messages
+ *     			using this codec
+ *
+ *     capability	(string) capability that must be negotiated before
+ *     			using this codec.  This is added to FP_CAPABILITIES.
+ *     			This is null only for the built-in JSON codec.
+ *
+ *     text		(boolean) if true, encode() returns a string that's
+ *     			sent as UTF-8, and decode() is passed a string.
+ *     			Otherwise, both use Buffers.
+ *
+ *     encode		(function) given an object, returns its encoded form.
+ *     			This may throw if the object cannot be encoded.
+ *
+ *     decode		(function) given an encoded form, returns the object.
+ *     			This should throw if the encoded form is invalid.
+ */
+function registerCodec(codec)
+{
+	mod_assertplus.object(codec, 'codec');
+	mod_assertplus.string(codec.name, 'codec.name');
+	mod_assertplus.number(codec.type, 'codec.type');
+	mod_assertplus.ok(codec.type > 0 && codec.type <= FP_TYPE_MASK &&
+	    Math.floor(codec.type) == codec.type,
+	    'codec.type must be an integer between 1 and FP_TYPE_MASK');
+	mod_assertplus.bool(codec.text, 'codec.text');
+	mod_assertplus.func(codec.encode, 'codec.encode');
+	mod_assertplus.func(codec.decode, 'codec.decode');
+	mod_assertplus.ok(!fp_codecs.hasOwnProperty(codec.type),
+	    'codec type ' + codec.type + ' is already registered');
+	mod_assertplus.ok(lookupCodec(codec.name) === null,
+	    'codec "' + codec.name + '" is already registered');
+
+	if (codec.type == FP_TYPE_JSON) {
+		mod_assertplus.strictEqual(codec.capability, null);
+	} else {
+		mod_assertplus.string(codec.capability, 'codec.capability');
+		mod_assertplus.ok(FP_CAPABILITIES.indexOf(
+		    codec.capability) == -1, 'capability "' +
+		    codec.capability + '" is already in use');
+		FP_CAPABILITIES.push(codec.capability);
+	}
+
+	fp_codecs[codec.type] = {
+	    'name': codec.name,
+	    'type': codec.type,
+	    'capability': codec.capability,
+	    'text': codec.text,
+	    'encode': codec.encode,
+	    'decode': codec.decode
+	};
+}
+
+/*
+ * Returns the registered codec with the given name, or null if there is none.
+ */
+function lookupCodec(name)
+{
+	var type;
+
+	mod_assertplus.string(name, 'name');
+	for (type in fp_codecs) {
+		if (fp_codecs[type].name == name) {
+			return (fp_codecs[type]);
+		}
+	}
+
+	return (null);
+}
+
+registerCodec({
+    'name': 'json',
+    'type': FP_TYPE_JSON,
+    'capability': null,
+    'text': true,
+    'encode': JSON.stringify,
+    'decode': JSON.parse
+});
+
+registerCodec({
+    'name': 'msgpack',
+    'type': FP_TYPE_MSGPACK,
+    'capability': 'msgpack',
+    'text': false,
+    'encode': mod_msgpack.msgpackEncode,
+    'decode': mod_msgpack.msgpackDecode
+});
+
+/*
+ * Returns true if a message of the given type may be used with the given
+ * protocol version on a connection that has negotiated the given capabilities
+ * (or null if no handshake has completed).
+ */
+function codecAllowed(codec, version, capabilities)
+{
+	if (codec.type == FP_TYPE_JSON) {
+		return (true);
+	}
+
+	return (version == FP_VERSION_3 && capabilities !== null &&
+	    capabilities.indexOf(codec.capability) != -1);
+}
+
+/*
+ * Returns true if a message with the given status may be sent using the given
+ * protocol version on a connection with the given capabilities.
+ */
+function statusAllowed(status, version, capabilities)
+{
+	switch (status) {
+	case FP_STATUS_DATA:
+	case FP_STATUS_END:
+	case FP_STATUS_ERROR:
+		return (true);
+	case FP_STATUS_CANCEL:
+		return (version == FP_VERSION_3 && capabilities !== null &&
+		    capabilities.indexOf(FP_CAPABILITY_CANCEL) != -1);
+	case FP_STATUS_CREDIT:
+		return (version == FP_VERSION_3 && capabilities !== null &&
+		    (capabilities.indexOf(FP_CAPABILITY_CREDIT) != -1 ||
+		    capabilities.indexOf(FP_CAPABILITY_STREAM) != -1));
+	case FP_STATUS_PING:
+	case FP_STATUS_PONG:
+		return (version == FP_VERSION_3 && capabilities !== null &&
+		    capabilities.indexOf(FP_CAPABILITY_PING) != -1);
+	case FP_STATUS_UNSUBSCRIBE:
+		return (version == FP_VERSION_3 && capabilities !== null &&
+		    capabilities.indexOf(FP_CAPABILITY_SUBSCRIBE) != -1);
+	default:
+		return (false);
+	}
+}
+
+/*
+ * Returns true if the given value is a valid amount of flow-control credit (see
+ * "Flow control" above).
+ */
+function isValidCredit(credit)
+{
+	return (typeof (credit) == 'number' && Math.floor(credit) === credit &&
+	    credit > 0 && credit <= FP_CREDIT_MAX);
+}
+
+/*
+ * Returns true if the given value is a valid request timeout (see "Request
+ * deadlines" above).
+ */
+function isValidTimeout(timeout)
+{
+	return (typeof (timeout) == 'number' && isFinite(timeout) &&
+	    timeout >= 0);
+}
+
+/*
+ * Validate the given request headers (see "Request headers" above).  Returns
+ * null if they're valid and an Error describing the problem otherwise.
+ */
+function validateHeaders(headers)
+{
+	var names, i, nbytes;
+
+	if (typeof (headers) != 'object' || headers === null ||
+	    Array.isArray(headers)) {
+		return (new VError('headers must be an object'));
+	}
+
+	names = Object.keys(headers);
+	nbytes = 0;
+	for (i = 0; i < names.length; i++) {
+		if (!FP_HEADER_NAME_RE.test(names[i])) {
+			return (new VError('invalid header name "%s"',
+			    names[i]));
+		}
+
+		if (typeof (headers[names[i]]) != 'string') {
+			return (new VError('value of header "%s" must be a ' +
+			    'string', names[i]));
+		}
+
+		nbytes += Buffer.byteLength(names[i]) +
+		    Buffer.byteLength(headers[names[i]]);
+	}
+
+	if (nbytes > FP_HEADERS_MAX_BYTES) {
+		return (new VError('headers total %d bytes, exceeding the ' +
+		    'maximum of %d bytes', nbytes, FP_HEADERS_MAX_BYTES));
+	}
+
+	return (null);
+}
+
+/*
+ * Returns true if the given msgid identifies a reverse request on connections
+ * that have negotiated them (see "Reverse requests" above).
+ */
+function isReverseMsgid(msgid)
+{
+	return (msgid >= FP_MSGID_REVERSE_MIN);
+}
+
+/*
+ * Returns the "data.d" value of an ERROR message describing the given Error.
+ *
+ * The marshaling of Errors is a little sketchy, owing partly to the history of
+ * Fast and partly to the sketchy definition of Errors in JavaScript.  The goal
+ * is to allow the receiving program to reconstitute an Error object that looks
+ * like this one.
+ *
+ * We need to provide at least "name" and "message" to make it look like a
+ * JavaScript Error.  As a departure from the previous implementation, we do
+ * not provide the "stack" field.  It's way too confusing for the receiver to
+ * wind up with an Error whose stacktrace is from a different program on a
+ * different system.  (The filenames and line numbers in the stack trace may
+ * not even exist on the receiving system, and they certainly may not refer to
+ * the same files and line numbers even if they do exist.)
+ *
+ * We provide "info" as VError.info() because this is the modern way to provide
+ * information properties on Errors.
+ *
+ * We provide "context" and "ase_errors" because the old Fast implementation did
+ * so.  "context" is how old Fast servers would specify error metadata (before
+ * VError.info() existed).  "ase_errors" is a private implementation property of
+ * MultiError, and we never should have exposed it, but things potentially do
+ * depend on it.
+ */
+function marshalError(err)
+{
+	mod_assertplus.ok(err instanceof Error);
+	return ({
+	    'name': err.name,
+	    'message': err.message,
+	    'context': err.context || {},
+	    'info': VError.info(err),
+	    'ase_errors': err.ase_errors
+	});
+}
+
+/*
+ * Validate the given array of keys for message authentication (see "Message
+ * authentication" above).  Each key must be a non-empty string or Buffer.  This
+ * is a programmer error, so it throws on failure.
+ */
+function validateHmacKeys(keys, label)
+{
+	mod_assertplus.array(keys, label);
+	mod_assertplus.ok(keys.length > 0, label + ' must not be empty');
+	keys.forEach(function (key, i) {
+		mod_assertplus.ok((typeof (key) == 'string' ||
+		    Buffer.isBuffer(key)) && key.length > 0,
+		    label + '[' + i + '] must be a non-empty string or Buffer');
+	});
+}
+
+/*
+ * Returns the MAC of a message with the given header and payload (both
+ * Buffers) computed with the given key.
+ */
+function computeHmac(key, header, payload)
+{
+	return (mod_crypto.createHmac(FP_HMAC_ALGORITHM, key).
+	    update(header).update(payload).digest());
+}
+
 /*
  * Encode a logical message for sending over the wire.  This requires the
  * following named properties:
@@ -159,14 +885,42 @@ exports.FAST_CHECKSUM_V2     = FAST_CHECKSUM_V2;
  *                       can be any plain-old JavaScript object.
  *
  *     status   (number) message "status" (one of FP_STATUS_DATA, FP_STATUS_END,
- *                       or FP_STATUS_ERROR).
+ *                       FP_STATUS_ERROR, FP_STATUS_CANCEL, FP_STATUS_CREDIT,
+ *                       FP_STATUS_PING, FP_STATUS_PONG, or
+ *                       FP_STATUS_UNSUBSCRIBE).  Statuses other
+ *                       than DATA, END, and ERROR require protocol version 3.
+ *
+ *     version  (number) protocol version
+ *
+ * and optionally:
+ *
+ *     type     (number) type of a registered codec with which to encode the
+ *                       data (default: FP_TYPE_JSON).  Codecs other than JSON
+ *                       require protocol version 3.
  *
  * Failure to match these requirements is a programmer error that may result in
  * a synchronously thrown exception that should not be caught.
  */
 function fastMessageEncode(msg)
 {
-	var buffer, data_encoded, datalen, crc16;
+	var payload = encodePayload(msg);
+	return (encodeFrame(msg, payload.type, payload.data, null));
+}
+
+/*
+ * Validate the given message and encode its "data" using the codec for its
+ * TYPE.  This is the first half of encoding a message, after which the payload
+ * may be compressed before the second half (encodeFrame()).  Returns an object
+ * with properties:
+ *
+ *     data	the encoded payload, either a string (for text codecs) or a
+ *     		Buffer
+ *
+ *     type	the TYPE byte for the message (without any flags)
+ */
+function encodePayload(msg)
+{
+	var codec;
 
 	mod_assertplus.object(msg, 'msg');
 	mod_assertplus.ok(typeof (msg.msgid) == 'number' &&
@@ -176,17 +930,32 @@ function fastMessageEncode(msg)
 	mod_assertplus.object(msg.data, 'msg.data');
 	mod_assertplus.number(msg.status, 'msg.status');
 	mod_assertplus.number(msg.version, 'msg.version');
+	mod_assertplus.optionalNumber(msg.type, 'msg.type');
 
-	switch (msg.status) {
-	case FP_STATUS_DATA:
-	case FP_STATUS_END:
-	case FP_STATUS_ERROR:
-		break;
-	default:
+	codec = fp_codecs[msg.type === undefined ? FP_TYPE_JSON : msg.type];
+	mod_assertplus.ok(codec !== undefined, 'unsupported fast message type');
+	mod_assertplus.ok(codecAllowed(codec, msg.version,
+	    [ codec.capability ]), 'message type requires protocol version 3');
+
+	if (!statusAllowed(msg.status, msg.version, FP_CAPABILITIES)) {
 		throw (new VError('unsupported fast message status'));
 	}
 
-	data_encoded = JSON.stringify(msg.data);
+	return ({ 'data': codec.encode(msg.data), 'type': codec.type });
+}
+
+/*
+ * Assemble the complete message for the given encoded payload "data" (as
+ * returned by encodePayload(), or the compressed form of that), whose
+ * TYPE byte (including TYPE_FLAG_DEFLATE, if "data" is compressed) is "type".
+ * If "hmackey" is not null and the message uses protocol version 3, then the
+ * message is followed by its MAC computed with that key.  The caller is
+ * responsible for checking that the connection has negotiated compression and
+ * authentication.  Returns the encoded message as a Buffer.
+ */
+function encodeFrame(msg, type, data, hmackey)
+{
+	var buffer, datalen, crc16, hmac;
 
 	/*
 	 * Fast version 1 used a buggy version of the node-crc library so we
@@ -194,20 +963,35 @@ function fastMessageEncode(msg)
 	 * corrected version of the node-crc library.
 	 */
 	if (msg.version === FP_VERSION_1) {
-		crc16 = mod_old_crc.crc16(data_encoded);
+		crc16 = mod_old_crc.crc16(data);
 	} else {
-		crc16 = mod_crc.crc16(data_encoded);
+		crc16 = mod_crc.crc16(data);
 	}
 
-	datalen = Buffer.byteLength(data_encoded);
-	buffer = new Buffer(FP_HEADER_SZ + datalen);
+	hmac = hmackey !== null && msg.version == FP_VERSION_3;
+	if (hmac) {
+		type |= FP_TYPE_FLAG_HMAC;
+	}
+
+	datalen = typeof (data) == 'string' ?
+	    Buffer.byteLength(data) : data.length;
+	buffer = new Buffer(FP_HEADER_SZ + datalen + (hmac ? FP_HMAC_SZ : 0));
 	buffer.writeUInt8(msg.version, FP_OFF_VERSION);
-	buffer.writeUInt8(FP_TYPE_JSON, FP_OFF_TYPE);
+	buffer.writeUInt8(type, FP_OFF_TYPE);
 	buffer.writeUInt8(msg.status, FP_OFF_STATUS);
 	buffer.writeUInt32BE(msg.msgid, FP_OFF_MSGID);
 	buffer.writeUInt32BE(crc16, FP_OFF_CRC);
 	buffer.writeUInt32BE(datalen, FP_OFF_DATALEN);
-	buffer.write(data_encoded, FP_OFF_DATA, datalen, 'utf8');
+	if (typeof (data) == 'string') {
+		buffer.write(data, FP_OFF_DATA, datalen, 'utf8');
+	} else {
+		data.copy(buffer, FP_OFF_DATA);
+	}
+	if (hmac) {
+		computeHmac(hmackey, buffer.slice(0, FP_HEADER_SZ),
+		    buffer.slice(FP_OFF_DATA, FP_OFF_DATA + datalen)).copy(
+		    buffer, FP_OFF_DATA + datalen);
+	}
 	return (buffer);
 }
 
@@ -220,7 +1004,8 @@ function fastMessageEncode(msg)
  *             		buggy node-crc version. See the comments at the top
  *                      of this module for more details.
  *     headerCrc        The CRC provided in the Fast message header.
- *     data             The string representation of the Fast message data.
+ *     data             The Fast message data, as a string for text codecs and
+ *                      a Buffer otherwise.
  */
 function validateCrc(version, headerCrc, data) {
 	var valid = true;
@@ -270,37 +1055,44 @@ function crcValidationError(headerCrc, calculatedCrc, version) {
 }
 
 /*
- * Decode a fast message from a buffer that's known to contain a single,
- * well-formed message.  All of the protocol fields are known to be valid (e.g.,
- * version, type, status, and msgid) at this point, but the data has not been
- * read, so the CRC has not been validated.
+ * Decode a fast message from its already-parsed header and a buffer that's
+ * known to contain exactly the message's data payload.  All of the protocol
+ * fields are known to be valid (e.g., version, type, status, and msgid) at this
+ * point, but the data has not been read, so the CRC has not been validated
+ * (unless "header.crc" is null).  The payload must have already been inflated
+ * if it was compressed.
  */
-function fastMessageDecode(header, buffer)
+function fastMessageDecode(header, payload)
 {
-	var datalen, datastr, json;
+	var codec, data, json;
 
 	mod_assertplus.number(header.datalen, 'header.datalen');
-	datalen = header.datalen;
-	mod_assertplus.equal(buffer.length, FP_OFF_DATA + datalen);
-	datastr = buffer.toString('utf8', FP_OFF_DATA);
+	mod_assertplus.equal(payload.length, header.datalen);
+	codec = fp_codecs[header.type];
+	mod_assertplus.object(codec, 'codec');
+	data = codec.text ? payload.toString('utf8') : payload;
 
-	var crcValidationResult = validateCrc(header.version, header.crc,
-	    datastr);
+	/* The CRC of compressed payloads has already been validated. */
+	if (header.crc !== null) {
+		var crcValidationResult = validateCrc(header.version,
+		    header.crc, data);
 
-	if (crcValidationResult && !crcValidationResult.valid) {
-		return (crcValidationResult.error);
+		if (crcValidationResult && !crcValidationResult.valid) {
+			return (crcValidationResult.error);
+		}
 	}
 
 	try {
-		json = JSON.parse(datastr);
+		json = codec.decode(data);
 	} catch (ex) {
 		return (new VError({
 		    'name': 'FastProtocolError',
 		    'cause': ex,
 		    'info': {
-			'fastReason': 'invalid_json'
+			'fastReason': 'invalid_' + codec.name
 		    }
-		}, 'fast protocol: invalid JSON in "data"'));
+		}, 'fast protocol: invalid %s in "data"',
+		    codec.name.toUpperCase()));
 	}
 
 	if (typeof (json) != 'object' || json === null) {
@@ -323,6 +1115,31 @@ function fastMessageDecode(header, buffer)
 		    'an array'));
 	}
 
+	if ((header.status == FP_STATUS_CANCEL ||
+	    header.status == FP_STATUS_UNSUBSCRIBE ||
+	    header.status == FP_STATUS_PING ||
+	    header.status == FP_STATUS_PONG) && !Array.isArray(json.d)) {
+		return (new VError({
+		    'name': 'FastProtocolError',
+		    'info': {
+			'fastReason': 'bad_data_d'
+		    }
+		}, 'fast protocol: data.d for CANCEL, UNSUBSCRIBE, PING, ' +
+		    'and PONG messages must be an array'));
+	}
+
+	if (header.status == FP_STATUS_CREDIT &&
+	    (!Array.isArray(json.d) || json.d.length != 1 ||
+	    !isValidCredit(json.d[0]))) {
+		return (new VError({
+		    'name': 'FastProtocolError',
+		    'info': {
+			'fastReason': 'bad_credit'
+		    }
+		}, 'fast protocol: data.d for CREDIT messages must contain ' +
+		    'one positive integer no larger than %d', FP_CREDIT_MAX));
+	}
+
 	if (header.status == FP_STATUS_ERROR &&
 	    (typeof (json.d) != 'object' || json.d === null ||
 	    typeof (json.d.name) != 'string' ||
@@ -340,49 +1157,305 @@ function fastMessageDecode(header, buffer)
 	    'status': header.status,
 	    'msgid': header.msgid,
 	    'data': json,
-	    'version': header.version
+	    'version': header.version,
+	    'type': header.type
 	});
 }
 
 /*
  * Transform stream that takes logical messages and emits a buffer representing
- * that message (for sending over the wire).
+ * that message (for sending over the wire).  Named arguments (all optional):
+ *
+ *     compressThreshold	minimum size (in bytes) of encoded payloads to
+ *     				compress (see "Payload compression" above).
+ *     				Payloads are only compressed on connections
+ *     				that have negotiated the "deflate" capability
+ *     				(see setCapabilities()).  By default, nothing
+ *     				is compressed.
+ *
+ *     coalesceBytes		maximum number of bytes of encoded messages to
+ *     				combine into a single output buffer (see
+ *     				below).  The default is FP_COALESCE_BYTES.  If
+ *     				this is 0, each message is emitted as soon as
+ *     				it's encoded.
+ *
+ *     hmacKeys			array of keys for authenticating messages (see
+ *     				"Message authentication" above).  Messages are
+ *     				authenticated using the first key on
+ *     				connections that have negotiated the "hmac"
+ *     				capability.
+ *
+ * Each time a payload is compressed, the encoder emits 'deflate' with the
+ * number of bytes before and after compression.
+ *
+ * Writing each message to a socket separately makes streaming many small
+ * messages much more expensive than it needs to be, since each write is a
+ * separate system call (and often a separate TCP segment).  Instead, the first
+ * message written is emitted right away (so that a lone message is not delayed
+ * at all), but messages written after that during the same pass through the
+ * event loop are collected until the pass is done (or until "coalesceBytes"
+ * bytes have been collected) and then emitted as a single buffer.  Messages are
+ * never split or reordered: the output is byte-for-byte what it would have been
+ * otherwise, just in fewer pieces.
  */
-function FastMessageEncoder()
+function FastMessageEncoder(args)
 {
+	mod_assertplus.optionalObject(args, 'args');
+	if (args) {
+		mod_assertplus.optionalNumber(args.compressThreshold,
+		    'args.compressThreshold');
+		mod_assertplus.optionalNumber(args.coalesceBytes,
+		    'args.coalesceBytes');
+		if (args.hmacKeys !== undefined) {
+			validateHmacKeys(args.hmacKeys, 'args.hmacKeys');
+		}
+	}
+
 	mod_stream.Transform.call(this, {
 	    'highWaterMark': 16,
 	    'objectMode': true
 	});
+
+	this.me_threshold = args && typeof (args.compressThreshold) ==
+	    'number' ? args.compressThreshold : null;
+	mod_assertplus.ok(this.me_threshold === null || this.me_threshold >= 0,
+	    'args.compressThreshold must be non-negative');
+	this.me_deflate = false;	/* "deflate" has been negotiated */
+	this.me_coalesce = args && typeof (args.coalesceBytes) == 'number' ?
+	    args.coalesceBytes : FP_COALESCE_BYTES;
+	mod_assertplus.ok(this.me_coalesce >= 0,
+	    'args.coalesceBytes must be non-negative');
+	this.me_hmackeys = args && args.hmacKeys ? args.hmacKeys.slice(0) : [];
+	this.me_hmac = false;		/* "hmac" has been negotiated */
+
+	/* encoded messages not yet emitted (see above) */
+	this.me_pending = [];		/* list of encoded messages */
+	this.me_npending = 0;		/* total bytes in me_pending */
+	this.me_flushscheduled = false;	/* emitPending() is scheduled */
+
+	/* debug information */
+	this.me_ndeflated = 0;		/* count of payloads compressed */
+	this.me_nrawbytes = 0;		/* bytes before compression */
+	this.me_nwirebytes = 0;		/* bytes after compression */
+	this.me_nmessages = 0;		/* count of messages encoded */
+	this.me_nbuffers = 0;		/* count of buffers emitted */
 }
 
 mod_util.inherits(FastMessageEncoder, mod_stream.Transform);
 
+/*
+ * [public] Record that the connection on which this encoder sends messages has
+ * negotiated the given array of capabilities.  See
+ * FastMessageDecoder.setCapabilities().
+ */
+FastMessageEncoder.prototype.setCapabilities = function (capabilities)
+{
+	mod_assertplus.arrayOfString(capabilities, 'capabilities');
+	this.me_deflate = capabilities.indexOf(FP_CAPABILITY_DEFLATE) != -1;
+	this.me_hmac = capabilities.indexOf(FP_CAPABILITY_HMAC) != -1;
+	mod_assertplus.ok(!this.me_hmac || this.me_hmackeys.length > 0,
+	    'negotiated "hmac" without any keys');
+};
+
 FastMessageEncoder.prototype._transform = function (chunk, _, callback)
 {
-	this.push(fastMessageEncode(chunk));
-	setImmediate(callback);
+	var self = this;
+	var payload, rawbytes;
+
+	payload = encodePayload(chunk);
+	rawbytes = typeof (payload.data) == 'string' ?
+	    Buffer.byteLength(payload.data) : payload.data.length;
+	if (!this.me_deflate || this.me_threshold === null ||
+	    chunk.version != FP_VERSION_3 || rawbytes < this.me_threshold) {
+		this.transformFinish(chunk, payload.type, payload.data,
+		    callback);
+		return;
+	}
+
+	/*
+	 * Compression happens on the thread pool (see "Payload compression"
+	 * above).  We don't accept the next message until it's done, so
+	 * messages are still emitted in order.
+	 */
+	mod_zlib.deflate(payload.data, function (err, deflated) {
+		var wirebytes;
+
+		if (err) {
+			callback(new VError(err, 'failed to compress payload'));
+			return;
+		}
+
+		if (deflated.length >= rawbytes) {
+			self.transformFinish(chunk, payload.type, payload.data,
+			    callback);
+			return;
+		}
+
+		wirebytes = deflated.length;
+		self.me_ndeflated++;
+		self.me_nrawbytes += rawbytes;
+		self.me_nwirebytes += wirebytes;
+		self.emit('deflate', rawbytes, wirebytes);
+		self.transformFinish(chunk,
+		    payload.type | FP_TYPE_FLAG_DEFLATE, deflated, callback);
+	});
+};
+
+/*
+ * Finish encoding the message "chunk" from its (possibly compressed) payload
+ * and collect the result to be emitted.
+ */
+FastMessageEncoder.prototype.transformFinish = function (chunk, type, data,
+    callback)
+{
+	var buffer;
+
+	buffer = encodeFrame(chunk, type, data,
+	    this.me_hmac ? this.me_hmackeys[0] : null);
+	this.me_nmessages++;
+	this.me_pending.push(buffer);
+	this.me_npending += buffer.length;
+
+	/*
+	 * Once we've collected enough, emit what we have and give other work a
+	 * chance to run before accepting more, as we would if we weren't
+	 * coalescing.  Otherwise, accept more right away so that messages
+	 * written in the same tick are emitted together.  If nothing else has
+	 * been written during this pass through the event loop, emit this
+	 * message now and collect any that follow it.
+	 */
+	if (this.me_npending >= this.me_coalesce) {
+		this.emitPending();
+		setImmediate(callback);
+		return;
+	}
+
+	if (!this.me_flushscheduled) {
+		this.emitPending();
+		this.scheduleEmit();
+	}
+
+	callback();
+};
+
+FastMessageEncoder.prototype._flush = function (callback)
+{
+	this.emitPending();
+	callback();
+};
+
+/*
+ * Arrange for any messages collected from now on to be emitted once the
+ * current pass through the event loop is finished.
+ */
+FastMessageEncoder.prototype.scheduleEmit = function ()
+{
+	var self = this;
+
+	if (this.me_flushscheduled) {
+		return;
+	}
+
+	this.me_flushscheduled = true;
+	setImmediate(function () {
+		self.me_flushscheduled = false;
+		self.emitPending();
+	});
+};
+
+/*
+ * Emit pending messages as a single buffer.
+ */
+FastMessageEncoder.prototype.emitPending = function ()
+{
+	var buf;
+
+	if (this.me_pending.length === 0) {
+		return;
+	}
+
+	buf = this.me_pending.length == 1 ? this.me_pending[0] :
+	    Buffer.concat(this.me_pending, this.me_npending);
+	this.me_pending = [];
+	this.me_npending = 0;
+	this.me_nbuffers++;
+	this.push(buf);
 };
 
 
 /*
  * Transform stream that takes bytes (via Buffer objects) and emits an object
- * representing the encoded Fast message.
+ * representing the encoded Fast message.  Named arguments (all optional):
+ *
+ *     crcMode		one of the FAST_CHECKSUM_* constants, describing which
+ *     			CRC calculations are acceptable for incoming messages.
+ *     			The default is FAST_CHECKSUM_V1_V2, which accepts both.
+ *
+ *     maxMessageBytes	maximum size (in bytes) of the data payload of any
+ *     			incoming message.  A message whose header announces a
+ *     			larger payload is rejected as soon as the header is
+ *     			read with a FastProtocolError whose fastReason is
+ *     			"message_too_large", rather than buffering the payload.
+ *     			By default, there is no limit other than the one
+ *     			imposed by the 32-bit DLEN field.  The limit also
+ *     			applies to compressed payloads after they've been
+ *     			inflated, and if it's not set, inflated payloads are
+ *     			limited to FP_INFLATE_MAX_BYTES.
+ *
+ *     hmacKeys		array of keys for authenticating messages (see
+ *     			"Message authentication" above).  On connections that
+ *     			have negotiated the "hmac" capability, messages are
+ *     			accepted only if they're authenticated with one of
+ *     			these keys.
+ *
+ * Each time a compressed payload is inflated, the decoder emits 'inflate' with
+ * the number of bytes before and after inflating it.
  */
-function FastMessageDecoder()
+function FastMessageDecoder(args)
 {
+	mod_assertplus.optionalObject(args, 'args');
+	if (args) {
+		mod_assertplus.optionalNumber(args.crcMode, 'args.crcMode');
+		mod_assertplus.optionalNumber(args.maxMessageBytes,
+		    'args.maxMessageBytes');
+		if (args.hmacKeys !== undefined) {
+			validateHmacKeys(args.hmacKeys, 'args.hmacKeys');
+		}
+	}
+
 	mod_stream.Transform.call(this, {
 	    'objectMode': true
 	});
 
-	/* current state */
-	this.md_buffer = null;		/* unparsed data */
+	/* configuration */
+	this.md_crcmode = args && args.crcMode !== undefined ?
+	    args.crcMode : FAST_CHECKSUM_V1_V2;
+	mod_assertplus.ok(this.md_crcmode == FAST_CHECKSUM_V1 ||
+	    this.md_crcmode == FAST_CHECKSUM_V1_V2 ||
+	    this.md_crcmode == FAST_CHECKSUM_V2, 'unsupported CRC mode');
+	this.md_maxbytes = args && typeof (args.maxMessageBytes) == 'number' ?
+	    args.maxMessageBytes : null;
+	mod_assertplus.ok(this.md_maxbytes === null || this.md_maxbytes >= 0,
+	    'args.maxMessageBytes must be non-negative');
+	this.md_maxinflate = this.md_maxbytes !== null ?
+	    this.md_maxbytes : FP_INFLATE_MAX_BYTES;
+	this.md_hmackeys = args && args.hmacKeys ? args.hmacKeys.slice(0) : [];
+
+	/*
+	 * Current state.  Incoming chunks are kept in a list rather than being
+	 * concatenated as they arrive, and the header of the message currently
+	 * being read is parsed only once.  The payload of each message is
+	 * either a slice of a single chunk or else is assembled by copying each
+	 * byte exactly once.  See decode().
+	 */
+	this.md_chunks = [];		/* unparsed data, as a list of chunks */
 	this.md_havebytes = 0;		/* bytes of unparsed data */
 	this.md_done = false;		/* we've read end-of-stream */
 	this.md_error = null;		/* fatal error */
 	this.md_pushing = false;	/* currently calling push() */
 
-	/* current header */
+	/* current header (md_version is non-null iff we've read a header) */
+	this.md_header = null;		/* raw header (for authentication) */
 	this.md_version = null;
 	this.md_type = null;
 	this.md_status = null;
@@ -390,23 +1463,30 @@ function FastMessageDecoder()
 	this.md_crc = null;
 	this.md_datalen = null;
 
+	/*
+	 * Capabilities negotiated for this connection, or null if no handshake
+	 * has completed.  See setCapabilities().  md_hmac is true if the
+	 * capabilities include "hmac".
+	 */
+	this.md_capabilities = null;
+	this.md_hmac = false;
+
 	/* debug information */
 	this.md_nmessages = 0;
 	this.md_nbytes = 0;
+	this.md_ncopies = 0;		/* payloads that spanned chunks */
+	this.md_ninflated = 0;		/* count of payloads inflated */
+	this.md_nrawbytes = 0;		/* bytes after inflating */
+	this.md_nwirebytes = 0;		/* bytes before inflating */
 }
 
 mod_util.inherits(FastMessageDecoder, mod_stream.Transform);
 
 FastMessageDecoder.prototype._transform = function (chunk, _, callback)
 {
-	this.md_havebytes += chunk.length;
-
-	if (this.md_buffer === null) {
-		mod_assertplus.equal(this.md_havebytes, chunk.length);
-		this.md_buffer = chunk;
-	} else {
-		this.md_buffer = Buffer.concat(
-		    [ this.md_buffer, chunk ], this.md_havebytes);
+	if (chunk.length > 0) {
+		this.md_chunks.push(chunk);
+		this.md_havebytes += chunk.length;
 	}
 
 	this.md_nbytes += chunk.length;
@@ -419,138 +1499,458 @@ FastMessageDecoder.prototype._flush = function (callback)
 	this.decode(callback);
 };
 
-FastMessageDecoder.prototype.decode = function (callback)
+/*
+ * [public] Record that the connection on which this decoder receives messages
+ * has completed a handshake, negotiating the given array of capabilities.
+ * Until this is called, messages using protocol version 3 are rejected.
+ */
+FastMessageDecoder.prototype.setCapabilities = function (capabilities)
 {
-	var buf, msg;
+	mod_assertplus.arrayOfString(capabilities, 'capabilities');
+	this.md_capabilities = capabilities.slice(0);
+	this.md_hmac = capabilities.indexOf(FP_CAPABILITY_HMAC) != -1;
+	mod_assertplus.ok(!this.md_hmac || this.md_hmackeys.length > 0,
+	    'negotiated "hmac" without any keys');
+};
 
-	if (this.md_pushing) {
-		return;
+/*
+ * [public] Returns the capabilities negotiated for this connection (see
+ * setCapabilities()).  This is empty if no handshake has completed.
+ */
+FastMessageDecoder.prototype.capabilities = function ()
+{
+	return (this.md_capabilities === null ? [] :
+	    this.md_capabilities.slice(0));
+};
+
+/*
+ * Remove the next "nbytes" bytes of unparsed data and return them as a single
+ * Buffer.  If they're all contained in the first chunk (the common case for
+ * small messages), this returns a slice of that chunk without copying.
+ * Otherwise, the bytes are copied into a new buffer.  Either way, each byte is
+ * consumed exactly once.  The caller must have already checked that there are
+ * at least "nbytes" bytes available.
+ */
+FastMessageDecoder.prototype.consume = function (nbytes)
+{
+	var chunk, rv, off, ncopy;
+
+	mod_assertplus.ok(nbytes <= this.md_havebytes);
+	this.md_havebytes -= nbytes;
+
+	if (nbytes === 0) {
+		return (new Buffer(0));
 	}
 
+	chunk = this.md_chunks[0];
+	if (chunk.length >= nbytes) {
+		rv = chunk.slice(0, nbytes);
+		if (chunk.length == nbytes) {
+			this.md_chunks.shift();
+		} else {
+			this.md_chunks[0] = chunk.slice(nbytes);
+		}
+		return (rv);
+	}
+
+	rv = new Buffer(nbytes);
+	off = 0;
+	while (off < nbytes) {
+		chunk = this.md_chunks[0];
+		ncopy = Math.min(chunk.length, nbytes - off);
+		chunk.copy(rv, off, 0, ncopy);
+		off += ncopy;
+		if (ncopy == chunk.length) {
+			this.md_chunks.shift();
+		} else {
+			this.md_chunks[0] = chunk.slice(ncopy);
+		}
+	}
+
+	return (rv);
+};
+
+/*
+ * Parse and validate the header at the front of the unparsed data.  The caller
+ * must have already checked that a complete header is available.  On success,
+ * the header fields are saved in the md_* properties.  On failure, md_error is
+ * set.
+ */
+FastMessageDecoder.prototype.decodeHeader = function ()
+{
+	var buf, codec;
+
+	mod_assertplus.ok(this.md_havebytes >= FP_HEADER_SZ);
 	mod_assertplus.ok(this.md_error === null);
+	mod_assertplus.ok(this.md_version === null);
 
-	while (this.md_havebytes >= FP_HEADER_SZ) {
-		buf = this.md_buffer;
-		mod_assertplus.equal(buf.length, this.md_havebytes);
-		mod_assertplus.ok(buf !== null);
-		mod_assertplus.ok(this.md_error === null);
-		mod_assertplus.ok(this.md_version === null);
+	buf = this.consume(FP_HEADER_SZ);
+	this.md_header = buf;
+	this.md_version = buf.readUInt8(FP_OFF_VERSION);
+	if (this.md_version != FP_VERSION_3 &&
+	    this.md_version != FP_VERSION_2 &&
+	    this.md_version != FP_VERSION_1) {
+		this.md_error = new VError({
+		    'name': 'FastProtocolError',
+		    'info': {
+			'fastReason': 'unsupported_version',
+			'foundVersion': this.md_version
+		    }
+		}, 'fast protocol: unsupported version %d', this.md_version);
+		return;
+	}
 
-		this.md_version = buf.readUInt8(FP_OFF_VERSION);
-		if (this.md_version != FP_VERSION_CURRENT &&
-		    this.md_version != FP_VERSION_1) {
-			this.md_error = new VError({
-			    'name': 'FastProtocolError',
-			    'info': {
-				'fastReason': 'unsupported_version',
-				'foundVersion': this.md_version
-			    }
-			}, 'fast protocol: unsupported version %d',
-			    this.md_version);
-			break;
+	if (this.md_version == FP_VERSION_3 && this.md_capabilities === null) {
+		this.md_error = new VError({
+		    'name': 'FastProtocolError',
+		    'info': {
+			'fastReason': 'unsupported_version',
+			'foundVersion': this.md_version
+		    }
+		}, 'fast protocol: version %d used before handshake',
+		    this.md_version);
+		return;
+	}
+
+	if (!crcModeAllowsVersion(this.md_crcmode, this.md_version)) {
+		this.md_error = new VError({
+		    'name': 'FastProtocolError',
+		    'info': {
+			'fastReason': 'unsupported_crc',
+			'foundVersion': this.md_version,
+			'crcMode': this.md_crcmode
+		    }
+		}, 'fast protocol: CRC for version %d not allowed ' +
+		    'by CRC mode %d', this.md_version, this.md_crcmode);
+		return;
+	}
+
+	this.md_type = buf.readUInt8(FP_OFF_TYPE);
+	codec = fp_codecs.hasOwnProperty(this.md_type & FP_TYPE_MASK) ?
+	    fp_codecs[this.md_type & FP_TYPE_MASK] : null;
+	if (codec === null) {
+		this.md_error = new VError({
+		    'name': 'FastProtocolError',
+		    'info': {
+		        'fastReason': 'unsupported_type',
+			'foundType': this.md_type
+		    }
+		}, 'fast protocol: unsupported type 0x%x', this.md_type);
+		return;
+	}
+
+	if (!codecAllowed(codec, this.md_version, this.md_capabilities)) {
+		this.md_error = new VError({
+		    'name': 'FastProtocolError',
+		    'info': {
+		        'fastReason': 'unsupported_type',
+			'foundType': this.md_type,
+			'foundVersion': this.md_version
+		    }
+		}, 'fast protocol: type 0x%x used without negotiating ' +
+		    'capability "%s" (version %d)', this.md_type,
+		    codec.capability, this.md_version);
+		return;
+	}
+
+	if ((this.md_type & FP_TYPE_FLAG_DEFLATE) != 0 &&
+	    (this.md_version != FP_VERSION_3 ||
+	    this.md_capabilities.indexOf(FP_CAPABILITY_DEFLATE) == -1)) {
+		this.md_error = new VError({
+		    'name': 'FastProtocolError',
+		    'info': {
+		        'fastReason': 'unsupported_type',
+			'foundType': this.md_type,
+			'foundVersion': this.md_version
+		    }
+		}, 'fast protocol: type 0x%x used without negotiating ' +
+		    'capability "%s" (version %d)', this.md_type,
+		    FP_CAPABILITY_DEFLATE, this.md_version);
+		return;
+	}
+
+	if ((this.md_type & FP_TYPE_FLAG_HMAC) != 0 &&
+	    (this.md_version != FP_VERSION_3 || !this.md_hmac)) {
+		this.md_error = new VError({
+		    'name': 'FastProtocolError',
+		    'info': {
+		        'fastReason': 'unsupported_type',
+			'foundType': this.md_type,
+			'foundVersion': this.md_version
+		    }
+		}, 'fast protocol: type 0x%x used without negotiating ' +
+		    'capability "%s" (version %d)', this.md_type,
+		    FP_CAPABILITY_HMAC, this.md_version);
+		return;
+	}
+
+	/*
+	 * Once authentication has been negotiated, unauthenticated messages
+	 * (including those using older protocol versions, which can't be
+	 * authenticated) could have come from anybody.
+	 */
+	if (this.md_hmac && (this.md_type & FP_TYPE_FLAG_HMAC) == 0) {
+		this.md_error = new VError({
+		    'name': 'FastProtocolError',
+		    'info': {
+			'fastReason': 'bad_hmac',
+			'foundType': this.md_type,
+			'foundVersion': this.md_version
+		    }
+		}, 'fast protocol: message is not authenticated');
+		return;
+	}
+
+	this.md_status = buf.readUInt8(FP_OFF_STATUS);
+	if (!statusAllowed(this.md_status, this.md_version,
+	    this.md_capabilities)) {
+		this.md_error = new VError({
+		    'name': 'FastProtocolError',
+		    'info': {
+		        'fastReason': 'unsupported_status',
+			'foundStatus': this.md_status
+		    }
+		}, 'fast protocol: unsupported status 0x%x', this.md_status);
+		return;
+	}
+
+	this.md_msgid = buf.readUInt32BE(FP_OFF_MSGID);
+	if (this.md_msgid < 0 || this.md_msgid > FP_MSGID_MAX) {
+		this.md_error = new VError({
+		    'name': 'FastProtocolError',
+		    'info': {
+			'fastReason': 'invalid_msgid',
+			'foundMsgid': this.md_msgid
+		    }
+		}, 'fast protocol: invalid msgid %s', this.md_msgid);
+		return;
+	}
+
+	this.md_crc = buf.readUInt32BE(FP_OFF_CRC);
+	this.md_datalen = buf.readUInt32BE(FP_OFF_DATALEN);
+	if (this.md_maxbytes !== null && this.md_datalen > this.md_maxbytes) {
+		/*
+		 * Fail now rather than waiting for (and buffering) the whole
+		 * payload.  Since the stream is now in error, we drop what
+		 * we've already buffered, too.
+		 */
+		this.md_error = new VError({
+		    'name': 'FastProtocolError',
+		    'info': {
+			'fastReason': 'message_too_large',
+			'rpcMsgid': this.md_msgid,
+			'messageBytes': this.md_datalen,
+			'maxMessageBytes': this.md_maxbytes
+		    }
+		}, 'fast protocol: message payload of %d bytes ' +
+		    'exceeds maximum of %d bytes', this.md_datalen,
+		    this.md_maxbytes);
+		this.md_chunks = [];
+		this.md_havebytes = 0;
+	}
+};
+
+/*
+ * Check the MAC of the current message, which has the given payload (as sent).
+ * Returns true if it matches one of our keys.  Otherwise, md_error is set and
+ * false is returned.
+ */
+FastMessageDecoder.prototype.authenticate = function (payload, mac)
+{
+	var i, expected;
+
+	mod_assertplus.equal(mac.length, FP_HMAC_SZ);
+	for (i = 0; i < this.md_hmackeys.length; i++) {
+		expected = computeHmac(this.md_hmackeys[i], this.md_header,
+		    payload);
+		if (mod_crypto.timingSafeEqual(expected, mac)) {
+			return (true);
 		}
+	}
 
-		this.md_type = buf.readUInt8(FP_OFF_TYPE);
-		if (this.md_type != FP_TYPE_JSON) {
-			this.md_error = new VError({
+	this.md_error = new VError({
+	    'name': 'FastProtocolError',
+	    'info': {
+		'fastReason': 'bad_hmac',
+		'rpcMsgid': this.md_msgid
+	    }
+	}, 'fast protocol: message authentication failed');
+	return (false);
+};
+
+/*
+ * Validate the CRC of the given compressed payload for the current message,
+ * inflate it, and then finish decoding the message and resume decoding
+ * whatever follows it.  Inflating happens on the thread pool (see "Payload
+ * compression" above).  We don't invoke "callback" (the one passed to
+ * decode()) until it's done, so no more data arrives in the meantime.
+ */
+FastMessageDecoder.prototype.inflate = function (payload, callback)
+{
+	var self = this;
+	var crcresult;
+
+	crcresult = validateCrc(this.md_version, this.md_crc, payload);
+	if (!crcresult.valid) {
+		this.md_error = crcresult.error;
+		this.decodeDone(callback);
+		return;
+	}
+
+	/*
+	 * Node versions that don't support "maxOutputLength" ignore it, so we
+	 * check the result's length below, too.
+	 */
+	mod_zlib.inflate(payload, {
+	    'maxOutputLength': Math.max(1, this.md_maxinflate)
+	}, function (err, rv) {
+		if (err && !(err instanceof RangeError)) {
+			self.md_error = new VError({
 			    'name': 'FastProtocolError',
+			    'cause': err,
 			    'info': {
-			        'fastReason': 'unsupported_type',
-				'foundType': this.md_type
+				'fastReason': 'invalid_deflate'
 			    }
-			}, 'fast protocol: unsupported type 0x%x',
-			    this.md_type);
-			break;
-		}
-
-		this.md_status = buf.readUInt8(FP_OFF_STATUS);
-		switch (this.md_status) {
-		case FP_STATUS_DATA:
-		case FP_STATUS_END:
-		case FP_STATUS_ERROR:
-			break;
-		default:
-			this.md_error = new VError({
+			}, 'fast protocol: invalid compressed "data"');
+		} else if (err || rv.length > self.md_maxinflate) {
+			self.md_error = new VError({
 			    'name': 'FastProtocolError',
 			    'info': {
-			        'fastReason': 'unsupported_status',
-				'foundStatus': this.md_status
+				'fastReason': 'message_too_large',
+				'rpcMsgid': self.md_msgid,
+				'maxMessageBytes': self.md_maxinflate
 			    }
-			}, 'fast protocol: unsupported status 0x%x',
-			    this.md_status);
-			break;
+			}, 'fast protocol: inflated message payload exceeds ' +
+			    'maximum of %d bytes', self.md_maxinflate);
 		}
 
-		if (this.md_error !== null) {
-			break;
+		if (self.md_error !== null) {
+			self.decodeDone(callback);
+			return;
 		}
 
-		this.md_msgid = buf.readUInt32BE(FP_OFF_MSGID);
-		if (this.md_msgid < 0 || this.md_msgid > FP_MSGID_MAX) {
-			this.md_error = new VError({
-			    'name': 'FastProtocolError',
-			    'info': {
-				'fastReason': 'invalid_msgid',
-				'foundMsgid': this.md_msgid
-			    }
-			}, 'fast protocol: invalid msgid %s', this.md_msgid);
-			break;
+		self.md_ninflated++;
+		self.md_nrawbytes += rv.length;
+		self.md_nwirebytes += payload.length;
+		self.emit('inflate', rv.length, payload.length);
+
+		if (self.decodePayload(rv, null)) {
+			self.decode(callback);
+		} else {
+			self.decodeDone(callback);
 		}
+	});
+};
+
+FastMessageDecoder.prototype.decode = function (callback)
+{
+	var payload, hmac;
 
-		this.md_crc = buf.readUInt32BE(FP_OFF_CRC);
-		this.md_datalen = buf.readUInt32BE(FP_OFF_DATALEN);
-
-		if (this.md_havebytes < FP_HEADER_SZ + this.md_datalen) {
-			/*
-			 * We don't have enough bytes to continue.  Stop now.
-			 * We'll end up re-parsing the header again when we have
-			 * more data.  If that turns out to be expensive, we can
-			 * rework this code to keep track of where we were.
-			 */
-			this.md_version = null;
-			this.md_type = null;
-			this.md_status = null;
-			this.md_msgid = null;
-			this.md_crc = null;
-			this.md_datalen = null;
+	if (this.md_pushing) {
+		return;
+	}
+
+	mod_assertplus.ok(this.md_error === null);
+
+	for (;;) {
+		mod_assertplus.ok(this.md_error === null);
+
+		if (this.md_version === null) {
+			if (this.md_havebytes < FP_HEADER_SZ) {
+				break;
+			}
+
+			this.decodeHeader();
+			if (this.md_error !== null) {
+				break;
+			}
+		}
+
+		/*
+		 * We've got a valid header.  If we don't yet have the whole
+		 * payload, stop now.  We'll pick up where we left off (without
+		 * re-parsing the header) when more data arrives.
+		 */
+		mod_assertplus.number(this.md_datalen);
+		hmac = (this.md_type & FP_TYPE_FLAG_HMAC) != 0;
+		if (this.md_havebytes <
+		    this.md_datalen + (hmac ? FP_HMAC_SZ : 0)) {
 			break;
 		}
 
 		/*
-		 * We have a complete message.  Consume it and update our buffer
+		 * We have a complete message.  Consume it and reset our header
 		 * state.
 		 */
-		buf = this.md_buffer.slice(0, FP_HEADER_SZ + this.md_datalen);
-		this.md_buffer = this.md_buffer.slice(
-		    FP_HEADER_SZ + this.md_datalen);
-		this.md_havebytes -= buf.length;
-		msg = fastMessageDecode({
-		    'version': this.md_version,
-		    'type': this.md_type,
-		    'status': this.md_status,
-		    'msgid': this.md_msgid,
-		    'crc': this.md_crc,
-		    'datalen': this.md_datalen
-		}, buf);
-		if (msg instanceof Error) {
-			this.md_error = msg;
+		if (this.md_chunks.length > 0 &&
+		    this.md_chunks[0].length < this.md_datalen) {
+			this.md_ncopies++;
+		}
+		payload = this.consume(this.md_datalen);
+		if (hmac && !this.authenticate(payload,
+		    this.consume(FP_HMAC_SZ))) {
 			break;
 		}
 
-		this.md_version = null;
-		this.md_type = null;
-		this.md_status = null;
-		this.md_msgid = null;
-		this.md_crc = null;
-		this.md_datalen = null;
+		if ((this.md_type & FP_TYPE_FLAG_DEFLATE) != 0) {
+			this.inflate(payload, callback);
+			return;
+		}
+
+		if (!this.decodePayload(payload, this.md_crc)) {
+			break;
+		}
+	}
+
+	this.decodeDone(callback);
+};
+
+/*
+ * Decode the given (already inflated, if it was compressed) payload of the
+ * current message and emit the message.  "crc" is the CRC to validate the
+ * payload against, or null if it has already been validated.  On failure,
+ * md_error is set and false is returned.
+ */
+FastMessageDecoder.prototype.decodePayload = function (payload, crc)
+{
+	var msg;
 
-		this.md_pushing = true;
-		this.push(msg);
-		this.md_pushing = false;
-		this.md_nmessages++;
+	msg = fastMessageDecode({
+	    'version': this.md_version,
+	    'type': this.md_type & FP_TYPE_MASK,
+	    'status': this.md_status,
+	    'msgid': this.md_msgid,
+	    'crc': crc,
+	    'datalen': payload.length
+	}, payload);
+	if (msg instanceof Error) {
+		this.md_error = msg;
+		return (false);
 	}
 
-	if (this.md_error === null && this.md_havebytes > 0 && this.md_done) {
+	this.md_header = null;
+	this.md_version = null;
+	this.md_type = null;
+	this.md_status = null;
+	this.md_msgid = null;
+	this.md_crc = null;
+	this.md_datalen = null;
+
+	this.md_pushing = true;
+	this.push(msg);
+	this.md_pushing = false;
+	this.md_nmessages++;
+	return (true);
+};
+
+/*
+ * Finish processing the data we've been given so far, reporting any error to
+ * "callback" (the one passed to decode()).
+ */
+FastMessageDecoder.prototype.decodeDone = function (callback)
+{
+	if (this.md_error === null && this.md_done &&
+	    (this.md_havebytes > 0 || this.md_version !== null)) {
 		this.md_error = new VError({
 		    'name': 'FastProtocolError',
 		    'info': {
@@ -23,10 +23,12 @@
  * Flow control
  *
  * The implementation of the server is structured primarily into object-mode
- * streams to support Node's built-in flow control.  This is only of limited
- * utility at this time, since the client does not support per-request flow
- * control.  However, if a client is itself reading slowly, then this mechanism
- * allows the server manage backpressure appropriately.
+ * streams to support Node's built-in flow control.  If a client is itself
+ * reading slowly, then this mechanism allows the server to manage backpressure
+ * appropriately.  Clients that negotiate the "credit" capability can also flow
+ * control individual requests (see "Flow control" in lib/fast_protocol.js), in
+ * which case each request's FastRpcResponseEncoder stops reading from the RPC
+ * context whenever the request has run out of credit.
  *
  * The RPC context argument provided to RPC method handlers is itself an
  * object-mode stream.  Objects written to the stream are sent to the client.
@@ -84,12 +86,16 @@
  *    |    FastRpcConnectionDecoder  (tags incoming Fast messages with a    |
  *    |        |                     connection identifier for session      |
  *    |        | (pipe: objects)     tracking)                              |
+ *    |        v                                                            |
+ *    |    FastMessageHandlerInput   (holds the connection's next message   |
+ *    |        |                     until the handler dispatches it)       |
  *    |        |                                                            |
  *    +------- | -----------------------------------------------------------+
  *             |
  *             v
  *       FastMessageHandler          (one for the entire server that invokes
- *                                   server.onMessage() for each message)
+ *                                   server.onMessage() for each message,
+ *                                   taking turns among connections)
  *
  * Since there are many connections and one FastMessageHandler for the server,
  * the whole picture looks like this:
@@ -107,27 +113,35 @@
  *                                     v
  *                             server.onMessage()
  *
- * The FastMessageHandler currently provides no backpressure.  If desired, a
- * a simple throttle could flow-control the entire pipeline based on concurrent
- * outstanding RPC requests.  A more complex governor could look at the the
- * count of requests per connection and prioritize some notion of fairness among
- * them.  As a result of the lack of flow control here, it's possible for any
- * client to overwhelm the server by blasting messages to it; however, because
- * the intended deployment is not a byzantine environment, this issue is not
- * considered a priority for future work.
+ * The FastMessageHandler dispatches messages round-robin: each connection with
+ * a message waiting gets one turn in each pass, so a client blasting messages
+ * at the server cannot starve the others.  If the server was created with
+ * "maxConnectionRequests", the handler also holds back new requests from any
+ * connection that has that many requests outstanding until some of them
+ * complete, and it stops reading from a connection once it's holding more
+ * requests than that, too.  Since it reads one message at a time from each
+ * connection, that backpressure propagates up the connection's pipeline to the
+ * socket and ultimately to the client.  See FastMessageHandler below for
+ * details.  The server-wide limit on concurrent requests (see "Request
+ * concurrency") is separate: it queues requests that have already been read
+ * rather than pausing connections.
  */
 
 var mod_assertplus = require('assert-plus');
+var mod_crypto = require('crypto');
 var mod_dtrace = require('dtrace-provider');
 var mod_events = require('events');
 var mod_jsprim = require('jsprim');
 var mod_microtime = require('microtime');
 var mod_stream = require('stream');
+var mod_tls = require('tls');
 var mod_util = require('util');
 var VError = require('verror');
 
+var mod_client = require('./fast_client');
 var mod_protocol = require('./fast_protocol');
 var mod_subr = require('./subr');
+var mod_trace = require('./trace');
 
 exports.FastServer = FastServer;
 
@@ -149,6 +163,43 @@ var DEFAULT_BUCKETS = [
  */
 var FS_MAX_CONNID = (1 << 30);
 
+/*
+ * Default number of consecutive PINGs that may go unanswered before the server
+ * decides that a client is dead.  See the "pingInterval" option.
+ */
+var FS_PING_MAX_MISSED = 3;
+
+/*
+ * Default maximum number of objects packed into each DATA message for RPC
+ * methods whose responses are batched.  See the "batch" option.
+ */
+var FS_BATCH_MAX_OBJECTS = 100;
+
+/*
+ * Size of the random challenge sent to clients that negotiate "auth".  See
+ * "Client authentication".
+ */
+var FS_AUTH_CHALLENGE_BYTES = 16;
+
+/*
+ * Number of input messages that the server allows a client to send ahead of
+ * the handler for requests with streaming input.  See "Request streams".
+ */
+var FS_INPUT_WINDOW = 64;
+
+/*
+ * Number of recently completed reverse requests that each connection keeps
+ * track of for debugging.  See "Reverse requests".
+ */
+var FS_REVERSE_NRECENT = 16;
+
+/*
+ * Default maximum number of requests waiting for a concurrency slot when the
+ * server limits request concurrency.  See "Request concurrency".  Like
+ * FS_MAX_CONNID, this is chosen pretty arbitrarily.
+ */
+var FS_MAX_QUEUED_REQUESTS = 1000;
+
 /*
  * There's one DTrace provider for all servers using this copy of this module.
  */
@@ -170,13 +221,131 @@ fastNservers = 0;
  *
  *     log		bunyan-style logger
  *
- *     server		server object that emits 'connection' events
+ *     server		server object that emits 'connection' events, or a
+ *     			tls.Server (see "TLS" below)
  *
  *     collector	artedi-style metric collector
  *
+ *     crcMode		(optional) one of the FAST_CHECKSUM_* constants from
+ *     			lib/fast_protocol.js describing which CRC calculations
+ *     			clients may use.  The default, FAST_CHECKSUM_V1_V2,
+ *     			accepts both and responds to each request using the
+ *     			same calculation the client used.  Requests using a CRC
+ *     			that's not allowed are failed with a FastError whose
+ *     			fastReason is "unsupported_crc".
+ *
+ *     maxMessageBytes	(optional) maximum size (in bytes) of the payload of
+ *     			any message received from a client.  Connections whose
+ *     			clients send larger messages are terminated.  By
+ *     			default, there is no limit.
+ *
+ *     capabilities	(optional) array of protocol capabilities that this
+ *     			server will agree to use with clients that perform a
+ *     			handshake (see "Protocol version 3" in
+ *     			lib/fast_protocol.js).  The default is all of the
+ *     			capabilities implemented by this module.  This is
+ *     			mainly useful for disabling features.
+ *
+ *     compressThreshold	(optional) minimum size (in bytes) of response
+ *     			payloads to compress on connections that have
+ *     			negotiated the "deflate" capability (see "Payload
+ *     			compression" in lib/fast_protocol.js).  By default,
+ *     			responses are not compressed.  Compressed requests
+ *     			are accepted either way.
+ *
+ *     pingInterval	(optional) milliseconds between PING messages sent to
+ *     			each client whose connection has negotiated the "ping"
+ *     			capability (see "Keepalive" in lib/fast_protocol.js).
+ *     			By default, the server does not send PINGs, though it
+ *     			always answers clients' PINGs.
+ *
+ *     pingMaxMissed	(optional) number of consecutive PINGs that may go
+ *     			unanswered before the server terminates the
+ *     			connection.  The default is 3.
+ *
+ *     enforceDeadlines	(optional boolean) if true, requests whose clients
+ *     			specified a timeout (see "Request deadlines" in
+ *     			lib/fast_protocol.js) are failed with a
+ *     			DeadlineExceededError once that much time has passed,
+ *     			and their handlers are notified as though the client
+ *     			had cancelled them.  By default, handlers may inspect
+ *     			the deadline, but requests run until they finish.
+ *
+ *     coalesceBytes	(optional) maximum number of bytes of messages to
+ *     			combine into a single write to each client's socket
+ *     			(see FastMessageEncoder).  The default is
+ *     			FP_COALESCE_BYTES.  0 disables coalescing.
+ *
+ *     traceExporter	(optional) object to which spans are reported (see
+ *     			lib/trace.js).  If specified, every request is traced,
+ *     			continuing the client's trace if the request carried
+ *     			trace context.  Otherwise, only requests that carry
+ *     			trace context are traced.
+ *
+ *     hmacKeys		(optional) array of shared keys (strings or Buffers)
+ *     			with which to authenticate messages on connections
+ *     			whose clients negotiate the "hmac" capability (see
+ *     			"Message authentication" in lib/fast_protocol.js).
+ *     			Messages are sent using the first key, and received
+ *     			messages may use any of them.  Without keys, the
+ *     			server does not agree to "hmac".
+ *
+ *     hmacRequired	(optional boolean) if true, requests on connections
+ *     			that have not negotiated "hmac" are failed with a
+ *     			FastError whose fastReason is "hmac_required".  This
+ *     			requires "hmacKeys".  The default is false.
+ *
+ *     authenticate	(optional) function invoked to check the credential
+ *     			presented by each client that negotiates the "auth"
+ *     			capability, as described under "Client
+ *     			authentication" below.  Without this function, the
+ *     			server does not agree to "auth".
+ *
+ *     authRequired	(optional boolean) if true, requests on connections
+ *     			that have not authenticated are failed with a
+ *     			FastError whose fastReason is "auth_required".  This
+ *     			requires "authenticate".  The default is false.
+ *
+ *     authorize	(optional) default authorization policy for RPC methods
+ *     			(see "Authorization" below).  This may be overridden
+ *     			for each method with registerRpcMethod().  By default,
+ *     			any client may invoke any method.
+ *
+ *     batch		(optional) if specified, objects written by RPC
+ *     			handlers are packed into DATA messages as described
+ *     			under "Response batching" below.  This may be
+ *     			overridden for each method with registerRpcMethod().
+ *     			By default, each object is sent in its own message.
+ *
+ *     maxConcurrentRequests	(optional) maximum number of requests whose
+ *     			handlers may be running at once.  Requests beyond
+ *     			that wait in a queue, as described under "Request
+ *     			concurrency" below.  By default, there is no limit.
+ *
+ *     maxQueuedRequests	(optional) maximum number of requests that may
+ *     			wait in the queue.  Requests that would exceed this
+ *     			are failed with a FastError whose fastReason is
+ *     			"server_busy".  This requires maxConcurrentRequests.
+ *     			The default is 1000.
+ *
+ *     queueTimeout	(optional) milliseconds after which a request that's
+ *     			still waiting in the queue is failed with a FastError
+ *     			whose fastReason is "server_busy".  This requires
+ *     			maxConcurrentRequests.  By default, requests wait
+ *     			until they can run.
+ *
+ *     maxConnectionRequests	(optional) maximum number of requests that
+ *     			may be outstanding on each connection.  The limit is
+ *     			inclusive: a connection may have this many requests
+ *     			running, and further requests are held until some of
+ *     			them complete.  Once a connection has more held
+ *     			requests than this, the server stops reading from it
+ *     			(see FastMessageHandler).  By default, there is no
+ *     			limit.
  *
  * Use the server by invoking the registerRpcMethod() method to register
- * handlers for named RPC methods.
+ * handlers for named RPC methods, and registerSubscriptionMethod() to register
+ * handlers for methods to which clients subscribe.
  */
 function FastServer(args)
 {
@@ -187,14 +356,140 @@ function FastServer(args)
 	mod_assertplus.object(args.log, 'args.log');
 	mod_assertplus.object(args.server, 'args.server');
 	mod_assertplus.optionalObject(args.collector, 'args.collector');
+	mod_assertplus.optionalNumber(args.crcMode, 'args.crcMode');
+	mod_assertplus.optionalNumber(args.maxMessageBytes,
+	    'args.maxMessageBytes');
+	mod_assertplus.optionalArrayOfString(args.capabilities,
+	    'args.capabilities');
+	mod_assertplus.optionalNumber(args.compressThreshold,
+	    'args.compressThreshold');
+	mod_assertplus.optionalNumber(args.pingInterval, 'args.pingInterval');
+	mod_assertplus.optionalNumber(args.pingMaxMissed,
+	    'args.pingMaxMissed');
+	mod_assertplus.optionalBool(args.enforceDeadlines,
+	    'args.enforceDeadlines');
+	mod_assertplus.optionalObject(args.traceExporter,
+	    'args.traceExporter');
+	mod_assertplus.optionalNumber(args.coalesceBytes,
+	    'args.coalesceBytes');
+	mod_assertplus.optionalObject(args.batch, 'args.batch');
+	if (args.hmacKeys !== undefined) {
+		mod_protocol.validateHmacKeys(args.hmacKeys, 'args.hmacKeys');
+	}
+	mod_assertplus.optionalBool(args.hmacRequired, 'args.hmacRequired');
+	mod_assertplus.ok(!args.hmacRequired || args.hmacKeys,
+	    'args.hmacRequired requires args.hmacKeys');
+	mod_assertplus.optionalFunc(args.authenticate, 'args.authenticate');
+	mod_assertplus.optionalBool(args.authRequired, 'args.authRequired');
+	mod_assertplus.ok(!args.authRequired || args.authenticate,
+	    'args.authRequired requires args.authenticate');
+	if (args.authorize !== undefined) {
+		mod_assertplus.ok(typeof (args.authorize) == 'function' ||
+		    typeof (args.authorize) == 'object',
+		    'args.authorize must be a function or object');
+	}
+	mod_assertplus.optionalNumber(args.maxConcurrentRequests,
+	    'args.maxConcurrentRequests');
+	mod_assertplus.ok(args.maxConcurrentRequests === undefined ||
+	    (Number.isInteger(args.maxConcurrentRequests) &&
+	    args.maxConcurrentRequests > 0),
+	    'args.maxConcurrentRequests must be a positive integer');
+	mod_assertplus.optionalNumber(args.maxQueuedRequests,
+	    'args.maxQueuedRequests');
+	mod_assertplus.ok(args.maxQueuedRequests === undefined ||
+	    (Number.isInteger(args.maxQueuedRequests) &&
+	    args.maxQueuedRequests >= 0),
+	    'args.maxQueuedRequests must be a non-negative integer');
+	mod_assertplus.optionalNumber(args.queueTimeout, 'args.queueTimeout');
+	mod_assertplus.ok(args.queueTimeout === undefined ||
+	    args.queueTimeout > 0, 'args.queueTimeout must be positive');
+	mod_assertplus.ok(args.maxConcurrentRequests !== undefined ||
+	    (args.maxQueuedRequests === undefined &&
+	    args.queueTimeout === undefined),
+	    'args.maxQueuedRequests and args.queueTimeout require ' +
+	    'args.maxConcurrentRequests');
+	mod_assertplus.optionalNumber(args.maxConnectionRequests,
+	    'args.maxConnectionRequests');
+	mod_assertplus.ok(args.maxConnectionRequests === undefined ||
+	    (Number.isInteger(args.maxConnectionRequests) &&
+	    args.maxConnectionRequests > 0),
+	    'args.maxConnectionRequests must be a positive integer');
 
 	this.fs_log = args.log;		/* logger */
 	this.fs_server = args.server;	/* server socket */
+	this.fs_tls = args.server instanceof mod_tls.Server; /* see "TLS" */
 	this.fs_collector = args.collector;		/* metric collector */
+	/* CRC calculations allowed for requests (see above) */
+	this.fs_crcmode = args.crcMode !== undefined ?
+	    args.crcMode : mod_protocol.FAST_CHECKSUM_V1_V2;
+	/* maximum size of incoming message payloads */
+	this.fs_maxmsgbytes = args.maxMessageBytes;
+	/* keys for message authentication, if any */
+	this.fs_hmackeys = args.hmacKeys ? args.hmacKeys.slice(0) : null;
+	this.fs_hmacrequired = args.hmacRequired === true;
+	/* client authentication hook (see "Client authentication") */
+	this.fs_authenticate = args.authenticate || null;
+	this.fs_authrequired = args.authRequired === true;
+	/* capabilities we're willing to negotiate (see "hmacKeys" above) */
+	this.fs_capabilities = (args.capabilities ?
+	    args.capabilities : mod_protocol.FP_CAPABILITIES).filter(
+	    function (cap) {
+		if (cap == mod_protocol.FP_CAPABILITY_HMAC) {
+			return (self.fs_hmackeys !== null);
+		}
+		if (cap == mod_protocol.FP_CAPABILITY_AUTH) {
+			return (self.fs_authenticate !== null);
+		}
+		return (true);
+	    });
+	/* minimum size of response payloads to compress */
+	this.fs_compressthreshold = typeof (args.compressThreshold) ==
+	    'number' ? args.compressThreshold : null;
+	/* maximum size of coalesced writes (see FastMessageEncoder) */
+	this.fs_coalescebytes = args.coalesceBytes;
+	/* keepalive configuration */
+	this.fs_pinginterval = typeof (args.pingInterval) == 'number' ?
+	    args.pingInterval : null;
+	this.fs_pingmaxmissed = typeof (args.pingMaxMissed) == 'number' ?
+	    args.pingMaxMissed : FS_PING_MAX_MISSED;
+	/* fail requests whose deadlines have passed */
+	this.fs_enforcedeadlines = args.enforceDeadlines === true;
+	/* exporter for request spans, if any */
+	this.fs_traceexporter = args.traceExporter || null;
+	/* default batching of response objects (see "Response batching") */
+	this.fs_batch = args.batch ? batchConfig(args.batch, 'args.batch') :
+	    null;
+	/* default authorization policy (see "Authorization") */
+	this.fs_authorize = args.authorize ?
+	    authorizeConfig(args.authorize, 'args.authorize') : null;
+	/* request concurrency limit (see "Request concurrency") */
+	this.fs_maxconcurrent = typeof (args.maxConcurrentRequests) ==
+	    'number' ? args.maxConcurrentRequests : null;
+	this.fs_maxqueued = typeof (args.maxQueuedRequests) == 'number' ?
+	    args.maxQueuedRequests : FS_MAX_QUEUED_REQUESTS;
+	this.fs_queuetimeout = typeof (args.queueTimeout) == 'number' ?
+	    args.queueTimeout : null;
+	this.fs_queue = [];		/* requests waiting to run, in order */
+	this.fs_nrunning = 0;		/* count of limited requests running */
+	this.fs_queuerun = null;	/* see requestQueueKick() */
 	this.fs_handlers = {};		/* registered handlers, by name */
+	/* built-in handler for the handshake */
+	this.fs_hellohandler = new FastRpcHandler({
+	    'rpcmethod': mod_protocol.FP_HELLO_METHOD,
+	    'rpchandler': function fastRpcHello(rpc) { self.onHello(rpc); },
+	    'batch': null
+	});
+	/* built-in handler for client authentication */
+	this.fs_authhandler = new FastRpcHandler({
+	    'rpcmethod': mod_protocol.FP_AUTH_METHOD,
+	    'rpchandler': function fastRpcAuth(rpc) { self.onAuth(rpc); },
+	    'batch': null
+	});
 	this.fs_conns = {};		/* active connections */
 	this.fs_msghandler = new FastMessageHandler({
-	    'server': this
+	    'server': this,
+	    'maxConnectionRequests': typeof (args.maxConnectionRequests) ==
+		'number' ? args.maxConnectionRequests : null
 	});
 	/*
 	 * A FIFO queue of work functions to be run the next time the number of
@@ -203,29 +498,73 @@ function FastServer(args)
 	 * dequeued in 'connDrain' if the server finds that 'fs_conns' is empty.
 	 */
 	this.fs_conns_destroyed_callbacks = [];
-	/*
-	 * See the comments below on use of setMaxListeners().
-	 */
-	this.fs_msghandler.setMaxListeners(0);
+	/* connection ids are freed when connections are removed */
 	this.fs_connallocator = new mod_subr.IdAllocator({
 	    'min': 1,
-	    'max': FS_MAX_CONNID,
-	    'isAllocated': function isConnIdAllocated(id) {
-		return (self.fs_conns.hasOwnProperty(id));
-	    }
+	    'max': FS_MAX_CONNID
 	});
 	this.fs_closed = false;		/* server is shutting down */
 
-	this.fs_server.on('connection',
-	    function onConnection(sock) { self.connCreate(sock); });
+	if (this.fs_tls) {
+		this.fs_server.on('secureConnection',
+		    function onSecureConnection(sock) {
+			self.connCreate(sock);
+		    });
+		this.fs_server.on('tlsClientError',
+		    function onTlsClientError(err, sock) {
+			self.onTlsClientError(err, sock);
+		    });
+	} else {
+		this.fs_server.on('connection',
+		    function onConnection(sock) { self.connCreate(sock); });
+	}
 
 	this.fs_nignored_noconn = 0;	/* count of msgs ignored: no conn */
 	this.fs_nignored_badconn = 0;	/* count of msgs ignored: bad conn */
 	this.fs_nignored_aborts = 0;	/* count of msgs ignored: aborts */
+	this.fs_nignored_cancels = 0;	/* count of msgs ignored: cancels */
+	this.fs_nignored_credits = 0;	/* count of msgs ignored: credits */
+	this.fs_nignored_input = 0;	/* count of msgs ignored: input */
+	/* count of msgs ignored: unsubscribes */
+	this.fs_nignored_unsubscribes = 0;
 	this.fs_nconnections_created = 0;	/* count of conns created */
+	this.fs_nconnections_rejected = 0;	/* count of conns w/o an id */
 	this.fs_nrequests_started = 0;		/* count of reqs started */
 	this.fs_nrequests_completed = 0;	/* count of reqs completed */
 	this.fs_nrequests_failed = 0;		/* count of reqs failed */
+	this.fs_nrequests_badcrc = 0;		/* count of reqs w/ bad CRC */
+	/* count of reqs failed for lack of authentication */
+	this.fs_nrequests_unauthenticated = 0;
+	this.fs_nrequests_cancelled = 0;	/* count of reqs cancelled */
+	this.fs_nrequests_input = 0;	/* count of reqs w/ streaming input */
+	this.fs_ninput = 0;		/* count of input objects received */
+	this.fs_nsubscriptions = 0;	/* count of subscriptions started */
+	this.fs_nunsubscribes = 0;	/* count of subs ended by clients */
+	this.fs_nreverse_started = 0;	/* count of reverse reqs started */
+	this.fs_ncancels_acked = 0;	/* count of cancels acknowledged */
+	this.fs_ndeadlines = 0;		/* count of reqs past deadline */
+	this.fs_ncredit_stalls = 0;	/* count of waits for credit */
+	this.fs_nhandshakes = 0;		/* count of handshakes done */
+	this.fs_ndeflated = 0;		/* count of msgs compressed */
+	this.fs_nsaved_sent = 0;	/* bytes saved by compression */
+	this.fs_ninflated = 0;		/* count of msgs decompressed */
+	this.fs_nsaved_received = 0;	/* bytes saved by client compression */
+	this.fs_nping_timeouts = 0;	/* count of conns with dead clients */
+	this.fs_ntls_errors = 0;	/* count of failed TLS handshakes */
+	this.fs_nauth_ok = 0;		/* count of clients authenticated */
+	this.fs_nauth_failed = 0;	/* count of credentials rejected */
+	/* count of reqs failed because the client had not authenticated */
+	this.fs_nrequests_anonymous = 0;
+	/* count of reqs denied by authorization policies */
+	this.fs_nrequests_unauthorized = 0;
+	this.fs_nrequests_queued = 0;	/* count of reqs that waited to run */
+	this.fs_nrequests_busy = 0;	/* count of reqs failed: server busy */
+
+	mod_assertplus.ok(
+	    this.fs_crcmode == mod_protocol.FAST_CHECKSUM_V1 ||
+	    this.fs_crcmode == mod_protocol.FAST_CHECKSUM_V1_V2 ||
+	    this.fs_crcmode == mod_protocol.FAST_CHECKSUM_V2,
+	    'unsupported CRC mode');
 
 	if (this.fs_collector) {
 		if (this.fs_collector.FIXED_BUCKETS === true) {
@@ -243,6 +582,39 @@ function FastServer(args)
 			labels: (fixed_buckets === true) ?
 			    { buckets_version: '1' } : undefined
 		});
+		this.fs_conns_gauge = this.fs_collector.gauge({
+			name: 'fast_server_connections',
+			help: 'count of active connections, by the CRC ' +
+			    'calculation used by the client'
+		});
+		this.fs_compression_counter = this.fs_collector.counter({
+			name: 'fast_server_compression_saved_bytes',
+			help: 'bytes saved by compressing message payloads, ' +
+			    'by direction ("sent" or "received")'
+		});
+		this.fs_ping_histogram = this.fs_collector.histogram({
+			name: 'fast_server_ping_rtt_seconds',
+			help: 'round-trip time of PING messages sent to ' +
+			    'clients',
+			buckets: (fixed_buckets === true) ?
+			    DEFAULT_BUCKETS : undefined,
+			labels: (fixed_buckets === true) ?
+			    { buckets_version: '1' } : undefined
+		});
+		this.fs_queue_gauge = this.fs_collector.gauge({
+			name: 'fast_server_queued_requests',
+			help: 'count of requests waiting for a concurrency ' +
+			    'slot'
+		});
+		this.fs_queue_histogram = this.fs_collector.histogram({
+			name: 'fast_server_queue_wait_seconds',
+			help: 'time requests spent waiting for a concurrency ' +
+			    'slot',
+			buckets: (fixed_buckets === true) ?
+			    DEFAULT_BUCKETS : undefined,
+			labels: (fixed_buckets === true) ?
+			    { buckets_version: '1' } : undefined
+		});
 	}
 
 	if (fastServerProvider === null) {
@@ -258,21 +630,82 @@ function FastServer(args)
 
 FastServer.prototype.registerRpcMethod = function (args)
 {
-	var rpcmethod, handler;
+	this.registerHandler(args, false);
+};
+
+/*
+ * Register a handler for a method to which clients subscribe (see
+ * "Subscriptions" in lib/fast_protocol.js).  This takes the same named
+ * arguments as registerRpcMethod(), but the handler is invoked with a
+ * subscription context (see subscriptionContextInit()).  Subscription methods
+ * and RPC methods share a namespace, and clients can only subscribe to the
+ * former and only make RPC requests for the latter.
+ */
+FastServer.prototype.registerSubscriptionMethod = function (args)
+{
+	this.registerHandler(args, true);
+};
+
+/*
+ * Implementation of registerRpcMethod() and registerSubscriptionMethod().
+ */
+FastServer.prototype.registerHandler = function (args, subscription)
+{
+	var rpcmethod, handler, batch, authorize;
 
 	mod_assertplus.object(args, 'args');
 	mod_assertplus.string(args.rpcmethod, 'args.rpcmethod');
 	mod_assertplus.func(args.rpchandler, 'args.rpchandler');
+	mod_assertplus.optionalObject(args.batch, 'args.batch');
+	if (args.authorize !== undefined && args.authorize !== null) {
+		mod_assertplus.ok(typeof (args.authorize) == 'function' ||
+		    typeof (args.authorize) == 'object',
+		    'args.authorize must be a function or object');
+	}
 
 	rpcmethod = args.rpcmethod;
 	handler = args.rpchandler;
 	mod_assertplus.ok(!this.fs_handlers.hasOwnProperty(rpcmethod),
 	    'duplicate handler registered for method "' + rpcmethod + '"');
+	mod_assertplus.ok(rpcmethod.indexOf(
+	    mod_protocol.FP_RESERVED_PREFIX) !== 0,
+	    'method names beginning with "' + mod_protocol.FP_RESERVED_PREFIX +
+	    '" are reserved');
+
+	/*
+	 * The method's "batch" option overrides the server's, and null turns
+	 * batching off for this method.
+	 */
+	if (args.batch === undefined) {
+		batch = this.fs_batch;
+	} else if (args.batch === null) {
+		batch = null;
+	} else {
+		batch = batchConfig(args.batch, 'args.batch');
+	}
+
+	/* Likewise for "authorize", where null allows any client. */
+	if (args.authorize === undefined) {
+		authorize = this.fs_authorize;
+	} else if (args.authorize === null) {
+		authorize = null;
+	} else {
+		authorize = authorizeConfig(args.authorize, 'args.authorize');
+	}
 
-	this.fs_log.info({ 'rpcmethod': rpcmethod }, 'registered RPC method');
+	this.fs_log.info({
+	    'rpcmethod': rpcmethod,
+	    'subscription': subscription,
+	    'batch': batch,
+	    'authorize': authorizeSummary(authorize)
+	}, subscription ? 'registered subscription method' :
+	    'registered RPC method');
 	this.fs_handlers[rpcmethod] = new FastRpcHandler({
 	    'rpcmethod': rpcmethod,
-	    'rpchandler': handler
+	    'rpchandler': handler,
+	    'batch': batch,
+	    'authorize': authorize,
+	    'subscription': subscription
 	});
 };
 
@@ -309,6 +742,10 @@ FastServer.prototype.close = function ()
  *     fastrequest	  describes a request that's currently outstanding,
  *			  including which connection received it, how long it's
  *			  been running, and what state it's in
+ *
+ *     fastsubscription	  describes a subscription that's currently active
+ *			  (which is also a "fastrequest"), including the client
+ *			  and how many events have been sent
  */
 
 FastServer.prototype.kangStats = function ()
@@ -318,16 +755,63 @@ FastServer.prototype.kangStats = function ()
 	rv['nIgnoredMessagesNoConn'] = this.fs_nignored_noconn;
 	rv['nIgnoredMessagesBadConn'] = this.fs_nignored_badconn;
 	rv['nIgnoredMessagesAborts'] = this.fs_nignored_aborts;
+	rv['nIgnoredMessagesCancels'] = this.fs_nignored_cancels;
+	rv['nIgnoredMessagesCredits'] = this.fs_nignored_credits;
+	rv['nIgnoredMessagesInput'] = this.fs_nignored_input;
+	rv['nIgnoredMessagesUnsubscribes'] = this.fs_nignored_unsubscribes;
 	rv['nConnectionsCreated'] = this.fs_nconnections_created;
+	rv['nConnectionsRejected'] = this.fs_nconnections_rejected;
 	rv['nRequestsStarted'] = this.fs_nrequests_started;
 	rv['nRequestsCompleted'] = this.fs_nrequests_completed;
 	rv['nRequestsFailed'] = this.fs_nrequests_failed;
+	rv['nRequestsBadCrc'] = this.fs_nrequests_badcrc;
+	rv['nRequestsUnauthenticated'] = this.fs_nrequests_unauthenticated;
+	rv['nRequestsCancelled'] = this.fs_nrequests_cancelled;
+	rv['nCancelsAcknowledged'] = this.fs_ncancels_acked;
+	rv['nRequestsDeadlineExceeded'] = this.fs_ndeadlines;
+	rv['nRequestsInput'] = this.fs_nrequests_input;
+	rv['nInputObjects'] = this.fs_ninput;
+	rv['nSubscriptionsStarted'] = this.fs_nsubscriptions;
+	rv['nSubscriptionsActive'] = this.kangListObjects(
+	    'fastsubscription').length;
+	rv['nUnsubscribesReceived'] = this.fs_nunsubscribes;
+	rv['nReverseRequestsStarted'] = this.fs_nreverse_started;
+	rv['nCreditStalls'] = this.fs_ncredit_stalls;
+	rv['crcMode'] = this.fs_crcmode;
+	rv['nHandshakes'] = this.fs_nhandshakes;
+	rv['capabilities'] = this.fs_capabilities.slice(0);
+	rv['nMessagesCompressed'] = this.fs_ndeflated;
+	rv['nBytesSavedSent'] = this.fs_nsaved_sent;
+	rv['nMessagesDecompressed'] = this.fs_ninflated;
+	rv['nBytesSavedReceived'] = this.fs_nsaved_received;
+	rv['nPingTimeouts'] = this.fs_nping_timeouts;
+	rv['nTlsClientErrors'] = this.fs_ntls_errors;
+	rv['nAuthSucceeded'] = this.fs_nauth_ok;
+	rv['nAuthFailed'] = this.fs_nauth_failed;
+	rv['nRequestsAnonymous'] = this.fs_nrequests_anonymous;
+	rv['nRequestsUnauthorized'] = this.fs_nrequests_unauthorized;
+	rv['maxConcurrentRequests'] = this.fs_maxconcurrent;
+	rv['nRequestsRunning'] = this.fs_nrunning;
+	rv['nRequestsQueued'] = this.fs_nrequests_queued;
+	rv['nRequestsBusy'] = this.fs_nrequests_busy;
+	rv['queueDepth'] = this.fs_queue.length;
+	rv['maxConnectionRequests'] = this.fs_msghandler.fmh_maxrequests;
+	rv['nConnectionsPaused'] = this.fs_msghandler.fmh_npaused;
+	rv['nConnectionPauses'] = this.fs_msghandler.fmh_npauses;
+	rv['nRequestsHeld'] = this.fs_msghandler.fmh_nheld;
+	rv['unauthorizedByMethod'] = {};
+	mod_jsprim.forEachKey(this.fs_handlers, function (name, handler) {
+		if (handler.fh_authorize !== null) {
+			rv['unauthorizedByMethod'][name] =
+			    handler.fh_nunauthorized;
+		}
+	});
 	return (rv);
 };
 
 FastServer.prototype.kangListTypes = function ()
 {
-	return ([ 'fastconnection', 'fastrequest' ]);
+	return ([ 'fastconnection', 'fastrequest', 'fastsubscription' ]);
 };
 
 FastServer.prototype.kangListObjects = function (type)
@@ -337,10 +821,12 @@ FastServer.prototype.kangListObjects = function (type)
 	}
 
 	var rv = [];
-	mod_assertplus.equal(type, 'fastrequest');
+	mod_assertplus.ok(type == 'fastrequest' || type == 'fastsubscription');
 	mod_jsprim.forEachKey(this.fs_conns, function (cid, conn) {
-		Object.keys(conn.fc_pending).map(function (msgid) {
-			rv.push(cid + '/' + msgid);
+		mod_jsprim.forEachKey(conn.fc_pending, function (msgid, req) {
+			if (type == 'fastrequest' || req.fsr_subscription) {
+				rv.push(cid + '/' + msgid);
+			}
 		});
 	});
 
@@ -349,18 +835,40 @@ FastServer.prototype.kangListObjects = function (type)
 
 FastServer.prototype.kangGetObject = function (type, id)
 {
-	var conn, rv;
+	var conn, rv, ka;
 	var parts, req;
 
 	if (type == 'fastconnection') {
 		conn = this.fs_conns[id];
+		ka = conn.fc_keepalive;
 		rv = {
 		    'connid': conn.fc_connid,
 		    'addrinfo': conn.fc_addrinfo,
+		    'tlsPeer': conn.fc_tlspeer,
+		    'authState': conn.fc_authstate,
+		    'identity': conn.fc_identity,
 		    'nStarted': conn.fc_nstarted,
 		    'nCompleted': conn.fc_ncompleted,
 		    'nFailed': conn.fc_nfailed,
 		    'draining': conn.fc_draining,
+		    'crcFlavor': conn.fc_crcflavor,
+		    'capabilities': conn.fc_capabilities,
+		    'nPingsSent': ka === null ? 0 : ka.ka_nsent,
+		    'nPongsReceived': ka === null ? 0 : ka.ka_nreceived,
+		    'nPingsMissed': ka === null ? 0 : ka.ka_nmissed,
+		    'pingRttMs': ka === null ? null : ka.ka_lastrtt,
+		    'nPongsSent': conn.fc_npongs,
+		    'nRequestsOutstanding': conn.fc_noutstanding,
+		    'nRequestsAwaitingCredit': conn.fc_ncreditwait,
+		    'nRequestsHeld': conn.fc_msginput.fmi_held.length,
+		    'paused': conn.fc_msginput.fmi_paused,
+		    'nPauses': conn.fc_msginput.fmi_npauses,
+		    'nReverseStarted': conn.fc_reverse === null ? 0 :
+			conn.fc_reverse.fc_nrpc_started,
+		    'nReversePending': conn.fc_reverse === null ? 0 :
+			Object.keys(conn.fc_reverse.fc_pending).length,
+		    'nMessagesSent': conn.fc_msgencoder.me_nmessages,
+		    'nWrites': conn.fc_msgencoder.me_nbuffers,
 		    'errorSocket': conn.fc_socket_error,
 		    'errorServer': conn.fc_server_error,
 		    'timeAccepted': conn.fc_taccepted.toISOString()
@@ -368,32 +876,98 @@ FastServer.prototype.kangGetObject = function (type, id)
 		return (rv);
 	}
 
-	mod_assertplus.equal(type, 'fastrequest');
+	mod_assertplus.ok(type == 'fastrequest' || type == 'fastsubscription');
 	parts = id.split('/');
 	mod_assertplus.equal(parts.length, 2);
 	conn = this.fs_conns[parts[0]];
 	req = conn.fc_pending[parts[1]];
+	if (type == 'fastsubscription') {
+		mod_assertplus.ok(req.fsr_subscription);
+		rv = {
+		    'connid': parts[0],
+		    'msgid': parts[1],
+		    'client': conn.fc_addrinfo.label,
+		    'identity': conn.fc_identity,
+		    'rpcmethod': req.fsr_rpcmethod,
+		    'rpcargs': req.fsr_rpcargs,
+		    'unsubscribed': req.fsr_unsubscribed,
+		    'credit': req.fsr_credit,
+		    'awaitingCredit': req.fsr_encoder.fse_blocked !== null,
+		    'nEventsSent': req.fsr_encoder.fse_nsent,
+		    'timeStarted': req.fsr_tstarted.toISOString()
+		};
+		return (rv);
+	}
+
 	rv = {
 	    'connid': parts[0],
 	    'msgid': parts[1],
 	    'rpcmethod': req.fsr_rpcmethod,
 	    'rpcargs': req.fsr_rpcargs,
+	    'headers': req.fsr_headers,
 	    'state': req.fsr_state,
 	    'error': req.fsr_error,
 	    'blackholed': req.fsr_blackhole !== null,
-	    'timeStarted': req.fsr_tstarted.toISOString()
+	    'cancelled': req.fsr_cancelled,
+	    'subscription': req.fsr_subscription,
+	    'credit': req.fsr_credit,
+	    'awaitingCredit': req.fsr_encoder.fse_blocked !== null,
+	    'input': req.fsr_input !== null,
+	    'inputCredit': req.fsr_input === null ? null : req.fsr_inputcredit,
+	    'inputEnded': req.fsr_inputended,
+	    'nInputObjects': req.fsr_ninput,
+	    'nBatchesSent': req.fsr_encoder.fse_nbatches,
+	    'nObjectsBatched': req.fsr_encoder.fse_batch.length,
+	    'queueWaitMs': requestQueueWait(req),
+	    'timeStarted': req.fsr_tstarted.toISOString(),
+	    'deadline': req.fsr_deadline === null ? null :
+		req.fsr_deadline.toISOString(),
+	    'traceId': req.fsr_span === null ? null : req.fsr_span.traceId
 	};
 	return (rv);
 };
 
 /* private methods */
 
+/*
+ * TLS
+ *
+ * The underlying server may be a tls.Server, in which case the sockets it
+ * emits with 'connection' events are the raw TCP connections on which TLS has
+ * not yet been negotiated.  We wait instead for 'secureConnection', which
+ * provides the TLS socket once the handshake has completed (and, for servers
+ * created with "requestCert" and "rejectUnauthorized", once the client's
+ * certificate has been verified).  Clients that fail the handshake never
+ * become Fast connections at all: we just count and log them.
+ *
+ * The identity that TLS established for each client (see summarizeTlsPeer()
+ * in lib/subr.js) is included in the connection's log entries and kang object,
+ * and RPC handlers can get it with rpc.peer() in order to make their own
+ * authorization decisions.  Whether or not the client presented a certificate
+ * (and whether it's required) is entirely up to the configuration of the
+ * tls.Server.
+ */
+
+/*
+ * Handle a client whose TLS handshake failed.  tls.Server destroys the socket
+ * itself.
+ */
+FastServer.prototype.onTlsClientError = function (err, sock)
+{
+	this.fs_ntls_errors++;
+	this.fs_log.warn({
+	    'err': err,
+	    'client': sock.remoteAddress + ':' + sock.remotePort
+	}, 'TLS handshake with client failed');
+};
+
 /*
  * Connection lifecycle
  *
  * Connections are created when the underlying Server (usually either a TCP or
- * UDS server) emits a 'connection' event.  In connCreate(), we set up data
- * structures to manage a FastRpcConnection atop the new socket.
+ * UDS server) emits a 'connection' event (or a 'secureConnection' event, for
+ * TLS servers).  In connCreate(), we set up data structures to manage a
+ * FastRpcConnection atop the new socket.
  *
  * Connections remain operational until they are abandoned for one of three
  * reasons:
@@ -443,12 +1017,25 @@ FastServer.prototype.connCreate = function (sock)
 	var cid, fastconn;
 
 	cid = this.allocConnectionId(sock);
+	if (cid === null) {
+		this.fs_nconnections_rejected++;
+		this.fs_log.warn({
+		    'client': sock.remoteAddress + ':' + sock.remotePort
+		}, 'rejecting connection (no connection ids available)');
+		sock.destroy();
+		return;
+	}
+
 	mod_assertplus.ok(cid);
 	mod_assertplus.ok(!this.fs_conns.hasOwnProperty(cid));
 	fastconn = new FastRpcConnection({
 	    'connId': cid,
 	    'socket': sock,
-	    'log': this.fs_log
+	    'log': this.fs_log,
+	    'maxMessageBytes': this.fs_maxmsgbytes,
+	    'compressThreshold': this.fs_compressthreshold,
+	    'coalesceBytes': this.fs_coalescebytes,
+	    'hmacKeys': this.fs_hmackeys
 	});
 
 	this.fs_nconnections_created++;
@@ -457,10 +1044,15 @@ FastServer.prototype.connCreate = function (sock)
 	    return ([ self.fs_dtid, cid, fastconn.fc_addrinfo.label ]);
 	});
 	fastconn.fc_taccepted = new Date();
-	fastconn.fc_ckddecoder.pipe(this.fs_msghandler, { 'end': false });
+	fastconn.fc_msginput = this.fs_msghandler.createInput(fastconn);
+	fastconn.fc_ckddecoder.pipe(fastconn.fc_msginput);
 	fastconn.fc_log.info('connection received');
 
-	sock.on('end', function onConnectionEnd() {
+	/*
+	 * The input finishes once we've read end-of-stream from the socket and
+	 * dispatched (or held) every message that came before it.
+	 */
+	fastconn.fc_msginput.on('finish', function onConnectionEnd() {
 		self.onConnectionEnd(cid, fastconn);
 	});
 
@@ -468,6 +1060,20 @@ FastServer.prototype.connCreate = function (sock)
 		self.onConnectionError(cid, fastconn, err);
 	});
 
+	fastconn.fc_rawdecoder.on('error', function onDecoderError(err) {
+		self.onConnectionProtocolError(cid, fastconn, err);
+	});
+
+	fastconn.fc_msgencoder.on('deflate', function onDeflate(raw, wire) {
+		self.fs_ndeflated++;
+		self.compressionSaved('sent', raw - wire);
+	});
+
+	fastconn.fc_rawdecoder.on('inflate', function onInflate(raw, wire) {
+		self.fs_ninflated++;
+		self.compressionSaved('received', raw - wire);
+	});
+
 	/*
 	 * We shouldn't get here if the server is closing because the caller
 	 * should have shut down the server socket.  If we wind up seeing a
@@ -480,11 +1086,33 @@ FastServer.prototype.connCreate = function (sock)
 };
 
 /*
- * Remove this connection because we've read end-of-stream.  We will wait for
- * pending requests to complete before actually removing the connection.
+ * Record that payload compression saved "nbytes" bytes in the given direction
+ * ("sent" or "received").
+ */
+FastServer.prototype.compressionSaved = function (direction, nbytes)
+{
+	if (direction == 'sent') {
+		this.fs_nsaved_sent += nbytes;
+	} else {
+		mod_assertplus.equal(direction, 'received');
+		this.fs_nsaved_received += nbytes;
+	}
+
+	if (this.fs_collector) {
+		this.fs_compression_counter.add(nbytes,
+		    { 'direction': direction });
+	}
+};
+
+/*
+ * Remove this connection because we've read end-of-stream and dispatched every
+ * message before it.  We will wait for pending requests to complete before
+ * actually removing the connection.
  */
 FastServer.prototype.onConnectionEnd = function (cid, conn)
 {
+	var msgid;
+
 	mod_assertplus.ok(conn instanceof FastRpcConnection);
 	mod_assertplus.ok(this.fs_conns.hasOwnProperty(cid));
 	mod_assertplus.ok(this.fs_conns[cid] == conn);
@@ -495,9 +1123,29 @@ FastServer.prototype.onConnectionEnd = function (cid, conn)
 	 */
 	if (conn.fc_socket_error !== null) {
 		conn.fc_log.debug('ignoring end-of-stream after error');
+	} else if (this.fs_msghandler.inputDeferEnd(conn.fc_msginput)) {
+		/*
+		 * We've read requests from this connection that we're still
+		 * holding back (see FastMessageHandler).  The handler will
+		 * invoke us again once they've all been dispatched.  The
+		 * client can't answer our PINGs any more.
+		 */
+		conn.fc_log.debug('end of input (waiting for held requests)');
+		this.connKeepaliveStop(conn);
 	} else {
 		conn.fc_ended = true;
 		conn.fc_log.debug('end of input');
+		this.connKeepaliveStop(conn);
+
+		/*
+		 * The client can no longer unsubscribe, so tell subscription
+		 * handlers to wrap up.  Otherwise, the connection would never
+		 * drain.
+		 */
+		for (msgid in conn.fc_pending) {
+			requestUnsubscribed(conn.fc_pending[msgid]);
+		}
+
 		this.connDrain(conn);
 	}
 };
@@ -527,9 +1175,29 @@ FastServer.prototype.onConnectionError = function (cid, conn, err)
 	}
 };
 
+/*
+ * Terminate this connection because the message decoder found a protocol error
+ * (e.g., an invalid header or an oversized message).  The decoder can report an
+ * error while flushing at end-of-stream, by which point the connection may
+ * already have been removed.
+ */
+FastServer.prototype.onConnectionProtocolError = function (cid, conn, err)
+{
+	mod_assertplus.ok(conn instanceof FastRpcConnection);
+	mod_assertplus.ok(err instanceof Error);
+
+	if (this.fs_conns[cid] != conn) {
+		conn.fc_log.warn(err, 'protocol error on removed connection');
+		return;
+	}
+
+	this.connTerminate(conn, err);
+};
+
 /*
  * Allocate an internal connection id.  Callers will use this as a string (as an
- * object property name), and callers assume that it cannot be falsey.
+ * object property name), and callers assume that it cannot be falsey.  Returns
+ * null if there are already FS_MAX_CONNID connections.
  */
 FastServer.prototype.allocConnectionId = function ()
 {
@@ -567,6 +1235,7 @@ FastServer.prototype.connDisconnectRequests = function (conn)
 		this.requestDisconnect(conn.fc_pending[msgid]);
 	}
 
+	this.connKeepaliveStop(conn);
 	conn.fc_socket.destroy();
 };
 
@@ -580,6 +1249,15 @@ FastServer.prototype.connDrain = function (conn)
 
 	mod_assertplus.ok(this.fs_conns[conn.fc_connid] == conn);
 
+	/*
+	 * Whatever brought us here, the client won't be responding to any more
+	 * reverse requests.  If the reverse client itself failed, it has
+	 * already given up on its requests.
+	 */
+	if (conn.fc_reverse !== null && conn.fc_reverse.fc_error === null) {
+		conn.fc_reverse.detach();
+	}
+
 	if (!mod_jsprim.isEmpty(conn.fc_pending)) {
 		mod_assertplus.ok(conn.fc_nstarted > conn.fc_ncompleted);
 		conn.fc_log.debug({
@@ -589,7 +1267,11 @@ FastServer.prototype.connDrain = function (conn)
 	} else {
 		mod_assertplus.equal(conn.fc_nstarted, conn.fc_ncompleted);
 		conn.fc_log.info('removing drained connection');
+		this.connKeepaliveStop(conn);
+		this.fs_msghandler.removeInput(conn.fc_msginput);
 		delete (this.fs_conns[conn.fc_connid]);
+		this.fs_connallocator.free(conn.fc_connid);
+		this.connSetCrcFlavor(conn, null);
 		this.fs_dtp.fire('conn-destroy', function () {
 		    return ([ self.fs_dtid, conn.fc_connid ]);
 		});
@@ -626,6 +1308,209 @@ FastServer.prototype.connDrain = function (conn)
 };
 
 
+/*
+ * Record the CRC calculation ("flavor") that the client most recently used on
+ * this connection.  Clients normally stick to one, but a client configured to
+ * accept both can fall back to the buggy calculation if we rejected the correct
+ * one.  The metric lets operators see how many connected clients still use the
+ * buggy calculation.  "flavor" is null when the connection is going away.
+ */
+FastServer.prototype.connSetCrcFlavor = function (conn, flavor)
+{
+	if (conn.fc_crcflavor == flavor) {
+		return;
+	}
+
+	if (this.fs_collector) {
+		if (conn.fc_crcflavor !== null) {
+			this.fs_conns_gauge.add(-1,
+			    { 'crcFlavor': conn.fc_crcflavor });
+		}
+
+		if (flavor !== null) {
+			this.fs_conns_gauge.add(1, { 'crcFlavor': flavor });
+		}
+	}
+
+	if (flavor !== null) {
+		conn.fc_log.debug({ 'crcFlavor': flavor },
+		    'client CRC calculation identified');
+	}
+
+	conn.fc_crcflavor = flavor;
+};
+
+
+/*
+ * Start sending PINGs to the client on this connection (see "Keepalive" in
+ * lib/fast_protocol.js).  If too many go unanswered, the client is presumed
+ * dead, and we terminate the connection.  This is only used on connections that
+ * have negotiated the "ping" capability.
+ */
+FastServer.prototype.connKeepaliveStart = function (conn)
+{
+	var self = this;
+
+	mod_assertplus.ok(conn.fc_keepalive === null);
+	mod_assertplus.number(this.fs_pinginterval);
+
+	if (this.fs_conns[conn.fc_connid] != conn || conn.fc_ended ||
+	    conn.fc_socket_error !== null || conn.fc_server_error !== null) {
+		return;
+	}
+
+	conn.fc_keepalive = new mod_subr.Keepalive({
+	    'interval': this.fs_pinginterval,
+	    'maxMissed': this.fs_pingmaxmissed,
+	    'maxSeq': mod_protocol.FP_MSGID_MAX,
+	    'sendPing': function (seq) {
+		conn.fc_msgencoder.write(connMakeControlMessage(
+		    mod_protocol.FP_STATUS_PING, seq));
+	    },
+	    'onDead': function (nmissed) {
+		self.fs_nping_timeouts++;
+		self.connTerminate(conn, new VError({
+		    'name': 'FastTransportError',
+		    'info': {
+			'fastReason': 'ping_timeout',
+			'pingInterval': self.fs_pinginterval,
+			'pingsMissed': nmissed
+		    }
+		}, 'client did not respond to %d consecutive pings ' +
+		    '(sent every %d milliseconds)', nmissed,
+		    self.fs_pinginterval));
+	    }
+	});
+	conn.fc_keepalive.start();
+};
+
+/*
+ * Stop sending PINGs on this connection, if we were sending any.
+ */
+FastServer.prototype.connKeepaliveStop = function (conn)
+{
+	if (conn.fc_keepalive !== null) {
+		conn.fc_keepalive.stop();
+	}
+};
+
+/*
+ * Resume sending PINGs on this connection after connKeepaliveStop(), unless the
+ * connection is going away or the client has already been declared dead.
+ */
+FastServer.prototype.connKeepaliveResume = function (conn)
+{
+	if (conn.fc_keepalive === null || conn.fc_keepalive.ka_dead ||
+	    conn.fc_keepalive.ka_timer !== null ||
+	    this.fs_conns[conn.fc_connid] != conn || conn.fc_ended ||
+	    conn.fc_socket_error !== null || conn.fc_server_error !== null) {
+		return;
+	}
+
+	conn.fc_keepalive.start();
+};
+
+/*
+ * Reverse requests
+ *
+ * On connections that negotiated the "reverse" capability, RPC handlers can
+ * make requests of the client (see "Reverse requests" in
+ * lib/fast_protocol.js) using the connection handle returned by
+ * rpc.connection().  Rather than reimplement the client side of the protocol,
+ * each connection lazily creates its own FastClient that writes to the
+ * connection's message encoder instead of a transport, allocates msgids only
+ * from the reverse range, and receives the client's responses from onMessage().
+ * That gives reverse requests the same interface, timeouts, error handling, and
+ * observability as any other client's requests.  The handle's methods are the
+ * corresponding FastClient methods.
+ *
+ * On connections that did not negotiate "reverse", the reverse client fails
+ * every request with fastReason "reverse_unsupported".  Once the connection is
+ * going away for any reason, it fails pending and new requests with a
+ * FastTransportError.
+ */
+
+/*
+ * Returns the reverse client for this connection, creating it if needed.
+ */
+FastServer.prototype.connReverseClient = function (conn)
+{
+	var self = this;
+	var caps;
+
+	if (conn.fc_reverse !== null) {
+		return (conn.fc_reverse);
+	}
+
+	caps = conn.fc_capabilities !== null && conn.fc_capabilities.indexOf(
+	    mod_protocol.FP_CAPABILITY_REVERSE) != -1 ?
+	    [ mod_protocol.FP_CAPABILITY_REVERSE ] : [];
+	conn.fc_reverse = new mod_client.FastClient({
+	    'log': conn.fc_log.child({ 'component': 'FastReverseClient' }),
+	    'nRecentRequests': FS_REVERSE_NRECENT,
+	    'encoder': conn.fc_msgencoder,
+	    'version': mod_protocol.FP_VERSION_3,
+	    'crcMode': mod_protocol.FAST_CHECKSUM_V2,
+	    'capabilities': caps
+	});
+
+	/*
+	 * The reverse client only fails on its own if the client sent us a bad
+	 * response, which is a protocol error like any other.
+	 */
+	conn.fc_reverse.on('error', function (err) {
+		self.connTerminate(conn, err);
+	});
+
+	if (conn.fc_ended || conn.fc_socket_error !== null ||
+	    conn.fc_server_error !== null ||
+	    this.fs_conns[conn.fc_connid] != conn) {
+		conn.fc_reverse.detach();
+	}
+
+	return (conn.fc_reverse);
+};
+
+/*
+ * Returns the handle for this connection that's given to RPC handlers.  Like
+ * the RPC context, this only exposes functions, not the connection itself.
+ */
+FastServer.prototype.connHandle = function (conn)
+{
+	var self = this;
+
+	if (conn.fc_handle !== null) {
+		return (conn.fc_handle);
+	}
+
+	conn.fc_handle = {
+	    'connectionId': function handleConnectionId() {
+		return (conn.fc_connid);
+	    },
+	    'capabilities': function handleCapabilities() {
+		return (conn.fc_capabilities === null ? [] :
+		    conn.fc_capabilities.slice(0));
+	    },
+	    'rpc': function handleRpc(args) {
+		var rv;
+		self.fs_nreverse_started++;
+		rv = self.connReverseClient(conn).rpc(args);
+		self.fs_msghandler.inputResume(conn.fc_msginput);
+		return (rv);
+	    },
+	    'rpcBufferAndCallback': function handleRpcBuffer(args, callback) {
+		var rv;
+		self.fs_nreverse_started++;
+		rv = self.connReverseClient(conn).rpcBufferAndCallback(
+		    args, callback);
+		self.fs_msghandler.inputResume(conn.fc_msginput);
+		return (rv);
+	    }
+	};
+
+	return (conn.fc_handle);
+};
+
 /*
  * Calls 'callback' when all the connections in 'fs_conns' have been destroyed.
  * The callback is called immediately if the server already has no connections.
@@ -653,9 +1538,9 @@ FastServer.prototype.onConnsDestroyed = function (callback)
 
 FastServer.prototype.onMessage = function (message)
 {
-	var connid, conn;
+	var connid, conn, rtt, err;
 	var msgid, req;
-	var handler, handlerfunc;
+	var handler, parent, subscribe;
 	var self = this;
 
 	connid = message.connId;
@@ -682,10 +1567,39 @@ FastServer.prototype.onMessage = function (message)
 		return;
 	}
 
+	msgid = message.msgid;
+	if (conn.fc_capabilities !== null && conn.fc_capabilities.indexOf(
+	    mod_protocol.FP_CAPABILITY_REVERSE) != -1 &&
+	    mod_protocol.isReverseMsgid(msgid) &&
+	    (message.status === mod_protocol.FP_STATUS_DATA ||
+	    message.status === mod_protocol.FP_STATUS_END ||
+	    message.status === mod_protocol.FP_STATUS_ERROR)) {
+		/*
+		 * This is the client's response to one of our reverse
+		 * requests.  See "Reverse requests".
+		 */
+		this.connReverseClient(conn).onMessage(message);
+		return;
+	}
+
 	if (message.status === mod_protocol.FP_STATUS_END) {
 		/*
-		 * There's no reason clients should ever send us an "end" event.
+		 * Clients only send END messages to end the input of requests
+		 * with streaming input (see "Request streams" in
+		 * lib/fast_protocol.js), which may have already completed.
 		 */
+		if (conn.fc_pending.hasOwnProperty(msgid) &&
+		    conn.fc_pending[msgid].fsr_input !== null &&
+		    !conn.fc_pending[msgid].fsr_inputended) {
+			this.requestInputEnd(conn.fc_pending[msgid]);
+			return;
+		}
+
+		if (conn.fc_inputdrain.hasOwnProperty(msgid)) {
+			delete (conn.fc_inputdrain[msgid]);
+			return;
+		}
+
 		this.connTerminate(conn, new VError({
 		    'name': 'FastProtocolError',
 		    'info': {
@@ -695,26 +1609,141 @@ FastServer.prototype.onMessage = function (message)
 		return;
 	}
 
-	msgid = message.msgid;
-	if (message.status === mod_protocol.FP_STATUS_ERROR) {
+	if (message.status === mod_protocol.FP_STATUS_PING) {
 		/*
-		 * Intermediate versions of node-fast would send ERROR messages
-		 * to request RPC cancellation.  We don't support this.  See the
-		 * notes inside lib/fast_client.js for details on why.  Such
-		 * clients may expect a response from us in the form of an ERROR
-		 * message, but we just let the RPC complete normally.  After
-		 * all, because of the inherent race between receiving the abort
-		 * and completing the RPC, the client has to handle this
-		 * possibility anyway.
+		 * The decoder only accepts PING and PONG messages on
+		 * connections that negotiated the "ping" capability.  Their
+		 * msgids have nothing to do with requests.
 		 */
-		this.fs_log.warn({
-		    'msgid': msgid
-		}, 'ignoring request to abort RPC (not supported)');
-		this.fs_nignored_aborts++;
+		conn.fc_npongs++;
+		conn.fc_msgencoder.write(connMakeControlMessage(
+		    mod_protocol.FP_STATUS_PONG, msgid));
+		return;
+	}
+
+	if (message.status === mod_protocol.FP_STATUS_PONG) {
+		if (conn.fc_keepalive === null) {
+			conn.fc_log.debug({
+			    'msgid': msgid
+			}, 'ignoring unsolicited PONG');
+			return;
+		}
+
+		rtt = conn.fc_keepalive.pong(msgid);
+		if (rtt !== null && this.fs_collector) {
+			this.fs_ping_histogram.observe(rtt / 1000);
+		}
+		return;
+	}
+
+	if (message.status === mod_protocol.FP_STATUS_CANCEL) {
+		/*
+		 * The decoder only accepts CANCEL messages on connections that
+		 * negotiated the "cancel" capability.  If the request has
+		 * already completed, then the client will see its response, so
+		 * there's nothing to do, except that CANCEL also ends a
+		 * request's streaming input.
+		 */
+		if (conn.fc_inputdrain.hasOwnProperty(msgid)) {
+			delete (conn.fc_inputdrain[msgid]);
+		}
+
+		if (!conn.fc_pending.hasOwnProperty(msgid)) {
+			conn.fc_log.debug({
+			    'msgid': msgid
+			}, 'ignoring request to cancel RPC (not running)');
+			this.fs_nignored_cancels++;
+			return;
+		}
+
+		req = conn.fc_pending[msgid];
+		if (req.fsr_input !== null) {
+			req.fsr_inputended = true;
+		}
+		this.requestCancel(req);
+		return;
+	}
+
+	if (message.status === mod_protocol.FP_STATUS_UNSUBSCRIBE) {
+		/*
+		 * The decoder only accepts UNSUBSCRIBE messages on connections
+		 * that negotiated the "subscribe" capability.  As with CANCEL,
+		 * the subscription may have already ended, in which case the
+		 * client will see that.
+		 */
+		if (!conn.fc_pending.hasOwnProperty(msgid) ||
+		    !conn.fc_pending[msgid].fsr_subscription) {
+			conn.fc_log.debug({
+			    'msgid': msgid
+			}, 'ignoring request to unsubscribe (not subscribed)');
+			this.fs_nignored_unsubscribes++;
+			return;
+		}
+
+		this.requestUnsubscribe(conn.fc_pending[msgid]);
+		return;
+	}
+
+	if (message.status === mod_protocol.FP_STATUS_CREDIT) {
+		/*
+		 * As with CANCEL, the decoder only accepts CREDIT messages on
+		 * connections that negotiated the "credit" capability, and it
+		 * has already validated the amount of credit.  Clients may
+		 * grant credit for requests that have completed because of the
+		 * inherent race with the server's END or ERROR message.
+		 */
+		if (!conn.fc_pending.hasOwnProperty(msgid) ||
+		    conn.fc_pending[msgid].fsr_credit === null) {
+			conn.fc_log.debug({
+			    'msgid': msgid
+			}, 'ignoring credit for RPC (not running or not ' +
+			    'flow-controlled)');
+			this.fs_nignored_credits++;
+			return;
+		}
+
+		this.requestCredit(conn.fc_pending[msgid], message.data.d[0]);
+		return;
+	}
+
+	if (message.status === mod_protocol.FP_STATUS_ERROR) {
+		/*
+		 * Intermediate versions of node-fast would send ERROR messages
+		 * to request RPC cancellation.  We don't support this.  See the
+		 * notes inside lib/fast_client.js for details on why.  (Clients
+		 * that negotiate the "cancel" capability send CANCEL messages
+		 * instead, which we handle above.)  Such
+		 * clients may expect a response from us in the form of an ERROR
+		 * message, but we just let the RPC complete normally.  After
+		 * all, because of the inherent race between receiving the abort
+		 * and completing the RPC, the client has to handle this
+		 * possibility anyway.
+		 */
+		this.fs_log.warn({
+		    'msgid': msgid
+		}, 'ignoring request to abort RPC (not supported)');
+		this.fs_nignored_aborts++;
 		return;
 	}
 
 	mod_assertplus.equal(message.status, mod_protocol.FP_STATUS_DATA);
+	this.connSetCrcFlavor(conn,
+	    message.version == mod_protocol.FP_VERSION_1 ? 'v1' : 'v2');
+	if (conn.fc_pending.hasOwnProperty(msgid) &&
+	    conn.fc_pending[msgid].fsr_input !== null &&
+	    !conn.fc_pending[msgid].fsr_inputended) {
+		this.requestInput(conn.fc_pending[msgid], message);
+		return;
+	}
+
+	if (conn.fc_inputdrain.hasOwnProperty(msgid)) {
+		conn.fc_log.debug({
+		    'msgid': msgid
+		}, 'ignoring input for RPC (not running)');
+		this.fs_nignored_input++;
+		return;
+	}
+
 	if (conn.fc_pending.hasOwnProperty(msgid)) {
 		this.connTerminate(conn, new VError({
 		    'name': 'FastProtocolError',
@@ -761,7 +1790,146 @@ FastServer.prototype.onMessage = function (message)
 
 	req.fsr_rpcmethod = message.data.m.name;
 	req.fsr_rpcargs = message.data.d;
-	if (!this.fs_handlers.hasOwnProperty(req.fsr_rpcmethod)) {
+
+	/*
+	 * Requests with streaming input are identified right away, even though
+	 * we may still fail them, so that we know to ignore their input (see
+	 * "Request streams" in lib/fast_protocol.js).  Clients only send these
+	 * on connections that have negotiated the "stream" capability.
+	 */
+	if (message.data.m.input === true && conn.fc_capabilities !== null &&
+	    conn.fc_capabilities.indexOf(
+	    mod_protocol.FP_CAPABILITY_STREAM) != -1) {
+		this.fs_nrequests_input++;
+		req.fsr_input = new FastRpcInput({ 'request': req });
+	}
+
+	/*
+	 * If we require authentication, the only thing a client can do on a
+	 * connection without it is negotiate it.
+	 */
+	if (this.fs_hmacrequired &&
+	    req.fsr_rpcmethod != mod_protocol.FP_HELLO_METHOD &&
+	    (conn.fc_capabilities === null || conn.fc_capabilities.indexOf(
+	    mod_protocol.FP_CAPABILITY_HMAC) == -1)) {
+		this.fs_nrequests_unauthenticated++;
+		this.requestFail(req, new VError({
+		    'name': 'FastError',
+		    'info': {
+			'fastReason': 'hmac_required',
+			'rpcMsgid': message.msgid,
+			'rpcMethod': req.fsr_rpcmethod
+		    }
+		}, 'RPC request on a connection without message ' +
+		    'authentication'));
+		return;
+	}
+
+	if (this.fs_authrequired &&
+	    req.fsr_rpcmethod != mod_protocol.FP_HELLO_METHOD &&
+	    req.fsr_rpcmethod != mod_protocol.FP_AUTH_METHOD &&
+	    conn.fc_authstate != FC_AUTH_DONE) {
+		this.fs_nrequests_anonymous++;
+		this.requestFail(req, new VError({
+		    'name': 'FastError',
+		    'info': {
+			'fastReason': 'auth_required',
+			'rpcMsgid': message.msgid,
+			'rpcMethod': req.fsr_rpcmethod
+		    }
+		}, 'RPC request on a connection that has not authenticated'));
+		return;
+	}
+
+	if (message.data.m.headers !== undefined) {
+		err = mod_protocol.validateHeaders(message.data.m.headers);
+		if (err !== null) {
+			this.requestFail(req, new VError({
+			    'name': 'FastError',
+			    'cause': err,
+			    'info': {
+				'fastReason': 'bad_headers',
+				'rpcMsgid': message.msgid,
+				'rpcMethod': req.fsr_rpcmethod
+			    }
+			}, 'RPC request has invalid headers'));
+			return;
+		}
+
+		req.fsr_headers = message.data.m.headers;
+	}
+
+	if (message.data.m.timeout !== undefined) {
+		if (!mod_protocol.isValidTimeout(message.data.m.timeout)) {
+			this.requestFail(req, new VError({
+			    'name': 'FastError',
+			    'info': {
+				'fastReason': 'bad_timeout',
+				'rpcMsgid': message.msgid,
+				'rpcMethod': req.fsr_rpcmethod
+			    }
+			}, 'RPC request has invalid timeout'));
+			return;
+		}
+
+		req.fsr_timeout = message.data.m.timeout;
+		req.fsr_deadline = new Date(req.fsr_tstarted.getTime() +
+		    req.fsr_timeout);
+	}
+
+	/*
+	 * Requests using a CRC calculation that we don't allow are failed with
+	 * a well-defined error (rather than by dropping the connection) so that
+	 * clients that support both calculations can retry using the other one.
+	 * The response uses the client's calculation, since that's the only one
+	 * we know the client can decode.
+	 */
+	if (!mod_protocol.crcModeAllowsVersion(this.fs_crcmode,
+	    message.version)) {
+		this.fs_nrequests_badcrc++;
+		this.requestFail(req, new VError({
+		    'name': 'FastError',
+		    'info': {
+			'fastReason': 'unsupported_crc',
+			'rpcMsgid': message.msgid,
+			'foundVersion': message.version
+		    }
+		}, 'server does not allow the CRC calculation used by ' +
+		    'protocol version %d', message.version));
+		return;
+	}
+
+	/*
+	 * Requests that specify an initial window of credit are flow-controlled
+	 * (see "Flow control" in lib/fast_protocol.js).  Clients only do this
+	 * on connections that have negotiated the "credit" capability, and we
+	 * ignore the property otherwise.
+	 */
+	if (message.data.m.credit !== undefined &&
+	    conn.fc_capabilities !== null &&
+	    conn.fc_capabilities.indexOf(
+	    mod_protocol.FP_CAPABILITY_CREDIT) != -1) {
+		if (!mod_protocol.isValidCredit(message.data.m.credit)) {
+			this.requestFail(req, new VError({
+			    'name': 'FastError',
+			    'info': {
+				'fastReason': 'bad_credit',
+				'rpcMsgid': message.msgid,
+				'rpcMessage': message
+			    }
+			}, 'RPC request has invalid initial credit'));
+			return;
+		}
+
+		req.fsr_credit = message.data.m.credit;
+	}
+	if (req.fsr_rpcmethod == mod_protocol.FP_HELLO_METHOD) {
+		handler = this.fs_hellohandler;
+	} else if (req.fsr_rpcmethod == mod_protocol.FP_AUTH_METHOD) {
+		handler = this.fs_authhandler;
+	} else if (this.fs_handlers.hasOwnProperty(req.fsr_rpcmethod)) {
+		handler = this.fs_handlers[req.fsr_rpcmethod];
+	} else {
 		this.requestFail(req, new VError({
 		    'name': 'FastError',
 		    'info': {
@@ -773,16 +1941,223 @@ FastServer.prototype.onMessage = function (message)
 		return;
 	}
 
+	/*
+	 * Clients may only subscribe to subscription methods, and only on
+	 * connections that negotiated the "subscribe" capability (see
+	 * "Subscriptions" in lib/fast_protocol.js).
+	 */
+	subscribe = message.data.m.subscribe === true &&
+	    conn.fc_capabilities !== null && conn.fc_capabilities.indexOf(
+	    mod_protocol.FP_CAPABILITY_SUBSCRIBE) != -1;
+	if (subscribe != handler.fh_subscription) {
+		this.requestFail(req, new VError({
+		    'name': 'FastError',
+		    'info': {
+			'fastReason': 'bad_method',
+			'rpcMethod': req.fsr_rpcmethod,
+			'rpcMsgid': message.msgid
+		    }
+		}, subscribe ? 'cannot subscribe to RPC method: "%s"' :
+		    'method requires a subscription: "%s"',
+		    req.fsr_rpcmethod));
+		return;
+	}
+
+	if (handler.fh_authorize !== null &&
+	    !this.requestAuthorized(req, handler.fh_authorize)) {
+		handler.fh_nunauthorized++;
+		this.fs_nrequests_unauthorized++;
+		req.fsr_log.info({
+		    'rpcmethod': req.fsr_rpcmethod
+		}, 'request denied by authorization policy');
+		this.requestFail(req, new VError({
+		    'name': 'FastError',
+		    'info': {
+			'fastReason': 'unauthorized',
+			'rpcMethod': req.fsr_rpcmethod,
+			'rpcMsgid': message.msgid
+		    }
+		}, 'not authorized to invoke RPC method: "%s"',
+		    req.fsr_rpcmethod));
+		return;
+	}
 
-	handler = this.fs_handlers[req.fsr_rpcmethod];
-	handler.fh_nstarted++;
-	handlerfunc = handler.fh_handler;
-	req.fsr_handler = handler;
+	/*
+	 * Requests are traced if we have an exporter or the client is tracing
+	 * them.  We ignore trace context that we can't parse (rather than
+	 * failing the request), as recommended by the W3C Trace Context spec.
+	 */
+	parent = mod_trace.parseTraceparent(message.data.m.traceparent);
+	if (parent === null && message.data.m.traceparent !== undefined) {
+		req.fsr_log.debug({
+		    'traceparent': message.data.m.traceparent
+		}, 'ignoring invalid trace context');
+	}
+	if (this.fs_traceexporter !== null || parent !== null) {
+		req.fsr_span = mod_trace.spanStart({
+		    'exporter': this.fs_traceexporter,
+		    'parent': parent,
+		    'name': req.fsr_rpcmethod,
+		    'kind': 'server',
+		    'attributes': {
+			'connId': conn.fc_connid,
+			'msgid': req.fsr_msgid
+		    }
+		});
+		req.fsr_log = req.fsr_log.child({
+		    'traceId': req.fsr_span.traceId,
+		    'spanId': req.fsr_span.spanId
+		}, true);
+	}
+
+	/*
+	 * The deadline applies from when we received the request, including
+	 * any time it spends waiting in the queue.
+	 */
+	if (this.fs_enforcedeadlines && req.fsr_timeout !== null) {
+		req.fsr_deadlinetimer = setTimeout(function () {
+			req.fsr_deadlinetimer = null;
+			self.requestDeadlineExceeded(req);
+		}, req.fsr_timeout);
+	}
+
+	/*
+	 * Subscriptions and requests with streaming input cannot complete
+	 * without hearing more from the client, so they don't count towards
+	 * the connection's outstanding requests.  See FastMessageHandler.
+	 */
+	if (!subscribe && req.fsr_input === null) {
+		req.fsr_outstanding = true;
+		conn.fc_noutstanding++;
+	}
 
 	/*
-	 * We skip the FR_S_QUEUED state because we do not currently limit
-	 * request concurrency.
+	 * The handshake, authentication, and subscriptions (which are
+	 * long-lived by design) are not subject to the concurrency limit.  See
+	 * "Request concurrency".
 	 */
+	if (this.fs_maxconcurrent !== null && !subscribe &&
+	    handler !== this.fs_hellohandler &&
+	    handler !== this.fs_authhandler) {
+		if (this.fs_nrunning >= this.fs_maxconcurrent ||
+		    this.fs_queue.length > 0) {
+			this.requestEnqueue(req, handler);
+			return;
+		}
+
+		req.fsr_limited = true;
+	}
+
+	this.requestStart(req, handler);
+};
+
+/*
+ * Returns true if the given message from the client on this connection would
+ * start a new request that counts towards the connection's outstanding
+ * requests (see onMessage()), as opposed to starting a subscription or a
+ * request with streaming input, or being part of something that's already
+ * underway: a control message, input for a request, or a response to a reverse
+ * request.  Only the former are held back by the FastMessageHandler.
+ */
+FastServer.prototype.connMessageHoldable = function (conn, message)
+{
+	var msgid = message.msgid;
+	var m;
+
+	if (message.status !== mod_protocol.FP_STATUS_DATA ||
+	    conn.fc_pending.hasOwnProperty(msgid) ||
+	    conn.fc_inputdrain.hasOwnProperty(msgid)) {
+		return (false);
+	}
+
+	if (conn.fc_capabilities !== null && conn.fc_capabilities.indexOf(
+	    mod_protocol.FP_CAPABILITY_REVERSE) != -1 &&
+	    mod_protocol.isReverseMsgid(msgid)) {
+		return (false);
+	}
+
+	m = message.data.m;
+	if (typeof (m) != 'object' || m === null) {
+		return (true);
+	}
+
+	if (m.subscribe === true && conn.fc_capabilities !== null &&
+	    conn.fc_capabilities.indexOf(
+	    mod_protocol.FP_CAPABILITY_SUBSCRIBE) != -1) {
+		return (false);
+	}
+
+	return (m.input !== true || conn.fc_capabilities === null ||
+	    conn.fc_capabilities.indexOf(
+	    mod_protocol.FP_CAPABILITY_STREAM) == -1);
+};
+
+/*
+ * Fail the request started by the given message, which the client cancelled
+ * while the FastMessageHandler was still holding it back.  As with a request
+ * still waiting in the queue, it never reached its handler, so the
+ * cancellation is acknowledged.
+ */
+FastServer.prototype.connCancelHeld = function (conn, message)
+{
+	var rpcmethod;
+
+	rpcmethod = typeof (message.data.m) == 'object' &&
+	    message.data.m !== null ? message.data.m.name : undefined;
+	this.fs_nrequests_cancelled++;
+	this.fs_ncancels_acked++;
+	conn.fc_log.info({
+	    'msgid': message.msgid,
+	    'rpcmethod': rpcmethod
+	}, 'held request cancelled by client');
+
+	conn.fc_msgencoder.write({
+	    'msgid': message.msgid,
+	    'status': mod_protocol.FP_STATUS_ERROR,
+	    'data': {
+		'm': {
+		    'uts': mod_microtime.now(),
+		    'name': rpcmethod
+		},
+		'd': mod_protocol.marshalError(new VError({
+		    'name': 'FastError',
+		    'info': {
+			'fastReason': 'request_cancelled',
+			'rpcMsgid': message.msgid,
+			'rpcMethod': rpcmethod,
+			'acknowledged': true
+		    }
+		}, 'request cancelled by client'))
+	    },
+	    'version': message.version,
+	    'type': message.type
+	});
+};
+
+/*
+ * Invoke the given handler for the given request, which has been validated and
+ * is not waiting in the queue (if it ever was).
+ */
+FastServer.prototype.requestStart = function (req, handler)
+{
+	var conn = req.fsr_conn;
+	var self = this;
+
+	mod_assertplus.ok(req.fsr_state == FR_S_INIT ||
+	    req.fsr_state == FR_S_QUEUED);
+	handler.fh_nstarted++;
+	req.fsr_handler = handler;
+	req.fsr_encoder.fse_batchconfig = handler.fh_batch;
+	if (handler.fh_subscription) {
+		this.fs_nsubscriptions++;
+		req.fsr_subscription = true;
+		subscriptionContextInit(req);
+	}
+
+	if (req.fsr_limited) {
+		this.fs_nrunning++;
+	}
+
 	req.fsr_state = FR_S_RUNNING;
 	req.fsr_encoder.pipe(conn.fc_msgencoder, { 'end': false });
 	req.fsr_docomplete = function () { self.requestComplete(req); };
@@ -792,114 +2167,970 @@ FastServer.prototype.onMessage = function (message)
 		return ([ self.fs_dtid, conn.fc_connid, req.fsr_msgid,
 		    req.fsr_rpcmethod ]);
 	});
-	handlerfunc(req.fsr_context);
+
+	handler.fh_handler(req.fsr_context);
 };
 
 /*
- * Request lifecycle
+ * Handle the client's half of the handshake (see "Protocol version 3" in
+ * lib/fast_protocol.js).  This is invoked like any other RPC handler.  We
+ * respond with the capabilities that both we and the client support.  We update
+ * the connection's decoder before sending the response so that by the time the
+ * client can send a version 3 message, we're ready to receive it.
+ */
+FastServer.prototype.onHello = function (rpc)
+{
+	var conn, req, argv, hello, version, caps;
+	var self = this;
+
+	conn = this.fs_conns[rpc.connectionId()];
+	mod_assertplus.ok(conn instanceof FastRpcConnection);
+	req = conn.fc_pending[rpc.requestId()];
+	mod_assertplus.ok(req instanceof FastRpcServerRequest);
+
+	argv = rpc.argv();
+	hello = argv[0];
+	if (argv.length != 1 || typeof (hello) != 'object' || hello === null ||
+	    typeof (hello.version) != 'number' ||
+	    !Array.isArray(hello.capabilities) ||
+	    !hello.capabilities.every(function (c) {
+		return (typeof (c) == 'string');
+	    })) {
+		rpc.fail(new VError({
+		    'name': 'FastError',
+		    'info': {
+			'fastReason': 'bad_hello'
+		    }
+		}, 'handshake request is not well-formed'));
+		return;
+	}
+
+	if (conn.fc_capabilities !== null) {
+		rpc.fail(new VError({
+		    'name': 'FastError',
+		    'info': {
+			'fastReason': 'bad_hello'
+		    }
+		}, 'handshake already completed on this connection'));
+		return;
+	}
+
+	if (hello.version >= mod_protocol.FP_VERSION_3 &&
+	    mod_protocol.crcModeAllowsVersion(this.fs_crcmode,
+	    mod_protocol.FP_VERSION_3)) {
+		version = mod_protocol.FP_VERSION_3;
+		caps = mod_protocol.negotiateCapabilities(
+		    this.fs_capabilities, hello.capabilities);
+	} else {
+		version = req.fsr_message.version;
+		caps = [];
+	}
+
+	this.fs_nhandshakes++;
+	conn.fc_capabilities = caps;
+	conn.fc_rawdecoder.setCapabilities(caps);
+	conn.fc_msgencoder.setCapabilities(caps);
+	conn.fc_log.info({
+	    'clientVersion': hello.version,
+	    'clientCapabilities': hello.capabilities,
+	    'version': version,
+	    'capabilities': caps
+	}, 'handshake completed');
+
+	/*
+	 * The client can't accept PINGs until it has read our response, so we
+	 * wait until that's been written to the connection before starting.
+	 * Since the first PING is only sent one interval after that, the
+	 * client also has time to process the response before it arrives.
+	 */
+	if (this.fs_pinginterval !== null &&
+	    caps.indexOf(mod_protocol.FP_CAPABILITY_PING) != -1) {
+		req.fsr_encoder.once('end', function () {
+			self.connKeepaliveStart(conn);
+		});
+	}
+
+	if (caps.indexOf(mod_protocol.FP_CAPABILITY_AUTH) == -1) {
+		rpc.end({
+		    'version': version,
+		    'capabilities': caps
+		});
+		return;
+	}
+
+	conn.fc_challenge = mod_crypto.randomBytes(
+	    FS_AUTH_CHALLENGE_BYTES).toString('hex');
+	rpc.end({
+	    'version': version,
+	    'capabilities': caps,
+	    'challenge': conn.fc_challenge
+	});
+};
+
+/*
+ * Client authentication
  *
- * Requests are created via server.onMessage() and then advance through the
- * following state machine:
+ * Clients that negotiate the "auth" capability present a credential using the
+ * reserved FP_AUTH_METHOD (see "Client authentication" in
+ * lib/fast_protocol.js).  We pass it to the "authenticate" function supplied by
+ * the consumer as:
  *
- *        +------------- FR_S_INIT -------------+
- *        |                                     |
- *        | validation okay                     |
- *        v                                     | validation failed
- *     FR_S_QUEUED                              | (invalid or missing method
- *        |                                     | name, missing arguments, etc.)
- *        | request handler invoked             |
- *        v                                     |
- *     FR_S_RUNNING                             |
- *        |                                     |
- *        | request handler ends stream or      |
- *        | invokes stream.fail(error)          |
- *        |                                     |
- *        +----------> FR_S_COMPLETE <----------+
+ *     authenticate(credential, callback)
  *
- * There are two paths for reaching FR_S_COMPLETE:
+ * where "credential" is an object with properties:
  *
- *     - normal termination (handler ends the stream): server.requestComplete()
+ *     value		the credential sent by the client
  *
- *     - graceful error (handler invokes fail(error)): server.requestFail()
+ *     challenge	the challenge we sent to the client in our HELLO
+ *     			response, against which a signed credential should be
+ *     			checked
  *
- * In both cases, server.requestCleanup() is invoked to finish processing the
- * request.
+ *     peer		the client's TLS identity (see rpc.peer()), or null
+ *
+ *     connectionId	the connection's unique identifier
+ *
+ * and "callback" should be invoked as callback(err) if the credential is not
+ * acceptable or callback(null, identity) if it is, where "identity" is any
+ * non-null, JSON-serializable value describing the client.  That identity is
+ * attached to the connection: RPC handlers can get it with rpc.identity(), it
+ * appears in the connection's kang object, and it's included in the log
+ * entries for the connection and every request made on it thereafter.  A
+ * connection's state advances as follows:
+ *
+ *     FC_AUTH_NONE ---> FC_AUTH_PENDING ---> FC_AUTH_DONE
+ *                                     |
+ *                                     +----> FC_AUTH_FAILED
+ *
+ * Requests that arrive while the credential is being checked are not held
+ * back: well-behaved clients don't send them until authentication has
+ * completed.  If "authRequired" is set, such requests (and any others made
+ * before authentication has succeeded) are failed.
+ */
+var FC_AUTH_NONE    = 'NONE';
+var FC_AUTH_PENDING = 'PENDING';
+var FC_AUTH_DONE    = 'DONE';
+var FC_AUTH_FAILED  = 'FAILED';
+
+FastServer.prototype.onAuth = function (rpc)
+{
+	var conn, argv, credential, done;
+	var self = this;
+
+	conn = this.fs_conns[rpc.connectionId()];
+	mod_assertplus.ok(conn instanceof FastRpcConnection);
+
+	argv = rpc.argv();
+	if (argv.length != 1 || argv[0] === null || argv[0] === undefined) {
+		rpc.fail(new VError({
+		    'name': 'FastError',
+		    'info': {
+			'fastReason': 'bad_auth'
+		    }
+		}, 'authentication request is not well-formed'));
+		return;
+	}
+
+	if (conn.fc_challenge === null || conn.fc_authstate != FC_AUTH_NONE) {
+		rpc.fail(new VError({
+		    'name': 'FastError',
+		    'info': {
+			'fastReason': 'bad_auth',
+			'authState': conn.fc_authstate
+		    }
+		}, conn.fc_challenge === null ?
+		    'authentication was not negotiated on this connection' :
+		    'authentication already attempted on this connection'));
+		return;
+	}
+
+	conn.fc_authstate = FC_AUTH_PENDING;
+	credential = {
+	    'value': argv[0],
+	    'challenge': conn.fc_challenge,
+	    'peer': conn.fc_tlspeer === null ? null :
+		mod_jsprim.deepCopy(conn.fc_tlspeer),
+	    'connectionId': conn.fc_connid
+	};
+
+	done = false;
+	this.fs_authenticate(credential, function (err, identity) {
+		mod_assertplus.ok(!done,
+		    'authenticate callback invoked more than once');
+		done = true;
+
+		if (err) {
+			self.fs_nauth_failed++;
+			conn.fc_authstate = FC_AUTH_FAILED;
+			conn.fc_log.warn(err, 'client authentication failed');
+			rpc.fail(new VError({
+			    'name': 'FastError',
+			    'cause': err,
+			    'info': {
+				'fastReason': 'auth_failed'
+			    }
+			}, 'authentication failed'));
+			return;
+		}
+
+		mod_assertplus.ok(identity !== null && identity !== undefined,
+		    'authenticate callback must provide an identity');
+		self.fs_nauth_ok++;
+		conn.fc_authstate = FC_AUTH_DONE;
+		conn.fc_identity = identity;
+		conn.fc_log = conn.fc_log.child({ 'identity': identity });
+		conn.fc_log.info('client authenticated');
+		rpc.end();
+	});
+};
+
+/*
+ * Authorization
+ *
+ * Each RPC method may have an authorization policy, specified with the
+ * "authorize" option to registerRpcMethod() (or, by default, the server's
+ * "authorize" option).  Requests that the policy denies are failed with a
+ * FastError whose fastReason is "unauthorized" before the handler is invoked,
+ * and counted for each method in the server's kang stats.  A policy is
+ * either:
+ *
+ *     o a predicate function, invoked as authorize(rpc) with the same context
+ *       that would be passed to the handler (so that it can examine
+ *       rpc.identity(), rpc.peer(), rpc.argv(), and so on), which must return
+ *       true to allow the request.  It's invoked synchronously for every
+ *       request, so it should be cheap.
+ *
+ *     o an allow-list: an object with one or both of the properties
+ *
+ *           identities	array of identities (see "Client authentication"
+ *           		above) allowed to invoke the method, compared with
+ *           		jsprim.deepEqual()
+ *
+ *           networks	array of IPv4 or IPv6 networks in CIDR notation
+ *           		(e.g., "10.0.0.0/8") from which the method may be
+ *           		invoked.  Clients connected over Unix domain sockets
+ *           		are in none of them.
+ *
+ *       A request is allowed only if it satisfies every criterion that's
+ *       specified.
+ *
+ * Policies are enforced after the checks for message and client authentication,
+ * so a request that gets this far on a server with "authRequired" always has an
+ * identity.  They don't apply to the reserved methods used by the protocol
+ * itself.
+ */
+FastServer.prototype.requestAuthorized = function (req, policy)
+{
+	var conn = req.fsr_conn;
+
+	if (policy.func !== null) {
+		return (policy.func(req.fsr_context) === true);
+	}
+
+	if (policy.identities !== null && !policy.identities.some(
+	    function (identity) {
+		return (mod_jsprim.deepEqual(identity, conn.fc_identity));
+	    })) {
+		return (false);
+	}
+
+	if (policy.cidrs !== null && !policy.cidrs.some(
+	    function (cidr) {
+		return (mod_subr.cidrContains(cidr,
+		    conn.fc_addrinfo.remoteAddress));
+	    })) {
+		return (false);
+	}
+
+	return (true);
+};
+
+/*
+ * Validate an authorization policy (see "Authorization" above) and return it in
+ * the form used by requestAuthorized().
+ */
+function authorizeConfig(policy, label)
+{
+	var rv;
+
+	if (typeof (policy) == 'function') {
+		return ({
+		    'func': policy,
+		    'identities': null,
+		    'networks': null,
+		    'cidrs': null
+		});
+	}
+
+	mod_assertplus.object(policy, label);
+	mod_assertplus.optionalArray(policy.identities, label + '.identities');
+	mod_assertplus.optionalArrayOfString(policy.networks,
+	    label + '.networks');
+	mod_assertplus.ok(policy.identities || policy.networks,
+	    label + ' must specify "identities" or "networks"');
+
+	rv = {
+	    'func': null,
+	    'identities': policy.identities ?
+		mod_jsprim.deepCopy(policy.identities) : null,
+	    'networks': policy.networks ? policy.networks.slice(0) : null,
+	    'cidrs': null
+	};
+
+	if (rv.networks !== null) {
+		rv.cidrs = rv.networks.map(function (network) {
+			var cidr = mod_subr.parseCidr(network);
+			mod_assertplus.ok(cidr !== null, label +
+			    '.networks: invalid network "' + network + '"');
+			return (cidr);
+		});
+	}
+
+	return (rv);
+}
+
+/*
+ * Return a loggable description of an authorization policy.
+ */
+function authorizeSummary(policy)
+{
+	if (policy === null) {
+		return (null);
+	}
+
+	if (policy.func !== null) {
+		return ('function');
+	}
+
+	return ({
+	    'identities': policy.identities,
+	    'networks': policy.networks
+	});
+}
+
+/*
+ * Request lifecycle
+ *
+ * Requests are created via server.onMessage() and then advance through the
+ * following state machine:
+ *
+ *        +------------- FR_S_INIT -------------+
+ *        |                                     |
+ *        | validation okay                     |
+ *        v                                     | validation failed
+ *     FR_S_QUEUED ---------------------------->| (invalid or missing method
+ *        |        queue full, queue timeout,   | name, missing arguments, etc.)
+ *        |        cancelled, or disconnected   |
+ *        | request handler invoked             |
+ *        v                                     |
+ *     FR_S_RUNNING                             |
+ *        |                                     |
+ *        | request handler ends stream or      |
+ *        | invokes stream.fail(error)          |
+ *        |                                     |
+ *        +----------> FR_S_COMPLETE <----------+
+ *
+ * Requests only enter FR_S_QUEUED when the server limits request concurrency
+ * and there's no slot available for them (see "Request concurrency").  Others
+ * go straight from FR_S_INIT to FR_S_RUNNING.
+ *
+ * There are two paths for reaching FR_S_COMPLETE:
+ *
+ *     - normal termination (handler ends the stream): server.requestComplete()
+ *
+ *     - graceful error (handler invokes fail(error)): server.requestFail()
+ *
+ * The client may also cancel a running request (see "Request cancellation" in
+ * lib/fast_protocol.js), in which case server.requestCancel() fails the
+ * request via server.requestFail() and then notifies the handler.  If the
+ * server enforces deadlines, server.requestDeadlineExceeded() does the same
+ * thing when a request's deadline passes.  Clients may also end a subscription
+ * (see "Subscriptions" in lib/fast_protocol.js), in which case
+ * server.requestUnsubscribe() completes the request normally and notifies the
+ * handler.
+ *
+ * In all cases, server.requestCleanup() is invoked to finish processing the
+ * request.
+ */
+
+var FR_S_INIT     = 'INIT';
+var FR_S_QUEUED   = 'QUEUED';
+var FR_S_RUNNING  = 'RUNNING';
+var FR_S_COMPLETE = 'COMPLETE';
+
+/*
+ * Fail the given RPC request with the specified error.  This entry point is
+ * invoked by RPC implementors returning an error.
+ */
+FastServer.prototype.requestFail = function (request, error)
+{
+	mod_assertplus.ok(request instanceof FastRpcServerRequest);
+	mod_assertplus.ok(error instanceof Error,
+	    'failure must be represented as an Error instance');
+
+	/*
+	 * Handlers commonly fail requests when they notice that they've been
+	 * cancelled (e.g., because an operation using the request's
+	 * AbortSignal failed) or unsubscribed, but by then we've already
+	 * completed the request.
+	 */
+	if ((request.fsr_cancelled || request.fsr_unsubscribed) &&
+	    request.fsr_state == FR_S_COMPLETE) {
+		request.fsr_log.debug(error,
+		    'ignoring failure of cancelled request');
+		return;
+	}
+
+	request.fsr_error = error;
+	request.fsr_state = FR_S_COMPLETE;
+	request.fsr_log.debug(error, 'request failed');
+
+	/*
+	 * Objects that the handler wrote before failing are sent ahead of the
+	 * error, just as they would have been without batching, unless the
+	 * client has given up on the request.
+	 */
+	if (request.fsr_cancelled) {
+		request.fsr_encoder.batchDiscard();
+	} else {
+		request.fsr_encoder.batchSend();
+	}
+
+	request.fsr_conn.fc_msgencoder.write(requestMakeMessage(
+	    request, mod_protocol.FP_STATUS_ERROR, error));
+
+
+	/*
+	 * In the case of normal termination, the implementor ends the
+	 * context stream, which tears down the pipeline between that
+	 * stream, the request's encoder, and the connection's encoder.
+	 * In this case, though, that pipeline is still set up, and we
+	 * must explicitly tear it off at the connection end of the
+	 * pipeline so the rest can be garbage collected.
+	 */
+	request.fsr_encoder.unpipe(request.fsr_conn.fc_msgencoder);
+
+	/*
+	 * If the encoder was waiting for credit, let it drop what it was
+	 * holding so that the handler's stream is not stuck.
+	 */
+	request.fsr_encoder.unblock();
+
+	this.requestCleanup(request);
+};
+
+/*
+ * Grant the given flow-controlled RPC request additional credit from the
+ * client, allowing its response encoder to resume if it was waiting for some.
+ */
+FastServer.prototype.requestCredit = function (request, credit)
+{
+	mod_assertplus.ok(request instanceof FastRpcServerRequest);
+	mod_assertplus.number(request.fsr_credit);
+	mod_assertplus.ok(mod_protocol.isValidCredit(credit));
+
+	request.fsr_credit = Math.min(mod_protocol.FP_CREDIT_MAX,
+	    request.fsr_credit + credit);
+	request.fsr_log.trace({
+	    'credit': request.fsr_credit
+	}, 'received credit');
+	request.fsr_encoder.unblock();
+};
+
+/*
+ * Invoked when the given flow-controlled RPC request's response encoder starts
+ * or stops waiting for credit from the client.  A request waiting for credit
+ * can't complete until we read the client's next CREDIT message, so it doesn't
+ * count towards its connection's outstanding requests while it waits.  See
+ * FastMessageHandler.
+ */
+FastServer.prototype.requestCreditWait = function (request, waiting)
+{
+	var conn = request.fsr_conn;
+
+	if (waiting) {
+		this.fs_ncredit_stalls++;
+	}
+
+	if (!request.fsr_outstanding) {
+		return;
+	}
+
+	if (waiting) {
+		conn.fc_ncreditwait++;
+		this.fs_msghandler.inputResume(conn.fc_msginput);
+	} else {
+		mod_assertplus.ok(conn.fc_ncreditwait > 0);
+		conn.fc_ncreditwait--;
+	}
+};
+
+/*
+ * Mark the given RPC request having completed successfully.  This is implicitly
+ * invoked by RPC implementors when they end their output stream.
+ */
+FastServer.prototype.requestComplete = function (request)
+{
+	mod_assertplus.equal(request.fsr_state, FR_S_RUNNING);
+	request.fsr_state = FR_S_COMPLETE;
+	request.fsr_log.debug('request completed normally');
+	this.requestCleanup(request);
+};
+
+/*
+ * Cancel the given RPC request at the client's behest.  We complete the request
+ * with an error right away and notify the handler (see requestInterrupt()).
+ * The handler "acknowledges" the cancellation if it was listening for the
+ * notification, which tells the client that the handler was in a position to
+ * stop working on the request.  Handlers that were not just keep running until
+ * they finish on their own.
+ */
+FastServer.prototype.requestCancel = function (request)
+{
+	var acknowledged;
+
+	mod_assertplus.ok(request instanceof FastRpcServerRequest);
+	mod_assertplus.ok(request.fsr_state == FR_S_RUNNING ||
+	    request.fsr_state == FR_S_QUEUED);
+	mod_assertplus.ok(!request.fsr_cancelled);
+
+	/*
+	 * A request that's still queued never reached its handler, so it has
+	 * certainly stopped.
+	 */
+	acknowledged = request.fsr_state == FR_S_QUEUED ||
+	    request.fsr_abort !== null ||
+	    request.fsr_context.listeners('cancel').length > 0;
+	this.fs_nrequests_cancelled++;
+	if (acknowledged) {
+		this.fs_ncancels_acked++;
+	}
+	request.fsr_log.info({
+	    'acknowledged': acknowledged
+	}, 'request cancelled by client');
+
+	this.requestInterrupt(request, new VError({
+	    'name': 'FastError',
+	    'info': {
+		'fastReason': 'request_cancelled',
+		'rpcMsgid': request.fsr_msgid,
+		'rpcMethod': request.fsr_rpcmethod,
+		'acknowledged': acknowledged
+	    }
+	}, 'request cancelled by client'));
+};
+
+/*
+ * Fail the given RPC request because its deadline has passed.  This is only
+ * used when the server enforces deadlines.  From the handler's perspective,
+ * this looks just like a cancellation.
+ */
+FastServer.prototype.requestDeadlineExceeded = function (request)
+{
+	mod_assertplus.ok(request instanceof FastRpcServerRequest);
+	mod_assertplus.ok(request.fsr_state == FR_S_RUNNING ||
+	    request.fsr_state == FR_S_QUEUED);
+	mod_assertplus.number(request.fsr_timeout);
+
+	this.fs_ndeadlines++;
+	request.fsr_log.info({
+	    'timeout': request.fsr_timeout
+	}, 'request deadline exceeded');
+
+	this.requestInterrupt(request, new VError({
+	    'name': 'DeadlineExceededError',
+	    'info': {
+		'fastReason': 'deadline_exceeded',
+		'rpcMsgid': request.fsr_msgid,
+		'rpcMethod': request.fsr_rpcmethod,
+		'timeout': request.fsr_timeout
+	    }
+	}, 'request deadline exceeded (client timeout was %d milliseconds)',
+	    request.fsr_timeout));
+};
+
+/*
+ * Complete the given running (or queued) RPC request with the specified error
+ * before its handler has finished, discard anything that the handler writes
+ * afterwards, and then emit 'cancel' on the request context and abort its
+ * AbortSignal (if the handler asked for one).
+ */
+FastServer.prototype.requestInterrupt = function (request, error)
+{
+	mod_assertplus.ok(request.fsr_blackhole === null);
+
+	request.fsr_cancelled = true;
+
+	/*
+	 * If the request is still queued, there's no handler to interrupt.
+	 */
+	if (request.fsr_state == FR_S_QUEUED) {
+		this.requestDequeue(request);
+		this.requestFail(request, error);
+		return;
+	}
+
+	/*
+	 * As in requestDisconnect(), direct the handler's output to a sink so
+	 * that the handler can finish however it likes without affecting the
+	 * connection.
+	 */
+	request.fsr_context.unpipe(request.fsr_encoder);
+	request.fsr_encoder.removeListener('end', request.fsr_docomplete);
+	request.fsr_blackhole = new NullSink();
+	request.fsr_context.pipe(request.fsr_blackhole);
+
+	this.requestFail(request, error);
+
+	/*
+	 * Notify the handler only after completing the request so that any
+	 * failure it reports in response is ignored (see requestFail()).
+	 */
+	request.fsr_context.emit('cancel');
+	if (request.fsr_abort !== null) {
+		request.fsr_abort.abort();
+	}
+	requestUnsubscribed(request);
+};
+
+/*
+ * End the given subscription at the client's behest.  As with cancellation, we
+ * complete the request right away and discard anything else that the handler
+ * publishes, but the subscription ends normally (with an END message) before
+ * we notify the handler.
+ */
+FastServer.prototype.requestUnsubscribe = function (request)
+{
+	mod_assertplus.ok(request.fsr_subscription);
+	mod_assertplus.equal(request.fsr_state, FR_S_RUNNING);
+	mod_assertplus.ok(request.fsr_blackhole === null);
+
+	this.fs_nunsubscribes++;
+	request.fsr_log.info({
+	    'nEventsSent': request.fsr_encoder.fse_nsent
+	}, 'subscription ended by client');
+
+	request.fsr_context.unpipe(request.fsr_encoder);
+	request.fsr_encoder.removeListener('end', request.fsr_docomplete);
+	request.fsr_blackhole = new NullSink();
+	request.fsr_context.pipe(request.fsr_blackhole);
+
+	request.fsr_state = FR_S_COMPLETE;
+	request.fsr_encoder.batchDiscard();
+	request.fsr_conn.fc_msgencoder.write(requestMakeMessage(
+	    request, mod_protocol.FP_STATUS_END, null));
+	request.fsr_encoder.unpipe(request.fsr_conn.fc_msgencoder);
+	request.fsr_encoder.unblock();
+	this.requestCleanup(request);
+
+	requestUnsubscribed(request);
+};
+
+/*
+ * Disconnect this request from the underlying connection, usually because the
+ * connection has failed.  We do not have a great way to signal cancellation to
+ * the RPC method handler, so we allow the request to complete and ignore any
+ * data sent.  This should not be a big deal, since Fast RPC requests are
+ * intended to be very bounded in size anyway.
+ */
+FastServer.prototype.requestDisconnect = function (request)
+{
+	var self = this;
+
+	mod_assertplus.ok(request instanceof FastRpcServerRequest);
+
+	/*
+	 * Queued requests never run.  We're in the middle of tearing down the
+	 * connection, so we finish cleaning up asynchronously, just as we
+	 * would for a running request once its handler finished.
+	 */
+	if (request.fsr_state == FR_S_QUEUED) {
+		request.fsr_log.info('disconnecting queued request');
+		this.requestDequeue(request);
+		request.fsr_state = FR_S_COMPLETE;
+		request.fsr_error = new VError({
+		    'name': 'FastTransportError'
+		}, 'connection closed while request was queued');
+		setImmediate(function () { self.requestCleanup(request); });
+		return;
+	}
+
+	if (request.fsr_state != FR_S_RUNNING) {
+		mod_assertplus.equal(request.fsr_state, FR_S_COMPLETE);
+		return;
+	}
+
+	mod_assertplus.ok(request.fsr_error === null);
+	mod_assertplus.ok(request.fsr_blackhole === null);
+	request.fsr_log.info('disconnecting request');
+	requestClearDeadline(request);
+	request.fsr_encoder.batchDiscard();
+	request.fsr_context.unpipe(request.fsr_encoder);
+	request.fsr_encoder.unpipe(request.fsr_conn.fc_msgencoder);
+	request.fsr_encoder.removeListener('end', request.fsr_docomplete);
+
+	request.fsr_blackhole = new NullSink();
+	request.fsr_context.pipe(request.fsr_blackhole);
+	request.fsr_blackhole.on('finish', request.fsr_docomplete);
+	requestInputClose(request);
+
+	/*
+	 * Subscriptions usually run until somebody ends them, so their handlers
+	 * need to be told to end them now.
+	 */
+	requestUnsubscribed(request);
+};
+
+/*
+ * Request concurrency
+ *
+ * When the server is configured with "maxConcurrentRequests", that many
+ * requests may be running at once, counting from when the handler is invoked
+ * until the request completes (which, for requests that are cancelled or whose
+ * deadlines pass, may be before the handler has finished).  Requests that
+ * arrive while the limit is reached wait in fs_queue, in the order they
+ * arrived, in state FR_S_QUEUED.  Once a slot frees up, we start as many
+ * queued requests as we can, always on a later tick so that handlers are never
+ * invoked from within the completion of another request.  New requests do not
+ * jump ahead of queued ones in the meantime.
+ *
+ * The queue holds at most "maxQueuedRequests" requests, and requests that
+ * would exceed that are failed immediately with fastReason "server_busy".  If
+ * "queueTimeout" is set, requests that wait that long are failed the same way.
+ * Queued requests are also taken off the queue if they're cancelled, if their
+ * deadlines pass, or if their connections fail.  A queued request with
+ * streaming input receives no credit for its input until it starts running.
+ */
+
+/*
+ * Add the given request to the queue, or fail it if the queue is full.
+ */
+FastServer.prototype.requestEnqueue = function (request, handler)
+{
+	var self = this;
+
+	mod_assertplus.equal(request.fsr_state, FR_S_INIT);
+
+	if (this.fs_queue.length >= this.fs_maxqueued) {
+		this.fs_nrequests_busy++;
+		request.fsr_log.debug('request queue is full');
+		this.requestFail(request, new VError({
+		    'name': 'FastError',
+		    'info': {
+			'fastReason': 'server_busy',
+			'rpcMsgid': request.fsr_msgid,
+			'rpcMethod': request.fsr_rpcmethod,
+			'maxQueuedRequests': this.fs_maxqueued
+		    }
+		}, 'server is busy (%d requests already queued)',
+		    this.fs_queue.length));
+		return;
+	}
+
+	this.fs_nrequests_queued++;
+	request.fsr_state = FR_S_QUEUED;
+	request.fsr_queuehandler = handler;
+	request.fsr_hrtqueued = process.hrtime();
+	this.fs_queue.push(request);
+	if (this.fs_collector) {
+		this.fs_queue_gauge.add(1);
+	}
+
+	if (this.fs_queuetimeout !== null) {
+		request.fsr_queuetimer = setTimeout(function () {
+			request.fsr_queuetimer = null;
+			self.requestQueueTimeout(request);
+		}, this.fs_queuetimeout);
+	}
+
+	request.fsr_log.debug({
+	    'queueDepth': this.fs_queue.length
+	}, 'request queued');
+};
+
+/*
+ * Remove the given request from the queue.  The caller is responsible for
+ * either starting it or completing it.
+ */
+FastServer.prototype.requestDequeue = function (request)
+{
+	var which;
+
+	mod_assertplus.equal(request.fsr_state, FR_S_QUEUED);
+	which = this.fs_queue.indexOf(request);
+	mod_assertplus.ok(which != -1);
+	this.fs_queue.splice(which, 1);
+
+	if (request.fsr_queuetimer !== null) {
+		clearTimeout(request.fsr_queuetimer);
+		request.fsr_queuetimer = null;
+	}
+
+	request.fsr_queuewait = mod_jsprim.hrtimeMillisec(
+	    process.hrtime(request.fsr_hrtqueued));
+	if (this.fs_collector) {
+		this.fs_queue_gauge.add(-1);
+		this.fs_queue_histogram.observe(request.fsr_queuewait / 1000);
+	}
+};
+
+/*
+ * Arrange to start queued requests, if there are any.
  */
+FastServer.prototype.requestQueueKick = function ()
+{
+	var self = this;
 
-var FR_S_INIT     = 'INIT';
-var FR_S_QUEUED   = 'QUEUED';
-var FR_S_RUNNING  = 'RUNNING';
-var FR_S_COMPLETE = 'COMPLETE';
+	if (this.fs_queuerun !== null || this.fs_queue.length === 0) {
+		return;
+	}
+
+	this.fs_queuerun = setImmediate(function () {
+		self.fs_queuerun = null;
+		self.requestQueueRun();
+	});
+};
 
 /*
- * Fail the given RPC request with the specified error.  This entry point is
- * invoked by RPC implementors returning an error.
+ * Start as many queued requests as there are slots available.
  */
-FastServer.prototype.requestFail = function (request, error)
+FastServer.prototype.requestQueueRun = function ()
 {
-	mod_assertplus.ok(request instanceof FastRpcServerRequest);
-	mod_assertplus.ok(error instanceof Error,
-	    'failure must be represented as an Error instance');
+	var request, handler;
+
+	while (this.fs_queue.length > 0 &&
+	    this.fs_nrunning < this.fs_maxconcurrent) {
+		request = this.fs_queue[0];
+		handler = request.fsr_queuehandler;
+		this.requestDequeue(request);
+		request.fsr_log.debug({
+		    'queueWaitMs': request.fsr_queuewait
+		}, 'request dequeued');
+		request.fsr_limited = true;
+		this.requestStart(request, handler);
+	}
+};
 
-	request.fsr_error = error;
-	request.fsr_state = FR_S_COMPLETE;
-	request.fsr_log.debug(error, 'request failed');
+/*
+ * Fail the given request because it has waited in the queue for too long.
+ */
+FastServer.prototype.requestQueueTimeout = function (request)
+{
+	this.requestDequeue(request);
+	this.fs_nrequests_busy++;
+	request.fsr_log.debug('request timed out in queue');
+	this.requestFail(request, new VError({
+	    'name': 'FastError',
+	    'info': {
+		'fastReason': 'server_busy',
+		'rpcMsgid': request.fsr_msgid,
+		'rpcMethod': request.fsr_rpcmethod,
+		'queueTimeout': this.fs_queuetimeout
+	    }
+	}, 'server is busy (request waited %d milliseconds)',
+	    this.fs_queuetimeout));
+};
 
-	request.fsr_conn.fc_msgencoder.write(requestMakeMessage(
-	    request, mod_protocol.FP_STATUS_ERROR, error));
+/*
+ * Request input
+ *
+ * Requests with streaming input (see "Request streams" in lib/fast_protocol.js)
+ * have a FastRpcInput stream that the handler gets with rpc.input().  We grant
+ * the client credit only as the handler reads, in the same way that the client
+ * does for responses: when the handler wants more input, if the client has
+ * used at least half of the window, we grant enough credit to fill it again.
+ * So a client can get at most FS_INPUT_WINDOW messages ahead of a handler.
+ *
+ * If the request completes before the client has ended its input (including
+ * when it fails or is cancelled), the input stream is destroyed without
+ * emitting 'end', so that handlers can tell that the input was cut short.
+ */
 
+/*
+ * Invoked when the handler wants more input for the given request.
+ */
+FastServer.prototype.requestInputRead = function (request)
+{
+	var credit, message;
 
 	/*
-	 * In the case of normal termination, the implementor ends the
-	 * context stream, which tears down the pipeline between that
-	 * stream, the request's encoder, and the connection's encoder.
-	 * In this case, though, that pipeline is still set up, and we
-	 * must explicitly tear it off at the connection end of the
-	 * pipeline so the rest can be garbage collected.
+	 * We must not grant credit once the request's END or ERROR message may
+	 * have been sent, since the client may have moved on by then.
 	 */
-	request.fsr_encoder.unpipe(request.fsr_conn.fc_msgencoder);
+	if (request.fsr_state != FR_S_RUNNING || request.fsr_inputended ||
+	    request.fsr_blackhole !== null || request.fsr_encoder.fse_flushed) {
+		return;
+	}
 
-	this.requestCleanup(request);
-};
+	credit = FS_INPUT_WINDOW - request.fsr_inputcredit;
+	if (credit < Math.max(1, Math.floor(FS_INPUT_WINDOW / 2))) {
+		return;
+	}
 
-/*
- * Mark the given RPC request having completed successfully.  This is implicitly
- * invoked by RPC implementors when they end their output stream.
- */
-FastServer.prototype.requestComplete = function (request)
-{
-	mod_assertplus.equal(request.fsr_state, FR_S_RUNNING);
-	request.fsr_state = FR_S_COMPLETE;
-	request.fsr_log.debug('request completed normally');
-	this.requestCleanup(request);
+	message = connMakeControlMessage(mod_protocol.FP_STATUS_CREDIT,
+	    request.fsr_msgid);
+	message.data.d = [ credit ];
+	request.fsr_inputcredit += credit;
+	request.fsr_log.trace({
+	    'credit': request.fsr_inputcredit
+	}, 'granting input credit');
+	request.fsr_conn.fc_msgencoder.write(message);
 };
 
 /*
- * Disconnect this request from the underlying connection, usually because the
- * connection has failed.  We do not have a great way to signal cancellation to
- * the RPC method handler, so we allow the request to complete and ignore any
- * data sent.  This should not be a big deal, since Fast RPC requests are
- * intended to be very bounded in size anyway.
+ * Handle a DATA message carrying input for the given request.
  */
-FastServer.prototype.requestDisconnect = function (request)
+FastServer.prototype.requestInput = function (request, message)
 {
-	mod_assertplus.ok(request instanceof FastRpcServerRequest);
+	var i;
 
-	if (request.fsr_state != FR_S_RUNNING) {
-		mod_assertplus.equal(request.fsr_state, FR_S_COMPLETE);
+	mod_assertplus.ok(request.fsr_state == FR_S_RUNNING ||
+	    request.fsr_state == FR_S_QUEUED);
+	if (request.fsr_inputcredit === 0) {
+		this.connTerminate(request.fsr_conn, new VError({
+		    'name': 'FastProtocolError',
+		    'info': {
+			'fastReason': 'credit_exceeded',
+			'rpcMsgid': request.fsr_msgid
+		    }
+		}, 'client sent input without credit'));
 		return;
 	}
 
-	mod_assertplus.ok(request.fsr_error === null);
-	mod_assertplus.ok(request.fsr_blackhole === null);
-	request.fsr_log.info('disconnecting request');
-	request.fsr_context.unpipe(request.fsr_encoder);
-	request.fsr_encoder.unpipe(request.fsr_conn.fc_msgencoder);
-	request.fsr_encoder.removeListener('end', request.fsr_docomplete);
+	request.fsr_inputcredit--;
+	if (!Array.isArray(message.data.d) ||
+	    message.data.d.indexOf(null) != -1) {
+		this.requestFail(request, new VError({
+		    'name': 'FastError',
+		    'info': {
+			'fastReason': 'bad_input',
+			'rpcMsgid': request.fsr_msgid,
+			'rpcMethod': request.fsr_rpcmethod
+		    }
+		}, 'RPC request input is not well-formed'));
+		return;
+	}
 
-	request.fsr_blackhole = new NullSink();
-	request.fsr_context.pipe(request.fsr_blackhole);
-	request.fsr_blackhole.on('finish', request.fsr_docomplete);
+	for (i = 0; i < message.data.d.length; i++) {
+		request.fsr_input.push(message.data.d[i]);
+	}
+
+	request.fsr_ninput += message.data.d.length;
+	this.fs_ninput += message.data.d.length;
+};
+
+/*
+ * Handle the end of the client's input for the given request.
+ */
+FastServer.prototype.requestInputEnd = function (request)
+{
+	mod_assertplus.ok(request.fsr_state == FR_S_RUNNING ||
+	    request.fsr_state == FR_S_QUEUED);
+	request.fsr_log.debug({
+	    'nInputObjects': request.fsr_ninput
+	}, 'input ended');
+	request.fsr_inputended = true;
+	request.fsr_inputeof = true;
+	request.fsr_input.push(null);
 };
 
 /*
@@ -915,11 +3146,30 @@ FastServer.prototype.requestCleanup = function (request)
 
 	mod_assertplus.equal(request.fsr_state, FR_S_COMPLETE);
 	conn = request.fsr_conn;
+	requestClearDeadline(request);
+
+	if (request.fsr_span !== null) {
+		mod_trace.spanEnd(this.fs_traceexporter, request.fsr_span,
+		    request.fsr_error);
+	}
 
 	mod_assertplus.ok(conn.fc_pending.hasOwnProperty(request.fsr_msgid));
 	mod_assertplus.ok(conn.fc_pending[request.fsr_msgid] == request);
 	delete (conn.fc_pending[request.fsr_msgid]);
 
+	/*
+	 * If the client has not finished sending input, it will stop once it
+	 * sees our response.  Until it tells us so, we must ignore any input
+	 * that's already on its way.  Either way, the handler won't get any
+	 * more.
+	 */
+	if (request.fsr_input !== null) {
+		if (!request.fsr_inputended) {
+			conn.fc_inputdrain[request.fsr_msgid] = true;
+		}
+		requestInputClose(request);
+	}
+
 	conn.fc_ncompleted++;
 	this.fs_nrequests_completed++;
 	if (this.fs_collector) {
@@ -956,6 +3206,18 @@ FastServer.prototype.requestCleanup = function (request)
 		}
 	}
 
+	if (request.fsr_limited) {
+		mod_assertplus.ok(this.fs_nrunning > 0);
+		this.fs_nrunning--;
+		this.requestQueueKick();
+	}
+
+	if (request.fsr_outstanding) {
+		mod_assertplus.ok(conn.fc_noutstanding > 0);
+		conn.fc_noutstanding--;
+		this.fs_msghandler.inputResume(conn.fc_msginput);
+	}
+
 	if (conn.fc_draining) {
 		this.connDrain(conn);
 	}
@@ -979,6 +3241,16 @@ FastServer.prototype.requestCleanup = function (request)
  *     rpchandler	JavaScript function invoked for each outstanding
  *     			request.
  *
+ *     batch		(optional) batching configuration for responses (see
+ *     			batchConfig()), or null if responses are not batched
+ *
+ *     authorize	(optional) authorization policy (see
+ *     			authorizeConfig()), or null if any client may invoke
+ *     			this method
+ *
+ *     subscription	(optional boolean) this is a subscription method (see
+ *     			registerSubscriptionMethod())
+ *
  * When RPC requests are received for this method, the function is invoked as:
  *
  *     handler(context);
@@ -996,12 +3268,20 @@ function FastRpcHandler(args)
 	mod_assertplus.object(args, 'args');
 	mod_assertplus.string(args.rpcmethod, 'args.rpcmethod');
 	mod_assertplus.func(args.rpchandler, 'args.rpchandler');
+	mod_assertplus.optionalObject(args.batch, 'args.batch');
+	mod_assertplus.optionalObject(args.authorize, 'args.authorize');
+	mod_assertplus.optionalBool(args.subscription, 'args.subscription');
 
 	this.fh_rpcmethod = args.rpcmethod;
 	this.fh_handler = args.rpchandler;
+	this.fh_batch = args.batch || null;	/* see batchConfig() */
+	/* see authorizeConfig() */
+	this.fh_authorize = args.authorize || null;
+	this.fh_subscription = args.subscription === true;
 	this.fh_nstarted = 0;		/* count of started RPC calls */
 	this.fh_ncompleted = 0;		/* count of completed RPC calls */
 	this.fh_nerrors = 0;		/* count of completed, failed calls */
+	this.fh_nunauthorized = 0;	/* count of calls denied by policy */
 }
 
 
@@ -1016,6 +3296,15 @@ function FastRpcHandler(args)
  *
  *     log      bunyan-style logger
  *
+ *     maxMessageBytes	(optional) maximum size of incoming message payloads
+ *
+ *     compressThreshold	(optional) minimum size of outgoing message
+ *     			payloads to compress
+ *
+ *     coalesceBytes	(optional) maximum size of coalesced writes
+ *
+ *     hmacKeys		keys for message authentication, or null
+ *
  */
 function FastRpcConnection(args)
 {
@@ -1023,15 +3312,30 @@ function FastRpcConnection(args)
 	mod_assertplus.ok(args.connId, 'args.connId');
 	mod_assertplus.object(args.socket, 'args.socket');
 	mod_assertplus.object(args.log, 'args.log');
+	mod_assertplus.optionalNumber(args.maxMessageBytes,
+	    'args.maxMessageBytes');
+	mod_assertplus.optionalNumber(args.compressThreshold,
+	    'args.compressThreshold');
+	mod_assertplus.optionalNumber(args.coalesceBytes,
+	    'args.coalesceBytes');
+	mod_assertplus.optionalArray(args.hmacKeys, 'args.hmacKeys');
 
 	this.fc_connid = args.connId;	/* see above */
 	this.fc_socket = args.socket;	/* see above */
 	this.fc_addrinfo = mod_subr.summarizeSocketAddrs(this.fc_socket);
-	this.fc_log = args.log.child({
+	/* client's identity, for TLS connections (see "TLS" above) */
+	this.fc_tlspeer = mod_subr.summarizeTlsPeer(this.fc_socket);
+	this.fc_log = args.log.child(this.fc_tlspeer === null ? {
 	    'connId': this.fc_connid,
 	    'client': this.fc_addrinfo.label
+	} : {
+	    'connId': this.fc_connid,
+	    'client': this.fc_addrinfo.label,
+	    'tlsPeer': this.fc_tlspeer
 	});
 	this.fc_pending = {};		/* pending requests */
+	/* msgids of completed requests whose input has not ended */
+	this.fc_inputdrain = {};
 	this.fc_nstarted = 0;		/* count of requests started */
 	this.fc_ncompleted = 0;		/* count of requests completed */
 	this.fc_nfailed = 0;		/* count of requests failed */
@@ -1040,76 +3344,473 @@ function FastRpcConnection(args)
 	this.fc_socket_error = null;	/* conn experienced socket error */
 	this.fc_server_error = null;	/* proto error or shutdown */
 	this.fc_draining = false;	/* waiting for connection to drain */
+	this.fc_crcflavor = null;	/* CRC calculation used by client */
+	this.fc_capabilities = null;	/* negotiated caps (null if no hello) */
+	this.fc_keepalive = null;	/* see connKeepaliveStart() */
+	this.fc_npongs = 0;		/* count of PONG messages sent */
+	/* client authentication (see "Client authentication") */
+	this.fc_challenge = null;	/* challenge sent in HELLO response */
+	this.fc_authstate = FC_AUTH_NONE;
+	this.fc_identity = null;	/* identity of authenticated client */
+	/* reverse requests (see "Reverse requests") */
+	this.fc_reverse = null;		/* see connReverseClient() */
+	this.fc_handle = null;		/* see connHandle() */
+	/* inbound flow control (see FastMessageHandler) */
+	this.fc_msginput = null;	/* end of this connection's pipeline */
+	this.fc_noutstanding = 0;	/* count of outstanding requests */
+	this.fc_ncreditwait = 0;	/* outstanding, awaiting credit */
 
 	/*
 	 * Messages written to fc_msgencoder are encoded and sent to the socket.
 	 */
-	this.fc_msgencoder = new mod_protocol.FastMessageEncoder();
+	this.fc_msgencoder = new mod_protocol.FastMessageEncoder({
+	    'compressThreshold': args.compressThreshold,
+	    'coalesceBytes': args.coalesceBytes,
+	    'hmacKeys': args.hmacKeys || undefined
+	});
 	this.fc_msgencoder.pipe(this.fc_socket);
 
-	/*
-	 * We'll end up piping each request's encoder to this connection-wide
-	 * encoder.  As a result, it may have listeners proportional to the
-	 * number of outstanding requests.  Disable Node's ill-considered
-	 * warning about the maximum number of listeners.
-	 */
-	this.fc_msgencoder.setMaxListeners(0);
+	/*
+	 * When the encoder is coalescing messages, Nagle's algorithm has
+	 * nothing left to do except hold back the tail of each coalesced write
+	 * until the client acknowledges the rest, which (with delayed
+	 * acknowledgments) can stall a streaming response for tens of
+	 * milliseconds.
+	 */
+	if (args.coalesceBytes !== 0) {
+		this.fc_socket.setNoDelay(true);
+	}
+
+	/*
+	 * We'll end up piping each request's encoder to this connection-wide
+	 * encoder.  As a result, it may have listeners proportional to the
+	 * number of outstanding requests.  Disable Node's ill-considered
+	 * warning about the maximum number of listeners.
+	 */
+	this.fc_msgencoder.setMaxListeners(0);
+
+	/*
+	 * Messages read from the socket are annotated with this connection id
+	 * (using the FastRpcConnectionDecoder transform stream) and then
+	 * emitted from fc_ckddecoder.
+	 */
+	this.fc_rawdecoder = new mod_protocol.FastMessageDecoder({
+	    'maxMessageBytes': args.maxMessageBytes,
+	    'hmacKeys': args.hmacKeys || undefined
+	});
+	this.fc_socket.pipe(this.fc_rawdecoder);
+	this.fc_ckddecoder = new FastRpcConnectionDecoder({ 'fastConn': this });
+	this.fc_rawdecoder.pipe(this.fc_ckddecoder);
+}
+
+
+/*
+ * This object-mode Transform stream annotates Fast protocol messages with the
+ * connection on which they were received.
+ */
+function FastRpcConnectionDecoder(args)
+{
+	mod_assertplus.object(args, 'args');
+	mod_assertplus.object(args.fastConn, 'args.fastConn');
+
+	this.fcd_conn = args.fastConn;
+	mod_stream.Transform.call(this, {
+	    'objectMode': true,
+	    'highWaterMark': 1
+	});
+}
+
+mod_util.inherits(FastRpcConnectionDecoder, mod_stream.Transform);
+
+FastRpcConnectionDecoder.prototype._transform = function (msg, _, callback)
+{
+	mod_assertplus.object(msg);
+	mod_assertplus.number(msg.msgid);
+	mod_assertplus.ok(!msg.hasOwnProperty('connId'));
+	msg.connId = this.fcd_conn.fc_connid;
+	this.push(msg);
+	setImmediate(callback);
+};
+
+
+/*
+ * The FastMessageHandler takes incoming Fast protocol messages from all of the
+ * server's connections and dispatches them to the FastServer for which it was
+ * created.  Each connection's pipeline ends in its own FastMessageHandlerInput,
+ * an object-mode Writable stream that holds one message at a time.  Inputs with
+ * a message waiting are kept in fmh_ready in the order that their messages
+ * arrived, and each pass through the dispatcher takes one message from each of
+ * them.  Whatever a connection sends next goes to the back of the line, so
+ * every connection with something to say gets a turn in every pass, no matter
+ * how quickly any one client sends messages.
+ *
+ * If "maxConnectionRequests" is set, the handler also tracks each connection's
+ * outstanding requests (fc_noutstanding).  When a message that would start a
+ * new request arrives on a connection that already has that many outstanding,
+ * the handler holds it back in the input's fmi_held queue instead of
+ * dispatching it, and dispatches held requests in order as the connection's
+ * outstanding requests complete (at which point the server calls
+ * inputResume()).  Meanwhile, the handler keeps reading from the connection so
+ * that everything else the client sends -- CREDIT, CANCEL, UNSUBSCRIBE, PING,
+ * and PONG messages, input for requests with streaming input, and responses
+ * to reverse requests -- is handled right away.  Outstanding requests may well
+ * be waiting for some of these.  A CANCEL for a request that's still held
+ * removes it from fmi_held, and the server fails it without ever running it.
+ * Only once the connection has more held requests than it may have outstanding
+ * does the handler pause the input by holding on to the Writable callback, so
+ * that nothing more is read from the connection.
+ *
+ * Some requests cannot complete until the server reads more from the client:
+ *
+ *     - Subscriptions end when the client unsubscribes, and requests with
+ *       streaming input need the client's input, so neither counts towards the
+ *       connection's outstanding requests, and neither is ever held back.
+ *       Flow-controlled requests don't count while they're waiting for credit
+ *       (fc_ncreditwait).
+ *
+ *     - Handlers that make reverse requests need the client's responses.
+ *       Those requests still count, and requests that would exceed the limit
+ *       are still held, but we never pause a connection with reverse requests
+ *       pending, and we resume a paused connection when a handler makes a new
+ *       one.  Otherwise, the client's responses could be stuck behind requests
+ *       that can't run until the handler completes.
+ *
+ *     - While the connection is paused, we could not read the client's
+ *       responses to our PINGs, so we stop sending them.  The client's own
+ *       PINGs also go unanswered, so a client with keepalive enabled may give
+ *       up on a connection that it keeps paused for too long.
+ *
+ * Since we keep reading while we hold requests, we may read end-of-stream
+ * before we've dispatched them.  The server defers processing it until we have
+ * (see inputDeferEnd()).
+ */
+function FastMessageHandler(args)
+{
+	mod_assertplus.object(args, 'args');
+	mod_assertplus.object(args.server, 'args.server');
+	mod_assertplus.ok(args.maxConnectionRequests === null ||
+	    typeof (args.maxConnectionRequests) == 'number');
+
+	this.fmh_server = args.server;
+	this.fmh_maxrequests = args.maxConnectionRequests;
+	this.fmh_ready = [];		/* inputs with a message, in order */
+	this.fmh_dispatch = null;	/* see dispatchKick() */
+
+	/* debug information */
+	this.fmh_npaused = 0;		/* count of inputs currently paused */
+	this.fmh_npauses = 0;		/* count of times any input paused */
+	this.fmh_nheld = 0;		/* count of requests held back */
+}
+
+/*
+ * Create the input at the end of the given connection's pipeline.
+ */
+FastMessageHandler.prototype.createInput = function (conn)
+{
+	return (new FastMessageHandlerInput({
+	    'handler': this,
+	    'fastConn': conn
+	}));
+};
+
+/*
+ * Invoked when the given input has something to dispatch: either a message
+ * that it just received or a held request that can now run.
+ */
+FastMessageHandler.prototype.inputReady = function (input)
+{
+	if (input.fmi_ready || input.fmi_removed) {
+		return;
+	}
+
+	input.fmi_ready = true;
+	this.fmh_ready.push(input);
+	this.dispatchKick();
+};
+
+/*
+ * Arrange to dispatch waiting messages, if we haven't already.
+ */
+FastMessageHandler.prototype.dispatchKick = function ()
+{
+	var self = this;
+
+	if (this.fmh_dispatch !== null) {
+		return;
+	}
+
+	this.fmh_dispatch = setImmediate(function () {
+		self.fmh_dispatch = null;
+		self.dispatch();
+	});
+};
+
+/*
+ * Dispatch one message from each input that was waiting when we started.
+ * Dispatching a message can cause connections to be removed (and their inputs
+ * taken out of fmh_ready), and inputs that still have something to dispatch
+ * afterwards go to the back of the line for the next pass.
+ */
+FastMessageHandler.prototype.dispatch = function ()
+{
+	var n, input;
+
+	for (n = this.fmh_ready.length;
+	    n > 0 && this.fmh_ready.length > 0; n--) {
+		input = this.fmh_ready.shift();
+		input.fmi_ready = false;
+		this.inputDispatch(input);
+		this.inputResume(input);
+	}
+
+	if (this.fmh_ready.length > 0) {
+		this.dispatchKick();
+	}
+};
+
+/*
+ * Take the given input's turn: dispatch its oldest held request if there's now
+ * room for it, and otherwise the message that it just received (unless that
+ * needs to be held, too).
+ */
+FastMessageHandler.prototype.inputDispatch = function (input)
+{
+	var conn = input.fmi_conn;
+	var message, callback;
+
+	if (input.fmi_held.length > 0 && !this.inputAtLimit(input)) {
+		this.fmh_server.onMessage(input.fmi_held.shift());
+		if (input.fmi_removed) {
+			return;
+		}
+
+		if (input.fmi_held.length === 0 && input.fmi_endpending) {
+			input.fmi_endpending = false;
+			this.fmh_server.onConnectionEnd(conn.fc_connid, conn);
+		}
+		return;
+	}
+
+	if (input.fmi_message === null) {
+		return;
+	}
+
+	message = input.fmi_message;
+	callback = input.fmi_callback;
+	input.fmi_message = null;
+	input.fmi_callback = null;
+
+	if ((input.fmi_held.length > 0 || this.inputAtLimit(input)) &&
+	    this.fmh_server.connMessageHoldable(conn, message)) {
+		this.inputHold(input, message, callback);
+		return;
+	}
+
+	if (message.status === mod_protocol.FP_STATUS_CANCEL &&
+	    this.inputCancelHeld(input, message.msgid)) {
+		callback();
+		return;
+	}
+
+	this.fmh_server.onMessage(message);
+	if (!input.fmi_removed) {
+		callback();
+	}
+};
+
+/*
+ * Returns true if the given input's connection has as many outstanding
+ * requests as it's allowed.  The limit is inclusive, so requests are only held
+ * back once they'd exceed it.
+ */
+FastMessageHandler.prototype.inputAtLimit = function (input)
+{
+	var conn = input.fmi_conn;
+
+	return (this.fmh_maxrequests !== null &&
+	    conn.fc_noutstanding - conn.fc_ncreditwait >=
+	    this.fmh_maxrequests);
+};
+
+/*
+ * Returns true if the given input is holding more requests than its connection
+ * may have outstanding and the connection isn't waiting on the client for
+ * responses to reverse requests, in which case we stop reading from it.
+ */
+FastMessageHandler.prototype.inputOverHeld = function (input)
+{
+	var conn = input.fmi_conn;
+
+	return (input.fmi_held.length > this.fmh_maxrequests &&
+	    (conn.fc_reverse === null ||
+	    mod_jsprim.isEmpty(conn.fc_reverse.fc_pending)));
+};
+
+/*
+ * Hold back the given message (which would start a new request) until the
+ * input's connection has room for it.  "callback" is the Writable callback for
+ * the message.  We keep reading unless the connection now has more held
+ * requests than it's allowed to have outstanding.
+ */
+FastMessageHandler.prototype.inputHold = function (input, message, callback)
+{
+	var conn = input.fmi_conn;
+
+	mod_assertplus.ok(!input.fmi_paused);
+	input.fmi_held.push(message);
+	this.fmh_nheld++;
+
+	if (!this.inputOverHeld(input)) {
+		callback();
+		return;
+	}
+
+	input.fmi_paused = true;
+	input.fmi_callback = callback;
+	input.fmi_npauses++;
+	this.fmh_npaused++;
+	this.fmh_npauses++;
+	conn.fc_log.debug({
+	    'nOutstanding': conn.fc_noutstanding,
+	    'nHeld': input.fmi_held.length
+	}, 'pausing connection (too many requests)');
+	this.fmh_server.connKeepaliveStop(conn);
+};
 
-	/*
-	 * Messages read from the socket are annotated with this connection id
-	 * (using the FastRpcConnectionDecoder transform stream) and then
-	 * emitted from fc_ckddecoder.
-	 */
-	this.fc_rawdecoder = new mod_protocol.FastMessageDecoder();
-	this.fc_socket.pipe(this.fc_rawdecoder);
-	this.fc_ckddecoder = new FastRpcConnectionDecoder({ 'fastConn': this });
-	this.fc_rawdecoder.pipe(this.fc_ckddecoder);
-}
+/*
+ * Resume reading from the given paused input, now that it's no longer holding
+ * too many requests or its connection is waiting on the client.
+ */
+FastMessageHandler.prototype.inputUnpause = function (input)
+{
+	var conn = input.fmi_conn;
+	var callback;
+
+	mod_assertplus.ok(input.fmi_paused);
+	callback = input.fmi_callback;
+	input.fmi_paused = false;
+	input.fmi_callback = null;
+	this.fmh_npaused--;
+	conn.fc_log.debug({
+	    'nOutstanding': conn.fc_noutstanding,
+	    'nHeld': input.fmi_held.length
+	}, 'resuming connection');
+	if (!input.fmi_endpending) {
+		this.fmh_server.connKeepaliveResume(conn);
+	}
+	callback();
+};
+
+/*
+ * Invoked by the server when the given input's connection may have room for
+ * more requests or has started waiting on the client.  If the input was paused
+ * and no longer needs to be, we resume reading from it, and if it has anything
+ * to dispatch, it gets back in line.
+ */
+FastMessageHandler.prototype.inputResume = function (input)
+{
+	if (input.fmi_removed) {
+		return;
+	}
 
+	if (input.fmi_paused && !this.inputOverHeld(input)) {
+		this.inputUnpause(input);
+	}
+
+	if (input.fmi_message !== null ||
+	    (input.fmi_held.length > 0 && !this.inputAtLimit(input))) {
+		this.inputReady(input);
+	}
+};
 
 /*
- * This object-mode Transform stream annotates Fast protocol messages with the
- * connection on which they were received.
+ * If the given input is holding a request with the given msgid, remove it and
+ * have the server fail it because the client cancelled it.  Returns true if we
+ * did that.
  */
-function FastRpcConnectionDecoder(args)
+FastMessageHandler.prototype.inputCancelHeld = function (input, msgid)
 {
-	mod_assertplus.object(args, 'args');
-	mod_assertplus.object(args.fastConn, 'args.fastConn');
+	var i, message;
+
+	for (i = 0; i < input.fmi_held.length; i++) {
+		if (input.fmi_held[i].msgid === msgid) {
+			message = input.fmi_held[i];
+			input.fmi_held.splice(i, 1);
+			this.fmh_server.connCancelHeld(input.fmi_conn, message);
+			return (true);
+		}
+	}
 
-	this.fcd_conn = args.fastConn;
-	mod_stream.Transform.call(this, {
-	    'objectMode': true,
-	    'highWaterMark': 1
-	});
-}
+	return (false);
+};
 
-mod_util.inherits(FastRpcConnectionDecoder, mod_stream.Transform);
+/*
+ * Invoked by the server when it reads end-of-stream from the given input's
+ * connection.  If the input is still holding requests, returns true to tell the
+ * server to wait: we'll invoke server.onConnectionEnd() again once they've all
+ * been dispatched.
+ */
+FastMessageHandler.prototype.inputDeferEnd = function (input)
+{
+	if (input.fmi_held.length === 0) {
+		return (false);
+	}
 
-FastRpcConnectionDecoder.prototype._transform = function (msg, _, callback)
+	input.fmi_endpending = true;
+	return (true);
+};
+
+/*
+ * Forget about the given input because its connection has been removed.  Any
+ * messages it was holding are dropped.
+ */
+FastMessageHandler.prototype.removeInput = function (input)
 {
-	mod_assertplus.object(msg);
-	mod_assertplus.number(msg.msgid);
-	mod_assertplus.ok(!msg.hasOwnProperty('connId'));
-	msg.connId = this.fcd_conn.fc_connid;
-	this.push(msg);
-	setImmediate(callback);
+	var which;
+
+	mod_assertplus.ok(!input.fmi_removed);
+	input.fmi_removed = true;
+
+	if (input.fmi_paused) {
+		input.fmi_paused = false;
+		this.fmh_npaused--;
+	}
+
+	which = this.fmh_ready.indexOf(input);
+	if (which != -1) {
+		this.fmh_ready.splice(which, 1);
+	}
+
+	input.fmi_message = null;
+	input.fmi_callback = null;
+	input.fmi_held = [];
+	input.fmi_endpending = false;
 };
 
 
 /*
- * The FastMessageHandler is just a transform stream that takes incoming Fast
- * protocol messages and dispatches them to the FastServer for which this
- * handler was created.  Today, this class does not do any real flow control or
- * concurrency management.  However, by phrasing this as an object-mode Writable
- * stream, this is where we could implement flow control without having to
- * modify much else.
+ * This object-mode Writable stream is the end of each connection's pipeline.
+ * It holds the connection's next message until the FastMessageHandler
+ * dispatches it, and doesn't accept another until the handler invokes the
+ * write callback.  It also holds requests that the handler has held back.  See
+ * FastMessageHandler.
  */
-function FastMessageHandler(args)
+function FastMessageHandlerInput(args)
 {
 	mod_assertplus.object(args, 'args');
-	mod_assertplus.object(args.server, 'args.server');
+	mod_assertplus.object(args.handler, 'args.handler');
+	mod_assertplus.object(args.fastConn, 'args.fastConn');
 
-	this.fmh_server = args.server;
+	this.fmi_handler = args.handler;
+	this.fmi_conn = args.fastConn;
+	this.fmi_message = null;	/* message waiting to be dispatched */
+	this.fmi_callback = null;	/* write callback, until invoked */
+	this.fmi_held = [];		/* requests held back, in order */
+	this.fmi_ready = false;		/* input is in fmh_ready */
+	this.fmi_paused = false;	/* not reading (too many held) */
+	this.fmi_endpending = false;	/* end-of-stream waits on fmi_held */
+	this.fmi_removed = false;	/* connection has been removed */
+	this.fmi_npauses = 0;		/* count of times paused */
 
 	mod_stream.Writable.call(this, {
 	    'objectMode': true,
@@ -1117,12 +3818,19 @@ function FastMessageHandler(args)
 	});
 }
 
-mod_util.inherits(FastMessageHandler, mod_stream.Writable);
+mod_util.inherits(FastMessageHandlerInput, mod_stream.Writable);
 
-FastMessageHandler.prototype._write = function (obj, _, callback)
+FastMessageHandlerInput.prototype._write = function (obj, _, callback)
 {
-	this.fmh_server.onMessage(obj);
-	setImmediate(callback);
+	mod_assertplus.ok(this.fmi_message === null);
+
+	if (this.fmi_removed) {
+		return;
+	}
+
+	this.fmi_message = obj;
+	this.fmi_callback = callback;
+	this.fmi_handler.inputReady(this);
 };
 
 
@@ -1163,6 +3871,7 @@ function FastRpcServerRequest(args)
 
 	this.fsr_rpcmethod = null;	/* filled in after validation */
 	this.fsr_rpcargs = null;	/* filled in after validation */
+	this.fsr_headers = {};		/* filled in after validation */
 	this.fsr_handler = null;	/* filled in after validation */
 	this.fsr_tstarted = null;	/* time the request started */
 	this.fsr_hrtstarted = null;	/* granular time the request started */
@@ -1171,6 +3880,30 @@ function FastRpcServerRequest(args)
 	this.fsr_docomplete = null;	/* callback for completion */
 	this.fsr_error = null;		/* error, if any */
 	this.fsr_blackhole = null;	/* see requestDisconnect() */
+	this.fsr_cancelled = false;	/* see requestCancel() */
+	this.fsr_abort = null;		/* AbortController, if requested */
+	this.fsr_credit = null;		/* remaining credit (flow control) */
+	this.fsr_timeout = null;	/* client's timeout (milliseconds) */
+	this.fsr_deadline = null;	/* Date when the client gives up */
+	this.fsr_deadlinetimer = null;	/* see requestDeadlineExceeded() */
+	this.fsr_span = null;		/* trace span, if traced */
+	/* see "Request input" */
+	this.fsr_input = null;		/* input stream, if streaming input */
+	this.fsr_inputcredit = 0;	/* input credit granted, not yet used */
+	this.fsr_inputended = false;	/* client ended input (END or CANCEL) */
+	this.fsr_inputeof = false;	/* input stream ended or destroyed */
+	this.fsr_ninput = 0;		/* count of input objects received */
+	/* see subscriptionContextInit() */
+	this.fsr_subscription = false;	/* request is a subscription */
+	this.fsr_unsubscribed = false;	/* ended by client or connection */
+	/* see "Request concurrency" */
+	this.fsr_limited = false;	/* counts against concurrency limit */
+	this.fsr_queuehandler = null;	/* handler to invoke once dequeued */
+	this.fsr_hrtqueued = null;	/* hrtime when the request was queued */
+	this.fsr_queuetimer = null;	/* see requestQueueTimeout() */
+	this.fsr_queuewait = null;	/* milliseconds spent in the queue */
+	/* counts towards the connection's outstanding requests */
+	this.fsr_outstanding = false;
 
 	/*
 	 * The "context" is a handle by which implementors of RPC methods can
@@ -1214,6 +3947,25 @@ function FastRpcServerRequest(args)
 			function ctxRemoveSocketEndListener(listener) {
 		request.fsr_conn.fc_socket.removeListener('end', listener);
 	};
+	this.fsr_context.peer = function ctxPeer() {
+		var peer = request.fsr_conn.fc_tlspeer;
+		return (peer === null ? null : mod_jsprim.deepCopy(peer));
+	};
+	this.fsr_context.identity = function ctxIdentity() {
+		var identity = request.fsr_conn.fc_identity;
+		return (identity === null ? null :
+		    mod_jsprim.deepCopy(identity));
+	};
+	this.fsr_context.connection = function ctxConnection() {
+		return (request.fsr_server.connHandle(request.fsr_conn));
+	};
+	this.fsr_context.capabilities = function ctxCapabilities() {
+		var caps = request.fsr_conn.fc_capabilities;
+		return (caps === null ? [] : caps.slice(0));
+	};
+	this.fsr_context.input = function ctxInput() {
+		return (request.fsr_input);
+	};
 	this.fsr_context.argv = function ctxArgv() {
 		/*
 		 * For clarity and debuggability, callers ought to avoid mucking
@@ -1226,14 +3978,208 @@ function FastRpcServerRequest(args)
 		 */
 		return (request.fsr_rpcargs.slice());
 	};
+	this.fsr_context.headers = function ctxHeaders() {
+		/*
+		 * Unlike the arguments, headers are small (and limited in size)
+		 * by design, so we can afford to hand out a copy.
+		 */
+		return (mod_jsprim.deepCopy(request.fsr_headers));
+	};
+	this.fsr_context.deadline = function ctxDeadline() {
+		return (request.fsr_deadline === null ? null :
+		    new Date(request.fsr_deadline.getTime()));
+	};
+	this.fsr_context.timeRemaining = function ctxTimeRemaining() {
+		/*
+		 * This uses the high-resolution clock so that the result is
+		 * not affected by changes to the system clock.
+		 */
+		if (request.fsr_timeout === null) {
+			return (null);
+		}
+
+		return (Math.max(0, request.fsr_timeout -
+		    mod_jsprim.hrtimeMillisec(process.hrtime(
+		    request.fsr_hrtstarted))));
+	};
+	this.fsr_context.traceparent = function ctxTraceparent() {
+		return (request.fsr_span === null ? null :
+		    mod_trace.formatTraceparent(request.fsr_span));
+	};
 	this.fsr_context.fail = function ctxFail(err) {
 		return (request.fsr_server.requestFail(request, err));
 	};
+	this.fsr_context.cancelled = function ctxCancelled() {
+		return (request.fsr_cancelled);
+	};
+	this.fsr_context.signal = function ctxSignal() {
+		mod_assertplus.func(global.AbortController,
+		    'AbortController (requires Node.js 15 or later)');
+		if (request.fsr_abort === null) {
+			request.fsr_abort = new global.AbortController();
+			if (request.fsr_cancelled) {
+				request.fsr_abort.abort();
+			}
+		}
+		return (request.fsr_abort.signal);
+	};
 
 	this.fsr_context.pipe(this.fsr_encoder);
 }
 
 
+/*
+ * A FastRpcInput is the object-mode readable stream of input objects for a
+ * request with streaming input.  See "Request input" above.  Named arguments:
+ *
+ *     request     (object) the FastRpcServerRequest whose input this is
+ */
+function FastRpcInput(args)
+{
+	mod_assertplus.object(args, 'args');
+	mod_assertplus.object(args.request, 'args.request');
+
+	this.fri_request = args.request;
+	mod_stream.Readable.call(this, {
+	    'objectMode': true,
+	    'highWaterMark': FS_INPUT_WINDOW
+	});
+}
+
+mod_util.inherits(FastRpcInput, mod_stream.Readable);
+
+FastRpcInput.prototype._read = function ()
+{
+	this.fri_request.fsr_server.requestInputRead(this.fri_request);
+};
+
+
+/*
+ * Subscription handlers get the same context as any other RPC handler, plus a
+ * few methods for managing the subscription:
+ *
+ *     publish(event)	send an event to the client.  This is the same as
+ *     			write(event), including its return value, and events
+ *     			are subject to flow control just like other responses.
+ *
+ *     unsubscribe()	end the subscription from the server side.  This is the
+ *     			same as end(), except that it does nothing if the
+ *     			context has already ended.
+ *
+ *     subscribed()	returns true until either side ends the subscription
+ *
+ *     addUnsubscribeListener(listener), removeUnsubscribeListener(listener)
+ *     			add or remove a function to be invoked once if the
+ *     			subscription ends other than by the handler: because
+ *     			the client unsubscribed or cancelled it, or because its
+ *     			connection ended.  Anything published after the client
+ *     			unsubscribes is discarded.  Handlers should stop
+ *     			publishing and call unsubscribe(), since a subscription
+ *     			whose connection ended is not finished until they do.
+ */
+function subscriptionContextInit(request)
+{
+	var context = request.fsr_context;
+
+	context.publish = function ctxPublish(event) {
+		return (context.write(event));
+	};
+	context.unsubscribe = function ctxUnsubscribe() {
+		if (!context.writableEnded) {
+			context.end();
+		}
+	};
+	context.subscribed = function ctxSubscribed() {
+		return (request.fsr_state == FR_S_RUNNING &&
+		    !request.fsr_unsubscribed && !context.writableEnded);
+	};
+	context.addUnsubscribeListener =
+	    function ctxAddUnsubscribeListener(listener) {
+		context.once('unsubscribe', listener);
+	};
+	context.removeUnsubscribeListener =
+	    function ctxRemoveUnsubscribeListener(listener) {
+		context.removeListener('unsubscribe', listener);
+	};
+}
+
+
+/*
+ * Response batching
+ *
+ * By default, each object that an RPC handler writes is sent to the client in
+ * its own DATA message, so every object pays for a message header, a CRC, and
+ * the "m" envelope.  The protocol has always allowed "d" to hold any number of
+ * objects, and clients emit each of them in order, so for methods that stream
+ * many small objects, the server can be configured (with the "batch" option,
+ * either for the whole server or for individual methods) to pack consecutive
+ * objects into a single DATA message instead.  Clients see exactly the same
+ * sequence of objects either way.
+ *
+ * Objects are collected until the batch is full or a short delay has passed,
+ * and then sent together.  The "batch" option is an object with properties:
+ *
+ *     maxObjects	(optional) maximum number of objects in each message.
+ *     			The default is FS_BATCH_MAX_OBJECTS.
+ *
+ *     maxBytes		(optional) maximum size of each message's objects,
+ *     			measured as JSON.  A batch is sent as soon as it
+ *     			reaches this size, so a single larger object is still
+ *     			sent (by itself).  Measuring each object costs an
+ *     			extra serialization, so by default there's no limit.
+ *
+ *     maxDelay		(optional) maximum milliseconds to hold onto an object
+ *     			waiting for more.  The default is 0, which means that
+ *     			only objects written during the same pass through the
+ *     			event loop are batched together.
+ *
+ * A batch is also sent when the handler ends the stream or fails the request
+ * (before the END or ERROR message).  Batches are discarded when the request
+ * is cancelled or disconnected.
+ *
+ * On flow-controlled requests (see "Flow control" in lib/fast_protocol.js),
+ * each DATA message uses one credit regardless of how many objects it holds.
+ * A batch is only started when the request has credit, and that credit is
+ * reserved for it until it's sent.
+ */
+
+/*
+ * Validate the "batch" option (see "Response batching" above) and return it
+ * with defaults filled in.
+ */
+function batchConfig(batch, label)
+{
+	var rv;
+
+	mod_assertplus.object(batch, label);
+	mod_assertplus.optionalNumber(batch.maxObjects, label + '.maxObjects');
+	mod_assertplus.optionalNumber(batch.maxBytes, label + '.maxBytes');
+	mod_assertplus.optionalNumber(batch.maxDelay, label + '.maxDelay');
+
+	rv = {
+	    'maxObjects': typeof (batch.maxObjects) == 'number' ?
+		batch.maxObjects : FS_BATCH_MAX_OBJECTS,
+	    'maxBytes': typeof (batch.maxBytes) == 'number' ?
+		batch.maxBytes : null,
+	    'maxDelay': typeof (batch.maxDelay) == 'number' ?
+		batch.maxDelay : 0
+	};
+
+	mod_assertplus.ok(Number.isInteger(rv.maxObjects) &&
+	    rv.maxObjects > 0,
+	    label + '.maxObjects must be a positive integer');
+	mod_assertplus.ok(rv.maxBytes === null || rv.maxBytes > 0,
+	    label + '.maxBytes must be positive');
+	mod_assertplus.ok(rv.maxDelay >= 0,
+	    label + '.maxDelay must be non-negative');
+	return (rv);
+}
+
+/*
+ * This object-mode Transform stream wraps objects written by an RPC handler in
+ * DATA messages (packing them into batches if configured to do so) and emits
+ * an END message when the handler ends the stream.
+ */
 function FastRpcResponseEncoder(args)
 {
 	mod_assertplus.object(args, 'args');
@@ -1245,6 +4191,16 @@ function FastRpcResponseEncoder(args)
 	});
 	this.fse_request = args.request;
 	this.fse_ndropped = 0;
+	this.fse_blocked = null;	/* transform waiting for credit */
+	this.fse_flushed = false;	/* END message may have been sent */
+	this.fse_nsent = 0;		/* count of objects sent */
+
+	/* see "Response batching" above */
+	this.fse_batchconfig = null;	/* batch configuration, if batching */
+	this.fse_batch = [];		/* objects collected but not yet sent */
+	this.fse_batchbytes = 0;	/* approximate size of fse_batch */
+	this.fse_batchtimer = null;	/* timer for sending fse_batch */
+	this.fse_nbatches = 0;		/* count of batched messages sent */
 }
 
 mod_util.inherits(FastRpcResponseEncoder, mod_stream.Transform);
@@ -1263,15 +4219,150 @@ FastRpcResponseEncoder.prototype._transform = function (obj, _, callback)
 		return;
 	}
 
+	/*
+	 * If the request is flow-controlled and has run out of credit, hold
+	 * onto this object until the client grants more.  Since we don't
+	 * invoke the callback, the handler's stream sees backpressure.  A
+	 * batch in progress already has credit reserved for it.
+	 */
+	if (this.fse_request.fsr_credit === 0 && this.fse_batch.length === 0) {
+		mod_assertplus.ok(this.fse_blocked === null);
+		this.fse_blocked = { 'obj': obj, 'callback': callback };
+		this.fse_request.fsr_server.requestCreditWait(
+		    this.fse_request, true);
+		return;
+	}
+
 	mod_assertplus.ok(typeof (obj) == 'object' && obj !== null,
 	    'can only send non-null objects');
+	if (this.fse_batchconfig === null) {
+		this.pushData([ obj ]);
+	} else {
+		this.batchAdd(obj);
+	}
+
+	/*
+	 * Accept the next object right away so that objects that the handler
+	 * writes together reach the connection's encoder together and can be
+	 * sent in a single write (see FastMessageEncoder).
+	 */
+	callback();
+};
+
+/*
+ * Resume a transform that was waiting for credit, if the request has since
+ * received some or is no longer running.
+ */
+FastRpcResponseEncoder.prototype.unblock = function ()
+{
+	var blocked = this.fse_blocked;
+
+	if (blocked === null || (this.fse_request.fsr_state == FR_S_RUNNING &&
+	    this.fse_request.fsr_credit === 0)) {
+		return;
+	}
+
+	this.fse_blocked = null;
+	this.fse_request.fsr_server.requestCreditWait(this.fse_request, false);
+	this._transform(blocked.obj, null, blocked.callback);
+};
+
+/*
+ * Emit a DATA message containing the given objects.
+ */
+FastRpcResponseEncoder.prototype.pushData = function (objs)
+{
 	this.push(requestMakeMessage(this.fse_request,
-	    mod_protocol.FP_STATUS_DATA, [ obj ]));
-	setImmediate(callback);
+	    mod_protocol.FP_STATUS_DATA, objs));
+	this.fse_nsent += objs.length;
+	if (this.fse_request.fsr_credit !== null) {
+		this.fse_request.fsr_credit--;
+	}
+};
+
+/*
+ * Add an object to the current batch, and send the batch if it's now full.
+ * Otherwise, make sure it will be sent soon.
+ */
+FastRpcResponseEncoder.prototype.batchAdd = function (obj)
+{
+	var self = this;
+	var config = this.fse_batchconfig;
+
+	this.fse_batch.push(obj);
+	if (config.maxBytes !== null) {
+		this.fse_batchbytes += Buffer.byteLength(JSON.stringify(obj));
+	}
+
+	if (this.fse_batch.length >= config.maxObjects ||
+	    (config.maxBytes !== null &&
+	    this.fse_batchbytes >= config.maxBytes)) {
+		this.batchSend();
+		return;
+	}
+
+	if (this.fse_batchtimer === null) {
+		this.fse_batchtimer = config.maxDelay > 0 ?
+		    setTimeout(function () {
+			self.fse_batchtimer = null;
+			self.batchSend();
+		    }, config.maxDelay) :
+		    setImmediate(function () {
+			self.fse_batchtimer = null;
+			self.batchSend();
+		    });
+	}
+};
+
+/*
+ * Send the current batch (if there is one) in a single DATA message.
+ */
+FastRpcResponseEncoder.prototype.batchSend = function ()
+{
+	var objs;
+
+	this.batchClearTimer();
+	if (this.fse_batch.length === 0) {
+		return;
+	}
+
+	objs = this.fse_batch;
+	this.fse_batch = [];
+	this.fse_batchbytes = 0;
+	this.fse_nbatches++;
+	this.pushData(objs);
+};
+
+/*
+ * Throw away the current batch (if there is one).
+ */
+FastRpcResponseEncoder.prototype.batchDiscard = function ()
+{
+	this.batchClearTimer();
+	this.fse_ndropped += this.fse_batch.length;
+	this.fse_batch = [];
+	this.fse_batchbytes = 0;
+};
+
+FastRpcResponseEncoder.prototype.batchClearTimer = function ()
+{
+	if (this.fse_batchtimer === null) {
+		return;
+	}
+
+	if (this.fse_batchconfig.maxDelay > 0) {
+		clearTimeout(this.fse_batchtimer);
+	} else {
+		clearImmediate(this.fse_batchtimer);
+	}
+
+	this.fse_batchtimer = null;
 };
 
 FastRpcResponseEncoder.prototype._flush = function (callback)
 {
+	this.fse_flushed = true;
+	this.batchSend();
 	if (this.fse_request.fsr_state == FR_S_RUNNING) {
 		this.push(requestMakeMessage(this.fse_request,
 		    mod_protocol.FP_STATUS_END, null));
@@ -1280,6 +4371,56 @@ FastRpcResponseEncoder.prototype._flush = function (callback)
 	setImmediate(callback);
 };
 
+/*
+ * If the given request is a subscription, notify its handler that it has ended
+ * other than by the handler's doing (see subscriptionContextInit()).
+ */
+function requestUnsubscribed(request)
+{
+	if (!request.fsr_subscription || request.fsr_unsubscribed) {
+		return;
+	}
+
+	request.fsr_unsubscribed = true;
+	request.fsr_context.emit('unsubscribe');
+}
+
+/*
+ * Destroy the given request's input stream, unless it's already been ended.
+ */
+function requestInputClose(request)
+{
+	if (request.fsr_input !== null && !request.fsr_inputeof) {
+		request.fsr_inputeof = true;
+		request.fsr_input.destroy();
+	}
+}
+
+/*
+ * Returns the number of milliseconds that the given request has spent in the
+ * queue (so far, if it's still there), or null if it was never queued.
+ */
+function requestQueueWait(request)
+{
+	if (request.fsr_queuewait !== null) {
+		return (request.fsr_queuewait);
+	}
+
+	return (request.fsr_hrtqueued === null ? null :
+	    mod_jsprim.hrtimeMillisec(process.hrtime(request.fsr_hrtqueued)));
+}
+
+/*
+ * Stop waiting for the given request's deadline, if we were.
+ */
+function requestClearDeadline(request)
+{
+	if (request.fsr_deadlinetimer !== null) {
+		clearTimeout(request.fsr_deadlinetimer);
+		request.fsr_deadlinetimer = null;
+	}
+}
+
 /*
  * Construct a Fast RPC message that's part of a response for the given request.
  */
@@ -1289,42 +4430,7 @@ function requestMakeMessage(request, status, data)
 
 	mod_assertplus.ok(request instanceof FastRpcServerRequest);
 	if (status == mod_protocol.FP_STATUS_ERROR) {
-		mod_assertplus.ok(data instanceof Error);
-
-		/*
-		 * The marshaling of Errors is a little sketchy, owing partly to
-		 * the history of Fast and partly to the sketchy definition of
-		 * Errors in JavaScript.  The goal is to allow the client
-		 * program to reconstitute an Error object that looks like the
-		 * one we have here.
-		 *
-		 * We need to provide at least "name" and "message" to make it
-		 * look like a JavaScript Error.  As a departure from the
-		 * previous implementation, we do not provide the "stack" field.
-		 * It's way too confusing for the client to wind up with an
-		 * Error whose stacktrace is from a different program on a
-		 * different system.  (The filenames and line numbers in the
-		 * stack trace may not even exist on the client system, and
-		 * they certainly may not refer to the same files and line
-		 * numbers even if they do exist.)
-		 *
-		 * We provide "info" as VError.info() because this is the modern
-		 * way to provide information properties on Errors.
-		 *
-		 * We provide "context" and "ase_errors" because the old Fast
-		 * implementation did so.  "context" is how old Fast servers
-		 * would specify error metadata (before VError.info() existed).
-		 * "ase_errors" is a private implementation property of
-		 * MultiError, and we never should have exposed it, but things
-		 * potentially do depend on it.
-		 */
-		datum = {
-		    'name': data.name,
-		    'message': data.message,
-		    'context': data.context || {},
-		    'info': VError.info(data),
-		    'ase_errors': data.ase_errors
-		};
+		datum = mod_protocol.marshalError(data);
 	} else if (status == mod_protocol.FP_STATUS_END) {
 		mod_assertplus.ok(data === null);
 		datum = [];
@@ -1334,6 +4440,10 @@ function requestMakeMessage(request, status, data)
 		datum = data;
 	}
 
+	/*
+	 * Responses use the same protocol version and payload codec as the
+	 * request did.
+	 */
 	return ({
 	    'msgid': request.fsr_msgid,
 	    'status': status,
@@ -1344,7 +4454,25 @@ function requestMakeMessage(request, status, data)
 		},
 		'd': datum
 	    },
-	    'version': request.fsr_message.version
+	    'version': request.fsr_message.version,
+	    'type': request.fsr_message.type
+	});
+}
+
+
+/*
+ * Construct a PING or PONG message with the given msgid.  These are sent on
+ * connections that have negotiated the "ping" capability, which implies
+ * protocol version 3.
+ */
+function connMakeControlMessage(status, msgid)
+{
+	return ({
+	    'msgid': msgid,
+	    'status': status,
+	    'data': { 'd': [] },
+	    'version': mod_protocol.FP_VERSION_3,
+	    'type': mod_protocol.FP_TYPE_JSON
 	});
 }
 
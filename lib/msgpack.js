@@ -0,0 +1,589 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * lib/msgpack.js: a MessagePack encoder and decoder for fast message payloads
+ *
+ * This is not a general-purpose MessagePack implementation.  It's intended to
+ * be a drop-in replacement for JSON.stringify() and JSON.parse() for fast
+ * message payloads, so the encoder follows JSON's rules for converting
+ * JavaScript values (e.g., calling toJSON(), omitting undefined and function
+ * properties of objects, and encoding undefined, functions, NaN, and Infinity
+ * as null elsewhere), and a value that's encoded and then decoded is the same
+ * as one that's been through JSON.stringify() and JSON.parse().  Integers whose
+ * magnitude is at most 2^53 are encoded as integers, and other numbers are
+ * encoded as 64-bit floats.
+ *
+ * The decoder accepts any well-formed MessagePack data that doesn't use
+ * extension types or non-string map keys.  "bin" values are decoded as
+ * Buffers, although the encoder never produces them, and 64-bit integers that
+ * cannot be represented exactly are decoded with a loss of precision.  Errors
+ * are thrown as exceptions, just as with JSON.parse().
+ */
+
+var mod_assertplus = require('assert-plus');
+var VError = require('verror');
+
+exports.msgpackEncode = msgpackEncode;
+exports.msgpackDecode = msgpackDecode;
+
+/* initial size of the encoder's output buffer */
+var MP_INITIAL_BUFSZ = 256;
+
+/* largest integer encoded as an integer rather than a float */
+var MP_MAX_INT = Math.pow(2, 53);
+
+/* a string at least this long is encoded with Buffer.write() */
+var MP_MIN_WRITE_STRING = 32;
+
+/*
+ * Encode the given JavaScript value as MessagePack and return a Buffer
+ * containing the result.  Throws a TypeError if the value contains a circular
+ * reference, just like JSON.stringify() does.
+ */
+function msgpackEncode(value)
+{
+	var encoder = new MsgpackEncoder();
+	encoder.encodeValue(value);
+	return (encoder.me_buf.slice(0, encoder.me_off));
+}
+
+/*
+ * Decode the MessagePack value contained in the given Buffer, which must
+ * contain exactly one value.
+ */
+function msgpackDecode(buf)
+{
+	var decoder, rv;
+
+	mod_assertplus.ok(Buffer.isBuffer(buf), 'buf must be a Buffer');
+	decoder = new MsgpackDecoder(buf);
+	rv = decoder.decodeValue();
+	if (decoder.md_off != buf.length) {
+		throw (new VError('msgpack: %d unexpected bytes after value',
+		    buf.length - decoder.md_off));
+	}
+
+	return (rv);
+}
+
+
+/*
+ * Encoder implementation.  Output is written into a buffer that's doubled in
+ * size whenever it fills up.
+ */
+function MsgpackEncoder()
+{
+	this.me_buf = new Buffer(MP_INITIAL_BUFSZ);
+	this.me_off = 0;
+	this.me_stack = [];	/* objects being encoded, for cycle detection */
+}
+
+/*
+ * Ensure that there's room for at least "nbytes" more bytes of output.
+ */
+MsgpackEncoder.prototype.reserve = function (nbytes)
+{
+	var newsz, newbuf;
+
+	if (this.me_off + nbytes <= this.me_buf.length) {
+		return;
+	}
+
+	newsz = this.me_buf.length * 2;
+	while (newsz < this.me_off + nbytes) {
+		newsz *= 2;
+	}
+
+	newbuf = new Buffer(newsz);
+	this.me_buf.copy(newbuf, 0, 0, this.me_off);
+	this.me_buf = newbuf;
+};
+
+MsgpackEncoder.prototype.writeByte = function (b)
+{
+	this.reserve(1);
+	this.me_buf[this.me_off++] = b;
+};
+
+/*
+ * Write a type byte "b" followed by "n" encoded as a big-endian unsigned
+ * integer of "size" bytes (1, 2, or 4).
+ */
+MsgpackEncoder.prototype.writeTypeAndUInt = function (b, n, size)
+{
+	this.reserve(1 + size);
+	this.me_buf[this.me_off++] = b;
+	switch (size) {
+	case 1:
+		this.me_buf.writeUInt8(n, this.me_off);
+		break;
+	case 2:
+		this.me_buf.writeUInt16BE(n, this.me_off);
+		break;
+	default:
+		mod_assertplus.equal(size, 4);
+		this.me_buf.writeUInt32BE(n, this.me_off);
+		break;
+	}
+	this.me_off += size;
+};
+
+/*
+ * Write a length prefix for a string, array, or map.  "fixbase" and "fixmax"
+ * describe the "fix" form of the type, if there is one, and "b8", "b16", and
+ * "b32" are the type bytes for 8-, 16-, and 32-bit lengths.
+ */
+MsgpackEncoder.prototype.writeLength = function (len, fixbase, fixmax,
+    b8, b16, b32)
+{
+	if (len <= fixmax) {
+		this.writeByte(fixbase | len);
+	} else if (b8 !== null && len <= 0xff) {
+		this.writeTypeAndUInt(b8, len, 1);
+	} else if (len <= 0xffff) {
+		this.writeTypeAndUInt(b16, len, 2);
+	} else {
+		this.writeTypeAndUInt(b32, len, 4);
+	}
+};
+
+MsgpackEncoder.prototype.encodeNumber = function (n)
+{
+	var hi, lo;
+
+	if (!isFinite(n)) {
+		this.writeByte(0xc0);
+		return;
+	}
+
+	if (Math.floor(n) !== n || n > MP_MAX_INT || n < -MP_MAX_INT) {
+		this.reserve(9);
+		this.me_buf[this.me_off++] = 0xcb;
+		this.me_buf.writeDoubleBE(n, this.me_off);
+		this.me_off += 8;
+		return;
+	}
+
+	if (n >= 0) {
+		if (n <= 0x7f) {
+			this.writeByte(n);
+		} else if (n <= 0xff) {
+			this.writeTypeAndUInt(0xcc, n, 1);
+		} else if (n <= 0xffff) {
+			this.writeTypeAndUInt(0xcd, n, 2);
+		} else if (n <= 0xffffffff) {
+			this.writeTypeAndUInt(0xce, n, 4);
+		} else {
+			hi = Math.floor(n / 0x100000000);
+			lo = n - hi * 0x100000000;
+			this.writeTypeAndUInt(0xcf, hi, 4);
+			this.reserve(4);
+			this.me_buf.writeUInt32BE(lo, this.me_off);
+			this.me_off += 4;
+		}
+		return;
+	}
+
+	if (n >= -32) {
+		this.writeByte(n & 0xff);
+	} else if (n >= -0x80) {
+		this.reserve(2);
+		this.me_buf[this.me_off++] = 0xd0;
+		this.me_buf.writeInt8(n, this.me_off++);
+	} else if (n >= -0x8000) {
+		this.reserve(3);
+		this.me_buf[this.me_off++] = 0xd1;
+		this.me_buf.writeInt16BE(n, this.me_off);
+		this.me_off += 2;
+	} else if (n >= -0x80000000) {
+		this.reserve(5);
+		this.me_buf[this.me_off++] = 0xd2;
+		this.me_buf.writeInt32BE(n, this.me_off);
+		this.me_off += 4;
+	} else {
+		hi = Math.floor(n / 0x100000000);
+		lo = n - hi * 0x100000000;
+		this.reserve(9);
+		this.me_buf[this.me_off++] = 0xd3;
+		this.me_buf.writeInt32BE(hi, this.me_off);
+		this.me_buf.writeUInt32BE(lo, this.me_off + 4);
+		this.me_off += 8;
+	}
+};
+
+MsgpackEncoder.prototype.encodeString = function (str)
+{
+	var len, i, c;
+
+	/*
+	 * Most strings in fast payloads are short and ASCII, and for those it's
+	 * much cheaper to copy the characters ourselves than to call into
+	 * Buffer.byteLength() and Buffer.write().
+	 */
+	if (str.length < MP_MIN_WRITE_STRING) {
+		for (i = 0; i < str.length; i++) {
+			if (str.charCodeAt(i) > 0x7f) {
+				break;
+			}
+		}
+
+		if (i == str.length) {
+			this.writeLength(str.length, 0xa0, 31,
+			    0xd9, 0xda, 0xdb);
+			this.reserve(str.length);
+			for (i = 0; i < str.length; i++) {
+				c = str.charCodeAt(i);
+				this.me_buf[this.me_off++] = c;
+			}
+			return;
+		}
+	}
+
+	len = Buffer.byteLength(str, 'utf8');
+	this.writeLength(len, 0xa0, 31, 0xd9, 0xda, 0xdb);
+	this.reserve(len);
+	this.me_buf.write(str, this.me_off, len, 'utf8');
+	this.me_off += len;
+};
+
+/*
+ * Encode an arbitrary JavaScript value.  Values that JSON would encode as null
+ * are encoded as null, and the caller is responsible for skipping object
+ * properties that JSON would omit altogether.
+ */
+MsgpackEncoder.prototype.encodeValue = function (value)
+{
+	var i, keys, nkeys, v;
+
+	if (value !== null && typeof (value) == 'object' &&
+	    typeof (value.toJSON) == 'function') {
+		value = value.toJSON();
+	}
+
+	switch (typeof (value)) {
+	case 'string':
+		this.encodeString(value);
+		return;
+
+	case 'number':
+		this.encodeNumber(value);
+		return;
+
+	case 'boolean':
+		this.writeByte(value ? 0xc3 : 0xc2);
+		return;
+
+	case 'object':
+		break;
+
+	default:
+		/* undefined, functions, and symbols */
+		this.writeByte(0xc0);
+		return;
+	}
+
+	if (value === null) {
+		this.writeByte(0xc0);
+		return;
+	}
+
+	if (value instanceof Number || value instanceof String ||
+	    value instanceof Boolean) {
+		this.encodeValue(value.valueOf());
+		return;
+	}
+
+	if (this.me_stack.indexOf(value) != -1) {
+		throw (new TypeError(
+		    'Converting circular structure to MessagePack'));
+	}
+
+	this.me_stack.push(value);
+
+	if (Array.isArray(value)) {
+		this.writeLength(value.length, 0x90, 15, null, 0xdc, 0xdd);
+		for (i = 0; i < value.length; i++) {
+			this.encodeValue(value[i]);
+		}
+	} else {
+		keys = Object.keys(value);
+		nkeys = 0;
+		for (i = 0; i < keys.length; i++) {
+			if (encodable(value[keys[i]])) {
+				nkeys++;
+			}
+		}
+
+		this.writeLength(nkeys, 0x80, 15, null, 0xde, 0xdf);
+		for (i = 0; i < keys.length; i++) {
+			v = value[keys[i]];
+			if (encodable(v)) {
+				this.encodeString(keys[i]);
+				this.encodeValue(v);
+			}
+		}
+	}
+
+	this.me_stack.pop();
+};
+
+/*
+ * Returns true if the given object property would be included by
+ * JSON.stringify().
+ */
+function encodable(v)
+{
+	var t;
+
+	if (v !== null && typeof (v) == 'object' &&
+	    typeof (v.toJSON) == 'function') {
+		return (true);
+	}
+
+	t = typeof (v);
+	return (t != 'undefined' && t != 'function' && t != 'symbol');
+}
+
+
+/*
+ * Decoder implementation.
+ */
+function MsgpackDecoder(buf)
+{
+	this.md_buf = buf;
+	this.md_off = 0;
+}
+
+/*
+ * Ensure that at least "nbytes" bytes of input remain.
+ */
+MsgpackDecoder.prototype.need = function (nbytes)
+{
+	if (this.md_off + nbytes > this.md_buf.length) {
+		throw (new VError('msgpack: unexpected end of input at ' +
+		    'offset %d', this.md_off));
+	}
+};
+
+MsgpackDecoder.prototype.readUInt = function (size)
+{
+	var rv;
+
+	this.need(size);
+	switch (size) {
+	case 1:
+		rv = this.md_buf.readUInt8(this.md_off);
+		break;
+	case 2:
+		rv = this.md_buf.readUInt16BE(this.md_off);
+		break;
+	case 4:
+		rv = this.md_buf.readUInt32BE(this.md_off);
+		break;
+	default:
+		mod_assertplus.equal(size, 8);
+		rv = this.md_buf.readUInt32BE(this.md_off) * 0x100000000 +
+		    this.md_buf.readUInt32BE(this.md_off + 4);
+		break;
+	}
+
+	this.md_off += size;
+	return (rv);
+};
+
+MsgpackDecoder.prototype.readInt = function (size)
+{
+	var rv;
+
+	this.need(size);
+	switch (size) {
+	case 1:
+		rv = this.md_buf.readInt8(this.md_off);
+		break;
+	case 2:
+		rv = this.md_buf.readInt16BE(this.md_off);
+		break;
+	case 4:
+		rv = this.md_buf.readInt32BE(this.md_off);
+		break;
+	default:
+		mod_assertplus.equal(size, 8);
+		rv = this.md_buf.readInt32BE(this.md_off) * 0x100000000 +
+		    this.md_buf.readUInt32BE(this.md_off + 4);
+		break;
+	}
+
+	this.md_off += size;
+	return (rv);
+};
+
+MsgpackDecoder.prototype.readString = function (len)
+{
+	var rv;
+
+	this.need(len);
+	rv = this.md_buf.toString('utf8', this.md_off, this.md_off + len);
+	this.md_off += len;
+	return (rv);
+};
+
+MsgpackDecoder.prototype.readBinary = function (len)
+{
+	var rv;
+
+	this.need(len);
+	rv = new Buffer(len);
+	this.md_buf.copy(rv, 0, this.md_off, this.md_off + len);
+	this.md_off += len;
+	return (rv);
+};
+
+MsgpackDecoder.prototype.readArray = function (len)
+{
+	var rv, i;
+
+	/* Every element takes at least one byte. */
+	this.need(len);
+	rv = new Array(len);
+	for (i = 0; i < len; i++) {
+		rv[i] = this.decodeValue();
+	}
+
+	return (rv);
+};
+
+MsgpackDecoder.prototype.readMap = function (len)
+{
+	var rv, i, key, keyoff, value;
+
+	/* Every entry takes at least two bytes. */
+	this.need(2 * len);
+	rv = {};
+	for (i = 0; i < len; i++) {
+		keyoff = this.md_off;
+		key = this.decodeValue();
+		if (typeof (key) != 'string') {
+			throw (new VError('msgpack: unsupported map key ' +
+			    'of type "%s" at offset %d', typeof (key), keyoff));
+		}
+
+		value = this.decodeValue();
+
+		/*
+		 * Like JSON.parse(), create an own property called
+		 * "__proto__" rather than setting the object's prototype.
+		 */
+		if (key == '__proto__') {
+			Object.defineProperty(rv, key, {
+			    'value': value,
+			    'enumerable': true,
+			    'configurable': true,
+			    'writable': true
+			});
+		} else {
+			rv[key] = value;
+		}
+	}
+
+	return (rv);
+};
+
+MsgpackDecoder.prototype.decodeValue = function ()
+{
+	var off, b, rv;
+
+	this.need(1);
+	off = this.md_off;
+	b = this.md_buf[this.md_off++];
+
+	if (b <= 0x7f) {
+		return (b);
+	}
+	if (b <= 0x8f) {
+		return (this.readMap(b & 0xf));
+	}
+	if (b <= 0x9f) {
+		return (this.readArray(b & 0xf));
+	}
+	if (b <= 0xbf) {
+		return (this.readString(b & 0x1f));
+	}
+	if (b >= 0xe0) {
+		return (b - 0x100);
+	}
+
+	switch (b) {
+	case 0xc0:
+		return (null);
+	case 0xc2:
+		return (false);
+	case 0xc3:
+		return (true);
+
+	case 0xc4:
+		return (this.readBinary(this.readUInt(1)));
+	case 0xc5:
+		return (this.readBinary(this.readUInt(2)));
+	case 0xc6:
+		return (this.readBinary(this.readUInt(4)));
+
+	case 0xca:
+		this.need(4);
+		rv = this.md_buf.readFloatBE(this.md_off);
+		this.md_off += 4;
+		return (rv);
+	case 0xcb:
+		this.need(8);
+		rv = this.md_buf.readDoubleBE(this.md_off);
+		this.md_off += 8;
+		return (rv);
+
+	case 0xcc:
+		return (this.readUInt(1));
+	case 0xcd:
+		return (this.readUInt(2));
+	case 0xce:
+		return (this.readUInt(4));
+	case 0xcf:
+		return (this.readUInt(8));
+
+	case 0xd0:
+		return (this.readInt(1));
+	case 0xd1:
+		return (this.readInt(2));
+	case 0xd2:
+		return (this.readInt(4));
+	case 0xd3:
+		return (this.readInt(8));
+
+	case 0xd9:
+		return (this.readString(this.readUInt(1)));
+	case 0xda:
+		return (this.readString(this.readUInt(2)));
+	case 0xdb:
+		return (this.readString(this.readUInt(4)));
+
+	case 0xdc:
+		return (this.readArray(this.readUInt(2)));
+	case 0xdd:
+		return (this.readArray(this.readUInt(4)));
+
+	case 0xde:
+		return (this.readMap(this.readUInt(2)));
+	case 0xdf:
+		return (this.readMap(this.readUInt(4)));
+
+	default:
+		/* 0xc1 (never used) and extension types */
+		throw (new VError('msgpack: unsupported type byte 0x%s at ' +
+		    'offset %d', b.toString(16), off));
+	}
+};
@@ -14,14 +14,23 @@
  */
 
 var mod_assertplus = require('assert-plus');
+var mod_fs = require('fs');
+var mod_net = require('net');
 
 exports.summarizeSocketAddrs = summarizeSocketAddrs;
+exports.summarizeTlsPeer = summarizeTlsPeer;
+exports.readTlsFiles = readTlsFiles;
+exports.parseCidr = parseCidr;
+exports.cidrContains = cidrContains;
 exports.IdAllocator = IdAllocator;
+exports.Keepalive = Keepalive;
+exports.ClockEstimator = ClockEstimator;
 
 /*
  * Given a Node socket, return an object summarizing it for debugging purposes.
  * It's sad how complicated this is.  This is only tested for Node v0.10 and
- * v0.12.
+ * v0.12.  For TLS sockets, the summary also includes "tlsProtocol", the
+ * negotiated version of TLS (e.g., "TLSv1.3").
  */
 function summarizeSocketAddrs(sock)
 {
@@ -32,10 +41,17 @@ function summarizeSocketAddrs(sock)
 	if (sock.remoteAddress === undefined &&
 	    sock.remotePort === undefined &&
 	    sock.remoteFamily === undefined) {
-		return ({ 'socketType': 'UDS (inferred)', 'label': 'UDS' });
+		rv = { 'socketType': 'UDS (inferred)', 'label': 'UDS' };
+		if (sock.encrypted) {
+			rv['tlsProtocol'] = sock.getProtocol();
+		}
+		return (rv);
 	}
 
 	rv = {};
+	if (sock.encrypted) {
+		rv['tlsProtocol'] = sock.getProtocol();
+	}
 	rv['remoteAddress'] = sock.remoteAddress;
 	rv['remotePort'] = sock.remotePort;
 
@@ -61,74 +77,651 @@ function summarizeSocketAddrs(sock)
 }
 
 /*
- * IdAllocator is a cheesy interface for allocating non-negative integer
- * identifiers.  This is similar to the way an OS pid allocator might work,
- * where ids are allocated in increasing order to avoid immediate reuse, but ids
- * eventually will wrap around.  It's expected that callers will use these ids
- * as strings (e.g., as object property names).
+ * Given a Node socket, return an object describing the identity of the remote
+ * peer as established by TLS, or null if the socket is not a TLS socket.  The
+ * object has properties:
+ *
+ *     authorized		true if the peer presented a certificate that
+ *     			was signed by one of our trusted CAs
+ *
+ *     authorizationError	if "authorized" is false, the reason why (e.g.,
+ *     			"UNABLE_TO_VERIFY_LEAF_SIGNATURE"), or null
  *
- * This is a very simple implementation that we expect to be sufficient for our
- * purposes.  However, it's not very efficient.  We may want to look at
- * something like the Bonwick vmem allocator in the future.
+ *     subject		the subject of the peer's certificate (an object
+ *     			mapping attribute names like "CN" to values), or
+ *     			null if the peer presented no certificate
  *
- * This interface considers it a programmer error to attempt to allocate more
- * ids than are currently outstanding (i.e., to attempt to allocate when no
- * resources are available).  That will result in a thrown exception that should
- * not be caught.  If we want to make this survivable in the future, we could
- * improve this, but it's extraordinarily unlikely in the use-cases for which
- * this is intended so it's not worth special-casing at this point.
+ *     issuer		the issuer of the peer's certificate, in the same
+ *     			form as "subject", or null
+ *
+ *     fingerprint	the SHA-256 fingerprint of the peer's certificate
+ *     			(colon-separated hex bytes), or null
+ *
+ * Servers only see a client certificate if they asked for one (i.e., the TLS
+ * server was created with "requestCert").  If the server also rejects
+ * unauthorized clients ("rejectUnauthorized"), then "authorized" is always
+ * true on connections that are established at all.
+ */
+function summarizeTlsPeer(sock)
+{
+	var cert;
+
+	if (!sock.encrypted) {
+		return (null);
+	}
+
+	cert = sock.getPeerCertificate();
+	if (cert === null || Object.keys(cert).length === 0) {
+		cert = null;
+	}
+
+	return ({
+	    'authorized': sock.authorized === true,
+	    'authorizationError': sock.authorizationError ?
+		String(sock.authorizationError) : null,
+	    'subject': cert === null ? null : copyCertName(cert.subject),
+	    'issuer': cert === null ? null : copyCertName(cert.issuer),
+	    'fingerprint': cert === null ? null : cert.fingerprint256
+	});
+}
+
+/*
+ * Node represents the names in a certificate as objects without prototypes,
+ * which don't print well.  Return a plain copy.
+ */
+function copyCertName(name)
+{
+	var rv = {};
+
+	if (!name) {
+		return (null);
+	}
+
+	Object.keys(name).forEach(function (key) {
+		rv[key] = name[key];
+	});
+
+	return (rv);
+}
+
+/*
+ * Read the PEM files named by the optional properties "cert", "key", and "ca"
+ * of "args" and return an object with the contents of those that were
+ * specified, suitable for passing as options to tls.connect() or
+ * tls.createServer().  This is intended for command-line tools, so it reads
+ * the files synchronously and throws on failure.
+ */
+function readTlsFiles(args)
+{
+	var rv = {};
+
+	mod_assertplus.object(args, 'args');
+	mod_assertplus.optionalString(args.cert, 'args.cert');
+	mod_assertplus.optionalString(args.key, 'args.key');
+	mod_assertplus.optionalString(args.ca, 'args.ca');
+
+	[ 'cert', 'key', 'ca' ].forEach(function (name) {
+		if (typeof (args[name]) == 'string') {
+			rv[name] = mod_fs.readFileSync(args[name]);
+		}
+	});
+
+	return (rv);
+}
+
+/*
+ * Parse an IPv4 or IPv6 address (in any form accepted by net.isIP(), plus an
+ * optional IPv6 zone, which is ignored) into a Buffer of 4 or 16 bytes.
+ * Returns null if "addr" is not a valid address.
+ */
+function parseIpAddr(addr)
+{
+	var i, v4, ngroups, parts, head, tail, rv;
+
+	if (typeof (addr) != 'string') {
+		return (null);
+	}
+
+	i = addr.indexOf('%');
+	if (i != -1) {
+		addr = addr.substr(0, i);
+	}
+
+	if (mod_net.isIPv4(addr)) {
+		return (new Buffer(addr.split('.').map(function (octet) {
+			return (parseInt(octet, 10));
+		})));
+	}
+
+	if (!mod_net.isIPv6(addr)) {
+		return (null);
+	}
+
+	rv = new Buffer(16);
+	rv.fill(0);
+	ngroups = 8;
+
+	/*
+	 * An embedded IPv4 address (as in "::ffff:10.0.0.1") takes the place
+	 * of the last two groups.
+	 */
+	if (addr.indexOf('.') != -1) {
+		i = addr.lastIndexOf(':');
+		v4 = parseIpAddr(addr.substr(i + 1));
+		v4.copy(rv, 12);
+		addr = addr.substr(0, i + 1);
+		if (!/::$/.test(addr)) {
+			addr = addr.substr(0, addr.length - 1);
+		}
+		ngroups = 6;
+	}
+
+	/*
+	 * Groups before a "::" are written from the start of the address and
+	 * groups after it are written against the end, leaving the zeros in
+	 * between.
+	 */
+	parts = addr.split('::');
+	head = parts[0] === '' ? [] : parts[0].split(':');
+	tail = parts.length == 1 || parts[1] === '' ? [] : parts[1].split(':');
+	head.forEach(function (group, j) {
+		rv.writeUInt16BE(parseInt(group, 16), 2 * j);
+	});
+	tail.forEach(function (group, j) {
+		rv.writeUInt16BE(parseInt(group, 16),
+		    2 * (ngroups - tail.length + j));
+	});
+
+	return (rv);
+}
+
+/*
+ * Parse a network in CIDR notation (e.g., "10.0.0.0/8" or "fd00::/8") for use
+ * with cidrContains().  A bare address is treated as a network containing only
+ * that address.  Returns null if "str" is not a valid network.
+ */
+function parseCidr(str)
+{
+	var parts, addr, prefix;
+
+	mod_assertplus.string(str, 'str');
+	parts = str.split('/');
+	if (parts.length > 2) {
+		return (null);
+	}
+
+	addr = parseIpAddr(parts[0]);
+	if (addr === null) {
+		return (null);
+	}
+
+	if (parts.length == 1) {
+		prefix = addr.length * 8;
+	} else if (!/^[0-9]+$/.test(parts[1])) {
+		return (null);
+	} else {
+		prefix = parseInt(parts[1], 10);
+		if (prefix > addr.length * 8) {
+			return (null);
+		}
+	}
+
+	return ({ 'addr': addr, 'prefix': prefix });
+}
+
+/* first 12 bytes of an IPv4-mapped IPv6 address */
+var V4_MAPPED_PREFIX = new Buffer([ 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0xff, 0xff ]);
+
+/*
+ * Returns true if the address "addr" (a string, as found in a socket's
+ * "remoteAddress") is within the network "cidr", as returned by parseCidr().
+ * IPv4-mapped IPv6 addresses (which dual-stack servers report for IPv4
+ * clients) are treated as the IPv4 addresses that they represent.  Anything
+ * else that isn't an IP address (including undefined, for Unix domain
+ * sockets) isn't in any network.
+ */
+function cidrContains(cidr, addr)
+{
+	var bytes, nbytes, i, mask;
+
+	bytes = parseIpAddr(addr);
+	if (bytes === null) {
+		return (false);
+	}
+
+	if (bytes.length == 16 && cidr.addr.length == 4 &&
+	    bytes.slice(0, 12).equals(V4_MAPPED_PREFIX)) {
+		bytes = bytes.slice(12);
+	}
+
+	if (bytes.length != cidr.addr.length) {
+		return (false);
+	}
+
+	nbytes = cidr.prefix >> 3;
+	for (i = 0; i < nbytes; i++) {
+		if (bytes[i] != cidr.addr[i]) {
+			return (false);
+		}
+	}
+
+	if ((cidr.prefix & 7) === 0) {
+		return (true);
+	}
+
+	mask = (0xff << (8 - (cidr.prefix & 7))) & 0xff;
+	return ((bytes[nbytes] & mask) == (cidr.addr[nbytes] & mask));
+}
+
+/*
+ * IdAllocator allocates non-negative integer identifiers from a fixed range.
+ * Like an OS pid allocator, it avoids reusing ids soon after they're freed:
+ * ids are first allocated in increasing order, and once the whole range has
+ * been used, freed ids are reused roughly in the order in which they were
+ * freed.  It's expected that callers will use these ids as strings (e.g., as
+ * object property names).
+ *
+ * Both alloc() and free() take constant time regardless of how many ids are
+ * allocated or where they are, and memory used is proportional to the number
+ * of ids allocated.  To do this, the free ids are kept as a set of disjoint
+ * ranges (similar to the segments in the Bonwick vmem allocator):
+ *
+ *     o The ranges are kept on a list in the order in which ids will be
+ *       allocated from them.  Initially, there's one range covering all ids.
+ *       alloc() takes the first id of the first range.
+ *
+ *     o free() merges the id into a range that ends immediately before it or
+ *       (unless that range is at the head of the list, where the id would be
+ *       reused immediately) one that starts immediately after it.  Ranges are
+ *       indexed by their first and last ids to find these in constant time.
+ *       Otherwise, the id becomes a new range at the end of the list.
+ *
+ * Since free ranges are (almost always) separated by allocated ids, there are
+ * never many more ranges than allocated ids.
+ *
+ * alloc() returns null when all ids are allocated.  This can be handled
+ * gracefully by failing whatever operation needed the id.  Freeing an id that
+ * isn't allocated is a programmer error.
  *
  * Arguments:
  *
  *     min (number)    minimum allowed id (absolute minimum: 0)
  *
  *     max (number)    maximum allowed id (absolute maximum: 2^31)
- *
- *     isAllocated     function that takes an id and returns whether or not
- *     (function)      the id is still allocated.  This is a obviously  cheesy,
- *		       but given that callers are keeping track of it, we may as
- *		       well just ask them rather than keep a shadow copy of the
- *		       allocated ids.
- *
  */
 function IdAllocator(args)
 {
 	mod_assertplus.object(args, 'args');
 	mod_assertplus.number(args.min, 'args.min');
 	mod_assertplus.number(args.max, 'args.max');
-	mod_assertplus.func(args.isAllocated, 'args.isAllocated');
 	mod_assertplus.ok(args.min < args.max, 'min must be less than max');
 	mod_assertplus.ok(args.min >= 0, 'min must be non-negative');
 	mod_assertplus.ok(args.max <= Math.pow(2, 31), 'max is too big');
 
 	this.ida_min = args.min;
 	this.ida_max = args.max;
-	this.ida_isalloc = args.isAllocated;
-	this.ida_nextid = this.ida_min;
+	this.ida_head = null;		/* first free range on the list */
+	this.ida_tail = null;		/* last free range on the list */
+	this.ida_bystart = {};		/* free ranges, by first id */
+	this.ida_byend = {};		/* free ranges, by last id */
+	this.ida_allocated = {};	/* allocated ids */
+	this.ida_nallocated = 0;	/* count of allocated ids */
+	this.ida_nranges = 0;		/* count of free ranges */
+
+	this.rangeAppend(this.ida_min, this.ida_max);
 }
 
+/*
+ * Allocate an id, returning null if all ids are allocated.
+ */
 IdAllocator.prototype.alloc = function ()
 {
-	var start, next;
+	var range, id;
+
+	range = this.ida_head;
+	if (range === null) {
+		return (null);
+	}
+
+	id = range.start;
+	delete (this.ida_bystart[id]);
+	if (range.start == range.end) {
+		delete (this.ida_byend[id]);
+		this.rangeRemove(range);
+	} else {
+		range.start++;
+		this.ida_bystart[range.start] = range;
+	}
+
+	this.ida_allocated[id] = true;
+	this.ida_nallocated++;
+	return (id);
+};
+
+/*
+ * Free an id previously returned by alloc().
+ */
+IdAllocator.prototype.free = function (id)
+{
+	var before, after;
 
-	start = this.ida_nextid;
-	next = start;
-	while (this.ida_isalloc(next)) {
-		next++;
+	mod_assertplus.ok(this.ida_allocated.hasOwnProperty(id),
+	    'id ' + id + ' is not allocated');
+	delete (this.ida_allocated[id]);
+	this.ida_nallocated--;
 
-		if (next > this.ida_max) {
-			next = this.ida_min;
+	before = this.ida_byend.hasOwnProperty(id - 1) ?
+	    this.ida_byend[id - 1] : null;
+	after = this.ida_bystart.hasOwnProperty(id + 1) ?
+	    this.ida_bystart[id + 1] : null;
+	if (after === this.ida_head) {
+		after = null;
+	}
+
+	if (before !== null) {
+		delete (this.ida_byend[before.end]);
+		if (after !== null) {
+			delete (this.ida_bystart[after.start]);
+			before.end = after.end;
+			this.rangeRemove(after);
+		} else {
+			before.end = id;
 		}
+		this.ida_byend[before.end] = before;
+	} else if (after !== null) {
+		delete (this.ida_bystart[after.start]);
+		after.start = id;
+		this.ida_bystart[id] = after;
+	} else {
+		this.rangeAppend(id, id);
+	}
+};
+
+/*
+ * Returns the number of ids currently allocated.
+ */
+IdAllocator.prototype.nallocated = function ()
+{
+	return (this.ida_nallocated);
+};
+
+IdAllocator.prototype.rangeAppend = function (start, end)
+{
+	var range = {
+	    'start': start,
+	    'end': end,
+	    'prev': this.ida_tail,
+	    'next': null
+	};
+
+	if (this.ida_tail === null) {
+		this.ida_head = range;
+	} else {
+		this.ida_tail.next = range;
+	}
+
+	this.ida_tail = range;
+	this.ida_bystart[start] = range;
+	this.ida_byend[end] = range;
+	this.ida_nranges++;
+};
+
+/*
+ * Remove a range from the list.  The caller is responsible for the indexes.
+ */
+IdAllocator.prototype.rangeRemove = function (range)
+{
+	if (range.prev === null) {
+		this.ida_head = range.next;
+	} else {
+		range.prev.next = range.next;
+	}
 
-		if (next == start) {
-			throw (new Error('all ids allocated'));
+	if (range.next === null) {
+		this.ida_tail = range.prev;
+	} else {
+		range.next.prev = range.prev;
+	}
+
+	this.ida_nranges--;
+};
+
+/*
+ * Keepalive implements the sending side of the Fast protocol's PING and PONG
+ * messages (see "Keepalive" in lib/fast_protocol.js) for one connection.  It
+ * knows nothing about how messages are sent: the caller provides functions to
+ * do that and to handle a dead peer.  Every "interval" milliseconds, we check
+ * whether the previous PING has been answered.  If it hasn't, that counts as a
+ * miss, and once "maxMissed" PINGs in a row have been missed, we declare the
+ * peer dead and stop.  Otherwise, we send another PING.
+ *
+ * Arguments:
+ *
+ *     interval (number)	milliseconds between PINGs
+ *
+ *     maxMissed (number)	number of consecutive unanswered PINGs after
+ *     				which the peer is considered dead
+ *
+ *     maxSeq (number)		largest sequence number to use as a PING's
+ *     				msgid before wrapping around to 0
+ *
+ *     sendPing (function)	invoked as sendPing(seq) to send a PING with
+ *     				msgid "seq"
+ *
+ *     onDead (function)	invoked as onDead(nmissed) when the peer is
+ *     				declared dead
+ *
+ * The timer does not keep the process running on its own.
+ */
+function Keepalive(args)
+{
+	mod_assertplus.object(args, 'args');
+	mod_assertplus.number(args.interval, 'args.interval');
+	mod_assertplus.number(args.maxMissed, 'args.maxMissed');
+	mod_assertplus.number(args.maxSeq, 'args.maxSeq');
+	mod_assertplus.func(args.sendPing, 'args.sendPing');
+	mod_assertplus.func(args.onDead, 'args.onDead');
+	mod_assertplus.ok(args.interval > 0, 'args.interval must be positive');
+	mod_assertplus.ok(args.maxMissed >= 1 &&
+	    Math.floor(args.maxMissed) == args.maxMissed,
+	    'args.maxMissed must be a positive integer');
+
+	this.ka_interval = args.interval;
+	this.ka_maxmissed = args.maxMissed;
+	this.ka_maxseq = args.maxSeq;
+	this.ka_sendping = args.sendPing;
+	this.ka_ondead = args.onDead;
+
+	this.ka_timer = null;		/* interval timer, if running */
+	this.ka_seq = 0;		/* msgid of the most recent PING */
+	this.ka_hrtsent = null;		/* time it was sent, if unanswered */
+	this.ka_nmissed = 0;		/* consecutive PINGs missed */
+	this.ka_dead = false;		/* peer declared dead */
+
+	/* debug information */
+	this.ka_nsent = 0;		/* count of PINGs sent */
+	this.ka_nreceived = 0;		/* count of PONGs received */
+	this.ka_nlate = 0;		/* count of PONGs for older PINGs */
+	this.ka_lastrtt = null;		/* most recent round-trip time (ms) */
+}
+
+/*
+ * Start sending PINGs.  The first one is sent after one interval.
+ */
+Keepalive.prototype.start = function ()
+{
+	var self = this;
+
+	mod_assertplus.ok(this.ka_timer === null && !this.ka_dead,
+	    'keepalive already started');
+	this.ka_timer = setInterval(function () { self.tick(); },
+	    this.ka_interval);
+	if (this.ka_timer.unref) {
+		this.ka_timer.unref();
+	}
+};
+
+/*
+ * Stop sending PINGs.  It's fine to call this more than once.
+ */
+Keepalive.prototype.stop = function ()
+{
+	if (this.ka_timer !== null) {
+		clearInterval(this.ka_timer);
+		this.ka_timer = null;
+	}
+};
+
+Keepalive.prototype.tick = function ()
+{
+	if (this.ka_hrtsent !== null) {
+		this.ka_nmissed++;
+		if (this.ka_nmissed >= this.ka_maxmissed) {
+			this.ka_dead = true;
+			this.stop();
+			this.ka_ondead(this.ka_nmissed);
+			return;
 		}
 	}
 
-	this.ida_nextid = next + 1;
-	if (this.ida_nextid > this.ida_max) {
-		this.ida_nextid = this.ida_min;
+	this.sendPing();
+};
+
+Keepalive.prototype.sendPing = function ()
+{
+	this.ka_seq = this.ka_seq >= this.ka_maxseq ? 0 : this.ka_seq + 1;
+	this.ka_hrtsent = process.hrtime();
+	this.ka_nsent++;
+	this.ka_sendping(this.ka_seq);
+};
+
+/*
+ * Record receipt of a PONG with msgid "seq".  Any PONG shows that the peer is
+ * still alive, but we only measure the round-trip time of the most recent PING,
+ * so this returns that time in milliseconds, or null if this PONG was for an
+ * older PING (or was never asked for).
+ */
+Keepalive.prototype.pong = function (seq)
+{
+	var diff;
+
+	this.ka_nreceived++;
+	this.ka_nmissed = 0;
+
+	if (this.ka_hrtsent === null || seq !== this.ka_seq) {
+		this.ka_nlate++;
+		return (null);
 	}
 
-	return (next);
+	diff = process.hrtime(this.ka_hrtsent);
+	this.ka_hrtsent = null;
+	this.ka_lastrtt = diff[0] * 1e3 + diff[1] / 1e6;
+	return (this.ka_lastrtt);
+};
+
+/*
+ * ClockEstimator estimates the offset between our clock and a peer's, and uses
+ * that to split the time taken by each request into time spent on the network
+ * and time spent by the peer.  Each sample consists of three timestamps, in
+ * microseconds: when we sent a request ("tsent", on our clock), when the peer
+ * sent its response ("tpeer", on its clock), and when we received the response
+ * ("trecvd", on our clock).
+ *
+ * If the network were symmetric and the peer responded instantly, the peer's
+ * timestamp would fall exactly halfway between the other two, and the
+ * difference would be the clock offset.  The sample with the lowest round-trip
+ * time is the one for which the peer's time and any asymmetry can have
+ * contributed the least error, so (as NTP does) we use the offset computed from
+ * the sample with the lowest round-trip time among the most recent "window"
+ * samples.  The error in that estimate is at most half that round-trip time.
+ *
+ * Given the offset, the time between the peer's response and our receipt of it
+ * is the network latency in one direction.  Assuming the request took as long
+ * to reach the peer, whatever's left of the round-trip time was spent by the
+ * peer.
+ *
+ * Arguments:
+ *
+ *     window (number)	number of recent samples to consider
+ */
+function ClockEstimator(args)
+{
+	mod_assertplus.object(args, 'args');
+	mod_assertplus.number(args.window, 'args.window');
+	mod_assertplus.ok(args.window > 0, 'args.window must be positive');
+
+	this.ce_window = args.window;
+	this.ce_samples = [];	/* most recent samples, oldest first */
+	this.ce_best = null;	/* sample with lowest round-trip time */
+	this.ce_nsamples = 0;	/* count of samples used */
+	this.ce_nignored = 0;	/* count of invalid samples ignored */
+}
+
+/*
+ * Record a sample (see above) and return an object describing it, with
+ * properties "rtt" (the round-trip time), "network" (the estimated time spent
+ * on the network in both directions), and "peer" (the estimated time spent by
+ * the peer), all in microseconds.  Returns null if the sample is invalid (which
+ * can only happen if our clock went backwards).
+ */
+ClockEstimator.prototype.sample = function (tsent, tpeer, trecvd)
+{
+	var sample, oldest, oneway, network;
+
+	mod_assertplus.number(tsent, 'tsent');
+	mod_assertplus.number(tpeer, 'tpeer');
+	mod_assertplus.number(trecvd, 'trecvd');
+
+	if (trecvd < tsent) {
+		this.ce_nignored++;
+		return (null);
+	}
+
+	this.ce_nsamples++;
+	sample = {
+	    'rtt': trecvd - tsent,
+	    'offset': tpeer - (tsent + trecvd) / 2
+	};
+	this.ce_samples.push(sample);
+	oldest = this.ce_samples.length > this.ce_window ?
+	    this.ce_samples.shift() : null;
+
+	if (this.ce_best === null || sample.rtt <= this.ce_best.rtt) {
+		this.ce_best = sample;
+	} else if (oldest === this.ce_best) {
+		this.ce_best = this.ce_samples.reduce(function (best, s) {
+			return (s.rtt < best.rtt ? s : best);
+		});
+	}
+
+	/*
+	 * Estimates for individual samples may fall outside what's possible
+	 * (e.g., if the network was faster in one direction than the other),
+	 * so we clamp them to the round-trip time.
+	 */
+	oneway = trecvd - (tpeer - this.ce_best.offset);
+	network = Math.min(sample.rtt, Math.max(0, 2 * oneway));
+	return ({
+	    'rtt': sample.rtt,
+	    'network': network,
+	    'peer': sample.rtt - network
+	});
+};
+
+/*
+ * Returns the estimated offset of the peer's clock from ours (positive if the
+ * peer's clock is ahead) in microseconds, or null if there are no samples.
+ */
+ClockEstimator.prototype.offset = function ()
+{
+	return (this.ce_best === null ? null : this.ce_best.offset);
+};
+
+/*
+ * Returns the maximum error of offset() in microseconds, or null if there are
+ * no samples.
+ */
+ClockEstimator.prototype.offsetError = function ()
+{
+	return (this.ce_best === null ? null : this.ce_best.rtt / 2);
 };
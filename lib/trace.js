@@ -0,0 +1,219 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * lib/trace.js: distributed trace context for fast requests
+ *
+ * Trace context identifies the request being made as part of a larger
+ * operation that may span several clients and servers.  It's represented as
+ * described by the W3C Trace Context recommendation's "traceparent" header:
+ *
+ *     VERSION "-" TRACE_ID "-" PARENT_ID "-" FLAGS
+ *
+ * where VERSION is "00", TRACE_ID is 32 lowercase hex digits identifying the
+ * whole operation, PARENT_ID is 16 lowercase hex digits identifying the span
+ * that made the request, and FLAGS is 2 lowercase hex digits (of which only
+ * the "sampled" bit is defined).  Neither identifier may be all zeroes.  See
+ * "Trace context" in lib/fast_protocol.js for how this is carried in requests.
+ *
+ * A span describes one side's part of a request: the client creates a span for
+ * each request it makes, and the server creates a child of that span around the
+ * handler.  Spans are plain objects with properties:
+ *
+ *     traceId		identifier of the trace (see above)
+ *
+ *     spanId		identifier of this span
+ *
+ *     parentSpanId	identifier of the parent span, or null if this span
+ *     			started a new trace
+ *
+ *     traceFlags	flags inherited from the parent, or "01" (sampled) for
+ *     			a new trace
+ *
+ *     name		RPC method name
+ *
+ *     kind		"client" or "server"
+ *
+ *     attributes	object describing the request (e.g., "msgid")
+ *
+ *     startTime	Date when the span started
+ *
+ *     endTime		Date when the span ended, or null if it hasn't yet
+ *
+ *     error		Error with which the request failed, if any
+ *
+ * Spans are reported to an exporter, which is any object with methods
+ * spanStart(span) and spanEnd(span).  These are invoked synchronously, so they
+ * should not do any expensive work themselves.  InMemorySpanExporter is an
+ * exporter that just keeps the spans around, which is useful for testing.
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_crypto = require('crypto');
+
+exports.parseTraceparent = parseTraceparent;
+exports.formatTraceparent = formatTraceparent;
+exports.spanStart = spanStart;
+exports.spanEnd = spanEnd;
+exports.InMemorySpanExporter = InMemorySpanExporter;
+
+var TR_VERSION = '00';
+var TR_FLAGS_SAMPLED = '01';
+var TR_TRACEPARENT_RE = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+var TR_ZEROES_RE = /^0+$/;
+
+/*
+ * Parse the given "traceparent" string.  Returns an object with properties
+ * "traceId", "spanId", and "traceFlags", or null if the string is not valid.
+ */
+function parseTraceparent(str)
+{
+	var match;
+
+	if (typeof (str) != 'string') {
+		return (null);
+	}
+
+	match = TR_TRACEPARENT_RE.exec(str);
+	if (match === null || TR_ZEROES_RE.test(match[1]) ||
+	    TR_ZEROES_RE.test(match[2])) {
+		return (null);
+	}
+
+	return ({
+	    'traceId': match[1],
+	    'spanId': match[2],
+	    'traceFlags': match[3]
+	});
+}
+
+/*
+ * Returns the "traceparent" string that identifies the given span (or parsed
+ * trace context) as the parent of a request.
+ */
+function formatTraceparent(span)
+{
+	mod_assertplus.object(span, 'span');
+	return ([ TR_VERSION, span.traceId, span.spanId, span.traceFlags ].
+	    join('-'));
+}
+
+/*
+ * Start a new span and report it to "exporter" (if not null).  Named arguments:
+ *
+ *     exporter		exporter (see above), or null
+ *
+ *     parent		parsed trace context of the parent span (see
+ *     			parseTraceparent()), or null to start a new trace
+ *
+ *     name		RPC method name
+ *
+ *     kind		"client" or "server"
+ *
+ *     attributes	object describing the request
+ */
+function spanStart(args)
+{
+	var span;
+
+	mod_assertplus.object(args, 'args');
+	mod_assertplus.optionalObject(args.exporter, 'args.exporter');
+	mod_assertplus.optionalObject(args.parent, 'args.parent');
+	mod_assertplus.string(args.name, 'args.name');
+	mod_assertplus.string(args.kind, 'args.kind');
+	mod_assertplus.object(args.attributes, 'args.attributes');
+
+	span = {
+	    'traceId': args.parent ? args.parent.traceId : randomId(16),
+	    'spanId': randomId(8),
+	    'parentSpanId': args.parent ? args.parent.spanId : null,
+	    'traceFlags': args.parent ?
+		args.parent.traceFlags : TR_FLAGS_SAMPLED,
+	    'name': args.name,
+	    'kind': args.kind,
+	    'attributes': args.attributes,
+	    'startTime': new Date(),
+	    'endTime': null,
+	    'error': null
+	};
+
+	if (args.exporter) {
+		args.exporter.spanStart(span);
+	}
+
+	return (span);
+}
+
+/*
+ * End the given span (which failed with "error", if not null) and report it to
+ * "exporter" (if not null).
+ */
+function spanEnd(exporter, span, error)
+{
+	mod_assertplus.object(span, 'span');
+	mod_assertplus.ok(span.endTime === null, 'span already ended');
+
+	span.endTime = new Date();
+	span.error = error || null;
+	if (exporter) {
+		exporter.spanEnd(span);
+	}
+}
+
+/*
+ * Returns a random, non-zero identifier of "nbytes" bytes as a hex string.
+ */
+function randomId(nbytes)
+{
+	var id;
+
+	do {
+		id = mod_crypto.randomBytes(nbytes).toString('hex');
+	} while (TR_ZEROES_RE.test(id));
+
+	return (id);
+}
+
+/*
+ * An exporter that records spans in memory.  started() returns the spans that
+ * have been started (in order), and finished() returns the spans that have
+ * ended (in the order they ended).  reset() forgets all of them.
+ */
+function InMemorySpanExporter()
+{
+	this.mse_started = [];
+	this.mse_finished = [];
+}
+
+InMemorySpanExporter.prototype.spanStart = function (span)
+{
+	this.mse_started.push(span);
+};
+
+InMemorySpanExporter.prototype.spanEnd = function (span)
+{
+	this.mse_finished.push(span);
+};
+
+InMemorySpanExporter.prototype.started = function ()
+{
+	return (this.mse_started.slice(0));
+};
+
+InMemorySpanExporter.prototype.finished = function ()
+{
+	return (this.mse_finished.slice(0));
+};
+
+InMemorySpanExporter.prototype.reset = function ()
+{
+	this.mse_started = [];
+	this.mse_finished = [];
+};
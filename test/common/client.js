@@ -13,6 +13,7 @@
  */
 
 var mod_assertplus = require('assert-plus');
+var mod_jsprim = require('jsprim');
 var mod_net = require('net');
 
 var mod_client = require('../../lib/fast_client');
@@ -36,6 +37,7 @@ function ClientTestContext(args)
 	mod_assertplus.object(args.log);
 	mod_assertplus.optionalObject(args.collector);
 	mod_assertplus.optionalNumber(args.client_version);
+	mod_assertplus.optionalObject(args.client_args);
 
 	this.ctc_collector = args.collector; /* artedi collector */
 	this.ctc_log = args.log;		/* bunyan logger */
@@ -43,6 +45,8 @@ function ClientTestContext(args)
 
 	this.client_version = args.client_version ||
 	    mod_protocol.FP_VERSION_CURRENT;
+	/* extra arguments for the FastClient constructor */
+	this.client_args = args.client_args || {};
 
 	/* server handles */
 	this.ctc_server = args.server;	/* server listening socket */
@@ -70,13 +74,14 @@ ClientTestContext.prototype.establishConnection = function ()
 	mod_assertplus.ok(!this.ctc_closed);
 	this.ctc_client_sock = mod_net.createConnection(
 	    mod_testcommon.serverPort, mod_testcommon.serverIp);
-	this.ctc_fastclient = new mod_client.FastClient({
-	    'collector': this.ctc_collector,
-	    'log': this.ctc_log.child({ 'component': 'FastClient' }),
-	    'nRecentRequests': 100,
-	    'transport': this.ctc_client_sock,
-	    'version': this.client_version
-	});
+	this.ctc_fastclient = new mod_client.FastClient(
+	    mod_jsprim.mergeObjects(this.client_args, {
+		'collector': this.ctc_collector,
+		'log': this.ctc_log.child({ 'component': 'FastClient' }),
+		'nRecentRequests': 100,
+		'transport': this.ctc_client_sock,
+		'version': this.client_version
+	    }));
 
 	this.ctc_fastclient.on('error', function (err) {
 		self.ctc_log.debug(err, 'client error');
@@ -9,13 +9,13 @@
  */
 
 /*
- * test/tst.allocator.js: tests our cheesy IdAllocator
+ * test/tst.allocator.js: tests our IdAllocator
  */
 
 var mod_assertplus = require('assert-plus');
 var mod_subr = require('../lib/subr');
 
-var allocator, isAllocated, nQueries;
+var allocator, allocated, nallocated, i, id, nextid, max;
 
 console.log('test cases: bad arguments');
 mod_assertplus.throws(function () {
@@ -27,91 +27,147 @@ mod_assertplus.throws(function () {
 }, /args\.max \(number\) is required/);
 
 mod_assertplus.throws(function () {
-	allocator = mod_subr.IdAllocator({ 'min': 7, 'max': 15 });
-}, /args\.isAllocated \(func\) is required/);
-
-mod_assertplus.throws(function () {
-	allocator = mod_subr.IdAllocator({ 'min': 18, 'max': 15,
-	    'isAllocated': function () {} });
+	allocator = mod_subr.IdAllocator({ 'min': 18, 'max': 15 });
 }, /min must be less than max/);
 
 mod_assertplus.throws(function () {
-	allocator = mod_subr.IdAllocator({ 'min': -1, 'max': 15,
-	    'isAllocated': function () {} });
+	allocator = mod_subr.IdAllocator({ 'min': -1, 'max': 15 });
 }, /min must be non-negative/);
 
 mod_assertplus.throws(function () {
-	allocator = mod_subr.IdAllocator({ 'min': 0, 'max': Math.pow(2, 37),
-	    'isAllocated': function () {} });
+	allocator = mod_subr.IdAllocator({ 'min': 0, 'max': Math.pow(2, 37) });
 }, /max is too big/);
 
 
-console.log('test cases: basic allocator wraps around');
-isAllocated = {};
-nQueries = 0;
-allocator = new mod_subr.IdAllocator({
-    'min': 0,
-    'max': 7,
-    'isAllocated': function (id) {
-	nQueries++;
-    	return (isAllocated[id]);
-    }
-});
+console.log('test cases: basic allocation in increasing order');
+allocator = new mod_subr.IdAllocator({ 'min': 0, 'max': 7 });
+for (i = 0; i <= 7; i++) {
+	mod_assertplus.equal(allocator.alloc(), i);
+}
+mod_assertplus.equal(allocator.nallocated(), 8);
 
-/*
- * For the first round, we're going to continue acting like nothing is allocated
- * to make sure that we wrap around the id space.
- */
-mod_assertplus.equal(allocator.alloc(), 0);
-mod_assertplus.equal(nQueries, 1);
-mod_assertplus.equal(allocator.alloc(), 1);
-mod_assertplus.equal(nQueries, 2);
-mod_assertplus.equal(allocator.alloc(), 2);
-mod_assertplus.equal(nQueries, 3);
-mod_assertplus.equal(allocator.alloc(), 3);
-mod_assertplus.equal(allocator.alloc(), 4);
+
+console.log('test cases: allocator returns null if everything is allocated');
+mod_assertplus.strictEqual(allocator.alloc(), null);
+mod_assertplus.strictEqual(allocator.alloc(), null);
+mod_assertplus.equal(allocator.nallocated(), 8);
+
+
+console.log('test cases: freed ids are reused in the order they were freed');
+allocator.free(5);
+allocator.free(2);
+allocator.free(7);
+mod_assertplus.equal(allocator.nallocated(), 5);
 mod_assertplus.equal(allocator.alloc(), 5);
-mod_assertplus.equal(allocator.alloc(), 6);
+mod_assertplus.equal(allocator.alloc(), 2);
 mod_assertplus.equal(allocator.alloc(), 7);
-mod_assertplus.equal(nQueries, 8);
+mod_assertplus.strictEqual(allocator.alloc(), null);
 
-/*
- * Again, since we're pretending like nothing is allocated, the next round
- * should wrap around again as normal.
- */
-mod_assertplus.equal(allocator.alloc(), 0);
-mod_assertplus.equal(nQueries, 9);
+
+console.log('test cases: freeing an id that is not allocated');
+allocator.free(3);
+mod_assertplus.throws(function () { allocator.free(3); },
+    /id 3 is not allocated/);
+mod_assertplus.throws(function () { allocator.free(8); },
+    /id 8 is not allocated/);
+mod_assertplus.equal(allocator.alloc(), 3);
+
+
+console.log('test cases: freed ids are not reused before unused ones');
+allocator = new mod_subr.IdAllocator({ 'min': 1, 'max': 100 });
 mod_assertplus.equal(allocator.alloc(), 1);
 mod_assertplus.equal(allocator.alloc(), 2);
+allocator.free(2);
+allocator.free(1);
 mod_assertplus.equal(allocator.alloc(), 3);
-mod_assertplus.equal(allocator.alloc(), 4);
-mod_assertplus.equal(allocator.alloc(), 5);
-mod_assertplus.equal(allocator.alloc(), 6);
-mod_assertplus.equal(allocator.alloc(), 7);
-mod_assertplus.equal(allocator.alloc(), 0);
+allocator.free(3);
+for (i = 4; i <= 100; i++) {
+	mod_assertplus.equal(allocator.alloc(), i);
+}
+
+/* Adjacent free ids are merged and reused in increasing order. */
 mod_assertplus.equal(allocator.alloc(), 1);
-mod_assertplus.equal(nQueries, 18);
+mod_assertplus.equal(allocator.alloc(), 2);
+mod_assertplus.equal(allocator.alloc(), 3);
+mod_assertplus.strictEqual(allocator.alloc(), null);
+
 
 /*
- * Now let's pretend like the next several are allocated.  Those should be
- * skipped, and we should get "5" after asking four questions.
+ * Allocate ids the way a client with a few long-lived requests would: all but
+ * every 100th id is freed soon after it's allocated.  Adjacent free ids should
+ * be merged so that the allocator's state stays proportional to the number of
+ * ids allocated.
  */
-console.log('test cases: allocator skips allocated ids');
-isAllocated[2] = true;
-isAllocated[3] = true;
-isAllocated[4] = true;
-mod_assertplus.equal(allocator.alloc(), 5);
-mod_assertplus.equal(nQueries, 22);
-
-
-console.log('test cases: allocator fails if everything is allocated');
-isAllocated[0] = true;
-isAllocated[1] = true;
-isAllocated[5] = true;
-isAllocated[6] = true;
-isAllocated[7] = true;
-mod_assertplus.throws(function () { allocator.alloc(); },
-    /all ids allocated/);
-mod_assertplus.equal(nQueries, 30);
+console.log('test cases: adjacent free ids are merged');
+allocator = new mod_subr.IdAllocator({ 'min': 1, 'max': Math.pow(2, 31) });
+for (i = 1; i <= 100000; i++) {
+	id = allocator.alloc();
+	mod_assertplus.equal(id, i);
+	if (i % 100 !== 0) {
+		allocator.free(id);
+	}
+}
+mod_assertplus.equal(allocator.nallocated(), 1000);
+mod_assertplus.ok(allocator.ida_nranges <= 1002);
+
+
+/*
+ * This case was pathological for the previous implementation, which scanned
+ * forward from the last id allocated: with all but a handful of ids in use,
+ * each allocation would have to examine nearly every id.
+ */
+console.log('test cases: allocator stays fast when nearly full');
+max = 200000;
+allocator = new mod_subr.IdAllocator({ 'min': 0, 'max': max });
+for (i = 0; i <= max; i++) {
+	allocator.alloc();
+}
+for (i = 0; i < max; i++) {
+	id = (i * 7919) % max;
+	allocator.free(id);
+	mod_assertplus.equal(allocator.alloc(), id);
+	mod_assertplus.strictEqual(allocator.alloc(), null);
+}
+mod_assertplus.equal(allocator.nallocated(), max + 1);
+
+
+/*
+ * Finally, compare against a simple model: alloc() must never return an id
+ * that's in use, it must return null exactly when everything is in use, and
+ * ids must come out in increasing order until the range is first exhausted.
+ */
+console.log('test cases: random operations');
+allocator = new mod_subr.IdAllocator({ 'min': 10, 'max': 73 });
+allocated = {};
+nallocated = 0;
+nextid = 10;
+for (i = 0; i < 20000; i++) {
+	if (nallocated > 0 && Math.random() < 0.45) {
+		id = Object.keys(allocated)[
+		    Math.floor(Math.random() * nallocated)];
+		id = parseInt(id, 10);
+		allocator.free(id);
+		delete (allocated[id]);
+		nallocated--;
+		continue;
+	}
+
+	id = allocator.alloc();
+	if (nallocated == 64) {
+		mod_assertplus.strictEqual(id, null);
+		continue;
+	}
+
+	mod_assertplus.number(id);
+	mod_assertplus.ok(id >= 10 && id <= 73);
+	mod_assertplus.ok(!allocated.hasOwnProperty(id));
+	if (nextid <= 73) {
+		mod_assertplus.equal(id, nextid);
+		nextid++;
+	}
+	allocated[id] = true;
+	nallocated++;
+	mod_assertplus.equal(allocator.nallocated(), nallocated);
+}
 
 console.log('tst.allocator.js tests passed');
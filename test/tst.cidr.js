@@ -0,0 +1,61 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * test/tst.cidr.js: tests the CIDR matching used by authorization policies
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_subr = require('../lib/subr');
+
+function contains(network, addr)
+{
+	var cidr = mod_subr.parseCidr(network);
+	mod_assertplus.ok(cidr !== null, 'invalid network: ' + network);
+	return (mod_subr.cidrContains(cidr, addr));
+}
+
+console.log('test cases: invalid networks');
+[ '', 'localhost', '10.0.0.0/', '10.0.0.0/33', '10.0.0.0/8/8',
+    '10.0.0.0/-1', '10.0.0.256/8', 'fd00::/129', 'fd00:::1/8'
+].forEach(function (network) {
+	mod_assertplus.strictEqual(mod_subr.parseCidr(network), null, network);
+});
+
+console.log('test cases: IPv4');
+mod_assertplus.ok(contains('10.0.0.0/8', '10.1.2.3'));
+mod_assertplus.ok(!contains('10.0.0.0/8', '11.1.2.3'));
+mod_assertplus.ok(contains('192.168.4.0/22', '192.168.7.255'));
+mod_assertplus.ok(!contains('192.168.4.0/22', '192.168.8.0'));
+mod_assertplus.ok(!contains('192.168.4.0/22', '192.168.3.255'));
+mod_assertplus.ok(contains('127.0.0.1', '127.0.0.1'));
+mod_assertplus.ok(!contains('127.0.0.1', '127.0.0.2'));
+mod_assertplus.ok(contains('0.0.0.0/0', '203.0.113.9'));
+
+console.log('test cases: IPv6');
+mod_assertplus.ok(contains('fd00::/8', 'fd12:3456::1'));
+mod_assertplus.ok(!contains('fd00::/8', 'fe80::1'));
+mod_assertplus.ok(contains('fe80::/10', 'febf::1%eth0'));
+mod_assertplus.ok(!contains('fe80::/10', 'fec0::1'));
+mod_assertplus.ok(contains('::1', '0:0:0:0:0:0:0:1'));
+mod_assertplus.ok(contains('2001:db8:1:2::/64', '2001:db8:1:2:ffff::'));
+mod_assertplus.ok(!contains('2001:db8:1:2::/64', '2001:db8:1:3::'));
+mod_assertplus.ok(contains('::ffff:0:0/96', '::ffff:10.1.2.3'));
+mod_assertplus.ok(contains('64:ff9b::10.0.0.0/104', '64:ff9b::a01:203'));
+
+console.log('test cases: mixed families');
+mod_assertplus.ok(contains('10.0.0.0/8', '::ffff:10.1.2.3'));
+mod_assertplus.ok(!contains('10.0.0.0/8', '::ffff:11.1.2.3'));
+mod_assertplus.ok(!contains('10.0.0.0/8', '::a01:203'));
+mod_assertplus.ok(!contains('::/0', '10.1.2.3'));
+mod_assertplus.ok(!contains('0.0.0.0/0', undefined));
+mod_assertplus.ok(!contains('0.0.0.0/0', '/var/run/fast.sock'));
+
+console.log('tst.cidr.js tests passed');
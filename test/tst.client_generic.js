@@ -70,7 +70,8 @@ function runTestCase(testcase, callback)
 	ctc = new mod_testclient.ClientTestContext({
 	    'server': serverSocket,
 	    'log': testLog.child({ 'testcase': testcase.name }),
-	    'client_version': mod_protocol.FP_VERSION_CURRENT
+	    'client_version': mod_protocol.FP_VERSION_CURRENT,
+	    'client_args': testcase.clientArgs
 	});
 
 	ctc.establishConnection();
@@ -82,6 +83,68 @@ function runTestCase(testcase, callback)
 }
 
 
+/*
+ * This function executes the body of test cases where the client attempts a
+ * handshake with a server that doesn't support it.  "respondToHello" is invoked
+ * with the client's HELLO message.  We verify that a request made while the
+ * handshake is outstanding is queued until the handshake fails and is then sent
+ * using the client's original protocol version.
+ */
+function runLegacyHandshakeTest(ctc, respondToHello, callback)
+{
+	var client = ctc.ctc_fastclient;
+	var barrier, ctr;
+
+	barrier = mod_vasync.barrier();
+	barrier.start('handshake');
+	barrier.start('request');
+	barrier.on('drain', function () {
+		mod_assertplus.ok(ctr.ctr_error === null);
+		mod_assertplus.ok(ctc.ctc_error_client === null);
+		mod_assertplus.deepEqual(client.capabilities(), []);
+		mod_assertplus.equal(client.version,
+		    mod_protocol.FP_VERSION_CURRENT);
+		ctc.cleanup();
+		callback();
+	});
+
+	client.on('handshake', function (caps) {
+		mod_assertplus.deepEqual(caps, []);
+		barrier.done('handshake');
+	});
+
+	ctc.ctc_server_decoder.once('data', function (hello) {
+		mod_assertplus.equal(hello.data.m.name,
+		    mod_protocol.FP_HELLO_METHOD);
+		mod_assertplus.equal(hello.version,
+		    mod_protocol.FP_VERSION_CURRENT);
+		mod_assertplus.equal(hello.data.d[0].version,
+		    mod_protocol.FP_VERSION_3);
+
+		/*
+		 * The request below must not be sent until the handshake
+		 * has failed.
+		 */
+		ctc.ctc_server_decoder.once('data', function (message) {
+			mod_assertplus.equal(client.kangGetObject(
+			    'fastclient', client.fc_dtid).handshake, 'done');
+			mod_assertplus.equal(message.data.m.name,
+			    mod_testcommon.dummyRpcMethodName);
+			mod_assertplus.equal(message.version,
+			    mod_protocol.FP_VERSION_CURRENT);
+			ctc.serverReply(message, {
+			    'data': true,
+			    'error': false
+			});
+		});
+
+		respondToHello(hello);
+	});
+
+	ctr = ctc.makeRequest(function () { barrier.done('request'); });
+	mod_assertplus.ok(ctr.ctr_request.frq_queued);
+}
+
 /*
  * This function executes the body of test cases that do this:
  *
@@ -678,6 +741,68 @@ var test_cases = [ {
 	});
     }
 
+}, {
+    'name': 'handshake: server fails HELLO (legacy server)',
+    'clientArgs': { 'handshake': true },
+    'run': function (ctc, callback) {
+	runLegacyHandshakeTest(ctc, function (message) {
+		/* Respond to the HELLO the way legacy servers do. */
+		ctc.ctc_server_encoder.write({
+		    'msgid': message.msgid,
+		    'status': mod_protocol.FP_STATUS_ERROR,
+		    'data': { 'd': {
+			'name': 'FastError',
+			'message': 'unsupported RPC method: "' +
+			    mod_protocol.FP_HELLO_METHOD + '"',
+			'info': { 'fastReason': 'bad_method' }
+		    } },
+		    'version': message.version
+		});
+	}, callback);
+    }
+
+}, {
+    'name': 'handshake: server ignores HELLO (old legacy server)',
+    'clientArgs': { 'handshake': true, 'handshakeTimeout': 200 },
+    'run': function (ctc, callback) {
+	var start = process.hrtime();
+
+	runLegacyHandshakeTest(ctc, function () {}, function () {
+		var delta = mod_jsprim.hrtimeMillisec(process.hrtime(start));
+		mod_assertplus.ok(delta >= 200, 'handshake timeout too short');
+		callback();
+	});
+    }
+
+}, {
+    'name': 'handshake: requests queued behind handshake can be abandoned',
+    'clientArgs': { 'handshake': true, 'handshakeTimeout': 200 },
+    'run': function (ctc, callback) {
+	var ctr;
+
+	ctr = ctc.makeRequest(function () {
+		var client = ctc.ctc_fastclient;
+
+		mod_assertplus.equal(ctr.ctr_error.name, 'FastRequestError');
+		mod_assertplus.equal(VError.cause(ctr.ctr_error).name,
+		    'FastRequestAbandonedError');
+
+		/*
+		 * Since the request was never sent, the client need not
+		 * wait for the server to finish with it.
+		 */
+		mod_assertplus.equal(client.kangGetObject('fastclient',
+		    client.fc_dtid).nQueued, 0);
+		mod_assertplus.deepEqual(client.kangListObjects('fastrequest'),
+		    [ '1' ]);
+		ctc.cleanup();
+		callback();
+	});
+
+	mod_assertplus.ok(ctr.ctr_request.frq_queued);
+	ctr.ctr_request.abandon();
+    }
+
 }, {
     'name': 'flow control from server to client',
     'run': function (ctc, callback) {
@@ -557,6 +557,48 @@ var mockResponders = [ {
 	mod_assertplus.deepEqual(data, ['hello world']);
     }
 
+}, {
+    'name': 'artedi metrics report clock offset and latency split',
+    'serverReply': function (socket, message, encoder) {
+	/* The server's clock is five seconds ahead of the client's. */
+	assertNormalRequest(message);
+	encoder.write({
+	    'msgid': message.msgid,
+	    'status': mod_protocol.FP_STATUS_END,
+	    'data': {
+		'm': {
+		    'uts': mod_microtime.now() + 5000000,
+		    'name': message.data.m.name
+		},
+		'd': [ 'hello world' ]
+	    },
+	    'version': mod_protocol.FP_VERSION_CURRENT
+	});
+
+	encoder.end();
+    },
+    'artediPromCheck': function (metrics) {
+	var match;
+
+	match = /^fast_client_clock_offset_seconds{[^}]*} ([0-9.e-]+)$/m.exec(
+	    metrics);
+	mod_assertplus.ok(match !== null);
+	mod_assertplus.ok(Math.abs(parseFloat(match[1]) - 5) < 1,
+	    'offset: ' + match[1]);
+	mod_assertplus.ok(metrics.indexOf(
+	    'fast_client_network_time_seconds_count{rpcMethod="testmethod",' +
+		'service="tst.client_request"} 1') !== -1);
+	mod_assertplus.ok(metrics.indexOf(
+	    'fast_client_server_time_seconds_count{rpcMethod="testmethod",' +
+		'service="tst.client_request"} 1') !== -1);
+    },
+    'clientCheck': function (data, errors) {
+	mod_assertplus.ok(errors.socket === null);
+	mod_assertplus.ok(errors.client === null);
+	mod_assertplus.ok(errors.request === null);
+	mod_assertplus.deepEqual(data, ['hello world']);
+    }
+
 } ];
 
 /*
@@ -0,0 +1,94 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * test/tst.clock.js: tests the ClockEstimator used to split request latency
+ * into network and server time
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_subr = require('../lib/subr');
+
+var estimator, t0;
+
+/*
+ * All of these samples come from a peer whose clock is one second ahead of
+ * ours.  "oneway" is the network latency in each direction, and "peer" is how
+ * long the peer took to respond.
+ */
+var OFFSET = 1000000;
+
+function sample(oneway, peer)
+{
+	var tsent = t0;
+	t0 += 1000000;
+	return (estimator.sample(tsent, tsent + oneway + peer + OFFSET,
+	    tsent + 2 * oneway + peer));
+}
+
+console.log('test cases: bad arguments');
+mod_assertplus.throws(function () {
+	estimator = new mod_subr.ClockEstimator({});
+}, /args\.window \(number\) is required/);
+
+mod_assertplus.throws(function () {
+	estimator = new mod_subr.ClockEstimator({ 'window': 0 });
+}, /args\.window must be positive/);
+
+console.log('test cases: no samples');
+t0 = 1500000000000000;
+estimator = new mod_subr.ClockEstimator({ 'window': 3 });
+mod_assertplus.strictEqual(estimator.offset(), null);
+mod_assertplus.strictEqual(estimator.offsetError(), null);
+
+console.log('test cases: estimates from the fastest sample');
+mod_assertplus.deepEqual(sample(500, 0),
+    { 'rtt': 1000, 'network': 1000, 'peer': 0 });
+mod_assertplus.equal(estimator.offset(), OFFSET);
+mod_assertplus.equal(estimator.offsetError(), 500);
+
+/* A slow peer doesn't affect the offset, and its time is attributed to it. */
+mod_assertplus.deepEqual(sample(500, 20000),
+    { 'rtt': 21000, 'network': 1000, 'peer': 20000 });
+mod_assertplus.equal(estimator.offset(), OFFSET);
+
+/* Nor does a slow network. */
+mod_assertplus.deepEqual(sample(3000, 0),
+    { 'rtt': 6000, 'network': 6000, 'peer': 0 });
+mod_assertplus.equal(estimator.offset(), OFFSET);
+
+console.log('test cases: window');
+/*
+ * Once the fastest sample leaves the window, the estimate comes from the
+ * fastest that remains (which was slowed down by its peer time, so the offset
+ * is off by half of it).
+ */
+sample(1000, 100);
+mod_assertplus.equal(estimator.offset(), OFFSET + 50);
+mod_assertplus.equal(estimator.offsetError(), 1050);
+mod_assertplus.equal(estimator.ce_nsamples, 4);
+mod_assertplus.equal(estimator.ce_samples.length, 3);
+
+console.log('test cases: estimates are clamped');
+/* The response arrived before the peer could have sent it. */
+mod_assertplus.deepEqual(estimator.sample(t0, t0 + OFFSET + 50000, t0 + 4000),
+    { 'rtt': 4000, 'network': 0, 'peer': 4000 });
+t0 += 1000000;
+/* The response took longer to arrive than the whole round trip. */
+mod_assertplus.deepEqual(estimator.sample(t0, t0 + OFFSET - 50000, t0 + 4000),
+    { 'rtt': 4000, 'network': 4000, 'peer': 0 });
+mod_assertplus.equal(estimator.offset(), OFFSET + 50);
+
+console.log('test cases: clock went backwards');
+mod_assertplus.strictEqual(estimator.sample(t0, t0 + OFFSET, t0 - 1), null);
+mod_assertplus.equal(estimator.ce_nignored, 1);
+mod_assertplus.equal(estimator.ce_nsamples, 6);
+
+console.log('tst.clock.js tests passed');
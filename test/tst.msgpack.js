@@ -0,0 +1,233 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * test/tst.msgpack.js: tests for the MessagePack payload codec
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_extsprintf = require('extsprintf');
+var mod_path = require('path');
+
+var mod_msgpack = require('../lib/msgpack');
+var printf = mod_extsprintf.printf;
+
+var mod_testcommon = require('./common');
+
+var encode_cases, roundtrip_cases, decode_error_cases;
+
+function main()
+{
+	encode_cases.forEach(runEncodeTestCase);
+	roundtrip_cases.forEach(runRoundtripTestCase);
+	decode_error_cases.forEach(runDecodeErrorTestCase);
+	printf('%s tests passed\n', mod_path.basename(__filename));
+}
+
+/*
+ * Each of these checks the exact encoding of a value, which must then decode
+ * back to the same value.
+ */
+encode_cases = [
+    { 'value': 0, 'bytes': [ 0x00 ] },
+    { 'value': 127, 'bytes': [ 0x7f ] },
+    { 'value': 128, 'bytes': [ 0xcc, 0x80 ] },
+    { 'value': 65535, 'bytes': [ 0xcd, 0xff, 0xff ] },
+    { 'value': 65536, 'bytes': [ 0xce, 0x00, 0x01, 0x00, 0x00 ] },
+    { 'value': Math.pow(2, 32), 'bytes': [ 0xcf,
+	0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x00 ] },
+    { 'value': -1, 'bytes': [ 0xff ] },
+    { 'value': -32, 'bytes': [ 0xe0 ] },
+    { 'value': -33, 'bytes': [ 0xd0, 0xdf ] },
+    { 'value': -129, 'bytes': [ 0xd1, 0xff, 0x7f ] },
+    { 'value': -32769, 'bytes': [ 0xd2, 0xff, 0xff, 0x7f, 0xff ] },
+    { 'value': -Math.pow(2, 32), 'bytes': [ 0xd3,
+	0xff, 0xff, 0xff, 0xff, 0x00, 0x00, 0x00, 0x00 ] },
+    { 'value': 1.5, 'bytes': [ 0xcb,
+	0x3f, 0xf8, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00 ] },
+    { 'value': null, 'bytes': [ 0xc0 ] },
+    { 'value': false, 'bytes': [ 0xc2 ] },
+    { 'value': true, 'bytes': [ 0xc3 ] },
+    { 'value': '', 'bytes': [ 0xa0 ] },
+    { 'value': 'abc', 'bytes': [ 0xa3, 0x61, 0x62, 0x63 ] },
+    { 'value': 'é', 'bytes': [ 0xa2, 0xc3, 0xa9 ] },
+    { 'value': [], 'bytes': [ 0x90 ] },
+    { 'value': [ 1, [ 2 ] ], 'bytes': [ 0x92, 0x01, 0x91, 0x02 ] },
+    { 'value': {}, 'bytes': [ 0x80 ] },
+    { 'value': { 'a': 1 }, 'bytes': [ 0x81, 0xa1, 0x61, 0x01 ] }
+];
+
+/*
+ * Each of these values must survive encoding and decoding with the same result
+ * as JSON.stringify() followed by JSON.parse().
+ */
+roundtrip_cases = [ {
+    'name': 'long strings',
+    'value': [ repeat('x', 31), repeat('x', 32), repeat('x', 255),
+	repeat('x', 256), repeat('x', 65535), repeat('x', 65536),
+	repeat('é', 40) ]
+}, {
+    'name': 'long arrays',
+    'value': [ makeArray(15), makeArray(16), makeArray(65536) ]
+}, {
+    'name': 'large maps',
+    'value': [ makeMap(15), makeMap(16), makeMap(65536) ]
+}, {
+    'name': 'values JSON cannot represent',
+    'value': {
+	'nan': NaN,
+	'inf': -Infinity,
+	'undef': undefined,
+	'func': function () {},
+	'array': [ undefined, function () {}, NaN ],
+	'negzero': -0,
+	'huge': Math.pow(2, 60),
+	'hugeneg': -Math.pow(2, 60)
+    }
+}, {
+    'name': 'values with toJSON()',
+    'value': {
+	'date': new Date(0),
+	'buffer': new Buffer('hello'),
+	'custom': { 'toJSON': function () { return ({ 'x': [ 1 ] }); } }
+    }
+}, {
+    'name': 'boxed primitives',
+    'value': [ new String('str'), new Number(3), new Boolean(false) ]
+}, {
+    'name': 'property named __proto__',
+    'value': JSON.parse('{ "__proto__": { "polluted": true } }')
+}, {
+    'name': 'large object',
+    'value': mod_testcommon.makeBigObject(8, 4)
+} ];
+
+decode_error_cases = [ {
+    'name': 'empty input',
+    'bytes': [],
+    'error': /unexpected end of input at offset 0/
+}, {
+    'name': 'truncated string',
+    'bytes': [ 0xa3, 0x61, 0x62 ],
+    'error': /unexpected end of input/
+}, {
+    'name': 'truncated array',
+    'bytes': [ 0x92, 0x01 ],
+    'error': /unexpected end of input/
+}, {
+    'name': 'truncated length',
+    'bytes': [ 0xdc, 0x00 ],
+    'error': /unexpected end of input/
+}, {
+    'name': 'bogus array length',
+    'bytes': [ 0xdd, 0xff, 0xff, 0xff, 0xff ],
+    'error': /unexpected end of input/
+}, {
+    'name': 'trailing bytes',
+    'bytes': [ 0x01, 0x02 ],
+    'error': /1 unexpected bytes after value/
+}, {
+    'name': 'never-used type byte',
+    'bytes': [ 0xc1 ],
+    'error': /unsupported type byte 0xc1 at offset 0/
+}, {
+    'name': 'extension type',
+    'bytes': [ 0x91, 0xd4, 0x01, 0x00 ],
+    'error': /unsupported type byte 0xd4 at offset 1/
+}, {
+    'name': 'non-string map key',
+    'bytes': [ 0x81, 0x01, 0x02 ],
+    'error': /unsupported map key of type "number" at offset 1/
+} ];
+
+function runEncodeTestCase(testcase)
+{
+	var encoded, expected;
+
+	printf('test case: encode %j: ', testcase['value']);
+	expected = new Buffer(testcase['bytes']);
+	encoded = mod_msgpack.msgpackEncode(testcase['value']);
+	mod_assertplus.deepEqual(encoded, expected);
+	mod_assertplus.deepEqual(mod_msgpack.msgpackDecode(encoded),
+	    testcase['value']);
+	printf('ok\n');
+}
+
+function runRoundtripTestCase(testcase)
+{
+	var decoded, expected;
+
+	printf('test case: round trip: %s: ', testcase['name']);
+	expected = JSON.parse(JSON.stringify(testcase['value']));
+	decoded = mod_msgpack.msgpackDecode(
+	    mod_msgpack.msgpackEncode(testcase['value']));
+	mod_assertplus.deepEqual(decoded, expected);
+	mod_assertplus.equal(JSON.stringify(decoded),
+	    JSON.stringify(expected));
+	if (!Array.isArray(decoded)) {
+		mod_assertplus.equal(Object.getPrototypeOf(decoded),
+		    Object.prototype);
+	}
+	printf('ok\n');
+}
+
+function runDecodeErrorTestCase(testcase)
+{
+	var error;
+
+	printf('test case: decode error: %s: ', testcase['name']);
+	try {
+		mod_msgpack.msgpackDecode(new Buffer(testcase['bytes']));
+	} catch (ex) {
+		error = ex;
+	}
+
+	mod_assertplus.ok(error instanceof Error, 'expected an error');
+	if (!testcase['error'].test(error.message)) {
+		printf('FAIL\n');
+		printf('expected error to match: %s\n',
+		    testcase['error'].source);
+		printf('found error: %s\n', error.stack);
+		throw (error);
+	}
+
+	printf('ok\n');
+}
+
+function repeat(str, n)
+{
+	return (new Array(n + 1).join(str));
+}
+
+function makeArray(n)
+{
+	var rv, i;
+
+	rv = [];
+	for (i = 0; i < n; i++) {
+		rv.push(i);
+	}
+
+	return (rv);
+}
+
+function makeMap(n)
+{
+	var rv, i;
+
+	rv = {};
+	for (i = 0; i < n; i++) {
+		rv['key' + i] = i;
+	}
+
+	return (rv);
+}
+
+main();
@@ -16,25 +16,38 @@ var mod_assertplus = require('assert-plus');
 var mod_cmdutil = require('cmdutil');
 var mod_old_crc = require('oldcrc');
 var mod_crc = require('crc');
+var mod_crypto = require('crypto');
 var mod_extsprintf = require('extsprintf');
 var mod_path = require('path');
 var mod_vasync = require('vasync');
+var mod_zlib = require('zlib');
 var VError = require('verror');
 
+var mod_msgpack = require('../lib/msgpack');
 var mod_protocol = require('../lib/fast_protocol');
 var printf = mod_extsprintf.printf;
 
 var mod_testcommon = require('./common');
 
-var test_cases;
+var test_cases, split_test_cases;
 
 function main()
 {
 	mod_testcommon.registerExitBlocker('test run');
-	mod_vasync.forEachPipeline({
-	    'inputs': test_cases,
-	    'func': runTestCase
-	}, function (err) {
+	mod_vasync.pipeline({ 'funcs': [
+	    function runTestCases(_, next) {
+		mod_vasync.forEachPipeline({
+		    'inputs': test_cases,
+		    'func': runTestCase
+		}, next);
+	    },
+	    function runSplitTestCases(_, next) {
+		mod_vasync.forEachPipeline({
+		    'inputs': split_test_cases,
+		    'func': runSplitTestCase
+		}, next);
+	    }
+	] }, function (err) {
 		if (err) {
 			throw (err);
 		}
@@ -44,30 +57,91 @@ function main()
 	});
 }
 
+/*
+ * Each test case's "input" function returns a single buffer, an array of
+ * buffers to be written to the decoder as separate chunks, or undefined (for an
+ * empty stream).
+ */
 function runTestCase(testcase, callback)
 {
-	var decoder = new mod_protocol.FastMessageDecoder();
+	printf('test case: %s: ', testcase['name']);
+	decodeChunks(testcase, testcase['input'](),
+	    function (error, data, decoder) {
+		testcase['check'](error, data, decoder);
+		printf('ok\n');
+		callback();
+	    });
+}
+
+/*
+ * Split test cases take a single buffer and verify that it decodes to the same
+ * messages regardless of where it's split across chunks.  For each byte
+ * offset, we write the bytes before and after that offset as separate chunks
+ * to a fresh decoder.
+ */
+function runSplitTestCase(testcase, callback)
+{
+	var buf, offsets, i;
+
+	printf('test case: %s: ', testcase['name']);
+	buf = testcase['input']();
+	offsets = [];
+	for (i = 0; i <= buf.length; i++) {
+		offsets.push(i);
+	}
+
+	mod_vasync.forEachPipeline({
+	    'inputs': offsets,
+	    'func': function (offset, next) {
+		decodeChunks(testcase,
+		    [ buf.slice(0, offset), buf.slice(offset) ],
+		    function (error, data, decoder) {
+			testcase['check'](error, data, decoder);
+			next();
+		    });
+	    }
+	}, function (err) {
+		mod_assertplus.ok(!err);
+		printf('ok (%d splits)\n', offsets.length);
+		callback();
+	});
+}
+
+/*
+ * Decode the given chunks using a new decoder created with
+ * testcase['decoderArgs'].  If testcase['capabilities'] is present, the decoder
+ * behaves as though a handshake has negotiated those capabilities.
+ */
+function decodeChunks(testcase, chunks, callback)
+{
+	var decoder = new mod_protocol.FastMessageDecoder(
+	    testcase['decoderArgs']);
 	var data = [];
 	var error = null;
 
-	printf('test case: %s: ', testcase['name']);
+	if (testcase['capabilities']) {
+		decoder.setCapabilities(testcase['capabilities']);
+	}
 
 	decoder.on('data', function (c) { data.push(c); });
 	decoder.on('error', function (err) {
 		mod_assertplus.ok(error === null);
 		error = err;
-		testcase['check'](error, data);
-		printf('ok\n');
-		callback();
+		callback(error, data, decoder);
 	});
 	decoder.on('end', function () {
 		mod_assertplus.ok(error === null);
-		testcase['check'](error, data);
-		printf('ok\n');
-		callback();
+		callback(error, data, decoder);
 	});
 
-	decoder.end(testcase['input']());
+	if (chunks === undefined) {
+		chunks = [];
+	} else if (!Array.isArray(chunks)) {
+		chunks = [ chunks ];
+	}
+
+	chunks.forEach(function (c) { decoder.write(c); });
+	decoder.end();
 }
 
 var sample_object = { 'd': [ { 'hello': 'world' } ] };
@@ -148,6 +222,57 @@ test_cases = [ {
 	mod_assertplus.equal(data[0].status, mod_protocol.FP_STATUS_END);
 	mod_assertplus.deepEqual(data[0].data, big_object);
     }
+}, {
+    'name': 'large END message in 64KB chunks',
+    'input': function () {
+	return (splitIntoChunks(makeMessageForData(
+	    14, mod_protocol.FP_STATUS_END, big_object), 65536));
+    },
+    'check': function (error, data, decoder) {
+	mod_assertplus.ok(error === null);
+	mod_assertplus.equal(data.length, 1);
+	mod_assertplus.equal(data[0].msgid, 14);
+	mod_assertplus.equal(data[0].status, mod_protocol.FP_STATUS_END);
+	mod_assertplus.deepEqual(data[0].data, big_object);
+
+	/*
+	 * The payload spans many chunks, so it should have been assembled
+	 * exactly once.
+	 */
+	mod_assertplus.equal(decoder.md_ncopies, 1);
+    }
+}, {
+    'name': 'several messages in 1-byte chunks',
+    'input': function () {
+	return (splitIntoChunks(Buffer.concat([
+	    makeMessageForData(1, mod_protocol.FP_STATUS_DATA, sample_object),
+	    makeMessageForData(1, mod_protocol.FP_STATUS_END, sample_object),
+	    makeMessageForData(2, mod_protocol.FP_STATUS_ERROR, sample_error)
+	]), 1));
+    },
+    'check': function (error, data) {
+	mod_assertplus.ok(error === null);
+	mod_assertplus.equal(data.length, 3);
+	mod_assertplus.equal(data[0].status, mod_protocol.FP_STATUS_DATA);
+	mod_assertplus.deepEqual(data[0].data, sample_object);
+	mod_assertplus.equal(data[1].status, mod_protocol.FP_STATUS_END);
+	mod_assertplus.deepEqual(data[1].data, sample_object);
+	mod_assertplus.equal(data[2].msgid, 2);
+	mod_assertplus.deepEqual(data[2].data, sample_error);
+    }
+}, {
+    'name': 'several messages in one chunk are not copied',
+    'input': function () {
+	return (Buffer.concat([
+	    makeMessageForData(1, mod_protocol.FP_STATUS_DATA, sample_object),
+	    makeMessageForData(1, mod_protocol.FP_STATUS_END, sample_object)
+	]));
+    },
+    'check': function (error, data, decoder) {
+	mod_assertplus.ok(error === null);
+	mod_assertplus.equal(data.length, 2);
+	mod_assertplus.equal(decoder.md_ncopies, 0);
+    }
 }, {
     'name': 'basic ERROR message',
     'input': function () {
@@ -314,6 +439,293 @@ test_cases = [ {
 	    'unsupported_version');
 	mod_assertplus.equal(VError.info(error).foundVersion, 37);
     }
+}, {
+    'name': 'CRC mode V1_V2 accepts both CRC calculations',
+    'decoderArgs': { 'crcMode': mod_protocol.FAST_CHECKSUM_V1_V2 },
+    'input': function () {
+	var buf = Buffer.concat([
+	    makeMessageForData(1, mod_protocol.FP_STATUS_DATA, sample_object,
+	        mod_protocol.FP_VERSION_1),
+	    makeMessageForData(2, mod_protocol.FP_STATUS_DATA, sample_object,
+	        mod_protocol.FP_VERSION_2)
+	]);
+	return (buf);
+    },
+    'check': function (error, data) {
+	mod_assertplus.ok(error === null);
+	mod_assertplus.equal(data.length, 2);
+	mod_assertplus.equal(data[0].version, mod_protocol.FP_VERSION_1);
+	mod_assertplus.deepEqual(data[0].data, sample_object);
+	mod_assertplus.equal(data[1].version, mod_protocol.FP_VERSION_2);
+	mod_assertplus.deepEqual(data[1].data, sample_object);
+    }
+}, {
+    'name': 'CRC mode V1 rejects correct CRC calculation',
+    'decoderArgs': { 'crcMode': mod_protocol.FAST_CHECKSUM_V1 },
+    'input': function () {
+	var buf = Buffer.concat([
+	    makeMessageForData(1, mod_protocol.FP_STATUS_DATA, sample_object,
+	        mod_protocol.FP_VERSION_1),
+	    makeMessageForData(2, mod_protocol.FP_STATUS_DATA, sample_object,
+	        mod_protocol.FP_VERSION_2)
+	]);
+	return (buf);
+    },
+    'check': function (error, data) {
+	mod_assertplus.equal(data.length, 1);
+	mod_assertplus.equal(data[0].msgid, 1);
+	mod_assertplus.ok(error instanceof Error);
+	mod_assertplus.equal(error.name, 'FastProtocolError');
+	mod_assertplus.ok(/CRC for version 2 not allowed by CRC mode 1/.test(
+	    error.message));
+	mod_assertplus.equal(VError.info(error).fastReason, 'unsupported_crc');
+	mod_assertplus.equal(VError.info(error).foundVersion,
+	    mod_protocol.FP_VERSION_2);
+	mod_assertplus.equal(VError.info(error).crcMode,
+	    mod_protocol.FAST_CHECKSUM_V1);
+    }
+}, {
+    'name': 'CRC mode V2 rejects buggy CRC calculation',
+    'decoderArgs': { 'crcMode': mod_protocol.FAST_CHECKSUM_V2 },
+    'input': function () {
+	var buf = Buffer.concat([
+	    makeMessageForData(1, mod_protocol.FP_STATUS_DATA, sample_object,
+	        mod_protocol.FP_VERSION_2),
+	    makeMessageForData(2, mod_protocol.FP_STATUS_DATA, sample_object,
+	        mod_protocol.FP_VERSION_1)
+	]);
+	return (buf);
+    },
+    'check': function (error, data) {
+	mod_assertplus.equal(data.length, 1);
+	mod_assertplus.equal(data[0].msgid, 1);
+	mod_assertplus.ok(error instanceof Error);
+	mod_assertplus.equal(error.name, 'FastProtocolError');
+	mod_assertplus.equal(VError.info(error).fastReason, 'unsupported_crc');
+	mod_assertplus.equal(VError.info(error).foundVersion,
+	    mod_protocol.FP_VERSION_1);
+    }
+}, {
+    'name': 'version 3 message before handshake',
+    'input': function () {
+	return (makeMessageForData(1, mod_protocol.FP_STATUS_DATA,
+	    sample_object, mod_protocol.FP_VERSION_3));
+    },
+    'check': function (error, data, decoder) {
+	mod_assertplus.equal(data.length, 0);
+	mod_assertplus.ok(error instanceof Error);
+	mod_assertplus.equal(error.name, 'FastProtocolError');
+	mod_assertplus.ok(/version 3 used before handshake/.test(
+	    error.message));
+	mod_assertplus.equal(VError.info(error).fastReason,
+	    'unsupported_version');
+	mod_assertplus.deepEqual(decoder.capabilities(), []);
+    }
+}, {
+    'name': 'version 3 message after handshake',
+    'capabilities': [ 'alpha' ],
+    'input': function () {
+	return (Buffer.concat([
+	    makeMessageForData(1, mod_protocol.FP_STATUS_DATA,
+	        sample_object, mod_protocol.FP_VERSION_2),
+	    makeMessageForData(2, mod_protocol.FP_STATUS_DATA,
+	        sample_object, mod_protocol.FP_VERSION_3)
+	]));
+    },
+    'check': function (error, data, decoder) {
+	mod_assertplus.ok(error === null);
+	mod_assertplus.equal(data.length, 2);
+	mod_assertplus.equal(data[1].version, mod_protocol.FP_VERSION_3);
+	mod_assertplus.deepEqual(data[1].data, sample_object);
+	mod_assertplus.deepEqual(decoder.capabilities(), [ 'alpha' ]);
+    }
+}, {
+    'name': 'compressed messages',
+    'capabilities': [ 'deflate', 'msgpack' ],
+    'input': function () {
+	return (Buffer.concat([
+	    makeDeflatedMessage(1, mod_protocol.FP_STATUS_DATA,
+	        mod_protocol.FP_TYPE_JSON,
+	        new Buffer(JSON.stringify(big_object))),
+	    makeDeflatedMessage(2, mod_protocol.FP_STATUS_END,
+	        mod_protocol.FP_TYPE_MSGPACK,
+	        mod_msgpack.msgpackEncode(sample_object))
+	]));
+    },
+    'check': function (error, data, decoder) {
+	mod_assertplus.ok(error === null);
+	mod_assertplus.equal(data.length, 2);
+	mod_assertplus.equal(data[0].type, mod_protocol.FP_TYPE_JSON);
+	mod_assertplus.deepEqual(data[0].data, big_object);
+	mod_assertplus.equal(data[1].type, mod_protocol.FP_TYPE_MSGPACK);
+	mod_assertplus.deepEqual(data[1].data, sample_object);
+	mod_assertplus.equal(decoder.md_ninflated, 2);
+	mod_assertplus.equal(decoder.md_nrawbytes, big_data.length +
+	    mod_msgpack.msgpackEncode(sample_object).length);
+	mod_assertplus.ok(decoder.md_nwirebytes < decoder.md_nrawbytes);
+    }
+}, {
+    'name': 'compressed message without negotiated capability',
+    'capabilities': [ 'msgpack' ],
+    'input': function () {
+	return (makeDeflatedMessage(1, mod_protocol.FP_STATUS_DATA,
+	    mod_protocol.FP_TYPE_JSON, new Buffer(sample_data)));
+    },
+    'check': function (error, data) {
+	mod_assertplus.equal(data.length, 0);
+	mod_assertplus.ok(error instanceof Error);
+	mod_assertplus.ok(/type 0x81 used without negotiating capability/.test(
+	    error.message));
+	mod_assertplus.equal(VError.info(error).fastReason, 'unsupported_type');
+	mod_assertplus.equal(VError.info(error).foundType, 0x81);
+    }
+}, {
+    'name': 'compressed message with protocol version 2',
+    'capabilities': [ 'deflate' ],
+    'input': function () {
+	var buf = makeDeflatedMessage(1, mod_protocol.FP_STATUS_DATA,
+	    mod_protocol.FP_TYPE_JSON, new Buffer(sample_data));
+	buf.writeUInt8(mod_protocol.FP_VERSION_2, mod_protocol.FP_OFF_VERSION);
+	return (buf);
+    },
+    'check': function (error, data) {
+	mod_assertplus.equal(data.length, 0);
+	mod_assertplus.ok(error instanceof Error);
+	mod_assertplus.equal(VError.info(error).fastReason, 'unsupported_type');
+	mod_assertplus.equal(VError.info(error).foundVersion,
+	    mod_protocol.FP_VERSION_2);
+    }
+}, {
+    'name': 'compressed message with bad CRC',
+    'capabilities': [ 'deflate' ],
+    'input': function () {
+	var buf = makeDeflatedMessage(1, mod_protocol.FP_STATUS_DATA,
+	    mod_protocol.FP_TYPE_JSON, new Buffer(sample_data));
+	buf.writeUInt32BE(mod_crc.crc16(sample_data), mod_protocol.FP_OFF_CRC);
+	return (buf);
+    },
+    'check': function (error, data) {
+	mod_assertplus.equal(data.length, 0);
+	mod_assertplus.ok(error instanceof Error);
+	mod_assertplus.equal(VError.info(error).fastReason, 'bad_crc');
+    }
+}, {
+    'name': 'invalid compressed payload',
+    'capabilities': [ 'deflate' ],
+    'input': function () {
+	return (makeMessageForPayload(1, mod_protocol.FP_STATUS_DATA,
+	    mod_protocol.FP_TYPE_JSON | mod_protocol.FP_TYPE_FLAG_DEFLATE,
+	    new Buffer(sample_data)));
+    },
+    'check': function (error, data) {
+	mod_assertplus.equal(data.length, 0);
+	mod_assertplus.ok(error instanceof Error);
+	mod_assertplus.equal(error.name, 'FastProtocolError');
+	mod_assertplus.ok(/invalid compressed "data"/.test(error.message));
+	mod_assertplus.equal(VError.info(error).fastReason, 'invalid_deflate');
+    }
+}, {
+    'name': 'compressed payload with invalid JSON',
+    'capabilities': [ 'deflate' ],
+    'input': function () {
+	return (makeDeflatedMessage(1, mod_protocol.FP_STATUS_DATA,
+	    mod_protocol.FP_TYPE_JSON, new Buffer('{ "d": [ ')));
+    },
+    'check': function (error, data) {
+	mod_assertplus.equal(data.length, 0);
+	mod_assertplus.ok(error instanceof Error);
+	mod_assertplus.equal(VError.info(error).fastReason, 'invalid_json');
+    }
+}, {
+    'name': 'maxMessageBytes applies to inflated payloads',
+    'capabilities': [ 'deflate' ],
+    'decoderArgs': { 'maxMessageBytes': 1048576 },
+    'input': function () {
+	return (makeDeflatedMessage(1, mod_protocol.FP_STATUS_DATA,
+	    mod_protocol.FP_TYPE_JSON,
+	    new Buffer(JSON.stringify(big_object))));
+    },
+    'check': function (error, data, decoder) {
+	mod_assertplus.equal(data.length, 0);
+	mod_assertplus.ok(error instanceof Error);
+	mod_assertplus.ok(/inflated message payload exceeds maximum of 1048576/.
+	    test(error.message));
+	mod_assertplus.equal(VError.info(error).fastReason,
+	    'message_too_large');
+	mod_assertplus.equal(VError.info(error).maxMessageBytes, 1048576);
+	mod_assertplus.equal(decoder.md_ninflated, 0);
+    }
+}, {
+    'name': 'inflated payloads are limited without maxMessageBytes',
+    'capabilities': [ 'deflate' ],
+    'input': function () {
+	var raw = new Buffer(mod_protocol.FP_INFLATE_MAX_BYTES + 1);
+	raw.fill(0);
+	return (makeDeflatedMessage(1, mod_protocol.FP_STATUS_DATA,
+	    mod_protocol.FP_TYPE_JSON, raw));
+    },
+    'check': function (error, data, decoder) {
+	mod_assertplus.equal(data.length, 0);
+	mod_assertplus.ok(error instanceof Error);
+	mod_assertplus.equal(VError.info(error).fastReason,
+	    'message_too_large');
+	mod_assertplus.equal(VError.info(error).maxMessageBytes,
+	    mod_protocol.FP_INFLATE_MAX_BYTES);
+	mod_assertplus.equal(decoder.md_ninflated, 0);
+    }
+}, {
+    'name': 'maxMessageBytes allows messages up to the limit',
+    'decoderArgs': { 'maxMessageBytes': Buffer.byteLength(sample_data) },
+    'input': function () {
+	return (makeSampleMessage());
+    },
+    'check': function (error, data) {
+	mod_assertplus.ok(error === null);
+	mod_assertplus.equal(data.length, 1);
+	mod_assertplus.deepEqual(data[0].data, sample_object);
+    }
+}, {
+    'name': 'maxMessageBytes rejects oversized message',
+    'decoderArgs': { 'maxMessageBytes': Buffer.byteLength(sample_data) - 1 },
+    'input': function () {
+	return (Buffer.concat([
+	    makeMessageForData(1, mod_protocol.FP_STATUS_DATA, { 'd': [] }),
+	    makeMessageForData(2, mod_protocol.FP_STATUS_DATA, sample_object)
+	]));
+    },
+    'check': function (error, data) {
+	mod_assertplus.equal(data.length, 1);
+	mod_assertplus.equal(data[0].msgid, 1);
+	mod_assertplus.ok(error instanceof Error);
+	mod_assertplus.equal(error.name, 'FastProtocolError');
+	mod_assertplus.ok(/message payload of \d+ bytes exceeds maximum/.test(
+	    error.message));
+	mod_assertplus.equal(VError.info(error).fastReason,
+	    'message_too_large');
+	mod_assertplus.equal(VError.info(error).rpcMsgid, 2);
+	mod_assertplus.equal(VError.info(error).messageBytes,
+	    Buffer.byteLength(sample_data));
+    }
+}, {
+    'name': 'maxMessageBytes rejects oversized message from header alone',
+    'decoderArgs': { 'maxMessageBytes': 1024 },
+    'input': function () {
+	/*
+	 * Only send the header of a message claiming a 4GB payload.  The
+	 * decoder must fail without waiting for the rest.
+	 */
+	var buf = makeSampleMessage().slice(0, mod_protocol.FP_HEADER_SZ);
+	buf.writeUInt32BE(0xffffffff, mod_protocol.FP_OFF_DATALEN);
+	return (buf);
+    },
+    'check': function (error, data) {
+	mod_assertplus.equal(data.length, 0);
+	mod_assertplus.ok(error instanceof Error);
+	mod_assertplus.equal(VError.info(error).fastReason,
+	    'message_too_large');
+	mod_assertplus.equal(VError.info(error).messageBytes, 0xffffffff);
+	mod_assertplus.equal(VError.info(error).maxMessageBytes, 1024);
+    }
 }, {
     'name': 'bad type (0)',
     'input': function () {
@@ -330,19 +742,151 @@ test_cases = [ {
 	mod_assertplus.equal(VError.info(error).foundType, 0);
     }
 }, {
-    'name': 'bad type (2)',
+    'name': 'bad type (3)',
     'input': function () {
 	var buf = makeSampleMessage();
-	buf.writeUInt8(2, mod_protocol.FP_OFF_TYPE);
+	buf.writeUInt8(3, mod_protocol.FP_OFF_TYPE);
+	return (buf);
+    },
+    'check': function (error, data) {
+	mod_assertplus.equal(data.length, 0);
+	mod_assertplus.ok(error instanceof Error);
+	mod_assertplus.equal(error.name, 'FastProtocolError');
+	mod_assertplus.ok(/unsupported type 0x3/.test(error.message));
+	mod_assertplus.equal(VError.info(error).fastReason, 'unsupported_type');
+	mod_assertplus.equal(VError.info(error).foundType, 3);
+    }
+}, {
+    'name': 'msgpack message without handshake',
+    'input': function () {
+	var buf = makeMsgpackMessage(1, mod_protocol.FP_STATUS_DATA,
+	    sample_object);
+	buf.writeUInt8(mod_protocol.FP_VERSION_2, mod_protocol.FP_OFF_VERSION);
 	return (buf);
     },
     'check': function (error, data) {
 	mod_assertplus.equal(data.length, 0);
 	mod_assertplus.ok(error instanceof Error);
 	mod_assertplus.equal(error.name, 'FastProtocolError');
-	mod_assertplus.ok(/unsupported type 0x2/.test(error.message));
+	mod_assertplus.ok(/type 0x2 used without negotiating capability/.test(
+	    error.message));
 	mod_assertplus.equal(VError.info(error).fastReason, 'unsupported_type');
-	mod_assertplus.equal(VError.info(error).foundType, 2);
+	mod_assertplus.equal(VError.info(error).foundType,
+	    mod_protocol.FP_TYPE_MSGPACK);
+    }
+}, {
+    'name': 'msgpack message without negotiated capability',
+    'capabilities': [ 'alpha' ],
+    'input': function () {
+	return (makeMsgpackMessage(1, mod_protocol.FP_STATUS_DATA,
+	    sample_object));
+    },
+    'check': function (error, data) {
+	mod_assertplus.equal(data.length, 0);
+	mod_assertplus.ok(error instanceof Error);
+	mod_assertplus.ok(/type 0x2 used without negotiating capability/.test(
+	    error.message));
+	mod_assertplus.equal(VError.info(error).fastReason, 'unsupported_type');
+    }
+}, {
+    'name': 'msgpack message with protocol version 2',
+    'capabilities': [ 'msgpack' ],
+    'input': function () {
+	var buf = makeMsgpackMessage(1, mod_protocol.FP_STATUS_DATA,
+	    sample_object);
+	buf.writeUInt8(mod_protocol.FP_VERSION_2, mod_protocol.FP_OFF_VERSION);
+	return (buf);
+    },
+    'check': function (error, data) {
+	mod_assertplus.equal(data.length, 0);
+	mod_assertplus.ok(error instanceof Error);
+	mod_assertplus.equal(VError.info(error).fastReason, 'unsupported_type');
+	mod_assertplus.equal(VError.info(error).foundVersion,
+	    mod_protocol.FP_VERSION_2);
+    }
+}, {
+    'name': 'msgpack messages after handshake',
+    'capabilities': [ 'msgpack' ],
+    'input': function () {
+	return (Buffer.concat([
+	    makeMsgpackMessage(1, mod_protocol.FP_STATUS_DATA,
+	        sample_object),
+	    makeMessageForData(1, mod_protocol.FP_STATUS_DATA,
+	        sample_object, mod_protocol.FP_VERSION_3),
+	    makeMsgpackMessage(1, mod_protocol.FP_STATUS_END, { 'd': [] }),
+	    makeMsgpackMessage(2, mod_protocol.FP_STATUS_ERROR, sample_error)
+	]));
+    },
+    'check': function (error, data) {
+	mod_assertplus.ok(error === null);
+	mod_assertplus.equal(data.length, 4);
+	mod_assertplus.equal(data[0].type, mod_protocol.FP_TYPE_MSGPACK);
+	mod_assertplus.equal(data[0].version, mod_protocol.FP_VERSION_3);
+	mod_assertplus.deepEqual(data[0].data, sample_object);
+	mod_assertplus.equal(data[1].type, mod_protocol.FP_TYPE_JSON);
+	mod_assertplus.deepEqual(data[1].data, sample_object);
+	mod_assertplus.equal(data[2].status, mod_protocol.FP_STATUS_END);
+	mod_assertplus.deepEqual(data[2].data, { 'd': [] });
+	mod_assertplus.equal(data[3].status, mod_protocol.FP_STATUS_ERROR);
+	mod_assertplus.deepEqual(data[3].data, sample_error);
+    }
+}, {
+    'name': 'msgpack message with bad CRC',
+    'capabilities': [ 'msgpack' ],
+    'input': function () {
+	var buf = makeMsgpackMessage(1, mod_protocol.FP_STATUS_DATA,
+	    sample_object);
+	buf.writeUInt32BE(buf.readUInt32BE(mod_protocol.FP_OFF_CRC) ^ 0x1,
+	    mod_protocol.FP_OFF_CRC);
+	return (buf);
+    },
+    'check': function (error, data) {
+	mod_assertplus.equal(data.length, 0);
+	mod_assertplus.ok(error instanceof Error);
+	mod_assertplus.equal(VError.info(error).fastReason, 'bad_crc');
+    }
+}, {
+    'name': 'invalid msgpack payload',
+    'capabilities': [ 'msgpack' ],
+    'input': function () {
+	/* 0xc1 is never used in MessagePack */
+	return (makeMessageForPayload(1, mod_protocol.FP_STATUS_DATA,
+	    mod_protocol.FP_TYPE_MSGPACK, new Buffer([ 0xc1 ])));
+    },
+    'check': function (error, data) {
+	mod_assertplus.equal(data.length, 0);
+	mod_assertplus.ok(error instanceof Error);
+	mod_assertplus.equal(error.name, 'FastProtocolError');
+	mod_assertplus.ok(/invalid MSGPACK in "data"/.test(error.message));
+	mod_assertplus.equal(VError.info(error).fastReason,
+	    'invalid_msgpack');
+    }
+}, {
+    'name': 'truncated msgpack payload',
+    'capabilities': [ 'msgpack' ],
+    'input': function () {
+	var payload = mod_msgpack.msgpackEncode(sample_object);
+	return (makeMessageForPayload(1, mod_protocol.FP_STATUS_DATA,
+	    mod_protocol.FP_TYPE_MSGPACK,
+	    payload.slice(0, payload.length - 1)));
+    },
+    'check': function (error, data) {
+	mod_assertplus.equal(data.length, 0);
+	mod_assertplus.ok(error instanceof Error);
+	mod_assertplus.equal(VError.info(error).fastReason,
+	    'invalid_msgpack');
+    }
+}, {
+    'name': 'msgpack payload that is not an object',
+    'capabilities': [ 'msgpack' ],
+    'input': function () {
+	return (makeMessageForPayload(1, mod_protocol.FP_STATUS_DATA,
+	    mod_protocol.FP_TYPE_MSGPACK, mod_msgpack.msgpackEncode(47)));
+    },
+    'check': function (error, data) {
+	mod_assertplus.equal(data.length, 0);
+	mod_assertplus.ok(error instanceof Error);
+	mod_assertplus.equal(VError.info(error).fastReason, 'bad_data');
     }
 }, {
     'name': 'bad status (0)',
@@ -376,6 +920,207 @@ test_cases = [ {
 	    'unsupported_status');
 	mod_assertplus.equal(VError.info(error).foundStatus, 4);
     }
+}, {
+    'name': 'cancel message',
+    'capabilities': [ 'cancel' ],
+    'input': function () {
+	return (makeMessageForPayload(5, mod_protocol.FP_STATUS_CANCEL,
+	    mod_protocol.FP_TYPE_JSON, new Buffer('{"d":[]}')));
+    },
+    'check': function (error, data) {
+	mod_assertplus.ok(error === null);
+	mod_assertplus.equal(data.length, 1);
+	mod_assertplus.equal(data[0].status, mod_protocol.FP_STATUS_CANCEL);
+	mod_assertplus.equal(data[0].msgid, 5);
+	mod_assertplus.deepEqual(data[0].data, { 'd': [] });
+    }
+}, {
+    'name': 'cancel message without negotiated capability',
+    'capabilities': [ 'deflate' ],
+    'input': function () {
+	return (makeMessageForPayload(5, mod_protocol.FP_STATUS_CANCEL,
+	    mod_protocol.FP_TYPE_JSON, new Buffer('{"d":[]}')));
+    },
+    'check': function (error, data) {
+	mod_assertplus.equal(data.length, 0);
+	mod_assertplus.ok(error instanceof Error);
+	mod_assertplus.ok(/unsupported status 0x4/.test(error.message));
+	mod_assertplus.equal(VError.info(error).fastReason,
+	    'unsupported_status');
+    }
+}, {
+    'name': 'cancel message with protocol version 2',
+    'capabilities': [ 'cancel' ],
+    'input': function () {
+	return (makeMessageForData(5, mod_protocol.FP_STATUS_CANCEL,
+	    { 'd': [] }, mod_protocol.FP_VERSION_2));
+    },
+    'check': function (error, data) {
+	mod_assertplus.equal(data.length, 0);
+	mod_assertplus.ok(error instanceof Error);
+	mod_assertplus.equal(VError.info(error).fastReason,
+	    'unsupported_status');
+	mod_assertplus.equal(VError.info(error).foundStatus,
+	    mod_protocol.FP_STATUS_CANCEL);
+    }
+}, {
+    'name': 'bad: CANCEL message with non-array data.d',
+    'capabilities': [ 'cancel' ],
+    'input': function () {
+	return (makeMessageForPayload(5, mod_protocol.FP_STATUS_CANCEL,
+	    mod_protocol.FP_TYPE_JSON, new Buffer('{"d":{}}')));
+    },
+    'check': function (error, data) {
+	mod_assertplus.equal(data.length, 0);
+	mod_assertplus.ok(error instanceof Error);
+	mod_assertplus.ok(/data.d for CANCEL.* messages must be an array/.test(
+	    error.message));
+	mod_assertplus.equal(VError.info(error).fastReason, 'bad_data_d');
+    }
+}, {
+    'name': 'unsubscribe message',
+    'capabilities': [ 'subscribe' ],
+    'input': function () {
+	return (makeMessageForPayload(5, mod_protocol.FP_STATUS_UNSUBSCRIBE,
+	    mod_protocol.FP_TYPE_JSON, new Buffer('{"d":[]}')));
+    },
+    'check': function (error, data) {
+	mod_assertplus.ok(error === null);
+	mod_assertplus.equal(data.length, 1);
+	mod_assertplus.equal(data[0].status,
+	    mod_protocol.FP_STATUS_UNSUBSCRIBE);
+	mod_assertplus.equal(data[0].msgid, 5);
+	mod_assertplus.deepEqual(data[0].data, { 'd': [] });
+    }
+}, {
+    'name': 'unsubscribe message without negotiated capability',
+    'capabilities': [ 'cancel' ],
+    'input': function () {
+	return (makeMessageForPayload(5, mod_protocol.FP_STATUS_UNSUBSCRIBE,
+	    mod_protocol.FP_TYPE_JSON, new Buffer('{"d":[]}')));
+    },
+    'check': function (error, data) {
+	mod_assertplus.equal(data.length, 0);
+	mod_assertplus.ok(error instanceof Error);
+	mod_assertplus.ok(/unsupported status 0x8/.test(error.message));
+	mod_assertplus.equal(VError.info(error).fastReason,
+	    'unsupported_status');
+    }
+}, {
+    'name': 'credit message',
+    'capabilities': [ 'credit' ],
+    'input': function () {
+	return (makeMessageForPayload(5, mod_protocol.FP_STATUS_CREDIT,
+	    mod_protocol.FP_TYPE_JSON, new Buffer('{"d":[16]}')));
+    },
+    'check': function (error, data) {
+	mod_assertplus.ok(error === null);
+	mod_assertplus.equal(data.length, 1);
+	mod_assertplus.equal(data[0].status, mod_protocol.FP_STATUS_CREDIT);
+	mod_assertplus.deepEqual(data[0].data, { 'd': [ 16 ] });
+    }
+}, {
+    'name': 'credit message without negotiated capability',
+    'capabilities': [ 'cancel' ],
+    'input': function () {
+	return (makeMessageForPayload(5, mod_protocol.FP_STATUS_CREDIT,
+	    mod_protocol.FP_TYPE_JSON, new Buffer('{"d":[16]}')));
+    },
+    'check': function (error, data) {
+	mod_assertplus.equal(data.length, 0);
+	mod_assertplus.ok(error instanceof Error);
+	mod_assertplus.ok(/unsupported status 0x5/.test(error.message));
+	mod_assertplus.equal(VError.info(error).fastReason,
+	    'unsupported_status');
+    }
+}, {
+    'name': 'bad: CREDIT message with zero credit',
+    'capabilities': [ 'credit' ],
+    'input': function () {
+	return (makeMessageForPayload(5, mod_protocol.FP_STATUS_CREDIT,
+	    mod_protocol.FP_TYPE_JSON, new Buffer('{"d":[0]}')));
+    },
+    'check': checkBadCredit
+}, {
+    'name': 'bad: CREDIT message with non-integer credit',
+    'capabilities': [ 'credit' ],
+    'input': function () {
+	return (makeMessageForPayload(5, mod_protocol.FP_STATUS_CREDIT,
+	    mod_protocol.FP_TYPE_JSON, new Buffer('{"d":[1.5]}')));
+    },
+    'check': checkBadCredit
+}, {
+    'name': 'bad: CREDIT message with too large credit',
+    'capabilities': [ 'credit' ],
+    'input': function () {
+	return (makeMessageForPayload(5, mod_protocol.FP_STATUS_CREDIT,
+	    mod_protocol.FP_TYPE_JSON, new Buffer('{"d":[2147483648]}')));
+    },
+    'check': checkBadCredit
+}, {
+    'name': 'bad: CREDIT message with extra values',
+    'capabilities': [ 'credit' ],
+    'input': function () {
+	return (makeMessageForPayload(5, mod_protocol.FP_STATUS_CREDIT,
+	    mod_protocol.FP_TYPE_JSON, new Buffer('{"d":[1,2]}')));
+    },
+    'check': checkBadCredit
+}, {
+    'name': 'bad: CREDIT message with non-array data.d',
+    'capabilities': [ 'credit' ],
+    'input': function () {
+	return (makeMessageForPayload(5, mod_protocol.FP_STATUS_CREDIT,
+	    mod_protocol.FP_TYPE_JSON, new Buffer('{"d":4}')));
+    },
+    'check': checkBadCredit
+}, {
+    'name': 'ping and pong messages',
+    'capabilities': [ 'ping' ],
+    'input': function () {
+	return (Buffer.concat([
+	    makeMessageForPayload(0, mod_protocol.FP_STATUS_PING,
+		mod_protocol.FP_TYPE_JSON, new Buffer('{"d":[]}')),
+	    makeMessageForPayload(7, mod_protocol.FP_STATUS_PONG,
+		mod_protocol.FP_TYPE_JSON, new Buffer('{"d":[]}'))
+	]));
+    },
+    'check': function (error, data) {
+	mod_assertplus.ok(error === null);
+	mod_assertplus.equal(data.length, 2);
+	mod_assertplus.equal(data[0].status, mod_protocol.FP_STATUS_PING);
+	mod_assertplus.equal(data[0].msgid, 0);
+	mod_assertplus.equal(data[1].status, mod_protocol.FP_STATUS_PONG);
+	mod_assertplus.equal(data[1].msgid, 7);
+	mod_assertplus.deepEqual(data[1].data, { 'd': [] });
+    }
+}, {
+    'name': 'ping message without negotiated capability',
+    'capabilities': [ 'cancel', 'credit' ],
+    'input': function () {
+	return (makeMessageForPayload(1, mod_protocol.FP_STATUS_PING,
+	    mod_protocol.FP_TYPE_JSON, new Buffer('{"d":[]}')));
+    },
+    'check': function (error, data) {
+	mod_assertplus.equal(data.length, 0);
+	mod_assertplus.ok(error instanceof Error);
+	mod_assertplus.ok(/unsupported status 0x6/.test(error.message));
+	mod_assertplus.equal(VError.info(error).fastReason,
+	    'unsupported_status');
+    }
+}, {
+    'name': 'bad: PONG message with non-array data.d',
+    'capabilities': [ 'ping' ],
+    'input': function () {
+	return (makeMessageForPayload(1, mod_protocol.FP_STATUS_PONG,
+	    mod_protocol.FP_TYPE_JSON, new Buffer('{"d":null}')));
+    },
+    'check': function (error, data) {
+	mod_assertplus.equal(data.length, 0);
+	mod_assertplus.ok(error instanceof Error);
+	mod_assertplus.ok(/data.d for .*PONG messages must be an array/.test(
+	    error.message));
+	mod_assertplus.equal(VError.info(error).fastReason, 'bad_data_d');
+    }
 }, {
     'name': 'bad msgid (too large)',
     'input': function () {
@@ -410,6 +1155,77 @@ test_cases = [ {
 	mod_assertplus.equal(VError.info(error).crcCalculated, sample_crc);
 	mod_assertplus.equal(VError.info(error).crcExpected, 0xdeadbeef);
     }
+}, {
+    'name': 'authenticated messages (either key)',
+    'capabilities': [ 'hmac' ],
+    'decoderArgs': { 'hmacKeys': [ 'newkey', new Buffer('oldkey') ] },
+    'input': function () {
+	return (Buffer.concat([
+	    makeHmacMessage(1, mod_protocol.FP_STATUS_DATA, sample_object,
+		'newkey'),
+	    makeHmacMessage(1, mod_protocol.FP_STATUS_END, { 'd': [] },
+		'oldkey')
+	]));
+    },
+    'check': function (error, data) {
+	mod_assertplus.ok(error === null);
+	mod_assertplus.equal(data.length, 2);
+	mod_assertplus.equal(data[0].type, mod_protocol.FP_TYPE_JSON);
+	mod_assertplus.deepEqual(data[0].data, sample_object);
+	mod_assertplus.equal(data[1].status, mod_protocol.FP_STATUS_END);
+	mod_assertplus.deepEqual(data[1].data, { 'd': [] });
+    }
+}, {
+    'name': 'bad: message authenticated with the wrong key',
+    'capabilities': [ 'hmac' ],
+    'decoderArgs': { 'hmacKeys': [ 'newkey', 'oldkey' ] },
+    'input': function () {
+	return (makeHmacMessage(3, mod_protocol.FP_STATUS_DATA, sample_object,
+	    'badkey'));
+    },
+    'check': checkBadHmac
+}, {
+    'name': 'bad: authenticated message with modified header',
+    'capabilities': [ 'hmac' ],
+    'decoderArgs': { 'hmacKeys': [ 'newkey' ] },
+    'input': function () {
+	var buf = makeHmacMessage(4, mod_protocol.FP_STATUS_DATA,
+	    sample_object, 'newkey');
+	buf.writeUInt32BE(3, mod_protocol.FP_OFF_MSGID);
+	return (buf);
+    },
+    'check': checkBadHmac
+}, {
+    'name': 'bad: unauthenticated message after negotiating hmac',
+    'capabilities': [ 'hmac' ],
+    'decoderArgs': { 'hmacKeys': [ 'newkey' ] },
+    'input': function () {
+	return (makeMessageForData(3, mod_protocol.FP_STATUS_DATA,
+	    sample_object));
+    },
+    'check': function (error, data) {
+	mod_assertplus.equal(data.length, 0);
+	mod_assertplus.ok(error instanceof Error);
+	mod_assertplus.equal(error.name, 'FastProtocolError');
+	mod_assertplus.ok(/message is not authenticated/.test(error.message));
+	mod_assertplus.equal(VError.info(error).fastReason, 'bad_hmac');
+    }
+}, {
+    'name': 'bad: authenticated message without negotiated capability',
+    'capabilities': [ 'msgpack' ],
+    'decoderArgs': { 'hmacKeys': [ 'newkey' ] },
+    'input': function () {
+	return (makeHmacMessage(3, mod_protocol.FP_STATUS_DATA,
+	    sample_object, 'newkey'));
+    },
+    'check': function (error, data) {
+	mod_assertplus.equal(data.length, 0);
+	mod_assertplus.ok(error instanceof Error);
+	mod_assertplus.ok(/without negotiating capability "hmac"/.test(
+	    error.message));
+	mod_assertplus.equal(VError.info(error).fastReason,
+	    'unsupported_type');
+    }
 }, {
     'name': 'bad: DATA message with non-array data.d',
     'input': function () {
@@ -601,23 +1417,187 @@ test_cases = [ {
     }
 } ];
 
+/*
+ * The payload of this message includes multi-byte UTF-8 characters so that
+ * some splits fall in the middle of a character.
+ */
+var split_object = { 'd': [ {
+    'value': new Array(1024).join('x\u00e9\u6f22')
+} ] };
+
+split_test_cases = [ {
+    'name': 'large DATA message split at every boundary',
+    'input': function () {
+	return (makeMessageForData(3, mod_protocol.FP_STATUS_DATA,
+	    split_object));
+    },
+    'check': function (error, data) {
+	mod_assertplus.ok(error === null);
+	mod_assertplus.equal(data.length, 1);
+	mod_assertplus.equal(data[0].msgid, 3);
+	mod_assertplus.deepEqual(data[0].data, split_object);
+    }
+}, {
+    'name': 'msgpack message split at every boundary',
+    'capabilities': [ 'msgpack' ],
+    'input': function () {
+	return (makeMsgpackMessage(3, mod_protocol.FP_STATUS_DATA,
+	    split_object));
+    },
+    'check': function (error, data) {
+	mod_assertplus.ok(error === null);
+	mod_assertplus.equal(data.length, 1);
+	mod_assertplus.equal(data[0].type, mod_protocol.FP_TYPE_MSGPACK);
+	mod_assertplus.deepEqual(data[0].data, split_object);
+    }
+}, {
+    'name': 'authenticated message split at every boundary',
+    'capabilities': [ 'hmac' ],
+    'decoderArgs': { 'hmacKeys': [ 'newkey' ] },
+    'input': function () {
+	return (makeHmacMessage(3, mod_protocol.FP_STATUS_DATA, split_object,
+	    'newkey'));
+    },
+    'check': function (error, data) {
+	mod_assertplus.ok(error === null);
+	mod_assertplus.equal(data.length, 1);
+	mod_assertplus.deepEqual(data[0].data, split_object);
+    }
+}, {
+    'name': 'sequence of messages split at every boundary',
+    'input': function () {
+	return (Buffer.concat([
+	    makeMessageForData(5, mod_protocol.FP_STATUS_DATA, sample_object,
+	        mod_protocol.FP_VERSION_1),
+	    makeMessageForData(5, mod_protocol.FP_STATUS_DATA, split_object),
+	    makeMessageForData(5, mod_protocol.FP_STATUS_END, { 'd': [] }),
+	    makeMessageForData(6, mod_protocol.FP_STATUS_ERROR, sample_error)
+	]));
+    },
+    'check': function (error, data) {
+	mod_assertplus.ok(error === null);
+	mod_assertplus.equal(data.length, 4);
+	mod_assertplus.equal(data[0].version, mod_protocol.FP_VERSION_1);
+	mod_assertplus.deepEqual(data[0].data, sample_object);
+	mod_assertplus.deepEqual(data[1].data, split_object);
+	mod_assertplus.equal(data[2].status, mod_protocol.FP_STATUS_END);
+	mod_assertplus.deepEqual(data[2].data, { 'd': [] });
+	mod_assertplus.equal(data[3].msgid, 6);
+	mod_assertplus.deepEqual(data[3].data, sample_error);
+    }
+} ];
+
+function splitIntoChunks(buf, chunksize)
+{
+	var chunks = [];
+	var i;
+
+	for (i = 0; i < buf.length; i += chunksize) {
+		chunks.push(buf.slice(i, i + chunksize));
+	}
+
+	return (chunks);
+}
+
 function makeSampleMessage()
 {
 	return (makeMessageForData(mod_protocol.FP_MSGID_MAX,
 	    mod_protocol.FP_STATUS_DATA, sample_object));
 }
 
-function makeMessageForData(msgid, status, data)
+function checkBadCredit(error, data)
+{
+	mod_assertplus.equal(data.length, 0);
+	mod_assertplus.ok(error instanceof Error);
+	mod_assertplus.equal(error.name, 'FastProtocolError');
+	mod_assertplus.ok(/data.d for CREDIT messages must contain one/.test(
+	    error.message));
+	mod_assertplus.equal(VError.info(error).fastReason, 'bad_credit');
+}
+
+function checkBadHmac(error, data)
+{
+	mod_assertplus.equal(data.length, 0);
+	mod_assertplus.ok(error instanceof Error);
+	mod_assertplus.equal(error.name, 'FastProtocolError');
+	mod_assertplus.ok(/message authentication failed/.test(error.message));
+	mod_assertplus.equal(VError.info(error).fastReason, 'bad_hmac');
+	mod_assertplus.equal(VError.info(error).rpcMsgid, 3);
+}
+
+/*
+ * Returns a version 3 message whose data is encoded with MessagePack.
+ */
+function makeMsgpackMessage(msgid, status, data)
+{
+	return (mod_protocol.fastMessageEncode({
+	    'msgid': msgid,
+	    'status': status,
+	    'data': data,
+	    'version': mod_protocol.FP_VERSION_3,
+	    'type': mod_protocol.FP_TYPE_MSGPACK
+	}));
+}
+
+/*
+ * Returns a version 3 message of the given type with the given payload, which
+ * need not be valid for that type.
+ */
+function makeMessageForPayload(msgid, status, type, payload)
+{
+	var buf;
+
+	buf = new Buffer(mod_protocol.FP_HEADER_SZ + payload.length);
+	buf.writeUInt8(mod_protocol.FP_VERSION_3, mod_protocol.FP_OFF_VERSION);
+	buf.writeUInt8(type, mod_protocol.FP_OFF_TYPE);
+	buf.writeUInt8(status, mod_protocol.FP_OFF_STATUS);
+	buf.writeUInt32BE(msgid, mod_protocol.FP_OFF_MSGID);
+	buf.writeUInt32BE(mod_crc.crc16(payload), mod_protocol.FP_OFF_CRC);
+	buf.writeUInt32BE(payload.length, mod_protocol.FP_OFF_DATALEN);
+	payload.copy(buf, mod_protocol.FP_OFF_DATA);
+	return (buf);
+}
+
+/*
+ * Returns a version 3 JSON message for the given data, authenticated with the
+ * given key.  The MAC is computed here rather than with the encoder so that
+ * these tests check the format described in lib/fast_protocol.js.
+ */
+function makeHmacMessage(msgid, status, data, key)
+{
+	var buf, mac;
+
+	buf = makeMessageForPayload(msgid, status,
+	    mod_protocol.FP_TYPE_JSON | mod_protocol.FP_TYPE_FLAG_HMAC,
+	    new Buffer(JSON.stringify(data)));
+	mac = mod_crypto.createHmac('sha256', key).update(buf).digest();
+	mod_assertplus.equal(mac.length, mod_protocol.FP_HMAC_SZ);
+	return (Buffer.concat([ buf, mac ]));
+}
+
+/*
+ * Returns a version 3 message of the given codec type whose payload is the
+ * given encoded data, compressed.
+ */
+function makeDeflatedMessage(msgid, status, type, encoded)
+{
+	return (makeMessageForPayload(msgid, status,
+	    type | mod_protocol.FP_TYPE_FLAG_DEFLATE,
+	    mod_zlib.deflateSync(encoded)));
+}
+
+function makeMessageForData(msgid, status, data, version)
 {
 	var datalen, dataenc, buf;
 
 	mod_assertplus.number(msgid);
 	mod_assertplus.number(status);
+	mod_assertplus.optionalNumber(version);
 	dataenc = JSON.stringify(data);
 	datalen = Buffer.byteLength(dataenc);
 	buf = new Buffer(mod_protocol.FP_HEADER_SZ + datalen);
 	mod_testcommon.writeMessageForEncodedData(
-	    buf, msgid, status, dataenc, 0);
+	    buf, msgid, status, dataenc, 0, version);
 	return (buf);
 }
 
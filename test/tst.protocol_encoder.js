@@ -14,15 +14,18 @@
 
 var mod_assertplus = require('assert-plus');
 var mod_cmdutil = require('cmdutil');
+var mod_crc = require('crc');
 var mod_extsprintf = require('extsprintf');
 var mod_path = require('path');
+var mod_vasync = require('vasync');
 
+var mod_msgpack = require('../lib/msgpack');
 var mod_protocol = require('../lib/fast_protocol');
 var printf = mod_extsprintf.printf;
 
 var mod_testcommon = require('./common');
 
-var bigdata, bigdataval, test_cases;
+var bigdata, bigdataval, test_cases, stream_test_cases;
 var circular = {};
 circular['a'] = 47;
 circular['b'] = circular;
@@ -36,7 +39,16 @@ function main()
 	printf('%d bytes (stringified)\n', bigdataval.length);
 
 	test_cases.forEach(runTestCase);
-	printf('%s tests passed\n', mod_path.basename(__filename));
+	mod_vasync.forEachPipeline({
+	    'inputs': stream_test_cases,
+	    'func': runStreamTestCase
+	}, function (err) {
+		if (err) {
+			throw (err);
+		}
+
+		printf('%s tests passed\n', mod_path.basename(__filename));
+	});
 }
 
 test_cases = [ {
@@ -111,6 +123,107 @@ test_cases = [ {
 	mod_assertplus.equal(parsed.pm_version,
 	    mod_protocol.FP_VERSION_1);
     }
+}, {
+    'name': 'msgpack data message',
+    'type': mod_protocol.FP_TYPE_MSGPACK,
+    'input': {
+	'msgid': 1,
+	'status': mod_protocol.FP_STATUS_DATA,
+	'data': [ 'hello', 'world' ],
+	'version': mod_protocol.FP_VERSION_3,
+	'type': mod_protocol.FP_TYPE_MSGPACK
+    },
+    'check': function (output, parsed) {
+	var expected = new Buffer([ 0x92,
+	    0xa5, 0x68, 0x65, 0x6c, 0x6c, 0x6f,
+	    0xa5, 0x77, 0x6f, 0x72, 0x6c, 0x64 ]);
+	mod_assertplus.equal(parsed.pm_datalen, expected.length);
+	mod_assertplus.deepEqual(parsed.pm_data, expected);
+	mod_assertplus.equal(parsed.pm_crc, mod_crc.crc16(expected));
+	mod_assertplus.equal(parsed.pm_version, mod_protocol.FP_VERSION_3);
+    }
+}, {
+    'name': 'large msgpack data message',
+    'type': mod_protocol.FP_TYPE_MSGPACK,
+    'input': {
+	'msgid': 7,
+	'status': mod_protocol.FP_STATUS_DATA,
+	'data': function () { return (bigdata); },
+	'version': mod_protocol.FP_VERSION_3,
+	'type': mod_protocol.FP_TYPE_MSGPACK
+    },
+    'check': function (output, parsed) {
+	mod_assertplus.ok(parsed.pm_datalen < Buffer.byteLength(bigdataval));
+	mod_assertplus.equal(parsed.pm_datalen, parsed.pm_data.length);
+	mod_assertplus.equal(JSON.stringify(
+	    mod_msgpack.msgpackDecode(parsed.pm_data)), bigdataval);
+    }
+}, {
+    'name': 'cancel message',
+    'input': {
+	'msgid': 9,
+	'status': mod_protocol.FP_STATUS_CANCEL,
+	'data': { 'd': [] },
+	'version': mod_protocol.FP_VERSION_3
+    },
+    'check': function (output, parsed) {
+	mod_assertplus.equal(parsed.pm_data.toString('utf8'), '{"d":[]}');
+	mod_assertplus.equal(parsed.pm_status, mod_protocol.FP_STATUS_CANCEL);
+	mod_assertplus.equal(parsed.pm_msgid, 9);
+	mod_assertplus.equal(parsed.pm_version, mod_protocol.FP_VERSION_3);
+    }
+}, {
+    'name': 'credit message',
+    'input': {
+	'msgid': 9,
+	'status': mod_protocol.FP_STATUS_CREDIT,
+	'data': { 'd': [ 32 ] },
+	'version': mod_protocol.FP_VERSION_3
+    },
+    'check': function (output, parsed) {
+	mod_assertplus.equal(parsed.pm_data.toString('utf8'), '{"d":[32]}');
+	mod_assertplus.equal(parsed.pm_status, mod_protocol.FP_STATUS_CREDIT);
+    }
+}, {
+    'name': 'ping and pong messages',
+    'input': {
+	'msgid': 0,
+	'status': mod_protocol.FP_STATUS_PING,
+	'data': { 'd': [] },
+	'version': mod_protocol.FP_VERSION_3
+    },
+    'check': function (output, parsed) {
+	var pong;
+
+	mod_assertplus.equal(parsed.pm_data.toString('utf8'), '{"d":[]}');
+	mod_assertplus.equal(parsed.pm_status, mod_protocol.FP_STATUS_PING);
+	mod_assertplus.equal(parsed.pm_msgid, 0);
+
+	pong = mod_protocol.fastMessageEncode({
+	    'msgid': 0,
+	    'status': mod_protocol.FP_STATUS_PONG,
+	    'data': { 'd': [] },
+	    'version': mod_protocol.FP_VERSION_3
+	});
+	mod_assertplus.equal(pong.readUInt8(mod_protocol.FP_OFF_STATUS),
+	    mod_protocol.FP_STATUS_PONG);
+	mod_assertplus.deepEqual(pong.slice(mod_protocol.FP_OFF_STATUS + 1),
+	    output.slice(mod_protocol.FP_OFF_STATUS + 1));
+    }
+}, {
+    'name': 'explicit JSON type',
+    'input': {
+	'msgid': 1,
+	'status': mod_protocol.FP_STATUS_DATA,
+	'data': [ 'hello', 'world' ],
+	'version': mod_protocol.FP_VERSION_CURRENT,
+	'type': mod_protocol.FP_TYPE_JSON
+    },
+    'check': function (output, parsed) {
+	mod_assertplus.equal(parsed.pm_data.toString('utf8'),
+	    '["hello","world"]');
+	mod_assertplus.equal(parsed.pm_crc, 7500);
+    }
 }, {
     'name': 'minimum msgid',
     'input': {
@@ -207,6 +320,42 @@ test_cases = [ {
 	'data': [],
 	'version': mod_protocol.FP_VERSION_CURRENT
     }
+}, {
+    'name': 'bad status: CANCEL with protocol version 2',
+    'error': /unsupported fast message status/,
+    'input': {
+	'msgid': 17,
+	'status': mod_protocol.FP_STATUS_CANCEL,
+	'data': { 'd': [] },
+	'version': mod_protocol.FP_VERSION_2
+    }
+}, {
+    'name': 'bad status: PING with protocol version 2',
+    'error': /unsupported fast message status/,
+    'input': {
+	'msgid': 17,
+	'status': mod_protocol.FP_STATUS_PING,
+	'data': { 'd': [] },
+	'version': mod_protocol.FP_VERSION_2
+    }
+}, {
+    'name': 'bad status: UNSUBSCRIBE with protocol version 2',
+    'error': /unsupported fast message status/,
+    'input': {
+	'msgid': 17,
+	'status': mod_protocol.FP_STATUS_UNSUBSCRIBE,
+	'data': { 'd': [] },
+	'version': mod_protocol.FP_VERSION_2
+    }
+}, {
+    'name': 'bad status: unsupported value (9)',
+    'error': /unsupported fast message status/,
+    'input': {
+	'msgid': 17,
+	'status': 9,
+	'data': [],
+	'version': mod_protocol.FP_VERSION_3
+    }
 }, {
     'name': 'bad status: unsupported value (0)',
     'error': /unsupported fast message status/,
@@ -251,8 +400,120 @@ test_cases = [ {
 	'data': [ circular ],
 	'version': mod_protocol.FP_VERSION_CURRENT
     }
+}, {
+    'name': 'bad data: not encodable as msgpack',
+    'error': /Converting circular structure to MessagePack/,
+    'input': {
+	'msgid': 17,
+	'status': mod_protocol.FP_STATUS_ERROR,
+	'data': [ circular ],
+	'version': mod_protocol.FP_VERSION_3,
+	'type': mod_protocol.FP_TYPE_MSGPACK
+    }
+}, {
+    'name': 'bad type: unsupported value',
+    'error': /unsupported fast message type/,
+    'input': {
+	'msgid': 17,
+	'status': mod_protocol.FP_STATUS_DATA,
+	'data': [],
+	'version': mod_protocol.FP_VERSION_3,
+	'type': 7
+    }
+}, {
+    'name': 'bad type: msgpack with protocol version 2',
+    'error': /message type requires protocol version 3/,
+    'input': {
+	'msgid': 17,
+	'status': mod_protocol.FP_STATUS_DATA,
+	'data': [],
+	'version': mod_protocol.FP_VERSION_2,
+	'type': mod_protocol.FP_TYPE_MSGPACK
+    }
+} ];
+
+/*
+ * These test cases exercise FastMessageEncoder's coalescing of messages.  Each
+ * one writes "nmessages" small messages to an encoder (constructed with
+ * "encoderArgs") in a single tick and then checks the buffers it emits.
+ */
+stream_test_cases = [ {
+    'name': 'coalescing: messages written together',
+    'nmessages': 10,
+    'encoderArgs': {},
+    'check': function (buffers, msgsize) {
+	/*
+	 * The first message is emitted on its own, and the rest are emitted
+	 * together.
+	 */
+	mod_assertplus.equal(buffers.length, 2);
+	mod_assertplus.equal(buffers[0].length, msgsize);
+	mod_assertplus.equal(buffers[1].length, 9 * msgsize);
+    }
+}, {
+    'name': 'coalescing: disabled',
+    'nmessages': 10,
+    'encoderArgs': { 'coalesceBytes': 0 },
+    'check': function (buffers, msgsize) {
+	mod_assertplus.equal(buffers.length, 10);
+	buffers.forEach(function (b) {
+		mod_assertplus.equal(b.length, msgsize);
+	});
+    }
+}, {
+    'name': 'coalescing: limited by coalesceBytes',
+    'nmessages': 10,
+    'encoderArgs': function (msgsize) {
+	return ({ 'coalesceBytes': 3 * msgsize });
+    },
+    'check': function (buffers, msgsize) {
+	mod_assertplus.ok(buffers.length > 2);
+	mod_assertplus.ok(buffers.length < 10);
+	buffers.forEach(function (b) {
+		mod_assertplus.ok(b.length <= 3 * msgsize);
+	});
+    }
 } ];
 
+function runStreamTestCase(testcase, callback)
+{
+	var messages, expected, msgsize, encoderArgs, encoder, buffers, i;
+
+	printf('test case: %s: ', testcase.name);
+
+	messages = [];
+	for (i = 0; i < testcase.nmessages; i++) {
+		messages.push({
+		    'msgid': 1,
+		    'status': mod_protocol.FP_STATUS_DATA,
+		    'data': { 'm': { 'name': 'yes' }, 'd': [ i % 10 ] },
+		    'version': mod_protocol.FP_VERSION_CURRENT
+		});
+	}
+
+	expected = Buffer.concat(messages.map(function (m) {
+		return (mod_protocol.fastMessageEncode(m));
+	}));
+	msgsize = expected.length / testcase.nmessages;
+	encoderArgs = typeof (testcase.encoderArgs) == 'function' ?
+	    testcase.encoderArgs(msgsize) : testcase.encoderArgs;
+
+	buffers = [];
+	encoder = new mod_protocol.FastMessageEncoder(encoderArgs);
+	encoder.on('data', function (b) { buffers.push(b); });
+	encoder.on('end', function () {
+		/* Messages must come out intact and in order. */
+		mod_assertplus.equal(Buffer.concat(buffers).toString('hex'),
+		    expected.toString('hex'));
+		testcase.check(buffers, msgsize);
+		printf('ok\n');
+		callback();
+	});
+
+	messages.forEach(function (m) { encoder.write(m); });
+	encoder.end();
+}
+
 function runTestCase(testcase)
 {
 	var error, outbuf, parsed;
@@ -298,7 +559,8 @@ function runTestCase(testcase)
 		 */
 		mod_assertplus.ok(Buffer.isBuffer(outbuf));
 		mod_assertplus.ok(outbuf.length > mod_protocol.FP_HEADER_SZ);
-		mod_assertplus.equal(0x1,
+		mod_assertplus.equal(
+		    testcase['type'] || mod_protocol.FP_TYPE_JSON,
 		    outbuf.readUInt8(mod_protocol.FP_OFF_TYPE));
 
 		parsed = {};
@@ -313,7 +575,7 @@ function runTestCase(testcase)
 		    outbuf.readUInt8(mod_protocol.FP_OFF_VERSION);
 
 		mod_assertplus.ok(parsed.pm_status > 0 &&
-		    parsed.pm_status <= 0x3);
+		    parsed.pm_status <= 0x7);
 		testcase['check'](outbuf, parsed);
 	}
 
@@ -15,20 +15,24 @@
 var mod_assertplus = require('assert-plus');
 var mod_artedi = require('artedi');
 var mod_bunyan = require('bunyan');
+var mod_crypto = require('crypto');
 var mod_jsprim = require('jsprim');
 var mod_net = require('net');
 var mod_path = require('path');
+var mod_stream = require('stream');
 var mod_vasync = require('vasync');
 
 var mod_fast = require('../lib/fast');
 var mod_fastdemo = require('../lib/demo_server');
 var mod_protocol = require('../lib/fast_protocol');
+var mod_subr = require('../lib/subr');
 var mod_testcommon = require('./common');
 
 var VError = require('verror');
 
 var testLog;
 var serverTestCases;
+var traceExporter = new mod_fast.InMemorySpanExporter();
 
 function main()
 {
@@ -79,6 +83,7 @@ function ServerTestContext()
 	this.ts_clients = [];	/* array of clients, each having properties */
 				/* "tsc_socket" and "tsc_client" */
 	this.ts_collector = null;	/* artedi metric collector */
+	this.ts_client_args = {};	/* extra FastClient arguments */
 }
 
 ServerTestContext.prototype.connectClient = function (callback)
@@ -90,11 +95,12 @@ ServerTestContext.prototype.connectClient = function (callback)
 	ip = mod_testcommon.serverIp;
 	port = mod_testcommon.serverPort;
 	csock = mod_net.createConnection(port, ip);
-	cclient = new mod_fast.FastClient({
+	cclient = new mod_fast.FastClient(mod_jsprim.mergeObjects(
+	    this.ts_client_args, {
 	    'log': this.ts_log.child({ 'component': 'FastClient' }),
 	    'transport': csock,
 	    'nRecentRequests': 100
-	});
+	}));
 
 	csock.on('connect', function () {
 		self.ts_log.info('connected client', self.ts_clients.length);
@@ -186,11 +192,15 @@ function runTestCase(testcase, callback)
 	    'labels': { 'component': 'FastServer' }
 	});
 	tctx.ts_socket = mod_net.createServer({ 'allowHalfOpen': true });
-	tctx.ts_server = new mod_fast.FastServer({
+	tctx.ts_server = new mod_fast.FastServer(mod_jsprim.mergeObjects(
+	    testcase['serverArgs'], {
 	    'collector': tctx.ts_collector,
 	    'log': tctx.ts_log.child({ 'component': 'FastServer' }),
 	    'server': tctx.ts_socket
-	});
+	}));
+	if (testcase['clientArgs']) {
+		tctx.ts_client_args = testcase['clientArgs'];
+	}
 
 	mod_fastdemo.demoRpcs().forEach(function (rpc) {
 		tctx.ts_server.registerRpcMethod(rpc);
@@ -758,6 +768,83 @@ serverTestCases = [ {
 	}, callback);
     }
 
+}, {
+    'name': 'connection error with requests outstanding: oversized message',
+    'serverArgs': { 'maxMessageBytes': 1024 },
+    'run': function (tctx, callback) {
+	var client1 = tctx.firstFastClient();
+
+	runConnFailureTest(tctx, function () {
+		/*
+		 * Send a request larger than the server allows.  The server
+		 * should terminate the connection.
+		 */
+		client1.fc_msgencoder.write({
+		    'msgid': 7,
+		    'status': mod_protocol.FP_STATUS_DATA,
+		    'data': {
+			'm': { 'name': 'block' },
+			'd': [ new Array(1025).join('x') ]
+		    },
+		    'version': mod_protocol.FP_VERSION_CURRENT
+		});
+		return (true);
+	}, function (err) {
+		mod_assertplus.equal(err.name, 'FastProtocolError');
+	}, callback);
+    }
+
+}, {
+    'name': 'client rejects oversized response',
+    'clientArgs': { 'maxMessageBytes': 1024 },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+	var barrier = mod_vasync.barrier();
+
+	barrier.start('client error');
+	barrier.start('rpc');
+	barrier.on('drain', function () { callback(); });
+
+	client.on('error', function (err) {
+		mod_assertplus.equal(err.name, 'FastProtocolError');
+		mod_assertplus.equal(VError.info(err).fastReason,
+		    'message_too_large');
+		mod_assertplus.equal(VError.info(err).maxMessageBytes, 1024);
+		barrier.done('client error');
+	});
+
+	client.rpcBufferAndCallback({
+	    'maxObjectsToBuffer': 1,
+	    'rpcmethod': 'echo',
+	    'rpcargs': [ new Array(1025).join('x') ]
+	}, function (err) {
+		mod_assertplus.ok(err);
+		mod_assertplus.equal(err.name, 'FastRequestError');
+		mod_assertplus.equal(VError.info(err).fastReason,
+		    'message_too_large');
+		barrier.done('rpc');
+	});
+    }
+
+}, {
+    'name': 'connection error with requests outstanding: version 3 before ' +
+        'handshake',
+    'run': function (tctx, callback) {
+	var client1 = tctx.firstFastClient();
+
+	runConnFailureTest(tctx, function () {
+		client1.fc_msgencoder.write({
+		    'msgid': 7,
+		    'status': mod_protocol.FP_STATUS_DATA,
+		    'data': { 'm': { 'name': 'block' }, 'd': [] },
+		    'version': mod_protocol.FP_VERSION_3
+		});
+		return (true);
+	}, function (err) {
+		mod_assertplus.equal(err.name, 'FastProtocolError');
+	}, callback);
+    }
+
 }, {
     'name': 'connection error followed by server shutdown',
     'run': function (tctx, callback) {
@@ -1207,6 +1294,3735 @@ serverTestCases = [ {
 		}
 	});
     }
-} ];
+}, {
+    'name': 'CRC mode V1_V2: clients using correct CRC',
+    'run': function (tctx, callback) {
+	runCrcModeTest(tctx, {
+	    'clientVersion': mod_protocol.FP_VERSION_2,
+	    'clientNFallbacks': 0,
+	    'crcFlavor': 'v2'
+	}, callback);
+    }
+}, {
+    'name': 'CRC mode V1_V2: clients using buggy CRC',
+    'clientArgs': { 'crcMode': mod_protocol.FAST_CHECKSUM_V1 },
+    'run': function (tctx, callback) {
+	runCrcModeTest(tctx, {
+	    'clientVersion': mod_protocol.FP_VERSION_1,
+	    'clientNFallbacks': 0,
+	    'crcFlavor': 'v1'
+	}, callback);
+    }
+}, {
+    'name': 'CRC mode V1: client falls back to buggy CRC',
+    'serverArgs': { 'crcMode': mod_protocol.FAST_CHECKSUM_V1 },
+    'run': function (tctx, callback) {
+	runCrcModeTest(tctx, {
+	    'clientVersion': mod_protocol.FP_VERSION_1,
+	    'clientNFallbacks': 1,
+	    'crcFlavor': 'v1'
+	}, callback);
+    }
+}, {
+    'name': 'CRC mode V1: client requiring correct CRC fails',
+    'serverArgs': { 'crcMode': mod_protocol.FAST_CHECKSUM_V1 },
+    'clientArgs': { 'crcMode': mod_protocol.FAST_CHECKSUM_V2 },
+    'run': function (tctx, callback) {
+	runCrcModeTest(tctx, {
+	    'clientVersion': mod_protocol.FP_VERSION_2,
+	    'clientNFallbacks': 0,
+	    'crcFlavor': 'v2',
+	    'errorVersion': mod_protocol.FP_VERSION_2
+	}, callback);
+    }
+}, {
+    'name': 'CRC mode V2: client using buggy CRC fails',
+    'serverArgs': { 'crcMode': mod_protocol.FAST_CHECKSUM_V2 },
+    'clientArgs': { 'crcMode': mod_protocol.FAST_CHECKSUM_V1 },
+    'run': function (tctx, callback) {
+	runCrcModeTest(tctx, {
+	    'clientVersion': mod_protocol.FP_VERSION_1,
+	    'clientNFallbacks': 0,
+	    'crcFlavor': 'v1',
+	    'errorVersion': mod_protocol.FP_VERSION_1
+	}, callback);
+    }
+}, {
+    'name': 'handshake: negotiates version 3 and common capabilities',
+    'serverArgs': { 'capabilities': [ 'alpha', 'beta', 'gamma' ] },
+    'clientArgs': {
+	'handshake': true,
+	'capabilities': [ 'gamma', 'delta', 'beta' ]
+    },
+    'run': function (tctx, callback) {
+	runHandshakeTest(tctx, {
+	    'version': mod_protocol.FP_VERSION_3,
+	    'capabilities': [ 'beta', 'gamma' ]
+	}, callback);
+    }
+}, {
+    'name': 'handshake: server CRC mode V1 declines version 3',
+    'serverArgs': { 'crcMode': mod_protocol.FAST_CHECKSUM_V1 },
+    'clientArgs': { 'handshake': true, 'capabilities': [ 'alpha' ] },
+    'run': function (tctx, callback) {
+	runHandshakeTest(tctx, {
+	    'version': mod_protocol.FP_VERSION_1,
+	    'capabilities': []
+	}, callback);
+    }
+}, {
+    'name': 'handshake: client CRC mode V1 skips handshake',
+    'clientArgs': {
+	'handshake': true,
+	'crcMode': mod_protocol.FAST_CHECKSUM_V1
+    },
+    'run': function (tctx, callback) {
+	runHandshakeTest(tctx, {
+	    'version': mod_protocol.FP_VERSION_1,
+	    'capabilities': null
+	}, callback);
+    }
+}, {
+    'name': 'handshake: method names are reserved',
+    'run': function (tctx, callback) {
+	mod_assertplus.throws(function () {
+		tctx.ts_server.registerRpcMethod({
+		    'rpcmethod': mod_protocol.FP_HELLO_METHOD,
+		    'rpchandler': function () {}
+		});
+	}, /are reserved/);
+	callback();
+    }
+}, {
+    'name': 'codecs: msgpack used when negotiated',
+    'clientArgs': { 'handshake': true, 'codec': 'msgpack' },
+    'run': function (tctx, callback) {
+	runCodecTest(tctx, {
+	    'codec': 'msgpack',
+	    'type': mod_protocol.FP_TYPE_MSGPACK
+	}, callback);
+    }
+}, {
+    'name': 'codecs: JSON used when server declines msgpack',
+    'serverArgs': { 'capabilities': [] },
+    'clientArgs': { 'handshake': true, 'codec': 'msgpack' },
+    'run': function (tctx, callback) {
+	runCodecTest(tctx, {
+	    'codec': 'json',
+	    'type': mod_protocol.FP_TYPE_JSON
+	}, callback);
+    }
+}, {
+    'name': 'codecs: JSON used by default',
+    'clientArgs': { 'handshake': true },
+    'run': function (tctx, callback) {
+	runCodecTest(tctx, {
+	    'codec': 'json',
+	    'type': mod_protocol.FP_TYPE_JSON
+	}, callback);
+    }
+}, {
+    'name': 'codecs: non-JSON codec requires handshake',
+    'run': function (tctx, callback) {
+	mod_assertplus.throws(function () {
+		return (new mod_fast.FastClient({
+		    'log': tctx.ts_log,
+		    'transport': new mod_stream.PassThrough(),
+		    'nRecentRequests': 1,
+		    'codec': 'msgpack'
+		}));
+	}, /args.codec requires args.handshake/);
+	callback();
+    }
+}, {
+    'name': 'compression: both directions',
+    'serverArgs': { 'compressThreshold': 1024 },
+    'clientArgs': { 'handshake': true, 'compressThreshold': 1024 },
+    'run': function (tctx, callback) {
+	runCompressionTest(tctx, { 'sent': true, 'received': true }, callback);
+    }
+}, {
+    'name': 'compression: responses only',
+    'serverArgs': { 'compressThreshold': 1024 },
+    'clientArgs': { 'handshake': true, 'codec': 'msgpack' },
+    'run': function (tctx, callback) {
+	runCompressionTest(tctx, { 'sent': false, 'received': true },
+	    callback);
+    }
+}, {
+    'name': 'compression: not negotiated',
+    'serverArgs': { 'compressThreshold': 1024, 'capabilities': [] },
+    'clientArgs': { 'handshake': true, 'compressThreshold': 1024 },
+    'run': function (tctx, callback) {
+	runCompressionTest(tctx, { 'sent': false, 'received': false },
+	    callback);
+    }
+}, {
+    'name': 'authentication: negotiated when both sides have keys',
+    'serverArgs': { 'hmacKeys': [ 'key1' ] },
+    'clientArgs': { 'handshake': true, 'hmacKeys': [ 'key1' ] },
+    'run': function (tctx, callback) {
+	runHmacTest(tctx, { 'negotiated': true }, callback);
+    }
+}, {
+    'name': 'authentication: both keys accepted during rotation',
+    'serverArgs': { 'hmacKeys': [ 'key1', new Buffer('key2') ] },
+    'clientArgs': { 'handshake': true, 'hmacKeys': [ 'key2', 'key1' ] },
+    'run': function (tctx, callback) {
+	runHmacTest(tctx, { 'negotiated': true }, callback);
+    }
+}, {
+    'name': 'authentication: not negotiated without client keys',
+    'serverArgs': { 'hmacKeys': [ 'key1' ] },
+    'clientArgs': { 'handshake': true },
+    'run': function (tctx, callback) {
+	runHmacTest(tctx, { 'negotiated': false }, callback);
+    }
+}, {
+    'name': 'authentication: server requires it',
+    'serverArgs': { 'hmacKeys': [ 'key1' ], 'hmacRequired': true },
+    'clientArgs': { 'handshake': true },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+
+	client.rpcBufferAndCallback({
+	    'maxObjectsToBuffer': 1,
+	    'rpcmethod': 'echo',
+	    'rpcargs': [ 'hello' ]
+	}, function (err) {
+		var cause;
+
+		mod_assertplus.ok(err instanceof Error);
+		cause = unwrapClientRpcError(err);
+		mod_assertplus.equal(cause.name, 'FastError');
+		mod_assertplus.equal(VError.info(cause).fastReason,
+		    'hmac_required');
+		mod_assertplus.equal(
+		    tctx.ts_server.kangStats().nRequestsUnauthenticated, 1);
+		callback();
+	});
+    }
+}, {
+    'name': 'authentication: client requires it',
+    'clientArgs': {
+	'handshake': true,
+	'hmacKeys': [ 'key1' ],
+	'hmacRequired': true
+    },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+	var barrier = mod_vasync.barrier();
+
+	barrier.start('client error');
+	barrier.start('rpc');
+	barrier.on('drain', function () { callback(); });
+
+	client.on('error', function (err) {
+		mod_assertplus.equal(err.name, 'FastProtocolError');
+		mod_assertplus.equal(VError.info(err).fastReason,
+		    'hmac_required');
+		barrier.done('client error');
+	});
+
+	/* This request is queued behind the handshake, then failed. */
+	client.rpcBufferAndCallback({
+	    'maxObjectsToBuffer': 1,
+	    'rpcmethod': 'echo',
+	    'rpcargs': [ 'hello' ]
+	}, function (err) {
+		mod_assertplus.ok(err instanceof Error);
+		mod_assertplus.equal(err.name, 'FastRequestError');
+		mod_assertplus.equal(VError.info(err).fastReason,
+		    'hmac_required');
+		barrier.done('rpc');
+	});
+    }
+}, {
+    'name': 'authentication: server rejects messages with the wrong key',
+    'serverArgs': { 'hmacKeys': [ 'key2' ] },
+    'clientArgs': { 'handshake': true, 'hmacKeys': [ 'key1' ] },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+
+	client.on('error', function () {});
+	client.rpcBufferAndCallback({
+	    'maxObjectsToBuffer': 1,
+	    'rpcmethod': 'echo',
+	    'rpcargs': [ 'hello' ]
+	}, function (err) {
+		mod_assertplus.ok(err instanceof Error);
+		mod_assertplus.equal(err.name, 'FastRequestError');
+		tctx.ts_server.onConnsDestroyed(function () {
+			callback();
+		});
+	});
+    }
+}, {
+    'name': 'client authentication: token accepted',
+    'serverArgs': {
+	'authenticate': function (credential, callback) {
+		if (credential.value != 'token1') {
+			callback(new VError('unknown token'));
+		} else {
+			callback(null, { 'user': 'alice' });
+		}
+	}
+    },
+    'clientArgs': { 'handshake': true, 'credential': 'token1' },
+    'run': function (tctx, callback) {
+	runIdentityTest(tctx, {
+	    'identity': { 'user': 'alice' },
+	    'authState': 'DONE'
+	}, callback);
+    }
+}, {
+    'name': 'client authentication: signed challenge accepted',
+    'serverArgs': {
+	'authenticate': function (credential, callback) {
+		mod_assertplus.string(credential.challenge);
+		mod_assertplus.strictEqual(credential.peer, null);
+		mod_assertplus.ok(credential.connectionId);
+		if (credential.value.user != 'bob' ||
+		    credential.value.signature != mod_crypto.createHmac(
+		    'sha256', 'secret').update(credential.challenge).digest(
+		    'hex')) {
+			callback(new VError('bad signature'));
+		} else {
+			callback(null, 'bob');
+		}
+	}
+    },
+    'clientArgs': {
+	'handshake': true,
+	'credential': function (challenge, callback) {
+		setImmediate(callback, null, {
+		    'user': 'bob',
+		    'signature': mod_crypto.createHmac('sha256', 'secret').
+			update(challenge).digest('hex')
+		});
+	}
+    },
+    'run': function (tctx, callback) {
+	runIdentityTest(tctx, { 'identity': 'bob', 'authState': 'DONE' },
+	    callback);
+    }
+}, {
+    'name': 'client authentication: not negotiated without a credential',
+    'serverArgs': {
+	'authenticate': function () {
+		throw (new Error('unexpected authentication'));
+	}
+    },
+    'clientArgs': { 'handshake': true },
+    'run': function (tctx, callback) {
+	runIdentityTest(tctx, { 'identity': null, 'authState': 'NONE' },
+	    callback);
+    }
+}, {
+    'name': 'client authentication: credential rejected',
+    'serverArgs': {
+	'authenticate': function (_, callback) {
+		callback(new VError('unknown token'));
+	}
+    },
+    'clientArgs': { 'handshake': true, 'credential': 'token2' },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+	var barrier = mod_vasync.barrier();
+
+	barrier.start('client error');
+	barrier.start('rpc');
+	barrier.on('drain', function () {
+		mod_assertplus.equal(
+		    tctx.ts_server.kangStats().nAuthFailed, 1);
+		mod_assertplus.equal(
+		    tctx.ts_server.kangStats().nRequestsStarted, 2);
+		callback();
+	});
+
+	client.on('error', function (err) {
+		var cause;
+
+		mod_assertplus.equal(err.name, 'FastProtocolError');
+		mod_assertplus.equal(VError.info(err).fastReason,
+		    'auth_failed');
+		cause = unwrapClientRpcError(err.cause());
+		mod_assertplus.equal(VError.info(cause).fastReason,
+		    'auth_failed');
+		mod_assertplus.ok(/unknown token/.test(cause.message));
+		barrier.done('client error');
+	});
+
+	/* This request is queued behind authentication, then failed. */
+	client.rpcBufferAndCallback({
+	    'maxObjectsToBuffer': 1,
+	    'rpcmethod': 'echo',
+	    'rpcargs': [ 'hello' ]
+	}, function (err) {
+		mod_assertplus.ok(err instanceof Error);
+		mod_assertplus.equal(VError.info(err).fastReason,
+		    'auth_failed');
+		barrier.done('rpc');
+	});
+    }
+}, {
+    'name': 'client authentication: server requires it',
+    'serverArgs': {
+	'authenticate': function (_, callback) {
+		callback(null, 'carol');
+	},
+	'authRequired': true
+    },
+    'clientArgs': { 'handshake': true },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+
+	client.rpcBufferAndCallback({
+	    'maxObjectsToBuffer': 1,
+	    'rpcmethod': 'echo',
+	    'rpcargs': [ 'hello' ]
+	}, function (err) {
+		var cause;
+
+		mod_assertplus.ok(err instanceof Error);
+		cause = unwrapClientRpcError(err);
+		mod_assertplus.equal(cause.name, 'FastError');
+		mod_assertplus.equal(VError.info(cause).fastReason,
+		    'auth_required');
+		mod_assertplus.equal(
+		    tctx.ts_server.kangStats().nRequestsAnonymous, 1);
+		callback();
+	});
+    }
+}, {
+    'name': 'authorization: method predicate',
+    'serverArgs': {
+	'authenticate': function (credential, callback) {
+		callback(null, credential.value);
+	}
+    },
+    'clientArgs': { 'handshake': true, 'credential': 'bob' },
+    'run': function (tctx, callback) {
+	var nadmin = 0;
+
+	tctx.ts_server.registerRpcMethod({
+	    'rpcmethod': 'admin',
+	    'authorize': function (rpc) {
+		mod_assertplus.equal(rpc.methodName(), 'admin');
+		return (rpc.identity() == 'root');
+	    },
+	    'rpchandler': function (rpc) {
+		nadmin++;
+		rpc.end();
+	    }
+	});
+
+	runAuthorizeTest(tctx, [
+	    [ 'admin', false ],
+	    [ 'echo', true ],
+	    [ 'admin', false ]
+	], function () {
+		mod_assertplus.equal(nadmin, 0);
+		mod_assertplus.deepEqual(
+		    tctx.ts_server.kangStats().unauthorizedByMethod,
+		    { 'admin': 2 });
+		callback();
+	});
+    }
+}, {
+    'name': 'authorization: identity allow-list',
+    'serverArgs': {
+	'authenticate': function (credential, callback) {
+		callback(null, { 'user': credential.value });
+	}
+    },
+    'clientArgs': { 'handshake': true, 'credential': 'alice' },
+    'run': function (tctx, callback) {
+	[ 'alice', 'bob' ].forEach(function (user) {
+		tctx.ts_server.registerRpcMethod({
+		    'rpcmethod': 'delete_' + user,
+		    'authorize': { 'identities': [ { 'user': user } ] },
+		    'rpchandler': function (rpc) { rpc.end(); }
+		});
+	});
+
+	runAuthorizeTest(tctx, [
+	    [ 'delete_alice', true ],
+	    [ 'delete_bob', false ]
+	], callback);
+    }
+}, {
+    'name': 'authorization: server default network allow-list',
+    'serverArgs': { 'authorize': { 'networks': [ '10.0.0.0/8' ] } },
+    'run': function (tctx, callback) {
+	tctx.ts_server.registerRpcMethod({
+	    'rpcmethod': 'local',
+	    'authorize': { 'networks': [ '127.0.0.0/8', '::1' ] },
+	    'rpchandler': function (rpc) { rpc.end(); }
+	});
+	tctx.ts_server.registerRpcMethod({
+	    'rpcmethod': 'public',
+	    'authorize': null,
+	    'rpchandler': function (rpc) { rpc.end(); }
+	});
+
+	runAuthorizeTest(tctx, [
+	    [ 'echo', false ],
+	    [ 'local', true ],
+	    [ 'public', true ]
+	], function () {
+		var stats = tctx.ts_server.kangStats();
+		mod_assertplus.equal(stats.unauthorizedByMethod['echo'], 1);
+		mod_assertplus.equal(stats.unauthorizedByMethod['local'], 0);
+		mod_assertplus.ok(!stats.unauthorizedByMethod.hasOwnProperty(
+		    'public'));
+		callback();
+	});
+    }
+}, {
+    'name': 'clock estimation: server time separated from network time',
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+
+	mod_vasync.forEachPipeline({
+	    'inputs': [ 0, 200 ],
+	    'func': function (ms, next) {
+		var request = client.rpc({
+		    'rpcmethod': 'sleep',
+		    'rpcargs': [ { 'ms': ms } ]
+		});
+		request.on('data', function () {});
+		request.on('end', function () { next(null, request); });
+	    }
+	}, function (err, results) {
+		var timing, stats;
+
+		mod_assertplus.ok(!err);
+
+		/*
+		 * The client and server share a clock, so the offset is
+		 * estimated within the error bound of the first request, and
+		 * the second request's time is mostly spent in the server.
+		 */
+		stats = client.kangGetObject('fastclient', client.fc_dtid);
+		mod_assertplus.equal(stats.nClockSamples, 2);
+		mod_assertplus.ok(Math.abs(stats.clockOffsetMs) <=
+		    stats.clockOffsetErrorMs + 1);
+		timing = results.successes[1].frq_timing;
+		mod_assertplus.ok(timing.peer >= 180000,
+		    'server time: ' + timing.peer);
+		mod_assertplus.ok(timing.network < timing.peer);
+		callback();
+	});
+    }
+}, {
+    'name': 'message ids: client fails requests when none are available',
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+	var sleeping = [];
+	var request;
+
+	/*
+	 * Exhausting the real message id space would take 2^31 requests, so
+	 * give the client a much smaller one.
+	 */
+	client.fc_rqidalloc = new mod_subr.IdAllocator({ 'min': 1, 'max': 2 });
+	sleeping.push(client.rpc({
+	    'rpcmethod': 'sleep',
+	    'rpcargs': [ { 'ms': 100 } ]
+	}));
+	sleeping.push(client.rpc({
+	    'rpcmethod': 'sleep',
+	    'rpcargs': [ { 'ms': 100 } ]
+	}));
+
+	request = client.rpc({ 'rpcmethod': 'echo', 'rpcargs': [ 'x' ] });
+	request.on('data', function () {
+		callback(new VError('unexpected data'));
+	});
+	request.on('error', function (err) {
+		mod_assertplus.equal(err.name, 'FastRequestError');
+		mod_assertplus.equal(VError.cause(err).name,
+		    'FastRequestIdError');
+		mod_assertplus.ok(/no message ids available/.test(err.message));
+		mod_assertplus.strictEqual(request.requestId(), null);
+
+		mod_vasync.forEachParallel({
+		    'inputs': sleeping,
+		    'func': function (req, next) {
+			req.on('data', function () {});
+			req.on('end', function () { next(); });
+		    }
+		}, function () {
+			var stats;
+
+			stats = client.kangGetObject('fastclient',
+			    client.fc_dtid);
+			mod_assertplus.equal(stats.nRpcStarted, 3);
+			mod_assertplus.equal(stats.nRpcDone, 3);
+			mod_assertplus.equal(client.fc_rqidalloc.nallocated(),
+			    0);
+
+			/* The ids are available again. */
+			client.rpcBufferAndCallback({
+			    'rpcmethod': 'echo',
+			    'rpcargs': [ 'x' ],
+			    'maxObjectsToBuffer': 1
+			}, function (err2, data) {
+				mod_assertplus.ok(!err2);
+				mod_assertplus.deepEqual(data,
+				    [ { 'value': 'x' } ]);
+				callback();
+			});
+		});
+	});
+    }
+}, {
+    'name': 'request streams: handler reads input',
+    'clientArgs': { 'handshake': true },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+	var request;
+
+	registerSumMethod(tctx);
+	request = client.rpcStream({
+	    'rpcmethod': 'sum',
+	    'rpcargs': [ 'total' ]
+	});
+	writeStreamInput(request, 1000);
+	bufferStream(request, function (err, data) {
+		var stats;
+
+		mod_assertplus.ok(!err);
+		mod_assertplus.deepEqual(data, [
+		    { 'label': 'total', 'count': 1000, 'sum': 499500 } ]);
+		stats = tctx.ts_server.kangStats();
+		mod_assertplus.equal(stats.nRequestsInput, 1);
+		mod_assertplus.equal(stats.nInputObjects, 1000);
+		mod_assertplus.equal(client.kangGetObject('fastclient',
+		    client.fc_dtid).nInputObjectsSent, 1000);
+
+		/* Ordinary requests have no input. */
+		client.rpcBufferAndCallback({
+		    'maxObjectsToBuffer': 1,
+		    'rpcmethod': 'sum',
+		    'rpcargs': [ 'none' ]
+		}, function (err2, data2) {
+			mod_assertplus.ok(!err2);
+			mod_assertplus.deepEqual(data2,
+			    [ { 'label': 'none', 'input': null } ]);
+			callback();
+		});
+	});
+    }
+}, {
+    'name': 'request streams: input is flow-controlled',
+    'clientArgs': { 'handshake': true },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+	var request, slowrpc;
+	var nread = 0;
+	var maxahead = 0;
+
+	tctx.ts_server.registerRpcMethod({
+	    'rpcmethod': 'slow',
+	    'rpchandler': function (rpc) { slowrpc = rpc; }
+	});
+
+	request = client.rpcStream({ 'rpcmethod': 'slow', 'rpcargs': [] });
+	writeStreamInput(request, 1000);
+	bufferStream(request, function (err, data) {
+		mod_assertplus.ok(!err);
+		mod_assertplus.deepEqual(data, [ { 'count': 1000 } ]);
+
+		/*
+		 * The client can be no further ahead than the window of credit
+		 * (64 messages) plus the objects that the server has buffered
+		 * (at most the same number).
+		 */
+		mod_assertplus.ok(maxahead > 0);
+		mod_assertplus.ok(maxahead <= 128, 'ahead: ' + maxahead);
+		callback();
+	});
+
+	/*
+	 * The server grants credit only as the handler reads, so until it
+	 * starts, the client can't send anything.
+	 */
+	setTimeout(function () {
+		var input, ids, obj;
+
+		mod_assertplus.object(slowrpc);
+		mod_assertplus.equal(client.fc_ninput, 0);
+		ids = tctx.ts_server.kangListObjects('fastrequest');
+		mod_assertplus.equal(ids.length, 1);
+		obj = tctx.ts_server.kangGetObject('fastrequest', ids[0]);
+		mod_assertplus.ok(obj.input);
+		mod_assertplus.equal(obj.inputCredit, 0);
+
+		input = slowrpc.input();
+		input.on('data', function () {
+			input.pause();
+			setImmediate(function () { input.resume(); });
+			nread++;
+			maxahead = Math.max(maxahead, client.fc_ninput - nread);
+		});
+		input.on('end', function () {
+			obj = tctx.ts_server.kangGetObject('fastrequest',
+			    ids[0]);
+			mod_assertplus.ok(obj.inputEnded);
+			mod_assertplus.equal(obj.nInputObjects, 1000);
+			slowrpc.end({ 'count': nread });
+		});
+	}, 100);
+    }
+}, {
+    'name': 'request streams: server completes before input ends',
+    'clientArgs': { 'handshake': true },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+	var request, inputended, inputclosed;
+
+	tctx.ts_server.registerRpcMethod({
+	    'rpcmethod': 'first',
+	    'rpchandler': function (rpc) {
+		var input = rpc.input();
+		input.once('data', function (obj) {
+			rpc.end(obj);
+		});
+		input.on('end', function () { inputended = true; });
+		input.on('close', function () { inputclosed = true; });
+	    }
+	});
+
+	inputended = false;
+	inputclosed = false;
+	request = client.rpcStream({ 'rpcmethod': 'first', 'rpcargs': [] });
+	writeStreamInput(request, 500, function () {
+		mod_assertplus.ok(request.frq_ninputdropped > 0);
+		mod_assertplus.ok(!inputended);
+		mod_assertplus.ok(inputclosed);
+
+		/*
+		 * The server must have ignored the input that the client sent
+		 * after the response, and the connection must still work.
+		 */
+		client.rpcBufferAndCallback({
+		    'maxObjectsToBuffer': 1,
+		    'rpcmethod': 'echo',
+		    'rpcargs': [ 'still here' ]
+		}, function (err, data) {
+			var conns;
+
+			mod_assertplus.ok(!err);
+			mod_assertplus.deepEqual(data,
+			    [ { 'value': 'still here' } ]);
+			conns = tctx.ts_server.kangListObjects(
+			    'fastconnection');
+			mod_assertplus.deepEqual(tctx.ts_server.fs_conns[
+			    conns[0]].fc_inputdrain, {});
+			callback();
+		});
+	});
+	bufferStream(request, function (err, data) {
+		mod_assertplus.ok(!err);
+		mod_assertplus.deepEqual(data, [ { 'n': 0 } ]);
+	});
+    }
+}, {
+    'name': 'request streams: client abandons request',
+    'clientArgs': { 'handshake': true },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+	var request, barrier;
+	var inputended = false;
+
+	barrier = mod_vasync.barrier();
+	barrier.start('client error');
+	barrier.start('server cancel');
+	barrier.start('input closed');
+	barrier.on('drain', function () {
+		mod_assertplus.ok(!inputended);
+		mod_assertplus.equal(
+		    tctx.ts_server.kangStats().nRequestsCancelled, 1);
+		client.rpcBufferAndCallback({
+		    'maxObjectsToBuffer': 1,
+		    'rpcmethod': 'echo',
+		    'rpcargs': [ 'still here' ]
+		}, function (err) {
+			mod_assertplus.ok(!err);
+			callback();
+		});
+	});
+
+	tctx.ts_server.registerRpcMethod({
+	    'rpcmethod': 'abandoned',
+	    'rpchandler': function (rpc) {
+		var input = rpc.input();
+		var nread = 0;
+		input.on('data', function () {
+			if (++nread == 5) {
+				request.abandon();
+			}
+		});
+		input.on('end', function () { inputended = true; });
+		input.on('close', function () {
+			barrier.done('input closed');
+		});
+		rpc.on('cancel', function () {
+			barrier.done('server cancel');
+		});
+	    }
+	});
+
+	request = client.rpcStream({ 'rpcmethod': 'abandoned', 'rpcargs': [] });
+	request.on('error', function (err) {
+		mod_assertplus.equal(VError.cause(err).name,
+		    'FastRequestAbandonedError');
+		barrier.done('client error');
+	});
+	[ 0, 1, 2, 3, 4 ].forEach(function (n) {
+		request.write({ 'n': n });
+	});
+    }
+}, {
+    'name': 'request streams: requires the "stream" capability',
+    'serverArgs': {
+	'capabilities': mod_protocol.FP_CAPABILITIES.filter(function (c) {
+		return (c != mod_protocol.FP_CAPABILITY_STREAM);
+	})
+    },
+    'clientArgs': { 'handshake': true },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+	var request;
+
+	registerSumMethod(tctx);
+	request = client.rpcStream({ 'rpcmethod': 'sum', 'rpcargs': [] });
+	writeStreamInput(request, 10);
+	bufferStream(request, function (err) {
+		mod_assertplus.equal(err.name, 'FastRequestError');
+		err = VError.cause(err);
+		mod_assertplus.equal(err.name, 'FastProtocolError');
+		mod_assertplus.equal(VError.info(err).fastReason,
+		    'stream_unsupported');
+		mod_assertplus.equal(
+		    tctx.ts_server.kangStats().nRequestsStarted, 1);
+		callback();
+	});
+    }
+}, {
+    'name': 'subscriptions: client unsubscribes',
+    'clientArgs': { 'handshake': true },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+	var server = tctx.ts_server;
+	var sub, subscription, ids, obj, barrier;
+	var data = [];
+
+	barrier = mod_vasync.barrier();
+	barrier.start('server unsubscribed');
+	barrier.start('client ended');
+	barrier.on('drain', function () {
+		var stats;
+
+		mod_assertplus.deepEqual(data,
+		    [ { 'n': 0 }, { 'n': 1 }, { 'n': 2 } ]);
+		mod_assertplus.ok(!sub.subscribed());
+		stats = server.kangStats();
+		mod_assertplus.equal(stats.nSubscriptionsStarted, 1);
+		mod_assertplus.equal(stats.nSubscriptionsActive, 0);
+		mod_assertplus.equal(stats.nUnsubscribesReceived, 1);
+		mod_assertplus.equal(client.kangGetObject('fastclient',
+		    client.fc_dtid).nUnsubscribesSent, 1);
+		mod_assertplus.deepEqual(
+		    client.kangListObjects('fastsubscription'), []);
+		callback();
+	});
+
+	registerTickerMethod(tctx, function (rpc) {
+		sub = rpc;
+		mod_assertplus.ok(sub.subscribed());
+		sub.addUnsubscribeListener(function () {
+			/* Anything published now is discarded. */
+			mod_assertplus.ok(!sub.subscribed());
+			sub.publish({ 'n': 'late' });
+			sub.unsubscribe();
+			barrier.done('server unsubscribed');
+		});
+	});
+
+	subscription = client.subscribe('ticker', [ 3 ]);
+	subscription.on('data', function (event) {
+		data.push(event);
+		if (data.length < 3) {
+			return;
+		}
+
+		ids = server.kangListObjects('fastsubscription');
+		mod_assertplus.equal(ids.length, 1);
+		obj = server.kangGetObject('fastsubscription', ids[0]);
+		mod_assertplus.equal(obj.rpcmethod, 'ticker');
+		mod_assertplus.deepEqual(obj.rpcargs, [ 3 ]);
+		mod_assertplus.equal(obj.nEventsSent, 3);
+		mod_assertplus.ok(!obj.unsubscribed);
+		obj = server.kangGetObject('fastrequest', ids[0]);
+		mod_assertplus.ok(obj.subscription);
+
+		ids = client.kangListObjects('fastsubscription');
+		mod_assertplus.equal(ids.length, 1);
+		obj = client.kangGetObject('fastsubscription', ids[0]);
+		mod_assertplus.equal(obj.nEventsReceived, 3);
+
+		subscription.unsubscribe();
+		subscription.unsubscribe();
+	});
+	subscription.on('end', function () {
+		barrier.done('client ended');
+	});
+    }
+}, {
+    'name': 'subscriptions: server ends subscription',
+    'clientArgs': { 'handshake': true },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+	var subscription;
+	var notified = false;
+
+	registerTickerMethod(tctx, function (sub) {
+		sub.addUnsubscribeListener(function () { notified = true; });
+		sub.unsubscribe();
+		mod_assertplus.ok(!sub.subscribed());
+		sub.unsubscribe();
+	});
+
+	subscription = client.subscribe('ticker', [ 2 ]);
+	bufferStream(subscription, function (err, data) {
+		mod_assertplus.ok(!err);
+		mod_assertplus.deepEqual(data, [ { 'n': 0 }, { 'n': 1 } ]);
+
+		/* Unsubscribing after the subscription ended does nothing. */
+		subscription.unsubscribe();
+		mod_assertplus.equal(client.kangGetObject('fastclient',
+		    client.fc_dtid).nUnsubscribesSent, 0);
+		mod_assertplus.ok(!notified);
+		mod_assertplus.equal(
+		    tctx.ts_server.kangStats().nUnsubscribesReceived, 0);
+		callback();
+	});
+    }
+}, {
+    'name': 'subscriptions: connection closes',
+    'clientArgs': { 'handshake': true },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+	var server = tctx.ts_server;
+	var subscription;
+	var notified = false;
+
+	registerTickerMethod(tctx, function (sub) {
+		sub.addUnsubscribeListener(function () {
+			notified = true;
+			sub.unsubscribe();
+		});
+
+		/* Close the connection once the client has the events. */
+		setTimeout(function () {
+			client.detach();
+			tctx.ts_clients[0].tsc_socket.destroy();
+		}, 50);
+	});
+
+	subscription = client.subscribe('ticker', [ 1 ]);
+	bufferStream(subscription, function (err, data) {
+		mod_assertplus.equal(VError.cause(err).name,
+		    'FastTransportError');
+		mod_assertplus.deepEqual(data, [ { 'n': 0 } ]);
+		server.onConnsDestroyed(function () {
+			mod_assertplus.ok(notified);
+			mod_assertplus.deepEqual(
+			    server.kangListObjects('fastsubscription'), []);
+			callback();
+		});
+	});
+    }
+}, {
+    'name': 'subscriptions: methods must be used as registered',
+    'clientArgs': { 'handshake': true },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+
+	registerTickerMethod(tctx, function (sub) {
+		throw (new Error('subscription should not have started'));
+	});
+
+	bufferStream(client.subscribe('echo', [ 'hello' ]),
+	    function (err, data) {
+		err = unwrapClientRpcError(err);
+		mod_assertplus.equal(VError.info(err).fastReason,
+		    'bad_method');
+		mod_assertplus.ok(/cannot subscribe/.test(err.message));
+
+		client.rpcBufferAndCallback({
+		    'maxObjectsToBuffer': 10,
+		    'rpcmethod': 'ticker',
+		    'rpcargs': [ 1 ]
+		}, function (err2) {
+			err2 = unwrapClientRpcError(err2);
+			mod_assertplus.equal(VError.info(err2).fastReason,
+			    'bad_method');
+			mod_assertplus.ok(/requires a subscription/.test(
+			    err2.message));
+			mod_assertplus.equal(tctx.ts_server.kangStats().
+			    nSubscriptionsStarted, 0);
+			callback();
+		});
+	    });
+    }
+}, {
+    'name': 'subscriptions: require the "subscribe" capability',
+    'serverArgs': {
+	'capabilities': mod_protocol.FP_CAPABILITIES.filter(function (c) {
+		return (c != mod_protocol.FP_CAPABILITY_SUBSCRIBE);
+	})
+    },
+    'clientArgs': { 'handshake': true },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+
+	registerTickerMethod(tctx, function (sub) {
+		throw (new Error('subscription should not have started'));
+	});
+
+	bufferStream(client.subscribe('ticker', [ 1 ]), function (err) {
+		mod_assertplus.equal(err.name, 'FastRequestError');
+		err = VError.cause(err);
+		mod_assertplus.equal(err.name, 'FastProtocolError');
+		mod_assertplus.equal(VError.info(err).fastReason,
+		    'subscribe_unsupported');
+		mod_assertplus.equal(
+		    tctx.ts_server.kangStats().nRequestsStarted, 1);
+		callback();
+	});
+    }
+}, {
+    'name': 'reverse requests: server calls client method',
+    'clientArgs': { 'handshake': true },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+	var server = tctx.ts_server;
+	var msgid = null;
+
+	client.registerRpcMethod({
+	    'rpcmethod': 'add',
+	    'rpchandler': function (rpc) {
+		msgid = rpc.requestId();
+		mod_assertplus.equal(rpc.methodName(), 'add');
+		rpc.write(rpc.argv()[0] + rpc.argv()[1]);
+		rpc.end();
+	    }
+	});
+
+	server.registerRpcMethod({
+	    'rpcmethod': 'callback',
+	    'rpchandler': function (rpc) {
+		var conn = rpc.connection();
+		mod_assertplus.equal(conn.connectionId(), rpc.connectionId());
+		mod_assertplus.ok(conn.capabilities().indexOf(
+		    mod_protocol.FP_CAPABILITY_REVERSE) != -1);
+		conn.rpcBufferAndCallback({
+		    'rpcmethod': 'add',
+		    'rpcargs': rpc.argv(),
+		    'maxObjectsToBuffer': 10
+		}, function (err, data) {
+			if (err) {
+				rpc.fail(err);
+			} else {
+				rpc.end({ 'sum': data[0] });
+			}
+		});
+	    }
+	});
+
+	client.rpcBufferAndCallback({
+	    'rpcmethod': 'callback',
+	    'rpcargs': [ 3, 4 ],
+	    'maxObjectsToBuffer': 10
+	}, function (err, data) {
+		var obj;
+
+		mod_assertplus.ok(!err);
+		mod_assertplus.deepEqual(data, [ { 'sum': 7 } ]);
+		mod_assertplus.ok(msgid >= mod_protocol.FP_MSGID_REVERSE_MIN);
+		mod_assertplus.equal(
+		    server.kangStats().nReverseRequestsStarted, 1);
+		obj = server.kangGetObject('fastconnection',
+		    server.kangListObjects('fastconnection')[0]);
+		mod_assertplus.equal(obj.nReverseStarted, 1);
+		mod_assertplus.equal(obj.nReversePending, 0);
+		obj = client.kangGetObject('fastclient', client.fc_dtid);
+		mod_assertplus.equal(obj.nReverseStarted, 1);
+		mod_assertplus.equal(obj.nReverseRunning, 0);
+		mod_assertplus.equal(obj.nReverseFailed, 0);
+		callback();
+	});
+    }
+}, {
+    'name': 'reverse requests: failures',
+    'clientArgs': { 'handshake': true },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+
+	client.registerRpcMethod({
+	    'rpcmethod': 'fail',
+	    'rpchandler': function (rpc) {
+		rpc.fail(new VError({
+		    'name': 'MyError',
+		    'info': { 'arg': rpc.argv()[0] }
+		}, 'client failed'));
+		rpc.fail(new Error('ignored'));
+		rpc.end();
+	    }
+	});
+
+	getConnectionHandle(tctx, function (conn) {
+		conn.rpcBufferAndCallback({
+		    'rpcmethod': 'fail',
+		    'rpcargs': [ 'hello' ],
+		    'maxObjectsToBuffer': 10
+		}, function (err) {
+			err = unwrapClientRpcError(err);
+			mod_assertplus.equal(err.name, 'MyError');
+			mod_assertplus.equal(err.message, 'client failed');
+			mod_assertplus.deepEqual(VError.info(err),
+			    { 'arg': 'hello' });
+
+			conn.rpcBufferAndCallback({
+			    'rpcmethod': 'nonexistent',
+			    'rpcargs': [],
+			    'maxObjectsToBuffer': 10
+			}, function (err2) {
+				err2 = unwrapClientRpcError(err2);
+				mod_assertplus.equal(
+				    VError.info(err2).fastReason, 'bad_method');
+				mod_assertplus.equal(client.kangGetObject(
+				    'fastclient', client.fc_dtid).
+				    nReverseFailed, 2);
+				callback();
+			});
+		});
+	});
+    }
+}, {
+    'name': 'reverse requests: connection closes',
+    'clientArgs': { 'handshake': true },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+	var server = tctx.ts_server;
+
+	client.registerRpcMethod({
+	    'rpcmethod': 'hang',
+	    'rpchandler': function (rpc) {
+		setImmediate(function () {
+			client.detach();
+			tctx.ts_clients[0].tsc_socket.destroy();
+		});
+	    }
+	});
+
+	getConnectionHandle(tctx, function (conn) {
+		conn.rpcBufferAndCallback({
+		    'rpcmethod': 'hang',
+		    'rpcargs': [],
+		    'maxObjectsToBuffer': 10
+		}, function (err) {
+			mod_assertplus.equal(VError.cause(err).name,
+			    'FastTransportError');
+			server.onConnsDestroyed(function () {
+				conn.rpcBufferAndCallback({
+				    'rpcmethod': 'hang',
+				    'rpcargs': [],
+				    'maxObjectsToBuffer': 10
+				}, function (err2) {
+					mod_assertplus.equal(
+					    VError.cause(err2).name,
+					    'FastTransportError');
+					callback();
+				});
+			});
+		});
+	});
+    }
+}, {
+    'name': 'reverse requests: require the "reverse" capability',
+    'serverArgs': {
+	'capabilities': mod_protocol.FP_CAPABILITIES.filter(function (c) {
+		return (c != mod_protocol.FP_CAPABILITY_REVERSE);
+	})
+    },
+    'clientArgs': { 'handshake': true },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+
+	client.registerRpcMethod({
+	    'rpcmethod': 'add',
+	    'rpchandler': function (rpc) {
+		throw (new Error('reverse request should not have started'));
+	    }
+	});
+
+	getConnectionHandle(tctx, function (conn) {
+		conn.rpcBufferAndCallback({
+		    'rpcmethod': 'add',
+		    'rpcargs': [ 1, 2 ],
+		    'maxObjectsToBuffer': 10
+		}, function (err) {
+			mod_assertplus.equal(err.name, 'FastRequestError');
+			err = VError.cause(err);
+			mod_assertplus.equal(err.name, 'FastProtocolError');
+			mod_assertplus.equal(VError.info(err).fastReason,
+			    'reverse_unsupported');
+			callback();
+		});
+	});
+    }
+}, {
+    'name': 'cancellation: handler uses AbortSignal',
+    'clientArgs': { 'handshake': true },
+    'run': function (tctx, callback) {
+	runCancelTest(tctx, {
+	    'handler': 'signal',
+	    'cancelled': true,
+	    'acknowledged': true
+	}, callback);
+    }
+}, {
+    'name': 'cancellation: handler listens for \'cancel\'',
+    'clientArgs': { 'handshake': true },
+    'run': function (tctx, callback) {
+	runCancelTest(tctx, {
+	    'handler': 'listener',
+	    'cancelled': true,
+	    'acknowledged': true
+	}, callback);
+    }
+}, {
+    'name': 'cancellation: handler ignores cancellation',
+    'clientArgs': { 'handshake': true },
+    'run': function (tctx, callback) {
+	runCancelTest(tctx, {
+	    'handler': 'ignore',
+	    'cancelled': true,
+	    'acknowledged': false
+	}, callback);
+    }
+}, {
+    'name': 'cancellation: not negotiated',
+    'serverArgs': { 'capabilities': [ 'deflate' ] },
+    'clientArgs': { 'handshake': true },
+    'run': function (tctx, callback) {
+	runCancelTest(tctx, {
+	    'handler': 'ignore',
+	    'cancelled': false,
+	    'acknowledged': false
+	}, callback);
+    }
+}, {
+    'name': 'credit: paused request stream stops the server',
+    'clientArgs': { 'handshake': true, 'creditWindow': 8 },
+    'run': function (tctx, callback) {
+	runCreditTest(tctx, callback);
+    }
+}, {
+    'name': 'credit: abandoned request is no longer flow-controlled',
+    'serverArgs': { 'capabilities': [ 'credit' ] },
+    'clientArgs': { 'handshake': true, 'creditWindow': 4 },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+	var request, ncredits;
+
+	tctx.ts_server.registerRpcMethod({
+	    'rpcmethod': 'count',
+	    'rpchandler': function (rpc) {
+		var i;
+
+		/* Ignore backpressure so that the encoder waits for credit. */
+		for (i = 0; i < 100; i++) {
+			rpc.write({ 'i': i });
+		}
+		rpc.end();
+	    }
+	});
+
+	client.once('handshake', function () {
+		request = client.rpc({ 'rpcmethod': 'count', 'rpcargs': [] });
+		request.on('error', function (err) {
+			mod_assertplus.equal(VError.cause(err).name,
+			    'FastRequestAbandonedError');
+		});
+		setTimeout(function () {
+			var sreqs = tctx.ts_server.kangListObjects(
+			    'fastrequest');
+			mod_assertplus.equal(sreqs.length, 1);
+			mod_assertplus.ok(tctx.ts_server.kangGetObject(
+			    'fastrequest', sreqs[0]).awaitingCredit);
+			ncredits = client.kangGetObject('fastclient',
+			    client.fc_dtid).nCreditsSent;
+			request.abandon();
+		}, 100);
+	});
+
+	/* The server finishes the request once flow control is lifted. */
+	client.fc_msgdecoder.on('data', function (message) {
+		if (request === undefined ||
+		    message.msgid != request.frq_msgid ||
+		    message.status != mod_protocol.FP_STATUS_END) {
+			return;
+		}
+
+		setImmediate(function () {
+			mod_assertplus.deepEqual(
+			    client.kangListObjects('fastrequest'), []);
+			mod_assertplus.deepEqual(
+			    tctx.ts_server.kangListObjects('fastrequest'), []);
+			mod_assertplus.equal(client.kangGetObject('fastclient',
+			    client.fc_dtid).nCreditsSent, ncredits + 1);
+			callback();
+		});
+	});
+    }
+}, {
+    'name': 'keepalive: both sides measure round-trip time',
+    'serverArgs': { 'pingInterval': 20 },
+    'clientArgs': { 'handshake': true, 'pingInterval': 20 },
+    'run': function (tctx, callback) {
+	runKeepaliveTest(tctx, { 'negotiated': true }, callback);
+    }
+}, {
+    'name': 'keepalive: not negotiated',
+    'serverArgs': { 'pingInterval': 20, 'capabilities': [ 'cancel' ] },
+    'clientArgs': { 'handshake': true, 'pingInterval': 20 },
+    'run': function (tctx, callback) {
+	runKeepaliveTest(tctx, { 'negotiated': false }, callback);
+    }
+}, {
+    'name': 'keepalive: server terminates connection to dead client',
+    'serverArgs': { 'pingInterval': 20, 'pingMaxMissed': 2 },
+    'clientArgs': { 'handshake': true },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+
+	client.once('handshake', function () {
+		/*
+		 * A detached client stops reading from its socket, so it never
+		 * answers the server's PINGs.
+		 */
+		client.detach();
+		tctx.ts_clients[0].tsc_socket.on('error', function () {});
+		tctx.ts_server.onConnsDestroyed(function () {
+			mod_assertplus.equal(
+			    tctx.ts_server.kangStats().nPingTimeouts, 1);
+			callback();
+		});
+	});
+    }
+}, {
+    'name': 'keepalive: client fails when server stops responding',
+    'clientArgs': {
+	'handshake': true,
+	'pingInterval': 20,
+	'pingMaxMissed': 2
+    },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+
+	client.once('handshake', function () {
+		var conns, conn;
+
+		/* Stop the server from reading anything the client sends. */
+		conns = tctx.ts_server.kangListObjects('fastconnection');
+		mod_assertplus.equal(conns.length, 1);
+		conn = tctx.ts_server.fs_conns[conns[0]];
+		conn.fc_socket.unpipe(conn.fc_rawdecoder);
+
+		client.on('error', function (err) {
+			var info;
+
+			mod_assertplus.equal(err.name, 'FastTransportError');
+			info = VError.info(err);
+			mod_assertplus.equal(info.fastReason, 'ping_timeout');
+			mod_assertplus.equal(info.pingsMissed, 2);
+			mod_assertplus.equal(info.pingInterval, 20);
+			mod_assertplus.equal(client.kangGetObject('fastclient',
+			    client.fc_dtid).error, err);
+			callback();
+		});
+	});
+    }
+}, {
+    'name': 'headers: passed to the RPC handler',
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+	var headers = { 'request-id': 'r1', 'Caller.Name': 't\u00e9st' };
+
+	tctx.ts_server.registerRpcMethod({
+	    'rpcmethod': 'headers',
+	    'rpchandler': function (rpc) {
+		/* Handlers can't modify the request's headers. */
+		rpc.headers()['request-id'] = 'modified';
+		rpc.end(rpc.headers());
+	    }
+	});
+
+	mod_vasync.forEachPipeline({
+	    'inputs': [ headers, undefined ],
+	    'func': function (h, next) {
+		client.rpcBufferAndCallback({
+		    'maxObjectsToBuffer': 1,
+		    'rpcmethod': 'headers',
+		    'rpcargs': [],
+		    'headers': h
+		}, function (err, data) {
+			next(expectRpcResult({
+			    'errorActual': err,
+			    'errorExpected': false,
+			    'dataActual': data,
+			    'dataExpected': [ h || {} ]
+			}));
+		});
+	    }
+	}, callback);
+    }
+}, {
+    'name': 'headers: client rejects invalid headers',
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+
+	[ {
+	    'headers': [ 'x' ],
+	    'error': /headers must be an object/
+	}, {
+	    'headers': { 'bad name': 'x' },
+	    'error': /invalid header name "bad name"/
+	}, {
+	    'headers': { '1st': 'x' },
+	    'error': /invalid header name "1st"/
+	}, {
+	    'headers': JSON.parse('{ "__proto__": "x" }'),
+	    'error': /invalid header name "__proto__"/
+	}, {
+	    'headers': { 'count': 3 },
+	    'error': /value of header "count" must be a string/
+	}, {
+	    'headers': {
+		'big': new Array(mod_protocol.FP_HEADERS_MAX_BYTES).join('x')
+	    },
+	    'error': /headers total 8194 bytes, exceeding the maximum of 8192/
+	} ].forEach(function (testcase) {
+		mod_assertplus.throws(function () {
+			client.rpc({
+			    'rpcmethod': 'echo',
+			    'rpcargs': [],
+			    'headers': testcase.headers
+			});
+		}, testcase.error);
+	});
+
+	mod_assertplus.equal(client.kangGetObject('fastclient',
+	    client.fc_dtid).nRpcStarted, 0);
+	callback();
+    }
+}, {
+    'name': 'headers: server rejects invalid headers',
+    'run': function (tctx, callback) {
+	/*
+	 * The client won't send invalid headers, so we construct the request
+	 * ourselves.
+	 */
+	runRawRequest({
+	    'msgid': 1,
+	    'status': mod_protocol.FP_STATUS_DATA,
+	    'data': {
+		'm': { 'name': 'echo', 'headers': { 'bad name': 'x' } },
+		'd': [ 'hello' ]
+	    },
+	    'version': mod_protocol.FP_VERSION_CURRENT
+	}, function (response) {
+		mod_assertplus.equal(response.msgid, 1);
+		mod_assertplus.equal(response.status,
+		    mod_protocol.FP_STATUS_ERROR);
+		mod_assertplus.equal(response.data.d.name, 'FastError');
+		mod_assertplus.equal(response.data.d.message,
+		    'RPC request has invalid headers: ' +
+		    'invalid header name "bad name"');
+		mod_assertplus.equal(response.data.d.info.fastReason,
+		    'bad_headers');
+		callback();
+	});
+    }
+}, {
+    'name': 'deadlines: client timeout passed to the RPC handler',
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+
+	registerDeadlineMethod(tctx.ts_server);
+	mod_vasync.forEachPipeline({
+	    'inputs': [ 5000, undefined ],
+	    'func': function (timeout, next) {
+		var tstart = Date.now();
+
+		client.rpcBufferAndCallback({
+		    'maxObjectsToBuffer': 1,
+		    'rpcmethod': 'deadline',
+		    'rpcargs': [],
+		    'timeout': timeout
+		}, function (err, data) {
+			var result;
+
+			mod_assertplus.ok(!err);
+			result = data[0];
+			if (timeout === undefined) {
+				mod_assertplus.strictEqual(result.remaining,
+				    null);
+				mod_assertplus.strictEqual(result.deadline,
+				    null);
+			} else {
+				mod_assertplus.ok(result.remaining <= 5000);
+				mod_assertplus.ok(result.remaining > 4000);
+				mod_assertplus.ok(result.deadline >=
+				    tstart + 4000);
+				mod_assertplus.ok(result.deadline <=
+				    Date.now() + 5000);
+			}
+			next();
+		});
+	    }
+	}, callback);
+    }
+}, {
+    'name': 'deadlines: handler passes remaining time along',
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+
+	registerDeadlineMethod(tctx.ts_server);
+	tctx.ts_server.registerRpcMethod({
+	    'rpcmethod': 'forward',
+	    'rpchandler': function (rpc) {
+		client.rpc({
+		    'rpcmethod': 'deadline',
+		    'rpcargs': [],
+		    'timeout': rpc.timeRemaining()
+		}).pipe(rpc);
+	    }
+	});
+
+	client.rpcBufferAndCallback({
+	    'maxObjectsToBuffer': 1,
+	    'rpcmethod': 'forward',
+	    'rpcargs': [],
+	    'timeout': 5000
+	}, function (err, data) {
+		mod_assertplus.ok(!err);
+		mod_assertplus.ok(data[0].remaining <= 5000);
+		mod_assertplus.ok(data[0].remaining > 4000);
+		callback();
+	});
+    }
+}, {
+    'name': 'deadlines: not enforced by default',
+    'run': function (tctx, callback) {
+	tctx.ts_server.registerRpcMethod({
+	    'rpcmethod': 'slow',
+	    'rpchandler': function (rpc) {
+		setTimeout(function () {
+			rpc.end({
+			    'cancelled': rpc.cancelled(),
+			    'remaining': rpc.timeRemaining()
+			});
+		}, 100);
+	    }
+	});
+
+	runRawRequest({
+	    'msgid': 1,
+	    'status': mod_protocol.FP_STATUS_DATA,
+	    'data': { 'm': { 'name': 'slow', 'timeout': 10 }, 'd': [] },
+	    'version': mod_protocol.FP_VERSION_CURRENT
+	}, function (response) {
+		mod_assertplus.equal(response.status,
+		    mod_protocol.FP_STATUS_DATA);
+		mod_assertplus.deepEqual(response.data.d,
+		    [ { 'cancelled': false, 'remaining': 0 } ]);
+		mod_assertplus.equal(tctx.ts_server.kangStats().
+		    nRequestsDeadlineExceeded, 0);
+		callback();
+	});
+    }
+}, {
+    'name': 'deadlines: enforced by server',
+    'serverArgs': { 'enforceDeadlines': true },
+    'run': function (tctx, callback) {
+	/*
+	 * We send the request ourselves so that the client doesn't give up on
+	 * it before the server does.
+	 */
+	var barrier = mod_vasync.barrier();
+	var aborted = false;
+
+	tctx.ts_server.registerRpcMethod({
+	    'rpcmethod': 'slow',
+	    'rpchandler': function (rpc) {
+		rpc.signal().addEventListener('abort', function () {
+			aborted = true;
+			rpc.fail(new Error('operation aborted'));
+			barrier.done('handler');
+		});
+	    }
+	});
+
+	barrier.start('handler');
+	barrier.start('response');
+	runRawRequest({
+	    'msgid': 1,
+	    'status': mod_protocol.FP_STATUS_DATA,
+	    'data': { 'm': { 'name': 'slow', 'timeout': 50 }, 'd': [] },
+	    'version': mod_protocol.FP_VERSION_CURRENT
+	}, function (response) {
+		mod_assertplus.equal(response.status,
+		    mod_protocol.FP_STATUS_ERROR);
+		mod_assertplus.equal(response.data.d.name,
+		    'DeadlineExceededError');
+		mod_assertplus.equal(response.data.d.info.fastReason,
+		    'deadline_exceeded');
+		mod_assertplus.equal(response.data.d.info.timeout, 50);
+		barrier.done('response');
+	});
+
+	barrier.on('drain', function () {
+		var sstats = tctx.ts_server.kangStats();
+
+		mod_assertplus.ok(aborted);
+		mod_assertplus.equal(sstats.nRequestsDeadlineExceeded, 1);
+		mod_assertplus.equal(sstats.nRequestsCancelled, 0);
+		mod_assertplus.deepEqual(
+		    tctx.ts_server.kangListObjects('fastrequest'), []);
+		callback();
+	});
+    }
+}, {
+    'name': 'deadlines: server rejects invalid timeout',
+    'run': function (tctx, callback) {
+	runRawRequest({
+	    'msgid': 1,
+	    'status': mod_protocol.FP_STATUS_DATA,
+	    'data': { 'm': { 'name': 'echo', 'timeout': -1 }, 'd': [] },
+	    'version': mod_protocol.FP_VERSION_CURRENT
+	}, function (response) {
+		mod_assertplus.equal(response.status,
+		    mod_protocol.FP_STATUS_ERROR);
+		mod_assertplus.equal(response.data.d.info.fastReason,
+		    'bad_timeout');
+		callback();
+	});
+    }
+}, {
+    'name': 'tracing: client and server spans',
+    'serverArgs': { 'traceExporter': traceExporter },
+    'clientArgs': { 'traceExporter': traceExporter },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+
+	traceExporter.reset();
+	mod_vasync.forEachPipeline({
+	    'inputs': [ {
+		'rpcmethod': 'echo',
+		'rpcargs': [ 'hello' ],
+		'error': false
+	    }, {
+		'rpcmethod': 'fail',
+		'rpcargs': [ { 'name': 'MyError', 'message': 'boom' } ],
+		'error': true
+	    } ],
+	    'func': function (testcase, next) {
+		traceExporter.reset();
+		client.rpcBufferAndCallback({
+		    'maxObjectsToBuffer': 1,
+		    'rpcmethod': testcase.rpcmethod,
+		    'rpcargs': testcase.rpcargs
+		}, function (err) {
+			mod_assertplus.equal(!!err, testcase.error);
+
+			/*
+			 * The server may not have finished cleaning up the
+			 * request by the time we get the response.
+			 */
+			setImmediate(function () {
+				checkSpans(testcase, err);
+				next();
+			});
+		});
+	    }
+	}, callback);
+    }
+}, {
+    'name': 'tracing: continuing a trace',
+    'serverArgs': { 'traceExporter': traceExporter },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+	var parent = '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-00';
+
+	traceExporter.reset();
+	tctx.ts_server.registerRpcMethod({
+	    'rpcmethod': 'traceparent',
+	    'rpchandler': function (rpc) {
+		rpc.end({ 'traceparent': rpc.traceparent() });
+	    }
+	});
+
+	client.rpcBufferAndCallback({
+	    'maxObjectsToBuffer': 1,
+	    'rpcmethod': 'traceparent',
+	    'rpcargs': [],
+	    'traceparent': parent
+	}, function (err, data) {
+		var spans;
+
+		mod_assertplus.ok(!err);
+
+		/* The client has no exporter, so only the server reports. */
+		spans = traceExporter.started();
+		mod_assertplus.equal(spans.length, 1);
+		mod_assertplus.equal(spans[0].traceId,
+		    '0af7651916cd43dd8448eb211c80319c');
+		mod_assertplus.equal(spans[0].traceFlags, '00');
+
+		/*
+		 * The server's parent is the client's span, which is itself a
+		 * child of the span we specified.
+		 */
+		mod_assertplus.notEqual(spans[0].parentSpanId,
+		    'b7ad6b7169203331');
+		mod_assertplus.equal(data[0].traceparent, [ '00',
+		    spans[0].traceId, spans[0].spanId, '00' ].join('-'));
+		callback();
+	});
+    }
+}, {
+    'name': 'tracing: not traced by default',
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+
+	tctx.ts_server.registerRpcMethod({
+	    'rpcmethod': 'traceparent',
+	    'rpchandler': function (rpc) {
+		rpc.end({ 'traceparent': rpc.traceparent() });
+	    }
+	});
+
+	client.rpcBufferAndCallback({
+	    'maxObjectsToBuffer': 1,
+	    'rpcmethod': 'traceparent',
+	    'rpcargs': []
+	}, function (err, data) {
+		mod_assertplus.ok(!err);
+		mod_assertplus.deepEqual(data, [ { 'traceparent': null } ]);
+		callback();
+	});
+    }
+}, {
+    'name': 'tracing: invalid trace context',
+    'serverArgs': { 'traceExporter': traceExporter },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+
+	traceExporter.reset();
+	[ 'bogus',
+	    '01-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01',
+	    '00-0AF7651916CD43DD8448EB211C80319C-b7ad6b7169203331-01',
+	    '00-00000000000000000000000000000000-b7ad6b7169203331-01',
+	    '00-0af7651916cd43dd8448eb211c80319c-0000000000000000-01'
+	].forEach(function (traceparent) {
+		mod_assertplus.throws(function () {
+			client.rpc({
+			    'rpcmethod': 'echo',
+			    'rpcargs': [],
+			    'traceparent': traceparent
+			});
+		}, /args.traceparent: invalid trace context/);
+	});
+
+	/* The server starts a new trace instead. */
+	runRawRequest({
+	    'msgid': 1,
+	    'status': mod_protocol.FP_STATUS_DATA,
+	    'data': { 'm': { 'name': 'echo', 'traceparent': 'bogus' },
+		'd': [ 'hello' ] },
+	    'version': mod_protocol.FP_VERSION_CURRENT
+	}, function (response) {
+		mod_assertplus.equal(response.status,
+		    mod_protocol.FP_STATUS_DATA);
+		mod_assertplus.equal(traceExporter.started().length, 1);
+		mod_assertplus.strictEqual(
+		    traceExporter.started()[0].parentSpanId, null);
+		callback();
+	});
+    }
+}, {
+    'name': 'batching: server-wide and per-method configuration',
+    'serverArgs': { 'batch': { 'maxObjects': 10 } },
+    'run': function (tctx, callback) {
+	registerBatchMethods(tctx.ts_server);
+	mod_vasync.forEachPipeline({
+	    'inputs': [ {
+		'rpcmethod': 'count',
+		'rpcargs': [ 25 ],
+		'sizes': [ 10, 10, 5 ]
+	    }, {
+		/* 11 bytes of JSON per object */
+		'rpcmethod': 'countBytes',
+		'rpcargs': [ 7 ],
+		'sizes': [ 3, 3, 1 ]
+	    }, {
+		'rpcmethod': 'countUnbatched',
+		'rpcargs': [ 3 ],
+		'sizes': [ 1, 1, 1 ]
+	    } ],
+	    'func': function (testcase, next) {
+		runBatchTest(tctx, testcase, next);
+	    }
+	}, callback);
+    }
+}, {
+    'name': 'batching: objects written over time',
+    'run': function (tctx, callback) {
+	registerBatchMethods(tctx.ts_server);
+	mod_vasync.forEachPipeline({
+	    'inputs': [ {
+		/* Each object is sent before the next one is written. */
+		'rpcmethod': 'countSlowly',
+		'rpcargs': [ 3 ],
+		'sizes': [ 1, 1, 1 ]
+	    }, {
+		'rpcmethod': 'countSlowlyDelayed',
+		'rpcargs': [ 3 ],
+		'sizes': [ 3 ]
+	    } ],
+	    'func': function (testcase, next) {
+		runBatchTest(tctx, testcase, next);
+	    }
+	}, callback);
+    }
+}, {
+    'name': 'batching: objects sent before failure',
+    'serverArgs': { 'batch': { 'maxObjects': 10 } },
+    'run': function (tctx, callback) {
+	registerBatchMethods(tctx.ts_server);
+	runBatchTest(tctx, {
+	    'rpcmethod': 'countThenFail',
+	    'rpcargs': [ 4 ],
+	    'sizes': [ 4 ],
+	    'error': true
+	}, callback);
+    }
+}, {
+    'name': 'batching: each batch uses one credit',
+    'serverArgs': { 'batch': { 'maxObjects': 10 } },
+    'clientArgs': { 'handshake': true, 'creditWindow': 2 },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+
+	registerBatchMethods(tctx.ts_server);
+	client.once('handshake', function () {
+		runBatchTest(tctx, {
+		    'rpcmethod': 'count',
+		    'rpcargs': [ 100 ],
+		    'sizes': [ 10, 10, 10, 10, 10, 10, 10, 10, 10, 10 ]
+		}, callback);
+	});
+    }
+}, {
+    'name': 'concurrency: excess requests wait in the queue',
+    'serverArgs': { 'maxConcurrentRequests': 1 },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+	var barrier = mod_vasync.barrier();
+	var held = [];
+	var results = [];
+
+	registerHoldMethod(tctx.ts_server, held);
+	[ 1, 2 ].forEach(function (n) {
+		barrier.start('request ' + n);
+		client.rpcBufferAndCallback({
+		    'rpcmethod': 'hold',
+		    'rpcargs': [ n ],
+		    'maxObjectsToBuffer': 10
+		}, function (err, data) {
+			mod_assertplus.ok(!err);
+			results.push(data[0].n);
+			barrier.done('request ' + n);
+		});
+	});
+
+	setTimeout(function () {
+		var stats, objs;
+
+		mod_assertplus.equal(held.length, 1);
+		stats = tctx.ts_server.kangStats();
+		mod_assertplus.equal(stats.maxConcurrentRequests, 1);
+		mod_assertplus.equal(stats.nRequestsRunning, 1);
+		mod_assertplus.equal(stats.nRequestsQueued, 1);
+		mod_assertplus.equal(stats.queueDepth, 1);
+
+		objs = tctx.ts_server.kangListObjects('fastrequest').map(
+		    function (id) {
+			return (tctx.ts_server.kangGetObject(
+			    'fastrequest', id));
+		});
+		objs.sort(function (a, b) {
+			return (a.rpcargs[0] - b.rpcargs[0]);
+		});
+		mod_assertplus.equal(objs.length, 2);
+		mod_assertplus.equal(objs[0].state, 'RUNNING');
+		mod_assertplus.strictEqual(objs[0].queueWaitMs, null);
+		mod_assertplus.equal(objs[1].state, 'QUEUED');
+		mod_assertplus.ok(objs[1].queueWaitMs >= 50);
+
+		held[0].end({ 'n': 1 });
+		setTimeout(function () {
+			mod_assertplus.equal(held.length, 2);
+			held[1].end({ 'n': 2 });
+		}, 50);
+	}, 100);
+
+	barrier.on('drain', function () {
+		var stats = tctx.ts_server.kangStats();
+
+		mod_assertplus.deepEqual(results, [ 1, 2 ]);
+		mod_assertplus.equal(stats.nRequestsRunning, 0);
+		mod_assertplus.equal(stats.queueDepth, 0);
+		mod_assertplus.equal(stats.nRequestsBusy, 0);
+		callback();
+	});
+    }
+}, {
+    'name': 'concurrency: server busy when the queue is full',
+    'serverArgs': { 'maxConcurrentRequests': 1, 'maxQueuedRequests': 0 },
+    'run': function (tctx, callback) {
+	runBusyTest(tctx, function (err) {
+		var info = VError.info(err);
+		mod_assertplus.equal(info.maxQueuedRequests, 0);
+		mod_assertplus.equal(tctx.ts_server.kangStats().
+		    nRequestsQueued, 0);
+	}, callback);
+    }
+}, {
+    'name': 'concurrency: server busy when a request waits too long',
+    'serverArgs': { 'maxConcurrentRequests': 1, 'queueTimeout': 50 },
+    'run': function (tctx, callback) {
+	runBusyTest(tctx, function (err) {
+		var info = VError.info(err);
+		mod_assertplus.equal(info.queueTimeout, 50);
+		mod_assertplus.equal(tctx.ts_server.kangStats().
+		    nRequestsQueued, 1);
+	}, callback);
+    }
+}, {
+    'name': 'concurrency: queued request cancelled',
+    'serverArgs': { 'maxConcurrentRequests': 1 },
+    'clientArgs': { 'handshake': true },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+	var held = [];
+	var request;
+
+	registerHoldMethod(tctx.ts_server, held);
+	client.once('handshake', function () {
+		client.rpc({ 'rpcmethod': 'hold', 'rpcargs': [ 1 ] }).
+		    on('data', function () {}).
+		    on('end', function () {
+			var stats = tctx.ts_server.kangStats();
+
+			/* The cancelled request never ran. */
+			mod_assertplus.equal(held.length, 1);
+			mod_assertplus.equal(stats.nRequestsCancelled, 1);
+			mod_assertplus.equal(stats.queueDepth, 0);
+			mod_assertplus.equal(stats.nRequestsRunning, 0);
+			callback();
+		    });
+
+		request = client.rpc({ 'rpcmethod': 'hold', 'rpcargs': [ 2 ] });
+		request.on('error', function (err) {
+			mod_assertplus.equal(VError.cause(err).name,
+			    'FastRequestAbandonedError');
+		});
+
+		setTimeout(function () {
+			mod_assertplus.equal(
+			    tctx.ts_server.kangStats().queueDepth, 1);
+			request.abandon();
+			setTimeout(function () {
+				mod_assertplus.equal(tctx.ts_server.
+				    kangStats().queueDepth, 0);
+				held[0].end({ 'n': 1 });
+			}, 50);
+		}, 50);
+	});
+    }
+}, {
+    'name': 'connection limits: server holds requests and stops reading',
+    'serverArgs': { 'maxConnectionRequests': 2 },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+	var server = tctx.ts_server;
+	var barrier = mod_vasync.barrier();
+	var held = [];
+	var n;
+
+	registerHoldMethod(server, held);
+	for (n = 1; n <= 5; n++) {
+		barrier.start('request ' + n);
+		client.rpcBufferAndCallback({
+		    'rpcmethod': 'hold',
+		    'rpcargs': [ n ],
+		    'maxObjectsToBuffer': 10
+		}, makeDone(n));
+	}
+
+	function makeDone(which) {
+		return (function (err, data) {
+			mod_assertplus.ok(!err);
+			mod_assertplus.deepEqual(data, [ { 'n': which } ]);
+			barrier.done('request ' + which);
+		});
+	}
+
+	mod_vasync.pipeline({ 'funcs': [
+	    function waitForPause(_, next) {
+		setTimeout(next, 100);
+	    },
+
+	    function checkPaused(_, next) {
+		var stats, obj;
+
+		/*
+		 * Two requests are running, and the server has read and held
+		 * the other three, which is more than the limit, so it has
+		 * paused the connection.
+		 */
+		mod_assertplus.equal(held.length, 2);
+		stats = server.kangStats();
+		mod_assertplus.equal(stats.maxConnectionRequests, 2);
+		mod_assertplus.equal(stats.nConnectionsPaused, 1);
+		mod_assertplus.equal(stats.nConnectionPauses, 1);
+		mod_assertplus.equal(stats.nRequestsHeld, 3);
+		obj = server.kangGetObject('fastconnection',
+		    server.kangListObjects('fastconnection')[0]);
+		mod_assertplus.ok(obj.paused);
+		mod_assertplus.equal(obj.nRequestsOutstanding, 2);
+		mod_assertplus.equal(obj.nRequestsHeld, 3);
+		mod_assertplus.equal(obj.nPauses, 1);
+		next();
+	    },
+
+	    function otherClient(_, next) {
+		/* Other connections are unaffected. */
+		tctx.connectClient(function () {
+			tctx.ts_clients[1].tsc_client.rpcBufferAndCallback({
+			    'rpcmethod': 'echo',
+			    'rpcargs': [ 'hello' ],
+			    'maxObjectsToBuffer': 10
+			}, function (err, data) {
+				mod_assertplus.ok(!err);
+				mod_assertplus.deepEqual(data,
+				    [ { 'value': 'hello' } ]);
+				next();
+			});
+		});
+	    },
+
+	    function finish(_, next) {
+		var nended = 0;
+
+		barrier.on('drain', function () { next(); });
+
+		/*
+		 * Complete requests one at a time, each time letting the
+		 * server read the next one.
+		 */
+		function endNext() {
+			if (nended == 5) {
+				return;
+			}
+
+			if (held.length > nended) {
+				held[nended].end({
+				    'n': held[nended].argv()[0]
+				});
+				nended++;
+			}
+
+			setTimeout(endNext, 10);
+		}
+
+		endNext();
+	    }
+	] }, function (err) {
+		var stats;
+
+		mod_assertplus.ok(!err);
+		stats = server.kangStats();
+		mod_assertplus.equal(stats.nConnectionsPaused, 0);
+		mod_assertplus.equal(stats.nConnectionPauses, 1);
+		mod_assertplus.equal(stats.nRequestsHeld, 3);
+		callback();
+	});
+    }
+}, {
+    'name': 'connection limits: a held request does not pause the connection',
+    'serverArgs': { 'maxConnectionRequests': 2 },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+	var server = tctx.ts_server;
+	var barrier = mod_vasync.barrier();
+	var held = [];
+
+	registerHoldMethod(server, held);
+	barrier.on('drain', function () { callback(); });
+	[ 1, 2, 3 ].forEach(function (which) {
+		barrier.start('request ' + which);
+		client.rpcBufferAndCallback({
+		    'rpcmethod': 'hold',
+		    'rpcargs': [ which ],
+		    'maxObjectsToBuffer': 10
+		}, function (err, data) {
+			mod_assertplus.ok(!err);
+			mod_assertplus.deepEqual(data, [ { 'n': which } ]);
+			barrier.done('request ' + which);
+		});
+	});
+
+	/*
+	 * The limit is inclusive: two requests are allowed to run, and the
+	 * third is held, but the server keeps reading from the connection.
+	 */
+	setTimeout(function () {
+		var stats, obj;
+
+		mod_assertplus.equal(held.length, 2);
+		stats = server.kangStats();
+		mod_assertplus.equal(stats.nConnectionsPaused, 0);
+		mod_assertplus.equal(stats.nRequestsHeld, 1);
+		obj = server.kangGetObject('fastconnection',
+		    server.kangListObjects('fastconnection')[0]);
+		mod_assertplus.ok(!obj.paused);
+		mod_assertplus.equal(obj.nRequestsOutstanding, 2);
+		mod_assertplus.equal(obj.nRequestsHeld, 1);
+
+		held[0].end({ 'n': 1 });
+		setTimeout(function () {
+			mod_assertplus.equal(held.length, 3);
+			held[1].end({ 'n': 2 });
+			held[2].end({ 'n': 3 });
+		}, 50);
+	}, 100);
+    }
+}, {
+    'name': 'connection limits: responses longer than the credit window',
+    'serverArgs': { 'maxConnectionRequests': 1 },
+    'clientArgs': { 'handshake': true },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+	var server = tctx.ts_server;
+
+	/*
+	 * Each response needs several grants of credit from the client.  The
+	 * first request stops counting against the limit while it waits for
+	 * credit, so the second one runs (rather than being held, which would
+	 * pause the connection), and the server reads the client's CREDIT
+	 * messages for both.
+	 */
+	server.registerRpcMethod({
+	    'rpcmethod': 'many',
+	    'rpchandler': function (rpc) {
+		var i;
+		for (i = 0; i < 200; i++) {
+			rpc.write({ 'i': i });
+		}
+		rpc.end();
+	    }
+	});
+
+	client.once('handshake', function () {
+		var barrier = mod_vasync.barrier();
+
+		barrier.on('drain', function () {
+			var stats = server.kangStats();
+			mod_assertplus.ok(stats.nCreditStalls > 0);
+			mod_assertplus.equal(stats.nConnectionPauses, 0);
+			callback();
+		});
+
+		[ 1, 2 ].forEach(function (which) {
+			barrier.start('request ' + which);
+			client.rpcBufferAndCallback({
+			    'rpcmethod': 'many',
+			    'rpcargs': [],
+			    'maxObjectsToBuffer': 200
+			}, function (err, data) {
+				mod_assertplus.ok(!err);
+				mod_assertplus.equal(data.length, 200);
+				mod_assertplus.deepEqual(data[199],
+				    { 'i': 199 });
+				barrier.done('request ' + which);
+			});
+		});
+	});
+    }
+}, {
+    'name': 'connection limits: keepalive works while requests are held',
+    'serverArgs': { 'maxConnectionRequests': 2, 'pingInterval': 50 },
+    'clientArgs': {
+	'handshake': true,
+	'pingInterval': 50,
+	'pingMaxMissed': 3
+    },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+	var server = tctx.ts_server;
+	var held = [];
+
+	registerHoldMethod(server, held);
+	client.once('handshake', function () {
+		var barrier = mod_vasync.barrier();
+		var before;
+
+		barrier.on('drain', function () {
+			var cstats = client.kangGetObject('fastclient',
+			    client.fc_dtid);
+			mod_assertplus.ok(cstats.nPongsReceived > before + 5);
+			mod_assertplus.equal(
+			    server.kangStats().nPingTimeouts, 0);
+			callback();
+		});
+
+		client.on('error', function (err) {
+			throw (new VError(err, 'unexpected client error'));
+		});
+
+		before = client.kangGetObject('fastclient',
+		    client.fc_dtid).nPongsReceived;
+
+		/*
+		 * With two requests running, the third is held, but both sides'
+		 * PINGs are still answered until the requests complete well
+		 * after the client's ping timeout.
+		 */
+		[ 1, 2, 3 ].forEach(function (which) {
+			barrier.start('request ' + which);
+			client.rpcBufferAndCallback({
+			    'rpcmethod': 'hold',
+			    'rpcargs': [ which ],
+			    'maxObjectsToBuffer': 10
+			}, function (err, data) {
+				mod_assertplus.ok(!err);
+				mod_assertplus.deepEqual(data,
+				    [ { 'n': which } ]);
+				barrier.done('request ' + which);
+			});
+		});
+
+		setTimeout(function () {
+			mod_assertplus.equal(held.length, 2);
+			mod_assertplus.equal(
+			    server.kangStats().nConnectionsPaused, 0);
+			held[0].end({ 'n': 1 });
+			held[1].end({ 'n': 2 });
+			setTimeout(function () {
+				mod_assertplus.equal(held.length, 3);
+				held[2].end({ 'n': 3 });
+			}, 500);
+		}, 500);
+	});
+    }
+}, {
+    'name': 'connection limits: a limit of one holds a request without pausing',
+    'serverArgs': { 'maxConnectionRequests': 1, 'pingInterval': 50 },
+    'clientArgs': {
+	'handshake': true,
+	'pingInterval': 50,
+	'pingMaxMissed': 3
+    },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+	var server = tctx.ts_server;
+	var held = [];
+
+	registerHoldMethod(server, held);
+	client.on('error', function (err) {
+		throw (new VError(err, 'unexpected client error'));
+	});
+
+	client.once('handshake', function () {
+		var request;
+
+		client.rpcBufferAndCallback({
+		    'rpcmethod': 'hold',
+		    'rpcargs': [ 1 ],
+		    'maxObjectsToBuffer': 10
+		}, function (err, data) {
+			var stats;
+
+			mod_assertplus.ok(!err);
+			mod_assertplus.deepEqual(data, [ { 'n': 1 } ]);
+
+			/* The cancelled request never ran. */
+			mod_assertplus.equal(held.length, 1);
+			stats = server.kangStats();
+			mod_assertplus.equal(stats.nConnectionPauses, 0);
+			mod_assertplus.equal(stats.nRequestsHeld, 1);
+			mod_assertplus.equal(stats.nRequestsCancelled, 1);
+			mod_assertplus.equal(stats.nCancelsAcknowledged, 1);
+			mod_assertplus.equal(stats.nIgnoredMessagesCancels, 0);
+			mod_assertplus.equal(stats.nPingTimeouts, 0);
+			callback();
+		});
+
+		request = client.rpc({ 'rpcmethod': 'hold', 'rpcargs': [ 2 ] });
+		request.on('error', function (err) {
+			mod_assertplus.equal(VError.cause(err).name,
+			    'FastRequestAbandonedError');
+		});
+
+		/*
+		 * The second request is held, but the server keeps reading, so
+		 * it sees the client's CANCEL and PINGs.  The wait is well
+		 * past the client's ping timeout.
+		 */
+		setTimeout(function () {
+			var obj;
+
+			obj = server.kangGetObject('fastconnection',
+			    server.kangListObjects('fastconnection')[0]);
+			mod_assertplus.ok(!obj.paused);
+			mod_assertplus.equal(obj.nRequestsHeld, 1);
+			request.abandon();
+			setTimeout(function () {
+				obj = server.kangGetObject('fastconnection',
+				    server.kangListObjects(
+				    'fastconnection')[0]);
+				mod_assertplus.equal(obj.nRequestsHeld, 0);
+				held[0].end({ 'n': 1 });
+			}, 50);
+		}, 400);
+	});
+    }
+}, {
+    'name': 'connection limits: subscriptions are never held',
+    'serverArgs': { 'maxConnectionRequests': 1 },
+    'clientArgs': { 'handshake': true },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+	var server = tctx.ts_server;
+	var held = [];
+	var started = false;
+
+	registerHoldMethod(server, held);
+	registerTickerMethod(tctx, function () { started = true; });
+
+	client.once('handshake', function () {
+		var subscription;
+
+		client.rpcBufferAndCallback({
+		    'rpcmethod': 'hold',
+		    'rpcargs': [ 1 ],
+		    'maxObjectsToBuffer': 10
+		}, function (err) {
+			mod_assertplus.ok(!err);
+			callback();
+		});
+
+		/*
+		 * The connection is at its limit, but the subscription starts
+		 * right away, and the client can unsubscribe immediately.
+		 */
+		subscription = client.subscribe('ticker', [ 0 ]);
+		subscription.on('data', function () {});
+		subscription.on('end', function () {
+			var stats = server.kangStats();
+
+			mod_assertplus.ok(started);
+			mod_assertplus.equal(stats.nRequestsHeld, 0);
+			mod_assertplus.equal(stats.nSubscriptionsStarted, 1);
+			mod_assertplus.equal(stats.nSubscriptionsActive, 0);
+			mod_assertplus.equal(stats.nUnsubscribesReceived, 1);
+			mod_assertplus.equal(held.length, 1);
+			held[0].end({ 'n': 1 });
+		});
+		subscription.unsubscribe();
+	});
+    }
+}, {
+    'name': 'connection limits: pending reverse requests still count',
+    'serverArgs': { 'maxConnectionRequests': 1 },
+    'clientArgs': { 'handshake': true },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+	var server = tctx.ts_server;
+	var order = [];
+
+	client.registerRpcMethod({
+	    'rpcmethod': 'slowadd',
+	    'rpchandler': function (rpc) {
+		setTimeout(function () {
+			rpc.write(rpc.argv()[0] + rpc.argv()[1]);
+			rpc.end();
+		}, 200);
+	    }
+	});
+
+	server.registerRpcMethod({
+	    'rpcmethod': 'callback',
+	    'rpchandler': function (rpc) {
+		rpc.connection().rpcBufferAndCallback({
+		    'rpcmethod': 'slowadd',
+		    'rpcargs': rpc.argv(),
+		    'maxObjectsToBuffer': 10
+		}, function (err, data) {
+			if (err) {
+				rpc.fail(err);
+			} else {
+				rpc.end({ 'sum': data[0] });
+			}
+		});
+	    }
+	});
+
+	client.once('handshake', function () {
+		var barrier = mod_vasync.barrier();
+
+		barrier.on('drain', function () {
+			mod_assertplus.deepEqual(order, [ 'callback', 'echo' ]);
+			mod_assertplus.equal(
+			    server.kangStats().nRequestsHeld, 1);
+			callback();
+		});
+
+		barrier.start('callback');
+		client.rpcBufferAndCallback({
+		    'rpcmethod': 'callback',
+		    'rpcargs': [ 3, 4 ],
+		    'maxObjectsToBuffer': 10
+		}, function (err, data) {
+			mod_assertplus.ok(!err);
+			mod_assertplus.deepEqual(data, [ { 'sum': 7 } ]);
+			order.push('callback');
+			barrier.done('callback');
+		});
+
+		/*
+		 * While the handler waits for its reverse request, the second
+		 * request is still held.
+		 */
+		barrier.start('echo');
+		client.rpcBufferAndCallback({
+		    'rpcmethod': 'echo',
+		    'rpcargs': [ 'hello' ],
+		    'maxObjectsToBuffer': 10
+		}, function (err) {
+			mod_assertplus.ok(!err);
+			order.push('echo');
+			barrier.done('echo');
+		});
+
+		setTimeout(function () {
+			var obj = server.kangGetObject('fastconnection',
+			    server.kangListObjects('fastconnection')[0]);
+			mod_assertplus.equal(obj.nReversePending, 1);
+			mod_assertplus.equal(obj.nRequestsHeld, 1);
+		}, 100);
+	});
+    }
+}, {
+    'name': 'connection limits: held requests run after end-of-stream',
+    'serverArgs': { 'maxConnectionRequests': 1 },
+    'run': function (tctx, callback) {
+	var sock, decoder, msgid;
+	var ended = [];
+
+	/*
+	 * The client sends several requests and then ends its side of the
+	 * connection.  The server reads end-of-stream while it's still holding
+	 * some of the requests, but must run all of them.
+	 */
+	tctx.ts_server.registerRpcMethod({
+	    'rpcmethod': 'slow',
+	    'rpchandler': function (rpc) {
+		setTimeout(function () { rpc.end({ 'n': 1 }); }, 20);
+	    }
+	});
+
+	sock = mod_net.createConnection(mod_testcommon.serverPort,
+	    mod_testcommon.serverIp);
+	decoder = new mod_protocol.FastMessageDecoder();
+	sock.pipe(decoder);
+	decoder.on('data', function (message) {
+		if (message.status == mod_protocol.FP_STATUS_END) {
+			ended.push(message.msgid);
+		}
+	});
+	decoder.on('end', function () {
+		mod_assertplus.deepEqual(ended, [ 1, 2, 3, 4 ]);
+		callback();
+	});
+
+	for (msgid = 1; msgid <= 4; msgid++) {
+		sock.write(mod_protocol.fastMessageEncode({
+		    'msgid': msgid,
+		    'status': mod_protocol.FP_STATUS_DATA,
+		    'version': mod_protocol.FP_VERSION_2,
+		    'data': { 'm': { 'name': 'slow', 'uts': 0 }, 'd': [] }
+		}));
+	}
+	sock.end();
+    }
+}, {
+    'name': 'connection limits: reverse requests resume a paused connection',
+    'serverArgs': { 'maxConnectionRequests': 1 },
+    'clientArgs': { 'handshake': true },
+    'run': function (tctx, callback) {
+	var client = tctx.firstFastClient();
+	var server = tctx.ts_server;
+
+	client.registerRpcMethod({
+	    'rpcmethod': 'add',
+	    'rpchandler': function (rpc) {
+		rpc.write(rpc.argv()[0] + rpc.argv()[1]);
+		rpc.end();
+	    }
+	});
+
+	/*
+	 * The handler waits until the server has paused the connection (by
+	 * holding the two "echo" requests below) before making its reverse
+	 * request, whose response the server could not read if the connection
+	 * stayed paused.
+	 */
+	server.registerRpcMethod({
+	    'rpcmethod': 'callback',
+	    'rpchandler': function (rpc) {
+		setTimeout(function () {
+			mod_assertplus.equal(
+			    server.kangStats().nConnectionsPaused, 1);
+			rpc.connection().rpcBufferAndCallback({
+			    'rpcmethod': 'add',
+			    'rpcargs': rpc.argv(),
+			    'maxObjectsToBuffer': 10
+			}, function (err, data) {
+				if (err) {
+					rpc.fail(err);
+				} else {
+					rpc.end({ 'sum': data[0] });
+				}
+			});
+		}, 50);
+	    }
+	});
+
+	client.once('handshake', function () {
+		var barrier = mod_vasync.barrier();
+
+		barrier.on('drain', function () {
+			mod_assertplus.equal(
+			    server.kangStats().nConnectionsPaused, 0);
+			callback();
+		});
+
+		barrier.start('callback');
+		client.rpcBufferAndCallback({
+		    'rpcmethod': 'callback',
+		    'rpcargs': [ 3, 4 ],
+		    'maxObjectsToBuffer': 10
+		}, function (err, data) {
+			mod_assertplus.ok(!err);
+			mod_assertplus.deepEqual(data, [ { 'sum': 7 } ]);
+			barrier.done('callback');
+		});
+
+		[ 'hello', 'world' ].forEach(function (word) {
+			barrier.start(word);
+			client.rpcBufferAndCallback({
+			    'rpcmethod': 'echo',
+			    'rpcargs': [ word ],
+			    'maxObjectsToBuffer': 10
+			}, function (err, data) {
+				mod_assertplus.ok(!err);
+				mod_assertplus.deepEqual(data,
+				    [ { 'value': word } ]);
+				barrier.done(word);
+			});
+		});
+	});
+    }
+} ];
+
+/*
+ * Checks the spans reported for a single traced request for which both the
+ * client and server have "traceExporter" as their exporter.
+ */
+function checkSpans(testcase, err)
+{
+	var started, finished, cspan, sspan;
+
+	started = traceExporter.started();
+	finished = traceExporter.finished();
+	mod_assertplus.equal(started.length, 2);
+	mod_assertplus.equal(finished.length, 2);
+	cspan = started[0];
+	sspan = started[1];
+	mod_assertplus.ok(finished.indexOf(cspan) != -1);
+	mod_assertplus.ok(finished.indexOf(sspan) != -1);
+
+	mod_assertplus.equal(cspan.kind, 'client');
+	mod_assertplus.equal(cspan.name, testcase.rpcmethod);
+	mod_assertplus.strictEqual(cspan.parentSpanId, null);
+	mod_assertplus.equal(cspan.traceFlags, '01');
+	mod_assertplus.ok(/^[0-9a-f]{32}$/.test(cspan.traceId));
+	mod_assertplus.ok(/^[0-9a-f]{16}$/.test(cspan.spanId));
+
+	mod_assertplus.equal(sspan.kind, 'server');
+	mod_assertplus.equal(sspan.name, testcase.rpcmethod);
+	mod_assertplus.equal(sspan.traceId, cspan.traceId);
+	mod_assertplus.equal(sspan.parentSpanId, cspan.spanId);
+	mod_assertplus.notEqual(sspan.spanId, cspan.spanId);
+	mod_assertplus.equal(sspan.attributes.msgid, cspan.attributes.msgid);
+	mod_assertplus.ok(sspan.startTime >= cspan.startTime);
+
+	if (testcase.error) {
+		mod_assertplus.equal(sspan.error.name, 'MyError');
+		mod_assertplus.equal(cspan.error, err);
+	} else {
+		mod_assertplus.strictEqual(sspan.error, null);
+		mod_assertplus.strictEqual(cspan.error, null);
+	}
+}
+
+/*
+ * Registers an RPC method "deadline" that reports what the server knows about
+ * the request's deadline.
+ */
+/*
+ * Registers RPC methods used by the batching tests.  Each one writes the
+ * integers from 0 up to its first argument, all at once unless otherwise noted.
+ */
+function registerBatchMethods(server)
+{
+	function writeCount(rpc) {
+		var i;
+
+		for (i = 0; i < rpc.argv()[0]; i++) {
+			rpc.write({ 'value': i });
+		}
+	}
+
+	server.registerRpcMethod({
+	    'rpcmethod': 'count',
+	    'rpchandler': function (rpc) {
+		writeCount(rpc);
+		rpc.end();
+	    }
+	});
+
+	server.registerRpcMethod({
+	    'rpcmethod': 'countBytes',
+	    'batch': { 'maxBytes': 30 },
+	    'rpchandler': function (rpc) {
+		writeCount(rpc);
+		rpc.end();
+	    }
+	});
+
+	server.registerRpcMethod({
+	    'rpcmethod': 'countUnbatched',
+	    'batch': null,
+	    'rpchandler': function (rpc) {
+		writeCount(rpc);
+		rpc.end();
+	    }
+	});
+
+	/* These write an object every 10ms. */
+	function writeCountSlowly(rpc) {
+		var count = rpc.argv()[0];
+		var i = 0;
+
+		function writeOne() {
+			if (i == count) {
+				rpc.end();
+				return;
+			}
+
+			rpc.write({ 'value': i++ });
+			setTimeout(writeOne, 10);
+		}
+
+		writeOne();
+	}
+
+	server.registerRpcMethod({
+	    'rpcmethod': 'countSlowly',
+	    'batch': { 'maxObjects': 10 },
+	    'rpchandler': writeCountSlowly
+	});
+
+	server.registerRpcMethod({
+	    'rpcmethod': 'countSlowlyDelayed',
+	    'batch': { 'maxObjects': 10, 'maxDelay': 1000 },
+	    'rpchandler': writeCountSlowly
+	});
+
+	server.registerRpcMethod({
+	    'rpcmethod': 'countThenFail',
+	    'rpchandler': function (rpc) {
+		writeCount(rpc);
+		rpc.fail(new Error('boom'));
+	    }
+	});
+}
+
+/*
+ * Makes the RPC request described by "args" and checks that the client receives
+ * the integers from 0 to the first argument, packed into DATA messages
+ * containing "args.sizes" objects.  If "args.error", the request is expected to
+ * fail after that.
+ */
+function runBatchTest(tctx, args, callback)
+{
+	var client = tctx.firstFastClient();
+	var request, sizes, ndata;
+
+	sizes = [];
+	function onMessage(message) {
+		if (message.msgid == request.frq_msgid &&
+		    message.status == mod_protocol.FP_STATUS_DATA) {
+			sizes.push(message.data.d.length);
+		}
+	}
+
+	client.fc_msgdecoder.on('data', onMessage);
+	request = client.rpc({
+	    'rpcmethod': args.rpcmethod,
+	    'rpcargs': args.rpcargs
+	});
+
+	ndata = 0;
+	request.on('data', function (d) {
+		mod_assertplus.deepEqual(d, { 'value': ndata++ });
+	});
+
+	function done(err) {
+		client.fc_msgdecoder.removeListener('data', onMessage);
+		mod_assertplus.equal(!!err, !!args.error);
+		mod_assertplus.equal(ndata, args.rpcargs[0]);
+		mod_assertplus.deepEqual(sizes, args.sizes);
+		callback();
+	}
+
+	request.on('error', done);
+	request.on('end', function () { done(null); });
+}
+
+function registerDeadlineMethod(server)
+{
+	server.registerRpcMethod({
+	    'rpcmethod': 'deadline',
+	    'rpchandler': function (rpc) {
+		var deadline = rpc.deadline();
+		rpc.end({
+		    'remaining': rpc.timeRemaining(),
+		    'deadline': deadline === null ? null : deadline.getTime()
+		});
+	    }
+	});
+}
+
+/*
+ * Registers a "hold" method whose handler does nothing but append its RPC
+ * context to "held" so that the test can complete it later.
+ */
+function registerHoldMethod(server, held)
+{
+	server.registerRpcMethod({
+	    'rpcmethod': 'hold',
+	    'rpchandler': function (rpc) { held.push(rpc); }
+	});
+}
+
+/*
+ * Occupies the server's only concurrency slot with a "hold" request, then makes
+ * a second request that's expected to fail with a "server_busy" error.
+ * "checkError" is invoked with that error for further checks.
+ */
+function runBusyTest(tctx, checkError, callback)
+{
+	var client = tctx.firstFastClient();
+	var held = [];
+
+	registerHoldMethod(tctx.ts_server, held);
+	client.rpcBufferAndCallback({
+	    'rpcmethod': 'hold',
+	    'rpcargs': [ 1 ],
+	    'maxObjectsToBuffer': 10
+	}, function (err, data) {
+		mod_assertplus.ok(!err);
+		mod_assertplus.deepEqual(data, [ { 'n': 1 } ]);
+		mod_assertplus.equal(tctx.ts_server.kangStats().queueDepth, 0);
+		callback();
+	});
+
+	client.rpcBufferAndCallback({
+	    'rpcmethod': 'echo',
+	    'rpcargs': [ 2 ],
+	    'maxObjectsToBuffer': 10
+	}, function (err) {
+		mod_assertplus.ok(err);
+		err = unwrapClientRpcError(err);
+		mod_assertplus.equal(err.name, 'FastError');
+		mod_assertplus.equal(VError.info(err).fastReason,
+		    'server_busy');
+		mod_assertplus.equal(tctx.ts_server.kangStats().nRequestsBusy,
+		    1);
+		checkError(err);
+		mod_assertplus.equal(held.length, 1);
+		held[0].end({ 'n': 1 });
+	});
+}
+
+/*
+ * Sends the given message to the server on a new connection without using a
+ * FastClient, and invokes "callback" with the first message that the server
+ * sends back.
+ */
+function runRawRequest(message, callback)
+{
+	var sock, decoder;
+
+	sock = mod_net.createConnection(mod_testcommon.serverPort,
+	    mod_testcommon.serverIp);
+	decoder = new mod_protocol.FastMessageDecoder();
+	sock.pipe(decoder);
+	decoder.once('data', function (response) {
+		sock.destroy();
+		callback(response);
+	});
+	sock.write(mod_protocol.fastMessageEncode(message));
+}
+
+/*
+ * Waits for the first client to complete its handshake, then checks the
+ * negotiated protocol version and capabilities as reported by the client, the
+ * server's kang objects, and the RPC context.  If "expected.capabilities" is
+ * null, the client is not expected to have sent a HELLO at all.
+ */
+function runHandshakeTest(tctx, expected, callback)
+{
+	var client = tctx.firstFastClient();
+
+	tctx.ts_server.registerRpcMethod({
+	    'rpcmethod': 'capabilities',
+	    'rpchandler': function (rpc) {
+		rpc.end({ 'capabilities': rpc.capabilities() });
+	    }
+	});
+
+	mod_vasync.pipeline({ 'funcs': [
+	    function waitForHandshake(_, next) {
+		if (client.kangGetObject('fastclient',
+		    client.fc_dtid).handshake == 'done') {
+			next();
+		} else {
+			client.once('handshake', function () { next(); });
+		}
+	    },
+
+	    function checkHandshake(_, next) {
+		var conns, conn;
+		var caps = expected.capabilities || [];
+
+		mod_assertplus.equal(client.version, expected.version);
+		mod_assertplus.deepEqual(client.capabilities(), caps);
+		mod_assertplus.deepEqual(client.kangGetObject('fastclient',
+		    client.fc_dtid).capabilities, caps);
+
+		conns = tctx.ts_server.kangListObjects('fastconnection');
+		mod_assertplus.equal(conns.length, 1);
+		conn = tctx.ts_server.kangGetObject('fastconnection',
+		    conns[0]);
+		mod_assertplus.deepEqual(conn.capabilities,
+		    expected.capabilities);
+		mod_assertplus.equal(tctx.ts_server.kangStats().nHandshakes,
+		    expected.capabilities === null ? 0 : 1);
+		next();
+	    },
+
+	    function checkRequest(_, next) {
+		client.rpcBufferAndCallback({
+		    'maxObjectsToBuffer': 1,
+		    'rpcmethod': 'capabilities',
+		    'rpcargs': []
+		}, function (err, data) {
+			next(expectRpcResult({
+			    'errorActual': err,
+			    'errorExpected': false,
+			    'dataActual': data,
+			    'dataExpected': [ {
+				'capabilities': expected.capabilities || []
+			    } ]
+			}));
+		});
+	    }
+	] }, callback);
+}
+
+/*
+ * Waits for the first client to complete its handshake, then checks whether
+ * message authentication was negotiated and that requests work either way.
+ */
+function runHmacTest(tctx, expected, callback)
+{
+	var client = tctx.firstFastClient();
+
+	mod_vasync.pipeline({ 'funcs': [
+	    function waitForHandshake(_, next) {
+		if (client.kangGetObject('fastclient',
+		    client.fc_dtid).handshake == 'done') {
+			next();
+		} else {
+			client.once('handshake', function () { next(); });
+		}
+	    },
+
+	    function checkHandshake(_, next) {
+		var conns, conn;
+
+		mod_assertplus.equal(client.capabilities().indexOf(
+		    mod_protocol.FP_CAPABILITY_HMAC) != -1,
+		    expected.negotiated);
+		conns = tctx.ts_server.kangListObjects('fastconnection');
+		mod_assertplus.equal(conns.length, 1);
+		conn = tctx.ts_server.kangGetObject('fastconnection',
+		    conns[0]);
+		mod_assertplus.equal(conn.capabilities.indexOf(
+		    mod_protocol.FP_CAPABILITY_HMAC) != -1,
+		    expected.negotiated);
+		next();
+	    },
+
+	    function checkRequest(_, next) {
+		/*
+		 * Once authentication is negotiated, each side's decoder
+		 * rejects unauthenticated messages, so this only succeeds if
+		 * both the request and the responses carried valid MACs.
+		 */
+		client.rpcBufferAndCallback({
+		    'maxObjectsToBuffer': 10,
+		    'rpcmethod': 'echo',
+		    'rpcargs': [ 'hello', 'world' ]
+		}, function (err, data) {
+			next(expectRpcResult({
+			    'errorActual': err,
+			    'errorExpected': false,
+			    'dataActual': data,
+			    'dataExpected': [
+				{ 'value': 'hello' },
+				{ 'value': 'world' }
+			    ]
+			}));
+		});
+	    }
+	] }, callback);
+}
+
+/*
+ * Registers a "sum" method that adds up the "n" properties of its input
+ * objects, returning the label that it was given as an argument along with the
+ * count and the sum.  For requests without input, it returns "input": null.
+ */
+function registerSumMethod(tctx)
+{
+	tctx.ts_server.registerRpcMethod({
+	    'rpcmethod': 'sum',
+	    'rpchandler': function (rpc) {
+		var input = rpc.input();
+		var count = 0;
+		var sum = 0;
+
+		if (input === null) {
+			rpc.end({ 'label': rpc.argv()[0], 'input': null });
+			return;
+		}
+
+		input.on('data', function (obj) {
+			count++;
+			sum += obj.n;
+		});
+		input.on('end', function () {
+			rpc.end({
+			    'label': rpc.argv()[0],
+			    'count': count,
+			    'sum': sum
+			});
+		});
+	    }
+	});
+}
+
+/*
+ * Writes objects { "n": 0 } through { "n": count - 1 } to the given request
+ * stream, respecting backpressure, and then ends it.  Invokes "callback" (if
+ * given) once the stream has finished.
+ */
+function writeStreamInput(request, count, callback)
+{
+	var n = 0;
+
+	if (callback) {
+		request.on('finish', callback);
+	}
+
+	function writeMore() {
+		while (n < count) {
+			if (!request.write({ 'n': n++ })) {
+				request.once('drain', writeMore);
+				return;
+			}
+		}
+
+		request.end();
+	}
+
+	writeMore();
+}
+
+/*
+ * Reads everything from the given request stream and invokes
+ * callback(err, data).
+ */
+function bufferStream(request, callback)
+{
+	var data = [];
+
+	request.on('data', function (obj) { data.push(obj); });
+	request.on('error', function (err) { callback(err, data); });
+	request.on('end', function () { callback(null, data); });
+}
+
+/*
+ * Registers a subscription method "ticker" whose handler publishes events
+ * { "n": 0 } through { "n": count - 1 }, where "count" is the subscription's
+ * first argument, and then invokes onSubscribe(sub) with the subscription
+ * context.
+ */
+function registerTickerMethod(tctx, onSubscribe)
+{
+	tctx.ts_server.registerSubscriptionMethod({
+	    'rpcmethod': 'ticker',
+	    'rpchandler': function (sub) {
+		var n;
+
+		for (n = 0; n < sub.argv()[0]; n++) {
+			sub.publish({ 'n': n });
+		}
+
+		onSubscribe(sub);
+	    }
+	});
+}
+
+/*
+ * Registers a method "handle" that saves its connection handle, invokes it
+ * from the first client, and then invokes callback(handle).
+ */
+function getConnectionHandle(tctx, callback)
+{
+	var handle = null;
+
+	tctx.ts_server.registerRpcMethod({
+	    'rpcmethod': 'handle',
+	    'rpchandler': function (rpc) {
+		handle = rpc.connection();
+		rpc.end();
+	    }
+	});
+
+	tctx.firstFastClient().rpcBufferAndCallback({
+	    'rpcmethod': 'handle',
+	    'rpcargs': [],
+	    'maxObjectsToBuffer': 10
+	}, function (err) {
+		mod_assertplus.ok(!err);
+		mod_assertplus.ok(handle !== null);
+		callback(handle);
+	});
+}
+
+/*
+ * Registers a method that returns rpc.identity() and invokes it (before the
+ * first client has finished authenticating, so that the request is queued until
+ * it has), then checks the result and the server's kang object for the
+ * connection.
+ */
+function runIdentityTest(tctx, expected, callback)
+{
+	var client = tctx.firstFastClient();
+
+	tctx.ts_server.registerRpcMethod({
+	    'rpcmethod': 'whoami',
+	    'rpchandler': function (rpc) {
+		rpc.end({ 'identity': rpc.identity() });
+	    }
+	});
+
+	client.rpcBufferAndCallback({
+	    'maxObjectsToBuffer': 1,
+	    'rpcmethod': 'whoami',
+	    'rpcargs': []
+	}, function (err, data) {
+		var conns, conn;
+
+		mod_assertplus.ok(!err);
+		mod_assertplus.deepEqual(data,
+		    [ { 'identity': expected.identity } ]);
+		mod_assertplus.equal(client.kangGetObject('fastclient',
+		    client.fc_dtid).authenticated, expected.identity !== null);
+
+		conns = tctx.ts_server.kangListObjects('fastconnection');
+		mod_assertplus.equal(conns.length, 1);
+		conn = tctx.ts_server.kangGetObject('fastconnection',
+		    conns[0]);
+		mod_assertplus.deepEqual(conn.identity, expected.identity);
+		mod_assertplus.equal(conn.authState, expected.authState);
+		mod_assertplus.equal(tctx.ts_server.kangStats().nAuthSucceeded,
+		    expected.identity === null ? 0 : 1);
+		callback();
+	});
+}
+
+/*
+ * Makes a request for each [ method, allowed ] pair in "calls" (in order) and
+ * checks that exactly those that are not allowed fail with fastReason
+ * "unauthorized".
+ */
+function runAuthorizeTest(tctx, calls, callback)
+{
+	var client = tctx.firstFastClient();
+	var ndenied = 0;
+
+	mod_vasync.forEachPipeline({
+	    'inputs': calls,
+	    'func': function (call, next) {
+		client.rpcBufferAndCallback({
+		    'maxObjectsToBuffer': 10,
+		    'rpcmethod': call[0],
+		    'rpcargs': call[0] == 'echo' ? [ 'hello' ] : []
+		}, function (err) {
+			var cause;
+
+			if (call[1]) {
+				mod_assertplus.ok(!err, call[0]);
+				next();
+				return;
+			}
+
+			ndenied++;
+			mod_assertplus.ok(err instanceof Error, call[0]);
+			cause = unwrapClientRpcError(err);
+			mod_assertplus.equal(cause.name, 'FastError');
+			mod_assertplus.equal(VError.info(cause).fastReason,
+			    'unauthorized');
+			mod_assertplus.equal(VError.info(cause).rpcMethod,
+			    call[0]);
+			next();
+		});
+	    }
+	}, function (err) {
+		mod_assertplus.ok(!err);
+		mod_assertplus.equal(
+		    tctx.ts_server.kangStats().nRequestsUnauthorized, ndenied);
+		callback();
+	});
+}
+
+/*
+ * Waits for the first client to complete its handshake, then makes a few
+ * requests (including one that fails) and checks that they work and that every
+ * response used the expected payload codec.
+ */
+function runCodecTest(tctx, expected, callback)
+{
+	var client = tctx.firstFastClient();
+	var types = [];
+	var value = {
+	    'str': 'hello',
+	    'num': [ 0, -1, 1.5, 65536, Math.pow(2, 40) ],
+	    'bool': true,
+	    'nul': null,
+	    'date': new Date(0),
+	    'nested': { 'a': [ { 'b': 'c' } ] }
+	};
+
+	client.fc_msgdecoder.on('data', function (message) {
+		types.push(message.type);
+	});
+
+	mod_vasync.pipeline({ 'funcs': [
+	    function waitForHandshake(_, next) {
+		if (client.kangGetObject('fastclient',
+		    client.fc_dtid).handshake == 'done') {
+			next();
+		} else {
+			client.once('handshake', function () { next(); });
+		}
+	    },
+
+	    function checkSuccess(_, next) {
+		types = [];
+		client.rpcBufferAndCallback({
+		    'maxObjectsToBuffer': 10,
+		    'rpcmethod': 'echo',
+		    'rpcargs': [ value, 'second' ]
+		}, function (err, data) {
+			next(expectRpcResult({
+			    'errorActual': err,
+			    'errorExpected': false,
+			    'dataActual': data,
+			    'dataExpected': [
+				{ 'value': JSON.parse(JSON.stringify(value)) },
+				{ 'value': 'second' }
+			    ]
+			}));
+		});
+	    },
+
+	    function checkFailure(_, next) {
+		client.rpcBufferAndCallback({
+		    'maxObjectsToBuffer': 10,
+		    'rpcmethod': 'fail',
+		    'rpcargs': [ {
+			'name': 'MyError',
+			'message': 'boom',
+			'info': { 'key': 'val' }
+		    } ]
+		}, function (err, data) {
+			var cause;
+
+			mod_assertplus.ok(err instanceof Error);
+			cause = unwrapClientRpcError(err);
+			mod_assertplus.equal(cause.name, 'MyError');
+			mod_assertplus.equal(cause.message, 'boom');
+			mod_assertplus.deepEqual(VError.info(cause),
+			    { 'key': 'val' });
+			next();
+		});
+	    },
+
+	    function checkTypes(_, next) {
+		/* two DATA messages, an END, and an ERROR */
+		mod_assertplus.equal(types.length, 4);
+		types.forEach(function (t) {
+			mod_assertplus.equal(t, expected.type);
+		});
+		mod_assertplus.equal(client.kangGetObject('fastclient',
+		    client.fc_dtid).codec, expected.codec);
+		next();
+	    }
+	] }, callback);
+}
+
+/*
+ * Waits for the first client to complete its handshake, then echoes a large,
+ * compressible value and a small one and checks whether the client's requests
+ * ("sent") and the server's responses ("received") were compressed, as
+ * reported by both sides' kang stats and the server's metrics.
+ */
+function runCompressionTest(tctx, expected, callback)
+{
+	var client = tctx.firstFastClient();
+	var value = [];
+	var i;
+
+	for (i = 0; i < 200; i++) {
+		value.push({ 'index': i, 'movies': mod_testcommon.dummyValue });
+	}
+
+	mod_vasync.pipeline({ 'funcs': [
+	    function waitForHandshake(_, next) {
+		if (client.kangGetObject('fastclient',
+		    client.fc_dtid).handshake == 'done') {
+			next();
+		} else {
+			client.once('handshake', function () { next(); });
+		}
+	    },
+
+	    function echoLarge(_, next) {
+		client.rpcBufferAndCallback({
+		    'maxObjectsToBuffer': 10,
+		    'rpcmethod': 'echo',
+		    'rpcargs': [ value ]
+		}, function (err, data) {
+			next(expectRpcResult({
+			    'errorActual': err,
+			    'errorExpected': false,
+			    'dataActual': data,
+			    'dataExpected': [ { 'value': value } ]
+			}));
+		});
+	    },
+
+	    function echoSmall(_, next) {
+		client.rpcBufferAndCallback({
+		    'maxObjectsToBuffer': 10,
+		    'rpcmethod': 'echo',
+		    'rpcargs': [ 'small' ]
+		}, function (err, data) {
+			next(expectRpcResult({
+			    'errorActual': err,
+			    'errorExpected': false,
+			    'dataActual': data,
+			    'dataExpected': [ { 'value': 'small' } ]
+			}));
+		});
+	    },
+
+	    function checkStats(_, next) {
+		var cstats, sstats;
+
+		/* Only the large request and response are compressed. */
+		cstats = client.kangGetObject('fastclient', client.fc_dtid);
+		sstats = tctx.ts_server.kangStats();
+		mod_assertplus.equal(cstats.nMessagesCompressed,
+		    expected.sent ? 1 : 0);
+		mod_assertplus.equal(sstats.nMessagesDecompressed,
+		    expected.sent ? 1 : 0);
+		mod_assertplus.equal(cstats.nBytesSavedSent,
+		    sstats.nBytesSavedReceived);
+		mod_assertplus.equal(cstats.nBytesSavedSent > 0, expected.sent);
+
+		mod_assertplus.equal(sstats.nMessagesCompressed,
+		    expected.received ? 1 : 0);
+		mod_assertplus.equal(cstats.nMessagesDecompressed,
+		    expected.received ? 1 : 0);
+		mod_assertplus.equal(sstats.nBytesSavedSent,
+		    cstats.nBytesSavedReceived);
+		mod_assertplus.equal(sstats.nBytesSavedSent > 0,
+		    expected.received);
+
+		tctx.ts_collector.collect(mod_artedi.FMT_PROM,
+		    function (err, metrics) {
+			mod_assertplus.ok(!err);
+			mod_assertplus.equal(metrics.indexOf(
+			    'fast_server_compression_saved_bytes{' +
+			    'direction="sent",component="FastServer"} ' +
+			    sstats.nBytesSavedSent) != -1, expected.received);
+			next();
+		});
+	    }
+	] }, callback);
+}
+
+/*
+ * Waits for the first client to complete its handshake, then abandons a request
+ * for an RPC whose handler deals with cancellation as described by
+ * "expected.handler": "signal" (fails the request when its AbortSignal is
+ * aborted), "listener" (ends the request when it sees 'cancel'), or "ignore"
+ * (emits more data and ends the request a little later).  Checks that the
+ * server cancels the request only if "expected.cancelled" and reports
+ * "expected.acknowledged", that both sides clean up the request, and that the
+ * connection remains usable.
+ */
+function runCancelTest(tctx, expected, callback)
+{
+	var client = tctx.firstFastClient();
+	var barrier = mod_vasync.barrier();
+	var events = [];
+	var request = null;
+	var last = null;
+
+	tctx.ts_server.registerRpcMethod({
+	    'rpcmethod': 'cancellable',
+	    'rpchandler': function (rpc) {
+		rpc.write({ 'n': 1 });
+
+		if (expected.handler == 'signal') {
+			rpc.signal().addEventListener('abort', function () {
+				events.push('abort');
+				rpc.fail(new Error('operation aborted'));
+				barrier.done('handler');
+			});
+		} else if (expected.handler == 'listener') {
+			rpc.on('cancel', function () {
+				events.push('cancel');
+				mod_assertplus.ok(rpc.cancelled());
+				rpc.end();
+				barrier.done('handler');
+			});
+		} else {
+			setTimeout(function () {
+				events.push('done');
+				mod_assertplus.equal(rpc.cancelled(),
+				    expected.cancelled);
+				rpc.write({ 'n': 2 });
+				rpc.end();
+				barrier.done('handler');
+			}, 100);
+		}
+	    }
+	});
+
+	client.fc_msgdecoder.on('data', function (message) {
+		if (request !== null && message.msgid == request.frq_msgid &&
+		    message.status != mod_protocol.FP_STATUS_DATA) {
+			last = message;
+			setImmediate(function () { barrier.done('response'); });
+		}
+	});
+
+	mod_vasync.pipeline({ 'funcs': [
+	    function waitForHandshake(_, next) {
+		if (client.kangGetObject('fastclient',
+		    client.fc_dtid).handshake == 'done') {
+			next();
+		} else {
+			client.once('handshake', function () { next(); });
+		}
+	    },
+
+	    function abandonRequest(_, next) {
+		barrier.start('handler');
+		barrier.start('response');
+		barrier.on('drain', function () { next(); });
+
+		request = client.rpc({
+		    'rpcmethod': 'cancellable',
+		    'rpcargs': []
+		});
+		request.once('data', function () {
+			request.abandon();
+		});
+		request.on('error', function (err) {
+			mod_assertplus.equal(VError.cause(err).name,
+			    'FastRequestAbandonedError');
+		});
+	    },
+
+	    function checkCancellation(_, next) {
+		var cstats, sstats, info;
+
+		cstats = client.kangGetObject('fastclient', client.fc_dtid);
+		sstats = tctx.ts_server.kangStats();
+		mod_assertplus.equal(cstats.nCancelsSent,
+		    expected.cancelled ? 1 : 0);
+		mod_assertplus.equal(sstats.nRequestsCancelled,
+		    expected.cancelled ? 1 : 0);
+		mod_assertplus.equal(sstats.nCancelsAcknowledged,
+		    expected.acknowledged ? 1 : 0);
+		mod_assertplus.equal(sstats.nIgnoredMessagesCancels, 0);
+		mod_assertplus.equal(events.length, 1);
+		mod_assertplus.ok(request.frq_abandoned);
+		mod_assertplus.equal(request.frq_cancelled,
+		    expected.cancelled);
+
+		if (expected.cancelled) {
+			mod_assertplus.equal(last.status,
+			    mod_protocol.FP_STATUS_ERROR);
+			info = last.data.d.info;
+			mod_assertplus.equal(info.fastReason,
+			    'request_cancelled');
+			mod_assertplus.equal(info.acknowledged,
+			    expected.acknowledged);
+		} else {
+			mod_assertplus.equal(last.status,
+			    mod_protocol.FP_STATUS_END);
+		}
+
+		/* Both sides have finished with the request. */
+		mod_assertplus.deepEqual(client.kangListObjects('fastrequest'),
+		    []);
+		mod_assertplus.deepEqual(
+		    tctx.ts_server.kangListObjects('fastrequest'), []);
+		next();
+	    },
+
+	    function checkConnection(_, next) {
+		/* Give the "ignore" handler's late output a chance to land. */
+		setTimeout(function () {
+			client.rpcBufferAndCallback({
+			    'maxObjectsToBuffer': 10,
+			    'rpcmethod': 'echo',
+			    'rpcargs': [ 'after' ]
+			}, function (err, data) {
+				next(expectRpcResult({
+				    'errorActual': err,
+				    'errorExpected': false,
+				    'dataActual': data,
+				    'dataExpected': [ { 'value': 'after' } ]
+				}));
+			});
+		}, 10);
+	    }
+	] }, callback);
+}
+
+/*
+ * Waits for the first client to complete its handshake, then makes a request
+ * for an RPC whose handler writes data as fast as the server will accept it,
+ * without reading any of it.  The server must stop accepting data once the
+ * client's window is used up, even though the client's socket is not backed up,
+ * and other requests on the same connection must be unaffected.  Once the
+ * client starts reading, all of the data must arrive.
+ */
+function runCreditTest(tctx, callback)
+{
+	var client = tctx.firstFastClient();
+	var csock = tctx.ts_clients[0].tsc_socket;
+	var source = null;
+	var request = null;
+
+	mod_vasync.pipeline({ 'funcs': [
+	    function waitForHandshake(_, next) {
+		if (client.kangGetObject('fastclient',
+		    client.fc_dtid).handshake == 'done') {
+			next();
+		} else {
+			client.once('handshake', function () { next(); });
+		}
+	    },
+
+	    function waitForBackpressure(_, next) {
+		tctx.ts_server.registerRpcMethod({
+		    'rpcmethod': 'faucet',
+		    'rpchandler': function (rpc) {
+			source = new mod_testcommon.FlowControlSource({
+			    'datum': { 'value': 'drip' },
+			    'restMs': 200,
+			    'log': tctx.ts_log.child({
+				'component': 'FlowControlSource'
+			    })
+			});
+
+			source.pipe(rpc);
+			source.once('resting', function () { next(); });
+		    }
+		});
+
+		/* We deliberately don't read from the request yet. */
+		request = client.rpc({ 'rpcmethod': 'faucet', 'rpcargs': [] });
+	    },
+
+	    function checkBackpressure(_, next) {
+		var sreqs, sreq;
+
+		/*
+		 * Like any Readable, the request reads ahead up to its high
+		 * watermark, and the server may have sent up to a window beyond
+		 * that.
+		 */
+		mod_assertplus.ok(!mod_testcommon.isFlowControlled(csock));
+		mod_assertplus.ok(request._readableState.length >= 8);
+		mod_assertplus.ok(request._readableState.length <=
+		    request._readableState.highWaterMark + 8);
+		mod_assertplus.equal(client.kangGetObject('fastrequest',
+		    request.frq_msgid).credit, 0);
+
+		sreqs = tctx.ts_server.kangListObjects('fastrequest');
+		mod_assertplus.equal(sreqs.length, 1);
+		sreq = tctx.ts_server.kangGetObject('fastrequest', sreqs[0]);
+		mod_assertplus.equal(sreq.credit, 0);
+		mod_assertplus.ok(sreq.awaitingCredit);
+		mod_assertplus.ok(tctx.ts_server.kangStats().nCreditStalls > 0);
+
+		client.rpcBufferAndCallback({
+		    'maxObjectsToBuffer': 10,
+		    'rpcmethod': 'echo',
+		    'rpcargs': [ 'unaffected' ]
+		}, function (err, data) {
+			next(expectRpcResult({
+			    'errorActual': err,
+			    'errorExpected': false,
+			    'dataActual': data,
+			    'dataExpected': [ { 'value': 'unaffected' } ]
+			}));
+		});
+	    },
+
+	    function readEverything(_, next) {
+		var ndata = 0;
+
+		request.on('data', function () { ndata++; });
+		request.on('end', function () {
+			mod_assertplus.equal(ndata, source.fcs_nwritten);
+			mod_assertplus.ok(client.kangGetObject('fastclient',
+			    client.fc_dtid).nCreditsSent > 0);
+			next();
+		});
+
+		source.stop();
+	    }
+	] }, callback);
+}
+
+/*
+ * Waits for the first client to complete its handshake and then for a few ping
+ * intervals.  If "expected.negotiated", checks that both sides sent PINGs,
+ * answered each other's, and reported round-trip times in kang and in the
+ * server's metrics, without using any request msgids.  Otherwise, checks that
+ * neither side sent any PINGs.
+ */
+function runKeepaliveTest(tctx, expected, callback)
+{
+	var client = tctx.firstFastClient();
+
+	mod_vasync.pipeline({ 'funcs': [
+	    function waitForHandshake(_, next) {
+		client.once('handshake', function () {
+			setTimeout(next, 200);
+		});
+	    },
+
+	    function checkKang(_, next) {
+		var cstats, conns, sconn;
+
+		cstats = client.kangGetObject('fastclient', client.fc_dtid);
+		conns = tctx.ts_server.kangListObjects('fastconnection');
+		mod_assertplus.equal(conns.length, 1);
+		sconn = tctx.ts_server.kangGetObject('fastconnection',
+		    conns[0]);
+
+		/* Only the HELLO request has been made. */
+		mod_assertplus.equal(cstats.nRpcStarted, 1);
+
+		[ cstats, sconn ].forEach(function (stats) {
+			if (!expected.negotiated) {
+				mod_assertplus.equal(stats.nPingsSent, 0);
+				mod_assertplus.equal(stats.nPongsSent, 0);
+				mod_assertplus.strictEqual(stats.pingRttMs,
+				    null);
+				return;
+			}
+
+			mod_assertplus.ok(stats.nPingsSent > 1);
+			mod_assertplus.ok(stats.nPongsReceived > 1);
+			mod_assertplus.ok(stats.nPongsSent > 1);
+			mod_assertplus.ok(stats.nPingsMissed <= 1);
+			mod_assertplus.number(stats.pingRttMs);
+			mod_assertplus.ok(stats.pingRttMs >= 0);
+		});
+
+		mod_assertplus.equal(tctx.ts_server.kangStats().nPingTimeouts,
+		    0);
+		next();
+	    },
+
+	    function checkMetrics(_, next) {
+		tctx.ts_collector.collect(mod_artedi.FMT_PROM,
+		    function (err, metrics) {
+			mod_assertplus.ok(!err);
+			mod_assertplus.equal(metrics.indexOf(
+			    'fast_server_ping_rtt_seconds_count') != -1,
+			    expected.negotiated);
+			next();
+		});
+	    },
+
+	    function checkRpc(_, next) {
+		client.rpcBufferAndCallback({
+		    'maxObjectsToBuffer': 1,
+		    'rpcmethod': 'echo',
+		    'rpcargs': [ 'still works' ]
+		}, function (err, data) {
+			next(expectRpcResult({
+			    'errorActual': err,
+			    'errorExpected': false,
+			    'dataActual': data,
+			    'dataExpected': [ { 'value': 'still works' } ]
+			}));
+		});
+	    }
+	] }, callback);
+}
+
+/*
+ * Makes two RPC requests using the first client and then checks which
+ * protocol version the client wound up using, whether the requests failed
+ * because of the server's CRC mode, and what CRC calculation the server
+ * reports for the connection in kang and in its metrics.
+ */
+function runCrcModeTest(tctx, expected, callback)
+{
+	var client = tctx.firstFastClient();
+
+	mod_vasync.forEachPipeline({
+	    'inputs': [ 'first', 'second' ],
+	    'func': function makeRpc(value, next) {
+		client.rpcBufferAndCallback({
+		    'maxObjectsToBuffer': 1,
+		    'rpcmethod': 'echo',
+		    'rpcargs': [ value ]
+		}, function (err, data) {
+			var info;
+
+			if (expected.errorVersion === undefined) {
+				next(expectRpcResult({
+				    'errorActual': err,
+				    'errorExpected': false,
+				    'dataActual': data,
+				    'dataExpected': [ { 'value': value } ]
+				}));
+				return;
+			}
+
+			mod_assertplus.ok(err);
+			err = unwrapClientRpcError(err);
+			mod_assertplus.equal(err.name, 'FastError');
+			info = VError.info(err);
+			mod_assertplus.equal(info.fastReason,
+			    'unsupported_crc');
+			mod_assertplus.equal(info.foundVersion,
+			    expected.errorVersion);
+			next();
+		});
+	    }
+	}, function (err) {
+		var conns;
+
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		mod_assertplus.equal(client.version, expected.clientVersion);
+		mod_assertplus.equal(client.kangGetObject('fastclient',
+		    client.fc_dtid).nCrcFallbacks, expected.clientNFallbacks);
+
+		conns = tctx.ts_server.kangListObjects('fastconnection');
+		mod_assertplus.equal(conns.length, 1);
+		mod_assertplus.equal(tctx.ts_server.kangGetObject(
+		    'fastconnection', conns[0]).crcFlavor, expected.crcFlavor);
+		mod_assertplus.equal(tctx.ts_server.kangStats().nRequestsBadCrc,
+		    expected.errorVersion === undefined ?
+		    expected.clientNFallbacks : 2);
+
+		tctx.ts_collector.collect(mod_artedi.FMT_PROM,
+		    function (err2, metrics) {
+			mod_assertplus.ok(!err2);
+			mod_assertplus.ok(metrics.indexOf(
+			    'fast_server_connections{crcFlavor="' +
+			    expected.crcFlavor +
+			    '",component="FastServer"} 1') != -1,
+			    'expected connection gauge in metrics');
+			callback();
+		});
+	});
+}
 
 main();
@@ -9,7 +9,8 @@
  */
 
 /*
- * test/tst.socket_summarize.js: tests summarizeSocketAddrs function.
+ * test/tst.socket_summarize.js: tests summarizeSocketAddrs function.  See
+ * tst.tls.js for TLS sockets.
  */
 
 var mod_assertplus = require('assert-plus');
@@ -77,6 +78,12 @@ function runTestCase(testcase, callback)
 		serverSummary = mod_subr.summarizeSocketAddrs(servers_socket);
 		clientSummary = mod_subr.summarizeSocketAddrs(client);
 		testcase['check'](serverSummary, clientSummary);
+
+		/* None of these sockets use TLS. */
+		mod_assertplus.ok(!serverSummary.hasOwnProperty('tlsProtocol'));
+		mod_assertplus.ok(!clientSummary.hasOwnProperty('tlsProtocol'));
+		mod_assertplus.strictEqual(
+		    mod_subr.summarizeTlsPeer(servers_socket), null);
 		server.close();
 		servers_socket.destroy();
 		client.destroy();
@@ -0,0 +1,333 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2020 Joyent, Inc.
+ */
+
+/*
+ * test/tst.tls.js: tests FastServer and FastClient over TLS.  This generates
+ * self-signed certificates for a server and a client using the openssl(1)
+ * command, which must be on the PATH.
+ */
+
+var mod_assertplus = require('assert-plus');
+var mod_bunyan = require('bunyan');
+var mod_child_process = require('child_process');
+var mod_crypto = require('crypto');
+var mod_fs = require('fs');
+var mod_jsprim = require('jsprim');
+var mod_os = require('os');
+var mod_path = require('path');
+var mod_tls = require('tls');
+var mod_vasync = require('vasync');
+var VError = require('verror');
+
+var mod_fast = require('../lib/fast');
+var mod_testcommon = require('./common');
+
+var testLog;
+var certdir = null;
+var certs = {};
+var test_cases;
+
+function main()
+{
+	testLog = new mod_bunyan({
+	    'name': mod_path.basename(__filename),
+	    'level': process.env['LOG_LEVEL'] || 'fatal'
+	});
+
+	mod_testcommon.registerExitBlocker('test run');
+	mod_vasync.pipeline({ 'funcs': [
+	    function makeCerts(_, next) {
+		certdir = mod_fs.mkdtempSync(
+		    mod_path.join(mod_os.tmpdir(), 'tst.tls.'));
+		mod_vasync.forEachPipeline({
+		    'inputs': [ 'server', 'client' ],
+		    'func': makeCert
+		}, next);
+	    },
+	    function runTestCases(_, next) {
+		mod_vasync.forEachPipeline({
+		    'inputs': test_cases,
+		    'func': runTestCase
+		}, next);
+	    }
+	] }, function (err) {
+		removeCerts();
+		if (err) {
+			throw (err);
+		}
+
+		mod_testcommon.unregisterExitBlocker('test run');
+		console.log('%s tests passed', mod_path.basename(__filename));
+	});
+}
+
+/*
+ * Generate a self-signed certificate and key whose common name is "fast" +
+ * name, valid for connections to 127.0.0.1, and store the PEM contents and
+ * SHA-256 fingerprint in certs[name].
+ */
+function makeCert(name, callback)
+{
+	var keyfile = mod_path.join(certdir, name + '.key');
+	var certfile = mod_path.join(certdir, name + '.crt');
+
+	mod_child_process.execFile('openssl', [ 'req', '-x509',
+	    '-newkey', 'ec', '-pkeyopt', 'ec_paramgen_curve:prime256v1',
+	    '-nodes', '-days', '1', '-subj', '/CN=fast' + name,
+	    '-addext', 'subjectAltName=IP:127.0.0.1',
+	    '-keyout', keyfile, '-out', certfile ], function (err) {
+		if (err) {
+			callback(new VError(err, 'generating certificate'));
+			return;
+		}
+
+		certs[name] = {
+		    'key': mod_fs.readFileSync(keyfile),
+		    'cert': mod_fs.readFileSync(certfile)
+		};
+		certs[name].fingerprint = new mod_crypto.X509Certificate(
+		    certs[name].cert).fingerprint256;
+		callback();
+	});
+}
+
+function removeCerts()
+{
+	if (certdir === null) {
+		return;
+	}
+
+	mod_fs.readdirSync(certdir).forEach(function (file) {
+		mod_fs.unlinkSync(mod_path.join(certdir, file));
+	});
+	mod_fs.rmdirSync(certdir);
+}
+
+/*
+ * Each test case specifies functions "serverTls" and "clientTls" that return
+ * the options used to create the tls.Server and to connect to it, beyond those
+ * identifying the server's certificate and address.  We register a "peer" RPC
+ * method that returns rpc.peer(), and then invoke "run" with a context having
+ * properties "server", "socket", "client" (which is null if the client failed
+ * to connect), and "connectError" (the reason it failed).
+ */
+function runTestCase(testcase, callback)
+{
+	var tctx, tlsserver, csock;
+	var port = mod_testcommon.serverPort;
+	var log = testLog.child({ 'testcase': testcase['name'] });
+
+	console.log('test case: %s', testcase['name']);
+
+	tlsserver = mod_tls.createServer(mod_jsprim.mergeObjects(
+	    testcase['serverTls'](), {
+	    'allowHalfOpen': true,
+	    'key': certs.server.key,
+	    'cert': certs.server.cert
+	}));
+	tctx = {
+	    'server': new mod_fast.FastServer({
+		'log': log.child({ 'component': 'FastServer' }),
+		'server': tlsserver
+	    }),
+	    'client': null,
+	    'connectError': null,
+	    'socket': null
+	};
+	tctx.server.registerRpcMethod({
+	    'rpcmethod': 'peer',
+	    'rpchandler': function (rpc) {
+		rpc.end(rpc.peer());
+	    }
+	});
+
+	mod_vasync.pipeline({ 'funcs': [
+	    function listen(_, next) {
+		tlsserver.listen(port, mod_testcommon.serverIp,
+		    function () { next(); });
+	    },
+
+	    function connect(_, next) {
+		csock = mod_tls.connect(mod_jsprim.mergeObjects(
+		    testcase['clientTls'](), {
+		    'host': mod_testcommon.serverIp,
+		    'port': port,
+		    'ca': certs.server.cert
+		}));
+		tctx.socket = csock;
+		csock.once('error', function (err) {
+			if (tctx.client === null) {
+				tctx.connectError = err;
+				next();
+			}
+		});
+		csock.on('secureConnect', function () {
+			tctx.client = new mod_fast.FastClient({
+			    'log': log.child({ 'component': 'FastClient' }),
+			    'transport': csock,
+			    'nRecentRequests': 10
+			});
+			next();
+		});
+	    },
+
+	    function runTest(_, next) {
+		testcase['run'](tctx, next);
+	    }
+	] }, function (err) {
+		csock.destroy();
+		tlsserver.close();
+		tctx.server.close();
+		callback(err);
+	});
+}
+
+/*
+ * Makes a "peer" request and invokes callback with the value returned.
+ */
+function requestPeer(tctx, callback)
+{
+	tctx.client.rpcBufferAndCallback({
+	    'rpcmethod': 'peer',
+	    'rpcargs': [],
+	    'maxObjectsToBuffer': 1
+	}, function (err, data) {
+		mod_assertplus.ok(!err);
+		mod_assertplus.equal(data.length, 1);
+		callback(data[0]);
+	});
+}
+
+/*
+ * Checks the server's kang object for its only connection against the peer
+ * returned by the "peer" RPC method.
+ */
+function checkKangConnection(tctx, peer)
+{
+	var conns, conn;
+
+	conns = tctx.server.kangListObjects('fastconnection');
+	mod_assertplus.equal(conns.length, 1);
+	conn = tctx.server.kangGetObject('fastconnection', conns[0]);
+	mod_assertplus.deepEqual(conn.tlsPeer, peer);
+	mod_assertplus.equal(conn.addrinfo.socketType, 'IPv4');
+	mod_assertplus.equal(conn.addrinfo.tlsProtocol,
+	    tctx.socket.getProtocol());
+}
+
+test_cases = [ {
+    'name': 'server certificate only',
+    'serverTls': function () { return ({}); },
+    'clientTls': function () { return ({}); },
+    'run': function (tctx, callback) {
+	requestPeer(tctx, function (peer) {
+		mod_assertplus.deepEqual(peer, {
+		    'authorized': false,
+		    'authorizationError': null,
+		    'subject': null,
+		    'issuer': null,
+		    'fingerprint': null
+		});
+		checkKangConnection(tctx, peer);
+		callback();
+	});
+    }
+}, {
+    'name': 'mutual TLS',
+    'serverTls': function () {
+	return ({
+	    'requestCert': true,
+	    'rejectUnauthorized': true,
+	    'ca': certs.client.cert
+	});
+    },
+    'clientTls': function () {
+	return ({ 'key': certs.client.key, 'cert': certs.client.cert });
+    },
+    'run': function (tctx, callback) {
+	requestPeer(tctx, function (peer) {
+		mod_assertplus.deepEqual(peer, {
+		    'authorized': true,
+		    'authorizationError': null,
+		    'subject': { 'CN': 'fastclient' },
+		    'issuer': { 'CN': 'fastclient' },
+		    'fingerprint': certs.client.fingerprint
+		});
+		checkKangConnection(tctx, peer);
+		callback();
+	});
+    }
+}, {
+    'name': 'client certificate not signed by a trusted CA',
+    'serverTls': function () {
+	return ({
+	    'requestCert': true,
+	    'rejectUnauthorized': false,
+	    'ca': certs.server.cert
+	});
+    },
+    'clientTls': function () {
+	return ({ 'key': certs.client.key, 'cert': certs.client.cert });
+    },
+    'run': function (tctx, callback) {
+	requestPeer(tctx, function (peer) {
+		mod_assertplus.strictEqual(peer.authorized, false);
+		mod_assertplus.string(peer.authorizationError);
+		mod_assertplus.deepEqual(peer.subject, { 'CN': 'fastclient' });
+		mod_assertplus.equal(peer.fingerprint,
+		    certs.client.fingerprint);
+		checkKangConnection(tctx, peer);
+		callback();
+	});
+    }
+}, {
+    'name': 'mutual TLS: client without a certificate is rejected',
+    'serverTls': function () {
+	return ({
+	    'requestCert': true,
+	    'rejectUnauthorized': true,
+	    'ca': certs.client.cert
+	});
+    },
+    'clientTls': function () {
+	/*
+	 * With TLS 1.3, the client would consider itself connected before
+	 * the server had seen (and rejected) its lack of a certificate.
+	 */
+	return ({ 'maxVersion': 'TLSv1.2' });
+    },
+    'run': function (tctx, callback) {
+	mod_assertplus.ok(tctx.client === null);
+	mod_assertplus.ok(tctx.connectError instanceof Error);
+	waitForTlsClientError(tctx, function () {
+		mod_assertplus.equal(
+		    tctx.server.kangStats().nConnectionsCreated, 0);
+		callback();
+	});
+    }
+} ];
+
+/*
+ * The server learns about a failed handshake asynchronously with respect to
+ * the client, so poll for it.
+ */
+function waitForTlsClientError(tctx, callback)
+{
+	if (tctx.server.kangStats().nTlsClientErrors > 0) {
+		mod_assertplus.equal(tctx.server.kangStats().nTlsClientErrors,
+		    1);
+		callback();
+		return;
+	}
+
+	setTimeout(waitForTlsClientError, 10, tctx, callback);
+}
+
+main();